@@ -1,12 +1,23 @@
 require('dotenv').config();
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Stripe = require('stripe');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
+const fs = require('fs');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const { createMockPaymentProvider } = require('./mock-payment-provider');
 
 const app = express();
 const port = process.env.PORT || 5000;
@@ -18,6 +29,25 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/invoice_a
   .then(() => console.log('MongoDB connected...'))
   .catch(err => console.error(err));
 
+// What to do when a customer disputes a charge: accept the dispute so the customer
+// keeps the funds ('auto_refund'), hold it for a vendor or admin to review, or
+// contest it straight away with evidence taken from the invoice
+const DISPUTE_POLICIES = ['auto_refund', 'hold', 'contest'];
+// Platform policy for vendors that haven't chosen their own
+const DEFAULT_DISPUTE_POLICY = DISPUTE_POLICIES.includes(process.env.DISPUTE_POLICY) ? process.env.DISPUTE_POLICY : 'hold';
+
+// TOTP two-factor authentication settings, shared by vendors and admins
+const twoFactorField = () => ({
+  enabled: { type: Boolean, default: false },
+  secret: { type: String, default: null }, // Base32 TOTP secret once enrollment is confirmed
+  pendingSecret: { type: String, default: null }, // Secret shown during enrollment, until a code confirms it
+  recoveryCodeHashes: { type: [String], default: [] }, // sha256 of each unused recovery code
+  lastUsedStep: { type: Number, default: null }, // Time step of the last accepted code, so a code can't be replayed
+  failedAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  enabledAt: { type: Date, default: null },
+});
+
 // Vendor Schema
 const VendorSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
@@ -26,906 +56,7915 @@ const VendorSchema = new mongoose.Schema({
   customers: [{ type: String }], // Array of Stripe Customer IDs
   stripeCustomerId: { type: String, required: true },
   subscriptionStatus: { type: String, default: 'trialing' },
+  subscriptionMrr: { type: Number, default: 0 }, // Monthly amount of the vendor's plan
+  subscriptionCurrency: { type: String, default: null },
+  // Every subscription status change, for MRR and churn analytics
+  subscriptionHistory: [{
+    status: { type: String, required: true },
+    mrr: { type: Number, default: 0 },
+    currency: { type: String, default: null },
+    changedAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
   trialEndsAt: { type: Date },
   stripeConnectAccountId: { type: String, default: null },
+  defaultCurrency: { type: String, default: 'usd' }, // Used when neither the invoice nor the customer sets one
+  remindersEnabled: { type: Boolean, default: true },
+  reminderSchedule: { type: [Number], default: [-3, 0, 7] }, // Days relative to the due date to send payment reminders
+  // Business details printed on invoice and receipt PDFs
+  businessName: { type: String, default: null },
+  businessEmail: { type: String, default: null },
+  businessPhone: { type: String, default: null },
+  address: {
+    line1: { type: String },
+    line2: { type: String },
+    city: { type: String },
+    state: { type: String },
+    postalCode: { type: String },
+    country: { type: String },
+  },
+  logo: {
+    data: { type: Buffer },
+    contentType: { type: String }, // image/png or image/jpeg
+  },
+  disputePolicy: { type: String, enum: [...DISPUTE_POLICIES, null], default: null }, // null follows the platform policy
+  passwordChangedAt: { type: Date, default: null },
+  passwordResetTokenHash: { type: String, default: null }, // sha256 of the emailed reset token
+  passwordResetExpiresAt: { type: Date, default: null },
+  twoFactor: twoFactorField(), // Optional for vendors
 });
 
 const Vendor = mongoose.model('Vendor', VendorSchema);
 
+// Customer Schema (local copy of a vendor's Stripe customer)
+const CustomerSchema = new mongoose.Schema({
+  stripeCustomerId: { type: String, required: true, unique: true },
+  vendorUsername: { type: String, required: true, index: true }, // Owning vendor
+  name: { type: String },
+  email: { type: String },
+  phone: { type: String },
+  billingAddress: {
+    line1: { type: String },
+    line2: { type: String },
+    city: { type: String },
+    state: { type: String },
+    postalCode: { type: String },
+    country: { type: String }, // ISO 3166-1 alpha-2
+  },
+  taxId: { type: String },
+  notes: { type: String },
+  tags: [{ type: String }],
+  currency: { type: String, default: null }, // Default billing currency, also kept in Stripe metadata
+  archived: { type: Boolean, default: false },
+  archivedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+CustomerSchema.index({ vendorUsername: 1, archived: 1, name: 1 });
+
+const Customer = mongoose.model('Customer', CustomerSchema);
+
+// Money is stored as a whole number of the currency's minor unit (cents for USD,
+// yen for JPY), like Stripe amounts, and converted to decimals only at the API edge
+const moneyField = (options = {}) => ({
+  type: Number,
+  validate: { validator: value => value === null || Number.isSafeInteger(value), message: '{PATH} must be a whole number of minor currency units.' },
+  ...options,
+});
+
+// Invoice Line Item Schema (embedded in Invoice). Amounts in minor units.
+const LineItemSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  quantity: { type: Number, required: true, default: 1 },
+  unitPrice: moneyField({ required: true }),
+  discount: moneyField({ default: 0 }), // Flat discount taken off this line
+  taxRate: { type: Number, default: 0 }, // Percentage applied after the discount, e.g. 8.25
+  subtotal: moneyField({ required: true }), // quantity * unitPrice
+  taxAmount: moneyField({ default: 0 }),
+  total: moneyField({ required: true }), // subtotal - discount + taxAmount
+}, { _id: false });
+
 // Invoice Schema
+// Invoice statuses and the changes allowed between them. 'overdue' is set by the
+// dunning job, on open and partially paid invoices alike; every other change is
+// driven by Stripe invoice events and recorded payments.
+const INVOICE_TRANSITIONS = {
+  draft: ['open', 'paid', 'void'],
+  open: ['overdue', 'partially_paid', 'paid', 'void', 'uncollectible'],
+  overdue: ['partially_paid', 'paid', 'void', 'uncollectible'],
+  partially_paid: ['overdue', 'paid', 'void', 'uncollectible'], // Until the balance is settled
+  uncollectible: ['paid', 'void'],
+  paid: [],
+  void: [],
+};
+
 const InvoiceSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true }, // Stripe Invoice ID
   customerId: { type: String, required: true }, // Stripe Customer ID
-  amount: { type: Number, required: true },
+  amount: moneyField({ required: true }), // Invoice total, kept for older clients
+  currency: { type: String, default: 'usd' }, // ISO code, lowercase. Invoices from before multi-currency were all USD
   description: { type: String },
+  lineItems: [LineItemSchema],
+  subtotal: moneyField(),
+  discountTotal: moneyField({ default: 0 }),
+  taxTotal: moneyField({ default: 0 }),
+  total: moneyField(),
+  recurringInvoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringInvoice', default: null }, // Schedule that generated this invoice
+  vendorUsername: { type: String }, // Vendor who issued the invoice
   invoiceUrl: { type: String },
-  status: { type: String, default: 'open' }, // e.g., 'open', 'paid', 'void', 'uncollectible'
+  status: { type: String, enum: Object.keys(INVOICE_TRANSITIONS), default: 'open' },
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String },
+    source: { type: String }, // Stripe event type, or 'dunning'
+    at: { type: Date, default: Date.now },
+    _id: false,
+  }],
+  dueDate: { type: Date, default: null }, // Only set for invoices sent for manual payment
+  overdueAt: { type: Date, default: null },
+  finalizedAt: { type: Date, default: null },
+  sentAt: { type: Date, default: null },
+  attemptCount: { type: Number, default: 0 }, // Payment attempts Stripe has made
+  lastPaymentAttemptAt: { type: Date, default: null },
+  nextPaymentAttemptAt: { type: Date, default: null }, // When Stripe will retry a failed charge
+  failureReason: { type: String, default: null }, // Why the latest payment attempt failed
+  paidAt: { type: Date, default: null },
+  amountPaid: moneyField({ default: 0 }), // Sum of payment allocations
+  balanceDue: moneyField(), // Total less payments and pre-payment credit notes
+  payments: [{
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true },
+    amount: moneyField({ required: true }),
+    method: { type: String },
+    appliedAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
+  voidedAt: { type: Date, default: null },
+  markedUncollectibleAt: { type: Date, default: null },
+  amountRefunded: moneyField({ default: 0 }), // Sum of refunds that haven't failed
+  adjustmentLockedAt: { type: Date, default: null }, // Set while a refund or credit note is being issued, so two can't overlap
+  refunds: [{
+    refundId: { type: String, required: true }, // Stripe Refund ID
+    chargeId: { type: String, default: null }, // Stripe Charge ID the refund was made against
+    amount: moneyField({ required: true }),
+    reason: { type: String, default: null }, // 'duplicate', 'fraudulent' or 'requested_by_customer'
+    note: { type: String, default: null },
+    status: { type: String }, // Stripe refund status, e.g. 'succeeded', 'pending', 'failed'
+    createdBy: { type: String }, // Vendor username, or 'stripe' for refunds made outside the app
+    createdAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
+  creditBalance: moneyField({ default: 0 }), // Sum of credit notes issued against the invoice
+  creditNotes: [{
+    creditNoteId: { type: String, required: true }, // Stripe Credit Note ID
+    number: { type: String },
+    amount: moneyField({ required: true }),
+    reason: { type: String }, // 'duplicate', 'fraudulent', 'order_change' or 'product_unsatisfactory'
+    memo: { type: String, default: null },
+    type: { type: String }, // 'pre_payment' reduces the amount due; 'post_payment' credits the customer's balance
+    createdBy: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
+  remindersSent: [{
+    offsetDays: { type: Number, required: true }, // Entry of the vendor's reminder schedule this reminder was for
+    sentAt: { type: Date, default: Date.now },
+    to: { type: String },
+    _id: false,
+  }],
+  // True on invoices created with minor-unit amounts; missing on older ones stored as decimals
+  // (see `npm run migrate-money`). Not a default, so loading and saving an old invoice can't set it.
+  amountsInMinorUnits: { type: Boolean },
   createdAt: { type: Date, default: Date.now },
 });
 
+InvoiceSchema.index({ status: 1, dueDate: 1 });
+// Invoice lists, newest first
+InvoiceSchema.index({ customerId: 1, createdAt: -1, _id: -1 });
+InvoiceSchema.index({ vendorUsername: 1, createdAt: -1, _id: -1 });
+
 const Invoice = mongoose.model('Invoice', InvoiceSchema);
 
+// Payment Schema (money received from a customer, allocated across one or more of their invoices).
+// Amounts in minor units.
+const PAYMENT_METHODS = ['card', 'bank_transfer', 'cash', 'cheque'];
+
+const PaymentSchema = new mongoose.Schema({
+  vendorUsername: { type: String, required: true, index: true },
+  customerId: { type: String, required: true, index: true }, // Stripe Customer ID
+  amount: moneyField({ required: true }),
+  currency: { type: String, required: true },
+  method: { type: String, enum: PAYMENT_METHODS, required: true },
+  reference: { type: String, default: null }, // Cheque number, bank transfer reference, ...
+  note: { type: String, default: null },
+  paymentIntentId: { type: String, default: null }, // Card payments taken through /create-payment-intent
+  stripeInvoiceId: { type: String, default: null }, // Card payments collected by a Stripe invoice
+  allocations: [{
+    invoiceId: { type: String, required: true },
+    amount: moneyField({ required: true }),
+    allocatedAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
+  unallocated: moneyField({ default: 0 }), // Received but not yet applied to an invoice
+  receivedAt: { type: Date, default: Date.now },
+  recordedBy: { type: String }, // Username, or 'stripe' for payments recorded from webhooks
+  amountsInMinorUnits: { type: Boolean }, // As on Invoice
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One payment per Stripe payment intent / Stripe-collected invoice, so webhook retries can't record it twice
+PaymentSchema.index({ paymentIntentId: 1 }, { unique: true, partialFilterExpression: { paymentIntentId: { $type: 'string' } } });
+PaymentSchema.index({ stripeInvoiceId: 1 }, { unique: true, partialFilterExpression: { stripeInvoiceId: { $type: 'string' } } });
+PaymentSchema.index({ vendorUsername: 1, receivedAt: -1, _id: -1 });
+
+const Payment = mongoose.model('Payment', PaymentSchema);
+
+// Recurring Invoice Schema (a schedule that bills one customer the same items every interval).
+// Line item prices stay decimal: the currency may only be settled at each run.
+const RecurringLineItemSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  quantity: { type: Number, default: 1 },
+  unitPrice: { type: Number, required: true },
+  discount: { type: Number, default: 0 },
+  taxRate: { type: Number, default: 0 },
+}, { _id: false });
+
+const RecurringInvoiceSchema = new mongoose.Schema({
+  vendorUsername: { type: String, required: true },
+  customerId: { type: String, required: true }, // Stripe Customer ID
+  description: { type: String },
+  lineItems: [RecurringLineItemSchema],
+  currency: { type: String, default: null }, // null: use the customer's or vendor's default at each run
+  interval: { type: String, enum: ['day', 'week', 'month', 'year'], required: true },
+  intervalCount: { type: Number, default: 1 }, // e.g. interval 'week' with count 2 bills fortnightly
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, default: null },
+  collectionMethod: { type: String, enum: ['charge_automatically', 'send_invoice'], default: 'send_invoice' },
+  daysUntilDue: { type: Number, default: 7 }, // For 'send_invoice'
+  status: { type: String, enum: ['active', 'paused', 'ended'], default: 'active' },
+  nextOccurrence: { type: Number, default: 0 }, // Index of the next run counted from startDate
+  nextRunAt: { type: Date, default: null },
+  lastRunAt: { type: Date },
+  runCount: { type: Number, default: 0 }, // Invoices generated so far
+  failureCount: { type: Number, default: 0 }, // Consecutive failed runs
+  lastError: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+RecurringInvoiceSchema.index({ status: 1, nextRunAt: 1 });
+RecurringInvoiceSchema.index({ vendorUsername: 1, createdAt: -1, _id: -1 });
+
+const RecurringInvoice = mongoose.model('RecurringInvoice', RecurringInvoiceSchema);
+
 // Activity Log Schema
 const ActivityLogSchema = new mongoose.Schema({
   eventType: { type: String, required: true }, // e.g., 'vendor_registered', 'vendor_approved', 'invoice_paid', 'fraud_warning'
   description: { type: String, required: true },
   timestamp: { type: Date, default: Date.now },
   relatedId: { type: String }, // Optional: ID of related entity (e.g., vendorId, invoiceId)
+  vendorUsername: { type: String, default: null }, // Vendor the entry concerns, if any
+  amount: moneyField({ default: null }), // Money the entry is about, in minor units of `currency`
+  currency: { type: String, default: null },
 });
 
+ActivityLogSchema.index({ timestamp: -1, _id: -1 });
+ActivityLogSchema.index({ eventType: 1, timestamp: -1, _id: -1 });
+ActivityLogSchema.index({ relatedId: 1, timestamp: -1 });
+ActivityLogSchema.index({ vendorUsername: 1, timestamp: -1, _id: -1 });
+
 const ActivityLog = mongoose.model('ActivityLog', ActivityLogSchema);
 
-// JWT Authentication Middleware
-const authenticateToken = (req, res, next) => {
-  const token = req.cookies.token; // Read token from cookie
+// Webhook Event Schema (every Stripe event received, for de-duplication, retries and replay)
+const WebhookEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true }, // Stripe Event ID
+  type: { type: String, required: true },
+  livemode: { type: Boolean, default: false },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // The full Stripe event
+  status: { type: String, enum: ['pending', 'processing', 'processed', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 }, // Handler runs, including admin replays
+  deliveries: { type: Number, default: 1 }, // Times Stripe delivered this event
+  lastError: { type: String, default: null },
+  nextAttemptAt: { type: Date, default: null },
+  lockedAt: { type: Date, default: null }, // When the current handler run started
+  receivedAt: { type: Date, default: Date.now },
+  processedAt: { type: Date, default: null },
+});
 
-  if (token == null) return res.sendStatus(401); // No token
-  console.log('Token received:', token); // Add this line
+WebhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookEventSchema.index({ receivedAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', WebhookEventSchema);
+
+// Dispute Schema (a Stripe dispute on a charge, with the policy applied to it and its outcome)
+const DisputeSchema = new mongoose.Schema({
+  disputeId: { type: String, required: true, unique: true }, // Stripe Dispute ID
+  chargeId: { type: String, required: true },
+  paymentIntentId: { type: String, default: null },
+  invoiceId: { type: String, default: null, index: true }, // Invoice the disputed charge paid, if any
+  customerId: { type: String, default: null }, // Stripe Customer ID
+  vendorUsername: { type: String, default: null, index: true },
+  amount: moneyField({ required: true }), // Disputed amount in minor units, as Stripe sends it
+  currency: { type: String, required: true },
+  reason: { type: String }, // Stripe reason, e.g. 'fraudulent', 'product_not_received'
+  status: { type: String, required: true }, // Stripe status, e.g. 'needs_response', 'under_review', 'won', 'lost'
+  policy: { type: String, enum: DISPUTE_POLICIES, required: true }, // Policy in force when the dispute arrived
+  actionTakenAt: { type: Date, default: null }, // When the policy was applied
+  actionError: { type: String, default: null },
+  evidence: { type: mongoose.Schema.Types.Mixed, default: {} }, // Evidence staged on Stripe, by Stripe field name
+  evidenceDueBy: { type: Date, default: null },
+  evidenceSubmittedAt: { type: Date, default: null },
+  evidenceSubmittedBy: { type: String, default: null }, // Username, or 'policy' when contested automatically
+  acceptedAt: { type: Date, default: null },
+  acceptedBy: { type: String, default: null }, // Username, or 'policy' when accepted automatically
+  outcome: { type: String, enum: ['won', 'lost', 'accepted', 'withdrawn', null], default: null }, // Set once closed
+  closedAt: { type: Date, default: null },
+  // True on disputes recorded with a minor-unit amount; missing on older ones (see `npm run migrate-money`)
+  amountsInMinorUnits: { type: Boolean },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error('JWT Verification Error:', err);
-      return res.sendStatus(403); // Invalid token
-    }
-    req.user = user;
-    console.log('Decoded user:', req.user); // Add this line
-    next();
-  });
-};
+DisputeSchema.index({ vendorUsername: 1, createdAt: -1, _id: -1 });
 
-app.use(cors({
-  origin: 'https://invoice-management-client.vercel.app',
-  credentials: true,
-  sameSite: 'None',
-  secure: true,
-}));
-app.use(bodyParser.json());
-app.use(cookieParser());
+const Dispute = mongoose.model('Dispute', DisputeSchema);
 
-// Remove in-memory storage
-// let vendors = []; 
-// let invoices = [];
+// Webhook Endpoint Schema (a vendor's own URL that receives their events)
+const WebhookEndpointSchema = new mongoose.Schema({
+  vendorUsername: { type: String, required: true, index: true },
+  url: { type: String, required: true },
+  description: { type: String, default: null },
+  eventTypes: [{ type: String }], // Activity event types to send, or ['*'] for all of them
+  secret: { type: String, required: true }, // HMAC signing key, shown to the vendor when created or rotated
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
 
-app.get('/', (req, res) => {
-  res.send('Invoice Management Server is running!');
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', WebhookEndpointSchema);
+
+// Webhook Delivery Schema (one event sent to one vendor endpoint)
+const WebhookDeliverySchema = new mongoose.Schema({
+  endpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+  vendorUsername: { type: String, required: true },
+  eventId: { type: String, required: true }, // Shared by every endpoint the event went to
+  eventType: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // The JSON body sent
+  status: { type: String, enum: ['pending', 'delivering', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  attemptLog: [{
+    at: { type: Date },
+    statusCode: { type: Number, default: null }, // null when no response came back
+    error: { type: String, default: null },
+    durationMs: { type: Number },
+    _id: false,
+  }],
+  lastStatusCode: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  nextAttemptAt: { type: Date, default: null },
+  lockedAt: { type: Date, default: null },
+  deliveredAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
 });
 
-app.post('/register', async (req, res) => {
-  const { username, password } = req.body;
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ vendorUsername: 1, createdAt: -1, _id: -1 });
+WebhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
 
-  // Basic validation
-  if (!username || !password) {
-    return res.status(400).json({ message: 'Username and password are required.' });
-  }
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
 
-  try {
-    // Check if vendor already exists
-    const existingVendor = await Vendor.findOne({ username });
-    if (existingVendor) {
-      return res.status(409).json({ message: 'Vendor with this username already exists.' });
-    }
+// Admin levels: super admins manage everything including other admins, support
+// staff manage vendors, finance has read-only access to reports and logs
+const ADMIN_LEVELS = ['super_admin', 'support', 'finance'];
 
-    // Create a Stripe customer for the new vendor
-    const stripeCustomer = await stripe.customers.create({
-      email: username, // Use username directly as email
-      name: username,
-      description: `Vendor: ${username}`,
-    });
+// Admin Schema
+const AdminSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  password: { type: String, default: null }, // bcrypt hash; null until an invite is accepted
+  level: { type: String, enum: ADMIN_LEVELS, required: true },
+  disabled: { type: Boolean, default: false },
+  inviteTokenHash: { type: String, default: null }, // sha256 of the invite token
+  inviteExpiresAt: { type: Date, default: null },
+  invitedBy: { type: String, default: null },
+  lastLoginAt: { type: Date },
+  twoFactor: twoFactorField(), // Required before an admin can use any admin route
+  createdAt: { type: Date, default: Date.now },
+});
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+const Admin = mongoose.model('Admin', AdminSchema);
 
-    const newVendor = new Vendor({
-      username,
-      password: hashedPassword,
-      approved: false,
-      customers: [],
-      stripeCustomerId: stripeCustomer.id,
-      subscriptionStatus: 'trialing',
-      trialEndsAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-      stripeConnectAccountId: null,
-    });
+// Customer Access Token Schema (single-use magic links into the customer portal)
+const CustomerAccessTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true }, // JWT ID of the signed magic link
+  customerId: { type: String, required: true }, // Stripe Customer ID
+  createdBy: { type: String }, // Username of the vendor or admin who generated the link
+  expiresAt: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
 
-    await newVendor.save();
-    console.log('New vendor registered:', newVendor);
+const CustomerAccessToken = mongoose.model('CustomerAccessToken', CustomerAccessTokenSchema);
 
-    // Log activity
-    await ActivityLog.create({
-      eventType: 'vendor_registered',
-      description: `New vendor registered: ${username}`,
-      relatedId: newVendor._id,
-    });
+// API Key Schema (vendor keys for server-to-server calls, sent as Bearer tokens)
+const API_KEY_SCOPES = ['read-only', 'invoices:write', 'customers:write'];
 
-    res.status(201).json({ message: 'Vendor registered successfully. Awaiting admin approval.' });
-  } catch (error) {
-    console.error('Error during vendor registration:', error);
-    res.status(500).json({ message: 'Failed to register vendor.', error: error.message });
-  }
+const ApiKeySchema = new mongoose.Schema({
+  vendorUsername: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  prefix: { type: String, required: true }, // First characters of the key, to tell keys apart
+  keyHash: { type: String, required: true, unique: true }, // sha256 of the key
+  scopes: [{ type: String, enum: API_KEY_SCOPES }],
+  lastUsedAt: { type: Date, default: null },
+  usageCount: { type: Number, default: 0 },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
 });
 
-app.post('/login', async (req, res) => {
-  const { username, password } = req.body;
-  console.log(`Login attempt for username: ${username}, password: ${password}`);
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+// Idempotency Key Schema (the saved outcome of a money-moving request sent with an Idempotency-Key header)
+const IdempotencyKeySchema = new mongoose.Schema({
+  owner: { type: String, required: true }, // `<role>:<username>` of the caller; keys are per caller
+  key: { type: String, required: true },
+  route: { type: String, required: true },
+  fingerprint: { type: String, required: true }, // sha256 of the method, path and body
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: mongoose.Schema.Types.Mixed, default: null },
+  lockedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }, // Keys can be reused after a day
+});
 
-  if (!username || !password) {
-    return res.status(400).json({ message: 'Username and password are required.' });
-  }
+IdempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+// Vendor Session Schema (one per logged-in device). The refresh token is rotated on
+// every use; the previous one is kept so a replayed token can be spotted.
+const VendorSessionSchema = new mongoose.Schema({
+  vendorUsername: { type: String, required: true, index: true },
+  refreshTokenHash: { type: String, required: true, unique: true }, // sha256 of the current refresh token
+  previousRefreshTokenHash: { type: String, default: null, index: true },
+  userAgent: { type: String, default: null },
+  ip: { type: String, default: null },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, enum: ['logout', 'revoked', 'logout_everywhere', 'password_changed', 'password_reset', 'refresh_token_reused', null], default: null },
+  stepUpUntil: { type: Date, default: null }, // Sensitive actions are allowed until then after a two-factor check
+  createdAt: { type: Date, default: Date.now },
+});
 
-  try {
-    const vendor = await Vendor.findOne({ username });
+const VendorSession = mongoose.model('VendorSession', VendorSessionSchema);
 
-    if (!vendor) {
-      return res.status(401).json({ message: 'Invalid credentials.' });
-    }
+// Routes an API key may call. Every key can read; writes need the scope named here.
+// Anything not listed (account, payout, subscription and key management) needs a login.
+const API_KEY_ROUTES = [
+  { methods: ['GET'], path: /^\/(check-auth|vendor\/(customers|invoices|payments|recurring-invoices|dashboard|exports)|invoices|customer\/invoices|disputes)(\/|$)/, scope: null },
+  { methods: ['POST', 'PUT', 'DELETE'], path: /^\/(create-customer|vendor\/add-customer|vendor\/customers)(\/|$)/, scope: 'customers:write' },
+  { methods: ['POST', 'PUT', 'DELETE'], path: /^\/(create-invoice|invoices\/[^/]+\/(refund|credit-notes)|vendor\/payments|vendor\/recurring-invoices)(\/|$)/, scope: 'invoices:write' },
+];
 
-    const isMatch = await bcrypt.compare(password, vendor.password);
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials.' });
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// API key authentication for `Authorization: Bearer <key>`. The caller acts as the
+// key's vendor, limited to the routes and scopes above.
+const authenticateApiKey = async (key, req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+    if (!apiKey) {
+      return res.status(401).json({ message: 'Invalid or revoked API key.' });
     }
 
-    if (!vendor.approved) {
-      return res.status(403).json({ message: 'Your account is awaiting admin approval.' });
+    const route = API_KEY_ROUTES.find(rule => rule.methods.includes(req.method) && rule.path.test(req.path));
+    if (!route) {
+      return res.status(403).json({ message: 'API keys cannot be used on this route. Log in instead.' });
+    }
+    if (route.scope && !apiKey.scopes.includes(route.scope)) {
+      return res.status(403).json({ message: `This API key does not have the ${route.scope} scope.` });
     }
 
-    const token = jwt.sign(
-      { username: vendor.username, role: 'vendor' },
-      JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    const vendor = await Vendor.findOne({ username: apiKey.vendorUsername });
+    if (!vendor || !vendor.approved) {
+      return res.status(403).json({ message: 'The vendor account for this API key is not active.' });
+    }
 
-    res.cookie('token', token, { httpOnly: true, secure: true, sameSite: 'None' });
-    res.status(200).json({ message: 'Login successful!', vendor: { username: vendor.username, approved: vendor.approved, role: 'vendor', subscriptionStatus: vendor.subscriptionStatus, trialEndsAt: vendor.trialEndsAt } });
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), $inc: { usageCount: 1 } });
+    req.user = { username: apiKey.vendorUsername, role: 'vendor', apiKeyId: apiKey._id, scopes: apiKey.scopes };
+    next();
   } catch (error) {
-    console.error('Error during vendor login:', error);
-    res.status(500).json({ message: 'Login failed.', error: error.message });
+    console.error('Error authenticating API key:', error);
+    res.status(500).json({ message: 'Failed to authenticate request.', error: error.message });
   }
-});
+};
 
-// Admin Login (for demonstration purposes, hardcoded credentials)
-app.post('/admin/login', (req, res) => {
-  const { username, password } = req.body;
-  console.log(`Admin Login attempt for username: ${username}, password: ${password}`);
+// Vendor sessions. Login sets a short-lived access token (the `token` cookie) that
+// names its session, and a long-lived refresh token (the `refreshToken` cookie)
+// that POST /refresh-token trades for a new pair. Revoking the session ends both.
+const ACCESS_TOKEN_TTL = '15m';
+// Audience of vendor and admin access tokens. authenticateToken accepts nothing else,
+// so other tokens signed with JWT_SECRET (2FA challenges, portal links) can't stand in.
+const ACCESS_TOKEN_AUDIENCE = 'access';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const AUTH_COOKIE_OPTIONS = { httpOnly: true, secure: true, sameSite: 'None' };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const setVendorSessionCookies = (res, vendorUsername, sessionId, refreshToken) => {
+  const token = jwt.sign(
+    { username: vendorUsername, role: 'vendor', sid: String(sessionId) },
+    JWT_SECRET,
+    { audience: ACCESS_TOKEN_AUDIENCE, expiresIn: ACCESS_TOKEN_TTL }
+  );
+  res.cookie('token', token, AUTH_COOKIE_OPTIONS);
+  res.cookie('refreshToken', refreshToken, { ...AUTH_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_TTL_MS });
+};
 
-  if (username === 'admin' && password === 'adminpass') {
-    const token = jwt.sign(
-      { username: 'admin', role: 'admin' },
-      JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-    res.cookie('token', token, { httpOnly: true, secure: true, sameSite: 'None' });
-    res.status(200).json({ message: 'Admin login successful!', user: { username: 'admin', role: 'admin' } });
-  } else {
-    res.status(401).json({ message: 'Invalid admin credentials.' });
+const clearAuthCookies = (res) => {
+  res.clearCookie('token', AUTH_COOKIE_OPTIONS);
+  res.clearCookie('refreshToken', AUTH_COOKIE_OPTIONS);
+};
+
+// Start a session for a vendor who has just proven their password
+const startVendorSession = async (req, res, vendorUsername, { stepUpUntil = null } = {}) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const session = await VendorSession.create({
+    vendorUsername,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent') ? req.get('user-agent').slice(0, 500) : null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    stepUpUntil,
+  });
+  setVendorSessionCookies(res, vendorUsername, session._id, refreshToken);
+  return session;
+};
+
+// Revoke a vendor's live sessions, optionally sparing one (the caller's own)
+const revokeVendorSessions = async (vendorUsername, reason, { exceptSessionId = null } = {}) => {
+  const query = { vendorUsername, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
   }
+  const result = await VendorSession.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+const formatVendorSession = (session, currentSessionId) => ({
+  id: session._id,
+  current: String(session._id) === String(currentSessionId),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
 });
 
-// Admin: Get pending vendors
-app.get('/admin/vendors/pending', authenticateToken, async (req, res) => {
-  try {
-    const pendingVendors = await Vendor.find({ approved: false });
-    res.status(200).json(pendingVendors);
-  } catch (error) {
-    console.error('Error fetching pending vendors:', error);
-    res.status(500).json({ message: 'Failed to fetch pending vendors.', error: error.message });
+// Two-factor authentication. TOTP codes follow RFC 6238 (HMAC-SHA1, 6 digits,
+// 30-second steps), the default for authenticator apps; the step either side of
+// now is accepted to allow for clock drift.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Invoice Management';
+const TWO_FACTOR_MAX_ATTEMPTS = 5; // Wrong codes in a row before the account's codes are locked
+const TWO_FACTOR_LOCK_MS = 15 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = '5m'; // Time between the password step and the code step of a login
+const STEP_UP_TTL_MS = 10 * 60 * 1000; // How long a code check unlocks sensitive actions for a session
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
   }
-});
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
 
-// Admin: Approve a vendor
-app.post('/admin/vendors/approve', authenticateToken, async (req, res) => {
-  const { username } = req.body;
-  try {
-    const vendor = await Vendor.findOneAndUpdate({ username }, { approved: true }, { new: true });
+const base32Decode = (text) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret.');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
 
-    if (vendor) {
-      // Log activity
-      await ActivityLog.create({
-        eventType: 'vendor_approved',
-        description: `Vendor approved: ${username}`,
-        relatedId: vendor._id,
-      });
-      res.status(200).json({ message: `Vendor ${username} approved successfully.` });
-    } else {
-      res.status(404).json({ message: 'Vendor not found.' });
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Time step that `code` is valid for, or null. Steps at or before `lastUsedStep`
+// are refused so a code can't be used twice.
+const matchTotpStep = (secret, code, lastUsedStep = null) => {
+  const given = Buffer.from(code);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = Buffer.from(totpCode(secret, step));
+    if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+      return step;
     }
-  } catch (error) {
-    console.error('Error approving vendor:', error);
-    res.status(500).json({ message: 'Failed to approve vendor.', error: error.message });
   }
-});
+  return null;
+};
 
-// Create a Stripe Customer
-app.post('/create-customer', async (req, res) => {
-  const { email, name, phone } = req.body;
+// otpauth:// URI for authenticator apps; clients render it as a QR code
+const otpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
 
-  try {
-    const customer = await stripe.customers.create({
-      email,
-      name,
-      phone,
-    });
+// Recovery codes look like `3f9a1-0c7e2`; case, spaces and dashes are ignored when one is entered
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^0-9a-z]/g, '');
 
-    // Log activity
-    await ActivityLog.create({
-      eventType: 'customer_added',
-      description: `New customer added: ${name} (${email})`,
-      relatedId: customer.id,
-    });
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
 
-    res.status(201).json({ message: 'Stripe customer created successfully.', customerId: customer.id });
-  } catch (error) {
-    console.error('Error creating Stripe customer:', error);
-    res.status(500).json({ message: 'Failed to create Stripe customer.', error: error.message });
+// Check a TOTP code or a recovery code for an enrolled vendor or admin and record
+// the outcome on the account. Returns { method } on success, or { status, message }.
+const verifyTwoFactor = async (account, { code, recoveryCode }) => {
+  const twoFactor = account.twoFactor;
+  if (!twoFactor.enabled) {
+    return { status: 400, message: 'Two-factor authentication is not enabled.' };
+  }
+  if (twoFactor.lockedUntil && twoFactor.lockedUntil > new Date()) {
+    return { status: 429, message: 'Too many wrong codes. Try again in a few minutes.' };
   }
-});
 
-// Create SetupIntent for saving card details
-app.post('/create-setup-intent', async (req, res) => {
-  const { customerId } = req.body;
+  let method = null;
+  if (code) {
+    const step = matchTotpStep(twoFactor.secret, code, twoFactor.lastUsedStep);
+    if (step !== null) {
+      twoFactor.lastUsedStep = step;
+      method = 'totp';
+    }
+  } else if (recoveryCode) {
+    const index = twoFactor.recoveryCodeHashes.indexOf(hashToken(normalizeRecoveryCode(recoveryCode)));
+    if (index !== -1) {
+      twoFactor.recoveryCodeHashes.splice(index, 1); // Each recovery code works once
+      method = 'recovery_code';
+    }
+  }
 
-  try {
-    const setupIntent = await stripe.setupIntents.create({
-      customer: customerId,
-      payment_method_types: ['card'],
-    });
-    res.status(200).json({ clientSecret: setupIntent.client_secret });
-  } catch (error) {
-    console.error('Error creating SetupIntent:', error);
-    res.status(500).json({ message: 'Failed to create SetupIntent.', error: error.message });
+  if (!method) {
+    twoFactor.failedAttempts += 1;
+    if (twoFactor.failedAttempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      twoFactor.failedAttempts = 0;
+      twoFactor.lockedUntil = new Date(Date.now() + TWO_FACTOR_LOCK_MS);
+    }
+    await account.save();
+    return { status: 401, message: 'Invalid two-factor code.' };
   }
-});
 
-// Associate a Stripe Customer with a Vendor
-app.post('/vendor/add-customer', authenticateToken, async (req, res) => {
-  const { vendorUsername, customerId } = req.body;
+  twoFactor.failedAttempts = 0;
+  twoFactor.lockedUntil = null;
+  await account.save();
+  return { method };
+};
 
-  try {
-    const vendor = await Vendor.findOne({ username: vendorUsername });
+// Turn 2FA off and forget the secret and recovery codes
+const clearTwoFactor = (account) => {
+  Object.assign(account.twoFactor, {
+    enabled: false,
+    secret: null,
+    pendingSecret: null,
+    recoveryCodeHashes: [],
+    lastUsedStep: null,
+    failedAttempts: 0,
+    lockedUntil: null,
+    enabledAt: null,
+  });
+};
 
-    if (!vendor) {
-      return res.status(404).json({ message: 'Vendor not found.' });
-    }
+// Short-lived token handed out after the password step of a login with 2FA on.
+// It only works on the matching /login/two-factor route.
+const signTwoFactorChallenge = (username, role) => jwt.sign(
+  { username, role },
+  JWT_SECRET,
+  { audience: 'two-factor-login', expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
 
-    if (!vendor.customers.includes(customerId)) {
-      vendor.customers.push(customerId);
-      await vendor.save();
-      res.status(200).json({ message: 'Customer associated with vendor successfully.' });
-    } else {
-      res.status(409).json({ message: 'Customer already associated with this vendor.' });
-    }
-  } catch (error) {
-    console.error('Error associating customer with vendor:', error);
-    res.status(500).json({ message: 'Failed to associate customer with vendor.', error: error.message });
+const readTwoFactorChallenge = (token, role) => {
+  try {
+    const challenge = jwt.verify(token, JWT_SECRET, { audience: 'two-factor-login' });
+    return challenge.role === role ? challenge : null;
+  } catch (err) {
+    return null;
   }
-});
+};
 
-// Get customers for a specific vendor
-app.get('/vendor/customers/:username', authenticateToken, async (req, res) => {
-  const { username } = req.params;
-  try {
-    const vendor = await Vendor.findOne({ username });
+// JWT Authentication Middleware. Also accepts vendor API keys as Bearer tokens.
+// Vendor tokens only work while the session they name is live.
+const authenticateToken = (req, res, next) => {
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authenticateApiKey(authorization.slice('Bearer '.length).trim(), req, res, next);
+  }
 
-    if (!vendor) {
-      return res.status(404).json({ message: 'Vendor not found.' });
+  const token = req.cookies.token; // Read token from cookie
+
+  if (token == null) return res.sendStatus(401); // No token
+
+  jwt.verify(token, JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE }, async (err, user) => {
+    if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Access token expired. Refresh it with POST /refresh-token.' });
+      }
+      console.error('JWT Verification Error:', err.message);
+      return res.sendStatus(403); // Invalid token
     }
 
-    const enrichedCustomers = await Promise.all(vendor.customers.map(async (customerId) => {
+    if (user.role === 'vendor') {
       try {
-        const stripeCustomer = await stripe.customers.retrieve(customerId);
-        const lastInvoices = await stripe.invoices.list({
-          customer: customerId,
-          limit: 1,
-          status: 'paid',
-          expand: ['charge'], // Expand the charge object to get more details if needed
-        });
+        const session = user.sid && mongoose.Types.ObjectId.isValid(user.sid)
+          ? await VendorSession.findOne({ _id: user.sid, vendorUsername: user.username, revokedAt: null, expiresAt: { $gt: new Date() } })
+          : null;
+        if (!session) {
+          return res.status(401).json({ message: 'Your session has ended. Please log in again.' });
+        }
+        req.vendorSession = session;
+      } catch (error) {
+        console.error('Error checking vendor session:', error);
+        return res.status(500).json({ message: 'Failed to authenticate request.', error: error.message });
+      }
+    }
 
-        const lastInvoice = lastInvoices.data.length > 0 ? lastInvoices.data[0] : null;
+    req.user = user;
+    next();
+  });
+};
+
+// Customer Portal Authentication Middleware. Customers get their own cookie and
+// token audience so a portal session can never be used on vendor or admin routes.
+const authenticateCustomer = (req, res, next) => {
+  const token = req.cookies.customerToken;
+
+  if (token == null) return res.sendStatus(401); // No token
+
+  jwt.verify(token, JWT_SECRET, { audience: 'customer-portal' }, (err, session) => {
+    if (err || session.role !== 'customer' || !session.customerId) {
+      return res.sendStatus(403); // Invalid token
+    }
+    req.customer = session;
+    next();
+  });
+};
+
+// Authorization Middleware (use after authenticateToken)
+
+// Role guard: rejects callers whose token carries none of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    const allowed = roles.map(role => `${role}s`).join(' or ');
+    return res.status(403).json({ message: `Access denied. ${allowed.charAt(0).toUpperCase()}${allowed.slice(1)} only.` });
+  }
+  next();
+};
+
+// Admin guard: checks the admin account still exists and is enabled (so a
+// disabled admin's token stops working at once) and that its level is allowed.
+// Super admins pass every level check. Attaches the account as req.admin.
+const requireAdminLevel = (...levels) => async (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Access denied. Admins only.' });
+  }
+
+  try {
+    const admin = await Admin.findOne({ username: req.user.username });
+    if (!admin || admin.disabled) {
+      return res.status(403).json({ message: 'Access denied. This admin account is disabled.' });
+    }
+    if (!admin.twoFactor.enabled) {
+      return res.status(403).json({ message: 'Set up two-factor authentication before using admin tools.', twoFactorSetupRequired: true });
+    }
+    if (admin.level !== 'super_admin' && !levels.includes(admin.level)) {
+      return res.status(403).json({ message: 'Access denied. Your admin level does not allow this action.' });
+    }
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error('Error authorizing admin:', error);
+    res.status(500).json({ message: 'Failed to authorize request.', error: error.message });
+  }
+};
+
+// Vendors pass straight through; admins need one of `levels`
+const requireVendorOrAdminLevel = (...levels) => (req, res, next) => {
+  if (req.user.role === 'vendor') {
+    return next();
+  }
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Access denied. Vendors or admins only.' });
+  }
+  return requireAdminLevel(...levels)(req, res, next);
+};
+
+// Step-up guard for sensitive vendor actions such as payouts. Vendors with 2FA on
+// must have entered a code in this session within the last few minutes
+// (POST /two-factor/step-up, or the login itself). Vendors without 2FA pass.
+const requireTwoFactorStepUp = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findOne({ username: req.user.username });
+    if (!vendor || !vendor.twoFactor.enabled) {
+      return next();
+    }
+    if (req.vendorSession && req.vendorSession.stepUpUntil && req.vendorSession.stepUpUntil > new Date()) {
+      return next();
+    }
+    res.status(403).json({ message: 'Confirm this action with a two-factor code first (POST /two-factor/step-up).', stepUpRequired: true });
+  } catch (error) {
+    console.error('Error checking two-factor step-up:', error);
+    res.status(500).json({ message: 'Failed to authorize request.', error: error.message });
+  }
+};
+
+// Ties the vendor named in the request (route param or body) to the caller.
+// Vendors may only name their own account; admins may name any vendor.
+const authorizeVendorAccount = (getUsername) => (req, res, next) => {
+  if (req.user.role === 'admin') {
+    return next();
+  }
+  const username = getUsername(req);
+  if (req.user.role !== 'vendor' || (username && username !== req.user.username)) {
+    return res.status(403).json({ message: 'Access denied. You can only act on your own vendor account.' });
+  }
+  next();
+};
+
+// Checks that the customer named in the request belongs to the calling vendor
+// and attaches the vendor as req.vendor. Admins can reach every customer.
+const authorizeCustomerAccess = (getCustomerId) => async (req, res, next) => {
+  const customerId = getCustomerId(req);
+  if (!customerId) {
+    return res.status(400).json({ message: 'Customer ID is required.' });
+  }
+
+  if (req.user.role === 'admin') {
+    return next();
+  }
+  if (req.user.role !== 'vendor') {
+    return res.status(403).json({ message: 'Access denied. Vendors or admins only.' });
+  }
+
+  try {
+    const vendor = await Vendor.findOne({ username: req.user.username });
+    if (!vendor || !vendor.customers.includes(customerId)) {
+      return res.status(403).json({ message: 'Access denied. This customer does not belong to your account.' });
+    }
+    req.vendor = vendor;
+    next();
+  } catch (error) {
+    console.error('Error authorizing customer access:', error);
+    res.status(500).json({ message: 'Failed to authorize request.', error: error.message });
+  }
+};
+
+// Loads the invoice named in the request as req.invoice and checks that it was
+// issued to one of the calling vendor's customers. Admins can reach every invoice.
+const authorizeInvoiceAccess = (getInvoiceId) => async (req, res, next) => {
+  if (!['admin', 'vendor'].includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied. Vendors or admins only.' });
+  }
+
+  try {
+    const invoice = await Invoice.findOne({ id: getInvoiceId(req) });
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found.' });
+    }
+
+    if (req.user.role === 'vendor') {
+      const vendor = await Vendor.findOne({ username: req.user.username });
+      if (!vendor || !vendor.customers.includes(invoice.customerId)) {
+        return res.status(403).json({ message: 'Access denied. This invoice does not belong to your account.' });
+      }
+      req.vendor = vendor;
+    }
+
+    req.invoice = invoice;
+    next();
+  } catch (error) {
+    console.error('Error authorizing invoice access:', error);
+    res.status(500).json({ message: 'Failed to authorize request.', error: error.message });
+  }
+};
+
+// Idempotency Middleware (use after authorization)
+
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+// A request still marked as processing after this long is assumed to have died and may be retried
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// JSON with object keys sorted, so the same body always fingerprints the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Honours an optional Idempotency-Key header. The first request with a key runs and
+// its response is saved; retries with the same key and body get that response again
+// (with an Idempotent-Replayed header), and reusing the key for a different body is
+// rejected. Responses of 500 and above aren't saved, so those can be retried.
+// Sets req.idempotencyKey, the caller-scoped key to derive Stripe idempotency keys from.
+const handleIdempotencyKey = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+  if (!key.trim() || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be between 1 and ${IDEMPOTENCY_KEY_MAX_LENGTH} characters.` });
+  }
+
+  const owner = `${req.user.role}:${req.user.username}`;
+  const fingerprint = crypto.createHash('sha256').update(stableStringify({ method: req.method, path: req.path, body: req.body || {} })).digest('hex');
+
+  try {
+    let record;
+    try {
+      record = await IdempotencyKey.create({ owner, key, route: req.path, fingerprint, lockedAt: new Date() });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ owner, key });
+      if (existing && existing.fingerprint !== fingerprint) {
+        return res.status(422).json({ message: 'This Idempotency-Key was already used for a different request. Use a new key for a new request.' });
+      }
+      if (existing && existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+      // Take over a request that died part way through; its Stripe calls are idempotent too
+      record = existing && await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedAt: { $lt: new Date(Date.now() - IDEMPOTENCY_PROCESSING_TIMEOUT_MS) } },
+        { lockedAt: new Date() },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still in progress. Retry shortly.' });
+      }
+    }
+
+    req.idempotencyKey = crypto.createHash('sha256').update(`${owner}:${key}`).digest('hex');
+
+    // Save the outcome before the client sees it, so an immediate retry is replayed
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const saving = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne({ _id: record._id }, { status: 'completed', responseStatus: res.statusCode, responseBody: body, lockedAt: null });
+      saving.then(() => sendJson(body), (error) => {
+        console.error(`Error saving the response for Idempotency-Key ${key}:`, error);
+        sendJson(body);
+      });
+      return res;
+    };
+    next();
+  } catch (error) {
+    console.error('Error checking Idempotency-Key:', error);
+    res.status(500).json({ message: 'Failed to check Idempotency-Key.', error: error.message });
+  }
+};
+
+// Stripe request options for one step of an idempotent request, or undefined without a key.
+// Each Stripe call in a request needs its own key, so the step name is appended.
+const idempotencyOptions = (idempotencyKey, step) => (idempotencyKey ? { idempotencyKey: `${idempotencyKey}:${step}` } : undefined);
+
+// Request Validation. Routes declare the fields their body may carry with the `check`
+// rules below; anything that doesn't fit is answered with
+// 422 { message, errors: [{ field, message }] }, every problem at once. Checks that
+// need the database or Stripe stay in the handlers.
+
+const sendValidationErrors = (res, errors) => res.status(422).json({
+  message: `Validation failed: ${errors.map(error => error.message).join(' ')}`,
+  errors,
+});
+
+// Each rule takes the value and its field path and returns an error message or null.
+// Absent (undefined) fields pass unless `required`; null passes when `nullable`.
+// Object and list rules also carry the rules for their contents.
+const rule = (test, { required = false, nullable = false, fields = null, items = null } = {}) => Object.assign((value, path) => {
+  if (value === undefined) {
+    return required ? `${path} is required.` : null;
+  }
+  if (value === null) {
+    return nullable ? null : `${path} must not be null.`;
+  }
+  return test(value, path);
+}, { fields, items });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const check = {
+  string: ({ minLength = 0, maxLength = 1000, pattern = null, oneOf = null, ...options } = {}) => rule((value, path) => {
+    if (typeof value !== 'string') return `${path} must be a string.`;
+    if (oneOf && !oneOf.includes(value)) return `${path} must be one of ${oneOf.join(', ')}.`;
+    if (value.trim().length < Math.max(minLength, options.required ? 1 : 0)) return minLength > 1 ? `${path} must be at least ${minLength} characters.` : `${path} must not be empty.`;
+    if (value.length > maxLength) return `${path} must be at most ${maxLength} characters.`;
+    if (pattern && !pattern.test(value)) return `${path} is not valid.`;
+    return null;
+  }, options),
+  email: (options) => rule((value, path) => (typeof value === 'string' && EMAIL_PATTERN.test(value.trim()) ? null : `${path} must be an email address.`), options),
+  currency: (options) => rule((value, path) => (normalizeCurrency(value) ? null : `${path} must be a three-letter ISO currency code.`), options),
+  boolean: (options) => rule((value, path) => (typeof value === 'boolean' ? null : `${path} must be true or false.`), options),
+  number: ({ min = -Infinity, max = Infinity, integer = false, ...options } = {}) => rule((value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number.`;
+    if (integer && !Number.isInteger(value)) return `${path} must be a whole number.`;
+    if (value < min || value > max) return `${path} must be between ${min} and ${max}.`;
+    return null;
+  }, options),
+  // A decimal amount of money. Whether it fits the currency's minor unit is checked
+  // with parseMoney once the handler knows the currency.
+  money: ({ allowZero = false, ...options } = {}) => rule((value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number.`;
+    if (allowZero ? value < 0 : value <= 0) return `${path} must be ${allowZero ? 'zero or more' : 'greater than zero'}.`;
+    return null;
+  }, options),
+  date: (options) => rule((value, path) => ((typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime()) ? null : `${path} must be a date.`), options),
+  objectId: (options) => rule((value, path) => (typeof value === 'string' && mongoose.Types.ObjectId.isValid(value) ? null : `${path} is not a valid ID.`), options),
+  // A nested object checked against its own field rules
+  object: (fields, options) => rule((value, path) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object.`;
+    return null;
+  }, { ...options, fields }),
+  array: (items, { minLength = 0, maxLength = 100, ...options } = {}) => rule((value, path) => {
+    if (!Array.isArray(value)) return `${path} must be a list.`;
+    if (value.length < minLength || value.length > maxLength) return `${path} must have between ${minLength} and ${maxLength} entries.`;
+    return null;
+  }, { ...options, items }),
+  any: (options) => rule(() => null, options),
+};
+
+// Errors for `value` against a { field: rule } map, walking into nested objects and lists
+const validateFields = (value, fields, prefix = '') => {
+  const errors = [];
+  for (const [name, test] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const fieldValue = value[name];
+    const message = test(fieldValue, path);
+    if (message) {
+      errors.push({ field: path, message });
+      continue;
+    }
+    if (fieldValue === undefined || fieldValue === null) continue;
+    if (test.fields) {
+      errors.push(...validateFields(fieldValue, test.fields, path));
+    }
+    if (test.items) {
+      fieldValue.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const itemMessage = test.items(item, itemPath);
+        if (itemMessage) {
+          errors.push({ field: itemPath, message: itemMessage });
+        } else if (test.items.fields && item !== null && item !== undefined) {
+          errors.push(...validateFields(item, test.items.fields, itemPath));
+        }
+      });
+    }
+  }
+  return errors;
+};
+
+// Validation Middleware: checks req.body against `fields` before the route runs.
+// A request without a body is checked, and passed on, as an empty object.
+const validateBody = (fields) => (req, res, next) => {
+  if (req.body === undefined) {
+    req.body = {};
+  }
+  const body = req.body;
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return sendValidationErrors(res, [{ field: '', message: 'The request body must be a JSON object.' }]);
+  }
+  const errors = validateFields(body, fields);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+  next();
+};
+
+// Currency used when neither the invoice, the customer nor the vendor names one
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'usd').toLowerCase();
+
+// Stripe amounts are in the currency's smallest unit. These currencies have no
+// fractional unit (JPY) or three decimals (KWD) instead of the usual two.
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+const THREE_DECIMAL_CURRENCIES = ['bhd', 'jod', 'kwd', 'omr', 'tnd'];
+
+// Lowercase ISO 4217 code, or null if the value isn't one
+const normalizeCurrency = (currency) => {
+  if (typeof currency !== 'string' || !/^[a-z]{3}$/i.test(currency.trim())) {
+    return null;
+  }
+  return currency.trim().toLowerCase();
+};
+
+const minorUnitFactor = (currency) => {
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency)) return 1;
+  if (THREE_DECIMAL_CURRENCIES.includes(currency)) return 1000;
+  return 100;
+};
+
+// Convert a decimal amount to the currency's minor unit without floating point drift (e.g. 19.99 * 100)
+const toMinorUnits = (value, currency = DEFAULT_CURRENCY) => Math.round(Number(value) * minorUnitFactor(currency));
+
+const fromMinorUnits = (value, currency = DEFAULT_CURRENCY) => value / minorUnitFactor(currency);
+
+// Whether a decimal amount is a whole number of the currency's minor unit (19.99 USD is, 19.999 isn't)
+const fitsMinorUnits = (value, currency = DEFAULT_CURRENCY) => Math.abs(value * minorUnitFactor(currency) - toMinorUnits(value, currency)) < 1e-6;
+
+// Read a decimal amount from a request as minor units. Returns { minor } or { error }.
+const parseMoney = (value, currency = DEFAULT_CURRENCY, { allowZero = false } = {}) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { error: 'must be a number.' };
+  }
+  if (allowZero ? value < 0 : value <= 0) {
+    return { error: allowZero ? 'must be zero or more.' : 'must be greater than zero.' };
+  }
+  if (!fitsMinorUnits(value, currency)) {
+    const digits = Math.log10(minorUnitFactor(currency));
+    return { error: digits === 0 ? `must be a whole number in ${currency.toUpperCase()}.` : `has more than ${digits} decimal places, the most ${currency.toUpperCase()} allows.` };
+  }
+  const minor = toMinorUnits(value, currency);
+  if (!Number.isSafeInteger(minor)) {
+    return { error: 'is too large.' };
+  }
+  return { minor };
+};
+
+// A stored minor-unit amount as text, e.g. "19.99 USD"
+const moneyText = (minor, currency = DEFAULT_CURRENCY) => `${fromMinorUnits(minor, currency)} ${currency.toUpperCase()}`;
+
+// MongoDB expression for a document's minor units per major unit, for converting inside pipelines
+const minorUnitFactorExpr = (currencyExpr = '$currency') => ({
+  $switch: {
+    branches: [
+      { case: { $in: [currencyExpr, ZERO_DECIMAL_CURRENCIES] }, then: 1 },
+      { case: { $in: [currencyExpr, THREE_DECIMAL_CURRENCIES] }, then: 1000 },
+    ],
+    default: 100,
+  },
+});
+
+// Pick the currency for a charge: the request's override, then the customer's
+// default (Stripe metadata, then the currency Stripe has already billed them in),
+// then the vendor's default.
+const resolveCurrency = (requested, stripeCustomer, vendor) => {
+  return normalizeCurrency(requested)
+    || normalizeCurrency(stripeCustomer && stripeCustomer.metadata && stripeCustomer.metadata.currency)
+    || normalizeCurrency(stripeCustomer && stripeCustomer.currency)
+    || normalizeCurrency(vendor && vendor.defaultCurrency)
+    || DEFAULT_CURRENCY;
+};
+
+// Line items as a request body carries them, with decimal amounts
+const LINE_ITEMS_RULE = check.array(check.object({
+  description: check.string({ required: true, maxLength: 500 }),
+  quantity: check.number({ min: 0 }),
+  unitPrice: check.money({ required: true, allowZero: true }),
+  discount: check.money({ allowZero: true }),
+  taxRate: check.number({ min: 0, max: 100 }),
+}, { required: true }), { maxLength: 100 });
+
+// Allocations as a request body carries them, with decimal amounts
+const ALLOCATIONS_RULE = check.array(check.object({
+  invoiceId: check.string({ required: true, maxLength: 255 }),
+  amount: check.money({ required: true }),
+}, { required: true }), { maxLength: 100 });
+
+// Build priced line items, in minor units, from the decimal amounts in a request body.
+// Older clients that only send `amount` and `description` get a single line item.
+// Returns { errors: [{ field, message }] } when the items don't validate.
+const buildLineItems = ({ lineItems, amount, description }, currency = DEFAULT_CURRENCY) => {
+  const legacy = !(Array.isArray(lineItems) && lineItems.length > 0);
+  const rawItems = legacy
+    ? [{ description: description || 'Invoice item', quantity: 1, unitPrice: amount }]
+    : lineItems;
+
+  const errors = [];
+  const items = [];
+  for (const [index, item] of rawItems.entries()) {
+    const path = (name) => (legacy ? (name === 'unitPrice' ? 'amount' : name) : `lineItems[${index}].${name}`);
+    const fail = (name, message) => errors.push({ field: path(name), message: `${path(name)} ${message}` });
+    const quantity = item.quantity ?? 1;
+    const taxRate = item.taxRate ?? 0;
+
+    if (!item.description || typeof item.description !== 'string') {
+      fail('description', 'is required.');
+    }
+    if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0) {
+      fail('quantity', 'must be a positive number.');
+    }
+    if (typeof taxRate !== 'number' || !Number.isFinite(taxRate) || taxRate < 0 || taxRate > 100) {
+      fail('taxRate', 'must be between 0 and 100.');
+    }
+    const unitPrice = parseMoney(item.unitPrice, currency, { allowZero: !legacy });
+    if (unitPrice.error) {
+      fail('unitPrice', unitPrice.error);
+    }
+    const discount = parseMoney(item.discount ?? 0, currency, { allowZero: true });
+    if (discount.error) {
+      fail('discount', discount.error);
+    }
+    if (errors.length > 0) continue;
+
+    // Fractional quantities can give a line worth a fraction of a cent; it rounds to the nearest one
+    const subtotalMinor = Math.round(quantity * unitPrice.minor);
+    if (discount.minor > subtotalMinor) {
+      fail('discount', 'must not be more than the line subtotal.');
+      continue;
+    }
+    const taxMinor = Math.round((subtotalMinor - discount.minor) * taxRate / 100);
+
+    items.push({
+      description: item.description,
+      quantity,
+      unitPrice: unitPrice.minor,
+      discount: discount.minor,
+      taxRate,
+      subtotal: subtotalMinor,
+      taxAmount: taxMinor,
+      total: subtotalMinor - discount.minor + taxMinor,
+    });
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const totals = summarizeLineItems(items);
+  if (totals.total <= 0) {
+    return { errors: [{ field: legacy ? 'amount' : 'lineItems', message: 'The invoice total must be greater than zero.' }] };
+  }
+  return { lineItems: items, ...totals };
+};
+
+// Totals for a set of priced line items, in minor units
+const summarizeLineItems = (items) => {
+  const sum = (field) => items.reduce((total, item) => total + item[field], 0);
+  return {
+    subtotal: sum('subtotal'),
+    discountTotal: sum('discount'),
+    taxTotal: sum('taxAmount'),
+    total: sum('total'),
+  };
+};
+
+// Add each priced line item to a draft Stripe invoice. Discounts and taxes are sent
+// as their own items so the hosted invoice shows the same breakdown we store.
+const addLineItemsToStripeInvoice = async (invoiceId, customerId, lineItems, currency = DEFAULT_CURRENCY, idempotencyKey = null) => {
+  for (const [index, item] of lineItems.entries()) {
+    if (Number.isInteger(item.quantity) && item.unitPrice * item.quantity === item.subtotal) {
+      await paymentProvider.invoiceItems.create({
+        customer: customerId,
+        invoice: invoiceId,
+        quantity: item.quantity,
+        unit_amount: item.unitPrice,
+        currency,
+        description: item.description,
+      }, idempotencyOptions(idempotencyKey, `invoice-item-${index}`));
+    } else {
+      // Stripe only takes whole quantities, so fractional ones are sent as a line amount
+      await paymentProvider.invoiceItems.create({
+        customer: customerId,
+        invoice: invoiceId,
+        amount: item.subtotal,
+        currency,
+        description: `${item.description} (${item.quantity} x ${fromMinorUnits(item.unitPrice, currency)})`,
+      }, idempotencyOptions(idempotencyKey, `invoice-item-${index}`));
+    }
+
+    if (item.discount > 0) {
+      await paymentProvider.invoiceItems.create({
+        customer: customerId,
+        invoice: invoiceId,
+        amount: -item.discount,
+        currency,
+        description: `Discount: ${item.description}`,
+      }, idempotencyOptions(idempotencyKey, `invoice-item-${index}-discount`));
+    }
+
+    if (item.taxAmount > 0) {
+      await paymentProvider.invoiceItems.create({
+        customer: customerId,
+        invoice: invoiceId,
+        amount: item.taxAmount,
+        currency,
+        description: `Tax (${item.taxRate}%): ${item.description}`,
+      }, idempotencyOptions(idempotencyKey, `invoice-item-${index}-tax`));
+    }
+  }
+};
+
+// Minor-unit amounts on an invoice and its line items
+const INVOICE_MONEY_FIELDS = ['amount', 'subtotal', 'discountTotal', 'taxTotal', 'total', 'amountPaid', 'balanceDue', 'amountRefunded', 'creditBalance'];
+const LINE_ITEM_MONEY_FIELDS = ['unitPrice', 'discount', 'subtotal', 'taxAmount', 'total'];
+
+// Copy of `object` with the named minor-unit fields as decimals (missing ones are left alone)
+const decimalAmounts = (object, fields, currency) => {
+  const converted = { ...object };
+  for (const field of fields) {
+    if (typeof converted[field] === 'number') {
+      converted[field] = fromMinorUnits(converted[field], currency);
+    }
+  }
+  return converted;
+};
+
+// Invoice as returned by the API, with decimal amounts. Invoices created before
+// line items existed are reported as a single untaxed line.
+const formatInvoice = (invoice) => {
+  const { amountsInMinorUnits, adjustmentLockedAt, ...data } = invoice.toObject ? invoice.toObject() : invoice;
+  const currency = data.currency || DEFAULT_CURRENCY;
+  const lineItems = data.lineItems && data.lineItems.length > 0
+    ? data.lineItems
+    : [{
+      description: data.description || 'Invoice item',
+      quantity: 1,
+      unitPrice: data.amount,
+      discount: 0,
+      taxRate: 0,
+      subtotal: data.amount,
+      taxAmount: 0,
+      total: data.amount,
+    }];
+  const totals = data.lineItems && data.lineItems.length > 0 ? {} : summarizeLineItems(lineItems);
+
+  return {
+    ...decimalAmounts({ ...data, ...totals }, INVOICE_MONEY_FIELDS, currency),
+    lineItems: lineItems.map(item => decimalAmounts(item, LINE_ITEM_MONEY_FIELDS, currency)),
+    ...(data.payments ? { payments: data.payments.map(applied => decimalAmounts(applied, ['amount'], currency)) } : {}),
+    ...(data.refunds ? { refunds: data.refunds.map(refund => decimalAmounts(refund, ['amount'], currency)) } : {}),
+    ...(data.creditNotes ? { creditNotes: data.creditNotes.map(creditNote => decimalAmounts(creditNote, ['amount'], currency)) } : {}),
+  };
+};
+
+// List Helpers
+
+// List routes page with an opaque cursor rather than skip/limit: the cursor holds the
+// sort value and _id of the last item returned, so pages stay stable while documents
+// are added. Every list answers { data, limit, sort, hasMore, nextCursor }.
+
+const encodeCursor = (sort, value, id) => Buffer.from(JSON.stringify({
+  s: sort,
+  v: value instanceof Date ? value.toISOString() : value,
+  d: value instanceof Date,
+  id: String(id),
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof s !== 'string' || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { sort: s, value: d ? new Date(v) : (v === undefined ? null : v), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read limit, sort and cursor from the query. sortFields maps the sort names a route
+// accepts to document paths; `sort=-amount` sorts descending.
+const parseListQuery = (query, { sortFields, defaultSort, defaultLimit = 20, maxLimit = 100 }) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  const sort = String(query.sort || defaultSort);
+  const name = sort.replace(/^-/, '');
+  if (!Object.prototype.hasOwnProperty.call(sortFields, name)) {
+    return { error: `sort must be one of: ${Object.keys(sortFields).join(', ')} (prefix with - for descending).` };
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after) {
+      return { error: 'Invalid cursor.' };
+    }
+    if (after.sort !== sort) {
+      return { error: 'The cursor was issued for a different sort order.' };
+    }
+  }
+  return { limit, sort, field: sortFields[name], direction: sort.startsWith('-') ? -1 : 1, after };
+};
+
+// Documents that come after the cursor in the sort order. Missing values sort before
+// everything else ascending (and after everything descending), as MongoDB orders them.
+const afterCursor = (field, direction, { value, id }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: id } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+  const branches = [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }];
+  if (direction === -1) {
+    branches.push({ [field]: null });
+  }
+  return { $or: branches };
+};
+
+// Run a paged find. Returns the list envelope with the raw documents in data.
+const paginate = async (Model, filter, { limit, sort, field, direction, after }) => {
+  const query = after ? { $and: [filter, afterCursor(field, direction, after)] } : filter;
+  const docs = await Model.find(query).sort({ [field]: direction, _id: direction }).limit(limit + 1);
+  const hasMore = docs.length > limit;
+  const data = docs.slice(0, limit);
+  const last = data[data.length - 1];
+  return {
+    data,
+    limit,
+    sort,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort, last.get(field) ?? null, last._id) : null,
+  };
+};
+
+// Add the common filters to a find filter: from / to (on dateField), status (comma
+// separated), minAmount / maxAmount (on amountField; decimals, compared in each
+// document's own currency when `minorUnits`). Returns an error message or null.
+const applyListFilters = (query, filter, { dateField, amountField, statusField = 'status', minorUnits = false } = {}) => {
+  if (dateField && (query.from || query.to)) {
+    const range = {};
+    if (query.from) range.$gte = new Date(query.from);
+    if (query.to) range.$lte = new Date(query.to);
+    if (Object.values(range).some(date => isNaN(date.getTime()))) {
+      return 'from and to must be valid dates.';
+    }
+    filter[dateField] = range;
+  }
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+    filter[statusField] = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+  if (amountField && (query.minAmount !== undefined || query.maxAmount !== undefined)) {
+    const range = {};
+    if (query.minAmount !== undefined) range.$gte = Number(query.minAmount);
+    if (query.maxAmount !== undefined) range.$lte = Number(query.maxAmount);
+    if (Object.values(range).some(amount => !Number.isFinite(amount))) {
+      return 'minAmount and maxAmount must be numbers.';
+    }
+    if (minorUnits) {
+      const factor = minorUnitFactorExpr({ $ifNull: ['$currency', DEFAULT_CURRENCY] });
+      const bounds = Object.entries(range).map(([operator, amount]) => ({ [operator]: [`$${amountField}`, { $round: [{ $multiply: [amount, factor] }, 0] }] }));
+      filter.$expr = bounds.length === 1 ? bounds[0] : { $and: bounds };
+    } else {
+      filter[amountField] = range;
+    }
+  }
+  return null;
+};
+
+const INVOICE_SORT_FIELDS = { createdAt: 'createdAt', amount: 'amount', dueDate: 'dueDate', status: 'status' };
+const VENDOR_SORT_FIELDS = { username: 'username', trialEndsAt: 'trialEndsAt' };
+
+// Vendor as listed to admins
+const formatAdminVendor = (vendor) => ({
+  username: vendor.username,
+  approved: vendor.approved,
+  subscriptionStatus: vendor.subscriptionStatus,
+  trialEndsAt: vendor.trialEndsAt,
+  stripeCustomerId: vendor.stripeCustomerId,
+  defaultCurrency: vendor.defaultCurrency,
+});
+
+// Invoice list filters shared by the vendor and customer invoice lists
+const applyInvoiceFilters = (query, filter) => applyListFilters(query, filter, { dateField: 'createdAt', amountField: 'amount', minorUnits: true });
+
+// Customer Helpers
+
+const CUSTOMER_ADDRESS_FIELDS = ['line1', 'line2', 'city', 'state', 'postalCode', 'country'];
+
+// Escape user input for use inside a MongoDB $regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Customer fields a request body may carry (null clears a field on update)
+const CUSTOMER_BODY = {
+  name: check.string({ nullable: true, maxLength: 200 }),
+  email: check.email({ nullable: true }),
+  phone: check.string({ nullable: true, maxLength: 50 }),
+  taxId: check.string({ nullable: true, maxLength: 100 }),
+  notes: check.string({ nullable: true, maxLength: 5000 }),
+  billingAddress: check.object(Object.fromEntries(CUSTOMER_ADDRESS_FIELDS.map(field => [field, check.string({ nullable: true, maxLength: 200 })])), { nullable: true }),
+  tags: check.array(check.string({ maxLength: 50 }), { maxLength: 50 }),
+  currency: check.currency({ nullable: true }),
+};
+
+// Normalize customer fields from a body already checked against CUSTOMER_BODY.
+// With `partial`, only the fields present are taken (for updates).
+const parseCustomerInput = (body, { partial = false } = {}) => {
+  const fields = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial && !body.name && !body.email) {
+    return { errors: [{ field: 'name', message: 'A name or email is required.' }] };
+  }
+  for (const field of ['name', 'email', 'phone', 'taxId', 'notes']) {
+    if (has(field)) {
+      fields[field] = body[field] === null ? undefined : body[field].trim();
+    }
+  }
+  if (has('billingAddress')) {
+    const address = body.billingAddress || {};
+    fields.billingAddress = {};
+    for (const field of CUSTOMER_ADDRESS_FIELDS) {
+      fields.billingAddress[field] = address[field] || undefined;
+    }
+  }
+  if (has('tags')) {
+    fields.tags = [...new Set(body.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  }
+  if (has('currency')) {
+    fields.currency = body.currency === null ? null : normalizeCurrency(body.currency);
+  }
+
+  return { fields };
+};
+
+// Stripe customer parameters for locally stored customer fields
+const toStripeCustomerParams = (fields) => {
+  const params = {};
+  for (const field of ['name', 'email', 'phone']) {
+    if (field in fields) params[field] = fields[field] || '';
+  }
+  if (fields.billingAddress) {
+    const { line1, line2, city, state, postalCode, country } = fields.billingAddress;
+    params.address = { line1: line1 || '', line2: line2 || '', city: city || '', state: state || '', postal_code: postalCode || '', country: country || '' };
+  }
+  const metadata = {};
+  if ('taxId' in fields) metadata.taxId = fields.taxId || '';
+  if ('currency' in fields) metadata.currency = fields.currency || '';
+  if (Object.keys(metadata).length > 0) params.metadata = metadata;
+  return params;
+};
+
+// Local customer fields for a Stripe customer object
+const customerFieldsFromStripe = (stripeCustomer) => {
+  const address = stripeCustomer.address || {};
+  const metadata = stripeCustomer.metadata || {};
+  return {
+    name: stripeCustomer.name || undefined,
+    email: stripeCustomer.email || undefined,
+    phone: stripeCustomer.phone || undefined,
+    billingAddress: {
+      line1: address.line1 || undefined,
+      line2: address.line2 || undefined,
+      city: address.city || undefined,
+      state: address.state || undefined,
+      postalCode: address.postal_code || undefined,
+      country: address.country || undefined,
+    },
+    taxId: metadata.taxId || undefined,
+    currency: normalizeCurrency(metadata.currency),
+  };
+};
+
+// Vendor business details as returned to the vendor (the logo itself is not sent back)
+const formatVendorProfile = (vendor) => ({
+  businessName: vendor.businessName,
+  businessEmail: vendor.businessEmail,
+  businessPhone: vendor.businessPhone,
+  address: vendor.address,
+  hasLogo: Boolean(vendor.logo && vendor.logo.data),
+});
+
+const formatCustomer = (customer) => ({
+  id: customer.stripeCustomerId,
+  name: customer.name,
+  email: customer.email,
+  phone: customer.phone,
+  billingAddress: customer.billingAddress,
+  taxId: customer.taxId,
+  notes: customer.notes,
+  tags: customer.tags,
+  currency: customer.currency,
+  archived: customer.archived,
+  archivedAt: customer.archivedAt,
+  createdAt: customer.createdAt,
+  updatedAt: customer.updatedAt,
+});
+
+// Mailer. MAIL_TRANSPORT picks where outgoing email goes:
+//   'smtp'    - sent through SMTP_URL
+//   'file'    - appended as JSON lines to MAIL_FILE_PATH (for tests and local development)
+//   'console' - logged (default)
+const createMailer = () => {
+  const transportType = process.env.MAIL_TRANSPORT || 'console';
+  const from = process.env.MAIL_FROM || 'Invoice Management <no-reply@invoice-management.local>';
+
+  if (transportType === 'smtp') {
+    const transport = nodemailer.createTransport(process.env.SMTP_URL);
+    return { send: (message) => transport.sendMail({ from, ...message }) };
+  }
+
+  // File and console delivery render the message without sending it anywhere
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    send: async (message) => {
+      const info = await transport.sendMail({ from, ...message });
+      if (transportType === 'file') {
+        await fs.promises.appendFile(process.env.MAIL_FILE_PATH || 'mail-outbox.jsonl', `${info.message}\n`);
+      } else {
+        console.log(`EMAIL to ${message.to}: ${message.subject}`);
+      }
+      return info;
+    },
+  };
+};
+
+const mailer = createMailer();
+
+// Payment Provider. Routes reach the payment processor through the part of the
+// Stripe API they use: customers, paymentMethods, setupIntents, invoices,
+// invoiceItems, invoicePayments, paymentIntents, refunds, creditNotes,
+// subscriptions, accounts, accountLinks, payouts, disputes, files and webhooks.
+// PAYMENT_PROVIDER picks the implementation:
+//   'stripe' - the Stripe API, using STRIPE_SECRET_KEY (default)
+//   'mock'   - an in-memory stand-in for offline development and tests (mock-payment-provider.js)
+const PAYMENT_PROVIDERS = ['stripe', 'mock'];
+
+const createPaymentProvider = () => {
+  const providerType = process.env.PAYMENT_PROVIDER || 'stripe';
+  if (!PAYMENT_PROVIDERS.includes(providerType)) {
+    throw new Error(`PAYMENT_PROVIDER must be one of: ${PAYMENT_PROVIDERS.join(', ')}.`);
+  }
+
+  if (providerType === 'mock') {
+    // Sign with a throwaway secret unless a real one is configured
+    process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_provider';
+    console.log('Using the mock payment provider. No requests are sent to Stripe.');
+    return createMockPaymentProvider({
+      webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+      deliver: (payload, signature) => ingestStripeWebhook(payload, signature),
+      ...(process.env.MOCK_WEBHOOK_DELAY_MS ? { webhookDelayMs: Number(process.env.MOCK_WEBHOOK_DELAY_MS) } : {}),
+    });
+  }
+
+  return Stripe(process.env.STRIPE_SECRET_KEY);
+};
+
+const paymentProvider = createPaymentProvider();
+
+app.use(cors({
+  origin: 'https://invoice-management-client.vercel.app',
+  credentials: true,
+  sameSite: 'None',
+  secure: true,
+}));
+app.use(bodyParser.json({
+  limit: '1mb', // Room for vendor logo uploads
+  // Keep the exact bytes for Stripe webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+app.use(cookieParser());
+
+// Remove in-memory storage
+// let vendors = []; 
+// let invoices = [];
+
+app.get('/', (req, res) => {
+  res.send('Invoice Management Server is running!');
+});
+
+app.post('/register', validateBody({
+  username: check.string({ required: true, maxLength: 254 }),
+  password: check.string({ required: true, maxLength: 200 }),
+  defaultCurrency: check.currency(),
+}), async (req, res) => {
+  const { username, password, defaultCurrency } = req.body;
+
+  try {
+    // Check if vendor already exists
+    const existingVendor = await Vendor.findOne({ username });
+    if (existingVendor) {
+      return res.status(409).json({ message: 'Vendor with this username already exists.' });
+    }
+
+    // Create a Stripe customer for the new vendor
+    const stripeCustomer = await paymentProvider.customers.create({
+      email: username, // Use username directly as email
+      name: username,
+      description: `Vendor: ${username}`,
+    });
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const newVendor = new Vendor({
+      username,
+      password: hashedPassword,
+      approved: false,
+      customers: [],
+      stripeCustomerId: stripeCustomer.id,
+      subscriptionStatus: 'trialing',
+      subscriptionHistory: [{ status: 'trialing' }],
+      trialEndsAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      stripeConnectAccountId: null,
+      defaultCurrency: normalizeCurrency(defaultCurrency) || DEFAULT_CURRENCY,
+    });
+
+    await newVendor.save();
+    console.log('New vendor registered:', newVendor);
+
+    // Log activity
+    await logActivity({
+      eventType: 'vendor_registered',
+      description: `New vendor registered: ${username}`,
+      relatedId: newVendor._id,
+    }, { vendorUsername: newVendor.username });
+
+    res.status(201).json({ message: 'Vendor registered successfully. Awaiting admin approval.' });
+  } catch (error) {
+    console.error('Error during vendor registration:', error);
+    res.status(500).json({ message: 'Failed to register vendor.', error: error.message });
+  }
+});
+
+// Body of every two-factor check: a code from the authenticator app, or one of the recovery codes
+const TWO_FACTOR_CODE_BODY = {
+  code: check.string({ pattern: /^\d{6}$/ }),
+  recoveryCode: check.string({ maxLength: 32 }),
+};
+
+// Use after validateBody(TWO_FACTOR_CODE_BODY): one of the two codes must be sent
+const requireTwoFactorCode = (req, res, next) => {
+  if (!req.body.code && !req.body.recoveryCode) {
+    return sendValidationErrors(res, [{ field: 'code', message: 'code or recoveryCode is required.' }]);
+  }
+  next();
+};
+
+const formatSessionVendor = (vendor) => ({
+  username: vendor.username,
+  approved: vendor.approved,
+  role: 'vendor',
+  subscriptionStatus: vendor.subscriptionStatus,
+  trialEndsAt: vendor.trialEndsAt,
+  twoFactorEnabled: vendor.twoFactor.enabled,
+});
+
+app.post('/login', validateBody({
+  username: check.string({ required: true, maxLength: 254 }),
+  password: check.string({ required: true, maxLength: 200 }),
+}), async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    const vendor = await Vendor.findOne({ username });
+
+    if (!vendor) {
+      return res.status(401).json({ message: 'Invalid credentials.' });
+    }
+
+    const isMatch = await bcrypt.compare(password, vendor.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Invalid credentials.' });
+    }
+
+    if (!vendor.approved) {
+      return res.status(403).json({ message: 'Your account is awaiting admin approval.' });
+    }
+
+    // With 2FA on, the password only earns a challenge for POST /login/two-factor
+    if (vendor.twoFactor.enabled) {
+      return res.status(200).json({
+        message: 'Enter the code from your authenticator app.',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(vendor.username, 'vendor'),
+      });
+    }
+
+    await startVendorSession(req, res, vendor.username);
+    res.status(200).json({ message: 'Login successful!', vendor: formatSessionVendor(vendor) });
+  } catch (error) {
+    console.error('Error during vendor login:', error);
+    res.status(500).json({ message: 'Login failed.', error: error.message });
+  }
+});
+
+// Vendor login, second step: the challenge from /login plus a TOTP or recovery code
+app.post('/login/two-factor', validateBody({
+  challengeToken: check.string({ required: true, maxLength: 2048 }),
+  ...TWO_FACTOR_CODE_BODY,
+}), requireTwoFactorCode, async (req, res) => {
+  const challenge = readTwoFactorChallenge(req.body.challengeToken, 'vendor');
+  if (!challenge) {
+    return res.status(401).json({ message: 'This login has expired. Please log in again.' });
+  }
+
+  try {
+    const vendor = await Vendor.findOne({ username: challenge.username });
+    if (!vendor || !vendor.approved) {
+      return res.status(401).json({ message: 'Invalid credentials.' });
+    }
+
+    const result = await verifyTwoFactor(vendor, req.body);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    // The code just entered also counts as the step-up for sensitive actions
+    await startVendorSession(req, res, vendor.username, { stepUpUntil: new Date(Date.now() + STEP_UP_TTL_MS) });
+
+    if (result.method === 'recovery_code') {
+      // Log activity
+      await logActivity({
+        eventType: 'two_factor_recovery_code_used',
+        description: `${vendor.username} logged in with a recovery code; ${vendor.twoFactor.recoveryCodeHashes.length} left.`,
+        relatedId: vendor._id,
+      }, { vendorUsername: vendor.username });
+    }
+
+    res.status(200).json({
+      message: 'Login successful!',
+      vendor: formatSessionVendor(vendor),
+      recoveryCodesRemaining: vendor.twoFactor.recoveryCodeHashes.length,
+    });
+  } catch (error) {
+    console.error('Error during vendor two-factor login:', error);
+    res.status(500).json({ message: 'Login failed.', error: error.message });
+  }
+});
+
+// Vendor: Trade the refresh token cookie for a new access token and refresh token
+app.post('/refresh-token', async (req, res) => {
+  const refreshToken = req.cookies.refreshToken;
+  if (!refreshToken) {
+    return res.status(401).json({ message: 'No refresh token. Please log in.' });
+  }
+
+  try {
+    const tokenHash = hashToken(refreshToken);
+    const nextRefreshToken = crypto.randomBytes(32).toString('base64url');
+
+    // Rotate in the same step as checking, so each refresh token works only once
+    const session = await VendorSession.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // A refresh token that was already rotated away has been copied: end that session
+      const reused = await VendorSession.findOneAndUpdate(
+        { previousRefreshTokenHash: tokenHash, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'refresh_token_reused' }
+      );
+      if (reused) {
+        // Log activity
+        await logActivity({
+          eventType: 'vendor_refresh_token_reused',
+          description: `A used refresh token was presented again for ${reused.vendorUsername}; the session was revoked.`,
+          relatedId: reused._id,
+        }, { vendorUsername: reused.vendorUsername });
+      }
+      clearAuthCookies(res);
+      return res.status(401).json({ message: 'Your session has ended. Please log in again.' });
+    }
+
+    const vendor = await Vendor.findOne({ username: session.vendorUsername });
+    if (!vendor || !vendor.approved) {
+      await revokeVendorSessions(session.vendorUsername, 'revoked');
+      clearAuthCookies(res);
+      return res.status(403).json({ message: 'This vendor account is not active.' });
+    }
+
+    setVendorSessionCookies(res, session.vendorUsername, session._id, nextRefreshToken);
+    res.status(200).json({ message: 'Session refreshed.', expiresAt: session.expiresAt });
+  } catch (error) {
+    console.error('Error refreshing vendor session:', error);
+    res.status(500).json({ message: 'Failed to refresh session.', error: error.message });
+  }
+});
+
+// Vendor: Email a password reset link. Answers the same whether or not the account
+// exists, so it can't be used to find out who is registered.
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+app.post('/password-reset/request', validateBody({
+  username: check.string({ required: true, maxLength: 254 }),
+}), async (req, res) => {
+  const { username } = req.body;
+  const response = { message: 'If that account exists, a password reset link is on its way.' };
+
+  try {
+    const vendor = await Vendor.findOne({ username });
+    if (!vendor) {
+      return res.status(200).json(response);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('base64url');
+    vendor.passwordResetTokenHash = hashToken(resetToken);
+    vendor.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+    await vendor.save();
+
+    const resetLink = `https://invoice-management-client.vercel.app/reset-password/${resetToken}`;
+    try {
+      await mailer.send({
+        to: vendor.username, // Vendors register with their email address as username
+        subject: 'Reset your password',
+        text: `Someone asked to reset the password for ${vendor.username}.\n\nTo choose a new password, open this link within the next hour:\n${resetLink}\n\nIf it wasn't you, ignore this email; your password stays the same.`,
+      });
+    } catch (error) {
+      console.error(`Error emailing password reset link to ${vendor.username}:`, error);
+    }
+
+    // Log activity
+    await logActivity({
+      eventType: 'vendor_password_reset_requested',
+      description: `Password reset requested for ${vendor.username}.`,
+      relatedId: vendor._id,
+    }, { vendorUsername: vendor.username });
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ message: 'Failed to request password reset.', error: error.message });
+  }
+});
+
+// Vendor: Set a new password with the emailed reset token. Ends every session.
+app.post('/password-reset/confirm', validateBody({
+  token: check.string({ required: true, maxLength: 200 }),
+  password: check.string({ required: true, minLength: 8, maxLength: 200 }),
+}), async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const vendor = await Vendor.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+    });
+
+    if (!vendor) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired.' });
+    }
+
+    vendor.password = await bcrypt.hash(password, 10);
+    vendor.passwordChangedAt = new Date();
+    vendor.passwordResetTokenHash = null;
+    vendor.passwordResetExpiresAt = null;
+    await vendor.save();
+
+    await revokeVendorSessions(vendor.username, 'password_reset');
+
+    // Log activity
+    await logActivity({
+      eventType: 'vendor_password_reset',
+      description: `Password reset for ${vendor.username}; all sessions were logged out.`,
+      relatedId: vendor._id,
+    }, { vendorUsername: vendor.username });
+
+    clearAuthCookies(res);
+    res.status(200).json({ message: 'Password reset. You can now log in.' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ message: 'Failed to reset password.', error: error.message });
+  }
+});
+
+const startAdminSession = async (res, admin) => {
+  admin.lastLoginAt = new Date();
+  await admin.save();
+
+  const token = jwt.sign(
+    { username: admin.username, role: 'admin', adminLevel: admin.level },
+    JWT_SECRET,
+    { audience: ACCESS_TOKEN_AUDIENCE, expiresIn: '1h' }
+  );
+  res.cookie('token', token, AUTH_COOKIE_OPTIONS);
+};
+
+// Admin Login
+app.post('/admin/login', validateBody({
+  username: check.string({ required: true, maxLength: 254 }),
+  password: check.string({ required: true, maxLength: 200 }),
+}), async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    const admin = await Admin.findOne({ username });
+
+    if (!admin || !admin.password || !(await bcrypt.compare(password, admin.password))) {
+      return res.status(401).json({ message: 'Invalid admin credentials.' });
+    }
+
+    if (admin.disabled) {
+      return res.status(403).json({ message: 'This admin account has been disabled.' });
+    }
+
+    if (admin.twoFactor.enabled) {
+      return res.status(200).json({
+        message: 'Enter the code from your authenticator app.',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(admin.username, 'admin'),
+      });
+    }
+
+    // Admins without 2FA can log in only to set it up; requireAdminLevel turns them away everywhere else
+    await startAdminSession(res, admin);
+    res.status(200).json({
+      message: 'Admin login successful! Set up two-factor authentication to continue.',
+      twoFactorSetupRequired: true,
+      user: { username: admin.username, role: 'admin', adminLevel: admin.level },
+    });
+  } catch (error) {
+    console.error('Error during admin login:', error);
+    res.status(500).json({ message: 'Admin login failed.', error: error.message });
+  }
+});
+
+// Admin login, second step: the challenge from /admin/login plus a TOTP or recovery code
+app.post('/admin/login/two-factor', validateBody({
+  challengeToken: check.string({ required: true, maxLength: 2048 }),
+  ...TWO_FACTOR_CODE_BODY,
+}), requireTwoFactorCode, async (req, res) => {
+  const challenge = readTwoFactorChallenge(req.body.challengeToken, 'admin');
+  if (!challenge) {
+    return res.status(401).json({ message: 'This login has expired. Please log in again.' });
+  }
+
+  try {
+    const admin = await Admin.findOne({ username: challenge.username });
+    if (!admin || admin.disabled) {
+      return res.status(401).json({ message: 'Invalid admin credentials.' });
+    }
+
+    const result = await verifyTwoFactor(admin, req.body);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    if (result.method === 'recovery_code') {
+      // Log activity
+      await logActivity({
+        eventType: 'two_factor_recovery_code_used',
+        description: `Admin ${admin.username} logged in with a recovery code; ${admin.twoFactor.recoveryCodeHashes.length} left.`,
+        relatedId: admin._id,
+      });
+    }
+
+    await startAdminSession(res, admin);
+    res.status(200).json({
+      message: 'Admin login successful!',
+      user: { username: admin.username, role: 'admin', adminLevel: admin.level },
+      recoveryCodesRemaining: admin.twoFactor.recoveryCodeHashes.length,
+    });
+  } catch (error) {
+    console.error('Error during admin two-factor login:', error);
+    res.status(500).json({ message: 'Admin login failed.', error: error.message });
+  }
+});
+
+// Admin: List admin accounts
+app.get('/admin/admins', authenticateToken, requireAdminLevel('super_admin'), async (req, res) => {
+  try {
+    const admins = await Admin.find({}).sort({ createdAt: 1 });
+    res.status(200).json(admins.map(admin => ({
+      username: admin.username,
+      level: admin.level,
+      disabled: admin.disabled,
+      invitePending: !admin.password,
+      twoFactorEnabled: admin.twoFactor.enabled,
+      invitedBy: admin.invitedBy,
+      lastLoginAt: admin.lastLoginAt,
+      createdAt: admin.createdAt,
+    })));
+  } catch (error) {
+    console.error('Error fetching admins:', error);
+    res.status(500).json({ message: 'Failed to fetch admins.', error: error.message });
+  }
+});
+
+// Admin: Invite another admin. The invitee sets their password through the invite link.
+app.post('/admin/admins/invite', authenticateToken, requireAdminLevel('super_admin'), validateBody({
+  username: check.string({ required: true, maxLength: 254 }),
+  level: check.string({ required: true, oneOf: ADMIN_LEVELS }),
+}), async (req, res) => {
+  const { username, level } = req.body;
+
+  try {
+    const existingAdmin = await Admin.findOne({ username });
+    if (existingAdmin) {
+      return res.status(409).json({ message: 'Admin with this username already exists.' });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const admin = await Admin.create({
+      username,
+      level,
+      inviteTokenHash: crypto.createHash('sha256').update(inviteToken).digest('hex'),
+      inviteExpiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      invitedBy: req.admin.username,
+    });
+
+    // Log activity
+    await ActivityLog.create({
+      eventType: 'admin_invited',
+      description: `Admin ${username} (${level}) invited by ${req.admin.username}.`,
+      relatedId: admin._id,
+    });
+
+    const inviteLink = `https://invoice-management-client.vercel.app/admin/accept-invite/${inviteToken}`;
+    res.status(201).json({ message: `Admin ${username} invited successfully.`, inviteLink });
+  } catch (error) {
+    console.error('Error inviting admin:', error);
+    res.status(500).json({ message: 'Failed to invite admin.', error: error.message });
+  }
+});
+
+// Admin: Accept an invite and set a password
+app.post('/admin/accept-invite', validateBody({
+  token: check.string({ required: true, maxLength: 200 }),
+  password: check.string({ required: true, minLength: 8, maxLength: 200 }),
+}), async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const admin = await Admin.findOne({
+      inviteTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+      inviteExpiresAt: { $gt: new Date() },
+    });
+
+    if (!admin) {
+      return res.status(400).json({ message: 'Invite link is invalid or has expired.' });
+    }
+
+    admin.password = await bcrypt.hash(password, 10);
+    admin.inviteTokenHash = null;
+    admin.inviteExpiresAt = null;
+    await admin.save();
+
+    res.status(200).json({ message: 'Invite accepted. You can now log in.' });
+  } catch (error) {
+    console.error('Error accepting admin invite:', error);
+    res.status(500).json({ message: 'Failed to accept invite.', error: error.message });
+  }
+});
+
+// Admin: Disable or re-enable another admin
+app.post('/admin/admins/disable', authenticateToken, requireAdminLevel('super_admin'), validateBody({
+  username: check.string({ required: true }),
+  disabled: check.boolean(),
+}), async (req, res) => {
+  const { username, disabled = true } = req.body;
+
+  if (username === req.admin.username) {
+    return res.status(400).json({ message: 'You cannot disable your own account.' });
+  }
+
+  try {
+    const admin = await Admin.findOneAndUpdate({ username }, { disabled: Boolean(disabled) }, { new: true });
+
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found.' });
+    }
+
+    // Log activity
+    await ActivityLog.create({
+      eventType: admin.disabled ? 'admin_disabled' : 'admin_enabled',
+      description: `Admin ${username} ${admin.disabled ? 'disabled' : 'enabled'} by ${req.admin.username}.`,
+      relatedId: admin._id,
+    });
+
+    res.status(200).json({ message: `Admin ${username} ${admin.disabled ? 'disabled' : 'enabled'} successfully.` });
+  } catch (error) {
+    console.error('Error disabling admin:', error);
+    res.status(500).json({ message: 'Failed to update admin.', error: error.message });
+  }
+});
+
+// Admin: Remove another admin
+app.post('/admin/admins/remove', authenticateToken, requireAdminLevel('super_admin'), validateBody({
+  username: check.string({ required: true }),
+}), async (req, res) => {
+  const { username } = req.body;
+
+  if (username === req.admin.username) {
+    return res.status(400).json({ message: 'You cannot remove your own account.' });
+  }
+
+  try {
+    const admin = await Admin.findOneAndDelete({ username });
+
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found.' });
+    }
+
+    // Log activity
+    await ActivityLog.create({
+      eventType: 'admin_removed',
+      description: `Admin ${username} removed by ${req.admin.username}.`,
+      relatedId: admin._id,
+    });
+
+    res.status(200).json({ message: `Admin ${username} removed successfully.` });
+  } catch (error) {
+    console.error('Error removing admin:', error);
+    res.status(500).json({ message: 'Failed to remove admin.', error: error.message });
+  }
+});
+
+// Admin: Reset another admin's 2FA (a lost device). They must set it up again at their next login.
+app.post('/admin/admins/reset-two-factor', authenticateToken, requireAdminLevel('super_admin'), validateBody({
+  username: check.string({ required: true }),
+}), async (req, res) => {
+  const { username } = req.body;
+
+  if (username === req.admin.username) {
+    return res.status(400).json({ message: 'You cannot reset your own two-factor authentication.' });
+  }
+
+  try {
+    const admin = await Admin.findOne({ username });
+
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found.' });
+    }
+
+    clearTwoFactor(admin);
+    await admin.save();
+
+    // Log activity
+    await ActivityLog.create({
+      eventType: 'admin_two_factor_reset',
+      description: `Two-factor authentication for admin ${username} reset by ${req.admin.username}.`,
+      relatedId: admin._id,
+    });
+
+    res.status(200).json({ message: `Two-factor authentication reset for ${username}. They must set it up again at their next login.` });
+  } catch (error) {
+    console.error('Error resetting admin two-factor authentication:', error);
+    res.status(500).json({ message: 'Failed to reset two-factor authentication.', error: error.message });
+  }
+});
+
+// Admin: Get pending vendors
+app.get('/admin/vendors/pending', authenticateToken, requireAdminLevel('support', 'finance'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: VENDOR_SORT_FIELDS, defaultSort: 'username' });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const pendingVendors = await paginate(Vendor, { approved: false }, list);
+    res.status(200).json({ ...pendingVendors, data: pendingVendors.data.map(formatAdminVendor) });
+  } catch (error) {
+    console.error('Error fetching pending vendors:', error);
+    res.status(500).json({ message: 'Failed to fetch pending vendors.', error: error.message });
+  }
+});
+
+// Admin: Approve a vendor
+app.post('/admin/vendors/approve', authenticateToken, requireAdminLevel('support'), validateBody({
+  username: check.string({ required: true }),
+}), async (req, res) => {
+  const { username } = req.body;
+  try {
+    const vendor = await Vendor.findOneAndUpdate({ username }, { approved: true }, { new: true });
+
+    if (vendor) {
+      // Log activity
+      await logActivity({
+        eventType: 'vendor_approved',
+        description: `Vendor approved: ${username} (by ${req.admin.username})`,
+        relatedId: vendor._id,
+      }, { vendorUsername: vendor.username });
+      res.status(200).json({ message: `Vendor ${username} approved successfully.` });
+    } else {
+      res.status(404).json({ message: 'Vendor not found.' });
+    }
+  } catch (error) {
+    console.error('Error approving vendor:', error);
+    res.status(500).json({ message: 'Failed to approve vendor.', error: error.message });
+  }
+});
+
+// Create a Stripe Customer (owned by the calling vendor)
+app.post('/create-customer', authenticateToken, requireRole('vendor'), validateBody({
+  email: check.email(),
+  name: check.string({ maxLength: 200 }),
+  phone: check.string({ maxLength: 50 }),
+  currency: check.currency(),
+}), async (req, res) => {
+  const { email, name, phone, currency } = req.body;
+
+  try {
+    const customer = await paymentProvider.customers.create({
+      email,
+      name,
+      phone,
+      metadata: {
+        vendorUsername: req.user.username, // Only this vendor may associate the customer
+        // Default billing currency for this customer's invoices and charges
+        ...(currency ? { currency: normalizeCurrency(currency) } : {}),
+      },
+    });
+
+    // Log activity
+    await logActivity({
+      eventType: 'customer_added',
+      description: `New customer added: ${name} (${email})`,
+      relatedId: customer.id,
+    }, { vendorUsername: req.user.username, data: { customer: { id: customer.id, name: customer.name, email: customer.email } } });
+
+    res.status(201).json({ message: 'Stripe customer created successfully.', customerId: customer.id });
+  } catch (error) {
+    console.error('Error creating Stripe customer:', error);
+    res.status(500).json({ message: 'Failed to create Stripe customer.', error: error.message });
+  }
+});
+
+// Create SetupIntent for saving card details
+app.post('/create-setup-intent', authenticateToken, validateBody({
+  customerId: check.string({ required: true, maxLength: 255 }),
+}), authorizeCustomerAccess(req => req.body.customerId), async (req, res) => {
+  const { customerId } = req.body;
+
+  try {
+    const setupIntent = await paymentProvider.setupIntents.create({
+      customer: customerId,
+      payment_method_types: ['card'],
+    });
+    res.status(200).json({ clientSecret: setupIntent.client_secret });
+  } catch (error) {
+    console.error('Error creating SetupIntent:', error);
+    res.status(500).json({ message: 'Failed to create SetupIntent.', error: error.message });
+  }
+});
+
+// Associate a Stripe Customer with a Vendor
+app.post('/vendor/add-customer', authenticateToken, requireRole('vendor'), validateBody({
+  customerId: check.string({ required: true, maxLength: 255 }),
+  vendorUsername: check.string(),
+}), authorizeVendorAccount(req => req.body.vendorUsername), async (req, res) => {
+  const { customerId } = req.body;
+  const vendorUsername = req.user.username;
+
+  try {
+    const vendor = await Vendor.findOne({ username: vendorUsername });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    // A customer can only belong to the vendor that created it
+    const stripeCustomer = await paymentProvider.customers.retrieve(customerId);
+    const createdBy = stripeCustomer.metadata && stripeCustomer.metadata.vendorUsername;
+    const owner = await Vendor.findOne({ customers: customerId, username: { $ne: vendorUsername } });
+    if (owner || (createdBy && createdBy !== vendorUsername)) {
+      return res.status(403).json({ message: 'Access denied. This customer belongs to another vendor.' });
+    }
+
+    if (!vendor.customers.includes(customerId)) {
+      vendor.customers.push(customerId);
+      await vendor.save();
+      await Customer.findOneAndUpdate(
+        { stripeCustomerId: customerId },
+        { ...customerFieldsFromStripe(stripeCustomer), vendorUsername, updatedAt: new Date() },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      res.status(200).json({ message: 'Customer associated with vendor successfully.' });
+    } else {
+      res.status(409).json({ message: 'Customer already associated with this vendor.' });
+    }
+  } catch (error) {
+    console.error('Error associating customer with vendor:', error);
+    res.status(500).json({ message: 'Failed to associate customer with vendor.', error: error.message });
+  }
+});
+
+// Find a vendor's local customer record, importing it from Stripe if it was
+// associated before local records existed
+const findOrImportCustomer = async (stripeCustomerId, vendorUsername) => {
+  const customer = await Customer.findOne({ stripeCustomerId, vendorUsername });
+  if (customer) {
+    return customer;
+  }
+  const stripeCustomer = await paymentProvider.customers.retrieve(stripeCustomerId);
+  return Customer.create({ ...customerFieldsFromStripe(stripeCustomer), stripeCustomerId, vendorUsername });
+};
+
+// Vendor: Create a customer (in Stripe and locally) owned by the calling vendor
+app.post('/vendor/customers', authenticateToken, requireRole('vendor'), validateBody(CUSTOMER_BODY), async (req, res) => {
+  const parsed = parseCustomerInput(req.body);
+  if (parsed.errors) {
+    return sendValidationErrors(res, parsed.errors);
+  }
+  const { fields } = parsed;
+
+  try {
+    const stripeParams = toStripeCustomerParams(fields);
+    const stripeCustomer = await paymentProvider.customers.create({
+      ...stripeParams,
+      metadata: { ...stripeParams.metadata, vendorUsername: req.user.username },
+    });
+
+    const customer = await Customer.create({ ...fields, stripeCustomerId: stripeCustomer.id, vendorUsername: req.user.username });
+    await Vendor.updateOne({ username: req.user.username }, { $addToSet: { customers: stripeCustomer.id } });
+
+    // Log activity
+    await logActivity({
+      eventType: 'customer_added',
+      description: `New customer added by ${req.user.username}: ${fields.name || ''} (${fields.email || 'no email'})`,
+      relatedId: stripeCustomer.id,
+    }, { vendorUsername: req.user.username, data: { customer: formatCustomer(customer) } });
+
+    res.status(201).json({ message: 'Customer created successfully.', customer: formatCustomer(customer) });
+  } catch (error) {
+    console.error('Error creating customer:', error);
+    res.status(500).json({ message: 'Failed to create customer.', error: error.message });
+  }
+});
+
+// Vendor: Search and page through their customers.
+// Query: q (name, email or phone), tag, archived (true, false or all; default false), page, limit
+app.get('/vendor/customers', authenticateToken, requireRole('vendor'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: { name: 'name', email: 'email', createdAt: 'createdAt' }, defaultSort: 'name' });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+  const { q, tag, archived = 'false' } = req.query;
+
+  try {
+    const query = { vendorUsername: req.user.username };
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (tag) {
+      query.tags = String(tag).toLowerCase();
+    }
+    if (archived !== 'all') {
+      query.archived = archived === 'true';
+    }
+
+    const customers = await paginate(Customer, query, list);
+    res.status(200).json({ ...customers, data: customers.data.map(formatCustomer) });
+  } catch (error) {
+    console.error('Error searching customers:', error);
+    res.status(500).json({ message: 'Failed to fetch customers.', error: error.message });
+  }
+});
+
+// Vendor: Update a customer's details (synced to Stripe)
+app.put('/vendor/customers/:customerId', authenticateToken, requireRole('vendor'), validateBody(CUSTOMER_BODY), authorizeCustomerAccess(req => req.params.customerId), async (req, res) => {
+  const { fields } = parseCustomerInput(req.body, { partial: true });
+
+  try {
+    const customer = await findOrImportCustomer(req.params.customerId, req.user.username);
+
+    const stripeParams = toStripeCustomerParams(fields);
+    if (Object.keys(stripeParams).length > 0) {
+      await paymentProvider.customers.update(customer.stripeCustomerId, stripeParams);
+    }
+
+    customer.set({ ...fields, updatedAt: new Date() });
+    await customer.save();
+
+    res.status(200).json({ message: 'Customer updated successfully.', customer: formatCustomer(customer) });
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    res.status(500).json({ message: 'Failed to update customer.', error: error.message });
+  }
+});
+
+// Vendor: Archive a customer. Archived customers are hidden from the customer
+// list by default but keep their invoices and history.
+app.post('/vendor/customers/:customerId/archive', authenticateToken, requireRole('vendor'), authorizeCustomerAccess(req => req.params.customerId), async (req, res) => {
+  try {
+    const customer = await findOrImportCustomer(req.params.customerId, req.user.username);
+
+    customer.set({ archived: true, archivedAt: new Date(), updatedAt: new Date() });
+    await customer.save();
+    await paymentProvider.customers.update(customer.stripeCustomerId, { metadata: { archived: 'true' } });
+
+    // Log activity
+    await logActivity({
+      eventType: 'customer_archived',
+      description: `Customer ${customer.stripeCustomerId} archived by ${req.user.username}.`,
+      relatedId: customer.stripeCustomerId,
+    }, { vendorUsername: req.user.username, data: { customer: formatCustomer(customer) } });
+
+    res.status(200).json({ message: 'Customer archived successfully.', customer: formatCustomer(customer) });
+  } catch (error) {
+    console.error('Error archiving customer:', error);
+    res.status(500).json({ message: 'Failed to archive customer.', error: error.message });
+  }
+});
+
+// Vendor: Restore an archived customer
+app.post('/vendor/customers/:customerId/unarchive', authenticateToken, requireRole('vendor'), authorizeCustomerAccess(req => req.params.customerId), async (req, res) => {
+  try {
+    const customer = await findOrImportCustomer(req.params.customerId, req.user.username);
+
+    customer.set({ archived: false, archivedAt: null, updatedAt: new Date() });
+    await customer.save();
+    await paymentProvider.customers.update(customer.stripeCustomerId, { metadata: { archived: '' } });
+
+    res.status(200).json({ message: 'Customer restored successfully.', customer: formatCustomer(customer) });
+  } catch (error) {
+    console.error('Error restoring customer:', error);
+    res.status(500).json({ message: 'Failed to restore customer.', error: error.message });
+  }
+});
+
+// Vendor: Delete a customer that has never been invoiced (in Stripe too).
+// Customers with invoices can only be archived.
+app.delete('/vendor/customers/:customerId', authenticateToken, requireRole('vendor'), authorizeCustomerAccess(req => req.params.customerId), async (req, res) => {
+  const { customerId } = req.params;
+
+  try {
+    const invoiceCount = await Invoice.countDocuments({ customerId });
+    if (invoiceCount > 0) {
+      return res.status(409).json({ message: 'This customer has invoices and cannot be deleted. Archive it instead.' });
+    }
+
+    await paymentProvider.customers.del(customerId);
+    await Customer.deleteOne({ stripeCustomerId: customerId });
+    await Vendor.updateOne({ username: req.user.username }, { $pull: { customers: customerId } });
+
+    // Log activity
+    await logActivity({
+      eventType: 'customer_deleted',
+      description: `Customer ${customerId} deleted by ${req.user.username}.`,
+      relatedId: customerId,
+    }, { vendorUsername: req.user.username, data: { customerId } });
+
+    res.status(200).json({ message: 'Customer deleted successfully.' });
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    res.status(500).json({ message: 'Failed to delete customer.', error: error.message });
+  }
+});
+
+// Vendor: Refresh local customer records from Stripe, importing any missing ones
+app.post('/vendor/customers/sync', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ username: req.user.username });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    let synced = 0;
+    for (const stripeCustomerId of vendor.customers) {
+      const stripeCustomer = await paymentProvider.customers.retrieve(stripeCustomerId);
+      if (stripeCustomer.deleted) continue;
+      await Customer.findOneAndUpdate(
+        { stripeCustomerId },
+        { ...customerFieldsFromStripe(stripeCustomer), vendorUsername: vendor.username, updatedAt: new Date() },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      synced += 1;
+    }
+
+    res.status(200).json({ message: `Synced ${synced} customer(s) from Stripe.`, synced });
+  } catch (error) {
+    console.error('Error syncing customers:', error);
+    res.status(500).json({ message: 'Failed to sync customers.', error: error.message });
+  }
+});
+
+// Get customers for a specific vendor
+app.get('/vendor/customers/:username', authenticateToken, authorizeVendorAccount(req => req.params.username), async (req, res) => {
+  const { username } = req.params;
+  try {
+    const vendor = await Vendor.findOne({ username });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    const enrichedCustomers = await Promise.all(vendor.customers.map(async (customerId) => {
+      try {
+        const stripeCustomer = await paymentProvider.customers.retrieve(customerId);
+        const lastInvoices = await paymentProvider.invoices.list({
+          customer: customerId,
+          limit: 1,
+          status: 'paid',
+          expand: ['charge'], // Expand the charge object to get more details if needed
+        });
+
+        const lastInvoice = lastInvoices.data.length > 0 ? lastInvoices.data[0] : null;
+
+        return {
+          id: stripeCustomer.id,
+          name: stripeCustomer.name,
+          email: stripeCustomer.email,
+          phone: stripeCustomer.phone,
+          currency: resolveCurrency(null, stripeCustomer, vendor),
+          lastInvoice: lastInvoice ? {
+            id: lastInvoice.id,
+            amount: fromMinorUnits(lastInvoice.amount_due, lastInvoice.currency),
+            currency: lastInvoice.currency.toUpperCase(),
+            date: new Date(lastInvoice.created * 1000).toLocaleDateString(),
+            status: lastInvoice.status,
+            url: lastInvoice.hosted_invoice_url,
+          } : null,
+        };
+      } catch (stripeError) {
+        console.error(`Error fetching Stripe customer or invoice for ${customerId}:`, stripeError);
+        return { id: customerId, name: `Customer ${customerId} (Error)`, email: `error@example.com`, lastInvoice: null };
+      }
+    }));
+
+    res.status(200).json(enrichedCustomers);
+  } catch (error) {
+    console.error('Error fetching vendor customers:', error);
+    res.status(500).json({ message: 'Failed to fetch vendor customers.', error: error.message });
+  }
+});
+
+// Create a Payment Intent to charge a customer. The payment is recorded and applied to
+// `allocations` ([{ invoiceId, amount }]; omit to pay the oldest invoices first, [] to leave unallocated).
+app.post('/create-payment-intent', authenticateToken, validateBody({
+  customerId: check.string({ required: true, maxLength: 255 }),
+  amount: check.money({ required: true }),
+  currency: check.currency(),
+  allocations: ALLOCATIONS_RULE,
+}), authorizeCustomerAccess(req => req.body.customerId), handleIdempotencyKey, async (req, res) => {
+  const { customerId, amount, currency: requestedCurrency, allocations } = req.body;
+
+  try {
+    const customer = await paymentProvider.customers.retrieve(customerId);
+    const vendor = req.vendor || null;
+    const currency = resolveCurrency(requestedCurrency, customer, vendor);
+    const value = parseMoney(amount, currency);
+    if (value.error) {
+      return sendValidationErrors(res, [{ field: 'amount', message: `amount ${value.error}` }]);
+    }
+
+    // Find the default payment method for the customer
+    const paymentMethods = await paymentProvider.paymentMethods.list({
+      customer: customerId,
+      type: 'card',
+    });
+
+    if (paymentMethods.data.length === 0) {
+      return res.status(400).json({ message: 'No payment method found for this customer.' });
+    }
+
+    const scope = { customerId, currency, available: value.minor };
+    let chosen;
+    if (allocations === undefined) {
+      chosen = await autoAllocate(scope);
+    } else {
+      const validated = await validateAllocations(allocations, scope);
+      if (validated.errors) {
+        return sendValidationErrors(res, validated.errors);
+      }
+      if (validated.error) {
+        return res.status(400).json({ message: validated.error });
+      }
+      chosen = validated.allocations;
+    }
+    // The allocations travel with the payment intent so the webhook can apply them if the charge settles later
+    const allocationsMetadata = JSON.stringify(chosen);
+    if (allocationsMetadata.length > 500) {
+      return res.status(400).json({ message: 'Too many allocations for one card payment. Allocate the rest afterwards.' });
+    }
+
+    const paymentIntent = await paymentProvider.paymentIntents.create({
+      amount: value.minor, // amount in the currency's smallest unit
+      currency,
+      customer: customerId,
+      payment_method: paymentMethods.data[0].id, // Use the first payment method found
+      off_session: true, // Indicates that the payment is initiated by the merchant
+      confirm: true, // Confirm the payment immediately
+      metadata: {
+        source: 'create-payment-intent',
+        vendorUsername: vendor ? vendor.username : (await findCustomerVendorUsername(customerId)) || '',
+        recordedBy: req.user.username,
+        allocations: allocationsMetadata,
+      },
+    }, idempotencyOptions(req.idempotencyKey, 'payment-intent'));
+
+    let payment = null;
+    if (paymentIntent.status === 'succeeded') {
+      ({ payment } = await recordCardPayment(paymentIntent));
+    }
+
+    res.status(200).json({ message: 'Payment successful!', paymentIntentId: paymentIntent.id, currency, payment: payment ? formatPayment(payment) : null });
+  } catch (error) {
+    console.error('Error creating Payment Intent:', error);
+    res.status(500).json({ message: 'Failed to create Payment Intent.', error: error.message });
+  }
+});
+
+// Create an invoice in Stripe and record it locally. With collectionMethod
+// 'auto' the invoice is charged automatically when the customer has a default
+// payment method and sent for manual payment otherwise; 'send_invoice' always
+// sends it. Returns { errors } when the line items don't validate. With an
+// idempotencyKey, a retry reuses the Stripe invoice made by the first attempt.
+const createInvoiceForCustomer = async ({ customerId, vendor, currency: requestedCurrency, lineItems: requestedLineItems, amount, description, collectionMethod = 'auto', daysUntilDue = 7, recurringInvoiceId = null, idempotencyKey = null }) => {
+  // Check if the customer has a default payment method
+  const customer = await paymentProvider.customers.retrieve(customerId, { expand: ['invoice_settings.default_payment_method'] });
+  const hasDefaultPaymentMethod = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+
+  const currency = resolveCurrency(requestedCurrency, customer, vendor);
+
+  const pricing = buildLineItems({ lineItems: requestedLineItems, amount, description }, currency);
+  if (pricing.errors) {
+    return { errors: pricing.errors };
+  }
+  const { lineItems, subtotal, discountTotal, taxTotal, total } = pricing;
+  const invoiceFields = { customerId, vendorUsername: vendor ? vendor.username : undefined, amount: total, currency, description, lineItems, subtotal, discountTotal, taxTotal, total, recurringInvoiceId, amountsInMinorUnits: true };
+
+  let invoice;
+  let localInvoice;
+  const chargedAutomatically = Boolean(hasDefaultPaymentMethod) && collectionMethod !== 'send_invoice';
+  // A retried request whose first attempt got as far as saving the invoice gets that invoice back
+  const findRecorded = async (stripeInvoiceId) => (idempotencyKey ? Invoice.findOne({ id: stripeInvoiceId }) : null);
+  if (chargedAutomatically) {
+    // Create the invoice to charge automatically once finalized
+    invoice = await paymentProvider.invoices.create({
+      customer: customerId,
+      currency,
+      collection_method: 'charge_automatically',
+      auto_advance: true, // Automatically finalizes and attempts collection
+    }, idempotencyOptions(idempotencyKey, 'invoice'));
+    const recorded = await findRecorded(invoice.id);
+    if (recorded) {
+      return { invoice: recorded, chargedAutomatically };
+    }
+    await addLineItemsToStripeInvoice(invoice.id, customerId, lineItems, currency, idempotencyKey);
+    // Immediately finalize the invoice to trigger auto-charge
+    invoice = await paymentProvider.invoices.finalizeInvoice(invoice.id, {}, idempotencyOptions(idempotencyKey, 'finalize'));
+    // The charge itself happens asynchronously; invoice webhooks move the status on from here
+    const paid = invoice.status === 'paid';
+    localInvoice = await Invoice.create({
+      ...invoiceFields,
+      id: invoice.id,
+      invoiceUrl: invoice.hosted_invoice_url,
+      status: paid ? 'paid' : 'open',
+      finalizedAt: new Date(),
+      paidAt: paid ? new Date() : null,
+      amountPaid: paid ? invoice.amount_paid : 0,
+      balanceDue: paid ? 0 : total,
+    });
+
+    // Log activity
+    await logActivity({
+      eventType: 'invoice_created',
+      description: `Invoice created for customer ${customerId}. Amount: ${moneyText(total, currency)}. Charging the default payment method automatically.`,
+      relatedId: invoice.id,
+      amount: total,
+      currency,
+    }, { vendorUsername: await invoiceVendorUsername(localInvoice), data: { invoice: formatInvoice(localInvoice) } });
+  } else {
+    // Create the invoice to be sent manually
+    invoice = await paymentProvider.invoices.create({
+      customer: customerId,
+      currency,
+      collection_method: 'send_invoice',
+      days_until_due: daysUntilDue,
+    }, idempotencyOptions(idempotencyKey, 'invoice'));
+    const recorded = await findRecorded(invoice.id);
+    if (recorded) {
+      return { invoice: recorded, chargedAutomatically };
+    }
+    await addLineItemsToStripeInvoice(invoice.id, customerId, lineItems, currency, idempotencyKey);
+    const dueDate = invoice.due_date ? new Date(invoice.due_date * 1000) : new Date(Date.now() + daysUntilDue * 24 * 60 * 60 * 1000);
+    localInvoice = await Invoice.create({ ...invoiceFields, id: invoice.id, invoiceUrl: invoice.hosted_invoice_url, status: 'open', dueDate, balanceDue: total });
+
+    // Log activity
+    await logActivity({
+      eventType: 'invoice_created',
+      description: `Invoice created for customer ${customerId}. Amount: ${moneyText(total, currency)}. Manual send required.`,
+      relatedId: invoice.id,
+      amount: total,
+      currency,
+    }, { vendorUsername: await invoiceVendorUsername(localInvoice), data: { invoice: formatInvoice(localInvoice) } });
+  }
+
+  return { invoice: localInvoice, chargedAutomatically };
+};
+
+// Create a Stripe Invoice
+app.post('/create-invoice', authenticateToken, validateBody({
+  customerId: check.string({ required: true, maxLength: 255 }),
+  lineItems: LINE_ITEMS_RULE,
+  amount: check.money(),
+  description: check.string({ maxLength: 500 }),
+  currency: check.currency(),
+}), authorizeCustomerAccess(req => req.body.customerId), handleIdempotencyKey, async (req, res) => {
+  const { customerId, lineItems, amount, description, currency } = req.body;
+
+  try {
+    const result = await createInvoiceForCustomer({ customerId, vendor: req.vendor || null, currency, lineItems, amount, description, idempotencyKey: req.idempotencyKey });
+    if (result.errors) {
+      return sendValidationErrors(res, result.errors);
+    }
+
+    const { invoice, chargedAutomatically } = result;
+    const data = formatInvoice(invoice);
+    res.status(200).json({
+      message: chargedAutomatically ? 'Invoice created and will be charged automatically!' : 'Invoice created successfully (manual send required)!',
+      invoiceId: data.id,
+      status: data.status,
+      invoiceUrl: data.invoiceUrl,
+      currency: data.currency,
+      subtotal: data.subtotal,
+      discountTotal: data.discountTotal,
+      taxTotal: data.taxTotal,
+      total: data.total,
+    });
+  } catch (error) {
+    console.error('Error creating Invoice:', error);
+    res.status(500).json({ message: 'Failed to create Invoice.', error: error.message });
+  }
+});
+
+// Invoice and Receipt PDFs
+
+const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const digits = Math.log10(minorUnitFactor(currency));
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase(), minimumFractionDigits: digits, maximumFractionDigits: digits }).format(amount);
+  } catch (error) {
+    return `${Number(amount).toFixed(digits)} ${currency.toUpperCase()}`; // Currency unknown to Intl
+  }
+};
+
+const formatAddressLines = (address) => {
+  if (!address) return [];
+  const cityLine = [address.city, address.state, address.postalCode].filter(Boolean).join(', ');
+  return [address.line1, address.line2, cityLine, address.country].filter(Boolean);
+};
+
+// Vendor and customer details printed on an invoice
+const loadInvoicePdfParties = async (invoice) => {
+  const vendor = invoice.vendorUsername
+    ? await Vendor.findOne({ username: invoice.vendorUsername })
+    : await Vendor.findOne({ customers: invoice.customerId });
+
+  let customer = await Customer.findOne({ stripeCustomerId: invoice.customerId });
+  if (!customer) {
+    const stripeCustomer = await paymentProvider.customers.retrieve(invoice.customerId).catch(() => null);
+    customer = stripeCustomer && !stripeCustomer.deleted ? customerFieldsFromStripe(stripeCustomer) : { name: invoice.customerId };
+  }
+
+  return { vendor, customer };
+};
+
+// Write an invoice (or, with `receipt`, a payment receipt) as a PDF to the response
+const renderInvoicePdf = (res, { invoice, vendor, customer, receipt = false }) => {
+  const data = formatInvoice(invoice);
+  const currency = data.currency || DEFAULT_CURRENCY;
+  const money = (amount) => formatMoney(amount, currency);
+  const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+  const overdue = data.status === 'overdue' || (['open', 'partially_paid'].includes(data.status) && data.dueDate && new Date(data.dueDate) < new Date());
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${receipt ? 'receipt' : 'invoice'}-${data.id}.pdf"`);
+  doc.pipe(res);
+
+  // Vendor logo and details
+  if (vendor && vendor.logo && vendor.logo.data) {
+    try {
+      doc.image(vendor.logo.data, 50, 45, { fit: [150, 60] });
+    } catch (error) {
+      console.error(`Error drawing logo for vendor ${vendor.username}:`, error);
+    }
+  }
+  const vendorLines = vendor
+    ? [vendor.businessName || vendor.username, ...formatAddressLines(vendor.address), vendor.businessEmail || vendor.username, vendor.businessPhone].filter(Boolean)
+    : [];
+  doc.fontSize(10).text(vendorLines.join('\n'), 300, 45, { width: 245, align: 'right' });
+
+  // Title, dates and status
+  doc.moveDown(2);
+  const titleY = Math.max(doc.y, 125);
+  doc.fontSize(20).text(receipt ? 'RECEIPT' : 'INVOICE', 50, titleY);
+  doc.fontSize(10)
+    .text(`Invoice number: ${data.id}`)
+    .text(`Issued: ${formatDate(data.createdAt)}`);
+  if (data.dueDate && !receipt) {
+    doc.text(`Due: ${formatDate(data.dueDate)}`);
+  }
+  if (data.status === 'paid') {
+    doc.fillColor('#1a7f37').fontSize(16).text('PAID', 400, titleY, { width: 145, align: 'right' });
+  } else if (overdue) {
+    doc.fillColor('#cf222e').fontSize(16).text('OVERDUE', 400, titleY, { width: 145, align: 'right' });
+  }
+  doc.fillColor('black').fontSize(10);
+
+  // Customer details
+  const customerLines = [customer.name, customer.email, customer.phone, ...formatAddressLines(customer.billingAddress), customer.taxId ? `Tax ID: ${customer.taxId}` : null].filter(Boolean);
+  doc.text('Bill to:', 50, titleY + 80, { underline: true }).text(customerLines.join('\n'));
+
+  // Line items
+  const columns = [
+    { label: 'Description', x: 50, width: 190, align: 'left' },
+    { label: 'Qty', x: 240, width: 40, align: 'right' },
+    { label: 'Unit price', x: 280, width: 70, align: 'right' },
+    { label: 'Discount', x: 350, width: 60, align: 'right' },
+    { label: 'Tax', x: 410, width: 60, align: 'right' },
+    { label: 'Total', x: 470, width: 75, align: 'right' },
+  ];
+  // Draws one table row and returns where the tallest (wrapped) cell ends
+  const drawRow = (values, y, options = {}) => {
+    let bottom = y;
+    columns.forEach((column, index) => {
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').text(values[index], column.x, y, { width: column.width, align: column.align });
+      bottom = Math.max(bottom, doc.y);
+    });
+    return bottom;
+  };
+
+  let y = doc.y + 25;
+  y = drawRow(columns.map(column => column.label), y, { bold: true }) + 3;
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 8;
+  for (const item of data.lineItems) {
+    if (y > 720) {
+      doc.addPage();
+      y = 50;
+    }
+    y = drawRow([
+      item.description,
+      String(item.quantity),
+      money(item.unitPrice),
+      item.discount ? `-${money(item.discount)}` : '-',
+      item.taxAmount ? `${money(item.taxAmount)} (${item.taxRate}%)` : '-',
+      money(item.total),
+    ], y) + 5;
+  }
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+
+  // Totals
+  y += 10;
+  const totals = [
+    ['Subtotal', money(data.subtotal)],
+    ['Discount', data.discountTotal ? `-${money(data.discountTotal)}` : money(0)],
+    ['Tax', money(data.taxTotal)],
+    ['Total', money(data.total)],
+  ];
+  if (receipt) {
+    totals.push(['Amount paid', money(data.amountPaid || data.total)]);
+  } else if (data.amountPaid > 0 && data.status !== 'paid') {
+    totals.push(['Amount paid', money(data.amountPaid)], ['Balance due', money(invoiceBalanceDue(data))]);
+  }
+  for (const [label, value] of totals) {
+    doc.font(label === 'Total' ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 350, y, { width: 100, align: 'right' })
+      .text(value, 455, y, { width: 90, align: 'right' });
+    y += 16;
+  }
+
+  doc.font('Helvetica').fontSize(9);
+  if (receipt) {
+    doc.text('Thank you for your payment.', 50, y + 30);
+  } else if (data.invoiceUrl && data.status !== 'paid') {
+    doc.text(`Pay online: ${data.invoiceUrl}`, 50, y + 30, { link: data.invoiceUrl });
+  }
+
+  doc.end();
+};
+
+// Send an invoice or receipt PDF, answering 400 for receipts of unpaid invoices
+const sendInvoicePdf = async (res, invoice, { receipt = false } = {}) => {
+  if (receipt && invoice.status !== 'paid') {
+    return res.status(400).json({ message: 'A receipt is only available once the invoice is paid.' });
+  }
+  const { vendor, customer } = await loadInvoicePdfParties(invoice);
+  renderInvoicePdf(res, { invoice, vendor, customer, receipt });
+};
+
+// Download an invoice as a PDF
+app.get('/invoices/:id/pdf', authenticateToken, authorizeInvoiceAccess(req => req.params.id), async (req, res) => {
+  try {
+    await sendInvoicePdf(res, req.invoice);
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error);
+    res.status(500).json({ message: 'Failed to generate invoice PDF.', error: error.message });
+  }
+});
+
+// Download a paid invoice's receipt as a PDF
+app.get('/invoices/:id/receipt.pdf', authenticateToken, authorizeInvoiceAccess(req => req.params.id), async (req, res) => {
+  try {
+    await sendInvoicePdf(res, req.invoice, { receipt: true });
+  } catch (error) {
+    console.error('Error generating receipt PDF:', error);
+    res.status(500).json({ message: 'Failed to generate receipt PDF.', error: error.message });
+  }
+});
+
+// Payments
+
+// What is still owed on an invoice. Invoices from before balances were tracked
+// work it out from their total, payments and pre-payment credit notes.
+const invoiceBalanceDue = (invoice) => {
+  if (invoice.balanceDue !== undefined && invoice.balanceDue !== null) {
+    return invoice.balanceDue;
+  }
+  if (invoice.status === 'paid') {
+    return 0;
+  }
+  const credited = (invoice.creditNotes || [])
+    .filter(creditNote => creditNote.type !== 'post_payment')
+    .reduce((sum, creditNote) => sum + creditNote.amount, 0);
+  return (invoice.total || invoice.amount) - (invoice.amountPaid || 0) - credited;
+};
+
+// Store the computed balance on invoices that don't have one yet, so it can be $inc'd
+const ensureBalanceDue = async (invoice) => {
+  if (invoice.balanceDue === undefined || invoice.balanceDue === null) {
+    invoice.balanceDue = invoiceBalanceDue(invoice);
+    await Invoice.updateOne({ _id: invoice._id, balanceDue: null }, { balanceDue: invoice.balanceDue });
+  }
+  return invoice;
+};
+
+// Invoice statuses that can take a payment
+const PAYABLE_INVOICE_STATUSES = ['open', 'overdue', 'partially_paid'];
+
+// Validate requested allocations (checked against ALLOCATIONS_RULE) of `available`
+// minor units against a customer's invoices. Returns { allocations } in minor units,
+// { errors } when an amount doesn't fit the currency, or { error }.
+const validateAllocations = async (allocations, { customerId, currency, available }) => {
+  const result = [];
+  let total = 0;
+  for (const [index, allocation] of allocations.entries()) {
+    const parsed = parseMoney(allocation.amount, currency);
+    if (parsed.error) {
+      return { errors: [{ field: `allocations[${index}].amount`, message: `allocations[${index}].amount ${parsed.error}` }] };
+    }
+    const amount = parsed.minor;
+    if (result.some(existing => existing.invoiceId === allocation.invoiceId)) {
+      return { error: `Invoice ${allocation.invoiceId} is allocated more than once.` };
+    }
+
+    const invoice = await Invoice.findOne({ id: allocation.invoiceId });
+    if (!invoice || invoice.customerId !== customerId) {
+      return { error: `Invoice ${allocation.invoiceId} not found for this customer.` };
+    }
+    if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status)) {
+      return { error: `Invoice ${invoice.id} is ${invoice.status} and can't take a payment.` };
+    }
+    if ((invoice.currency || DEFAULT_CURRENCY) !== currency) {
+      return { error: `Invoice ${invoice.id} is in ${(invoice.currency || DEFAULT_CURRENCY).toUpperCase()}, not ${currency.toUpperCase()}.` };
+    }
+    const balanceDue = invoiceBalanceDue(invoice);
+    if (amount > balanceDue) {
+      return { error: `Only ${moneyText(balanceDue, currency)} is due on invoice ${invoice.id}.` };
+    }
+
+    total += amount;
+    result.push({ invoiceId: invoice.id, amount });
+  }
+
+  if (total > available) {
+    return { error: `Allocations add up to more than the ${moneyText(available, currency)} available.` };
+  }
+  return { allocations: result };
+};
+
+// Spread `available` minor units over the customer's payable invoices, oldest due first
+const autoAllocate = async ({ customerId, currency, available }) => {
+  const invoices = await Invoice.find({ customerId, currency, status: { $in: PAYABLE_INVOICE_STATUSES } }).sort({ dueDate: 1, createdAt: 1 });
+  let remaining = available;
+  const allocations = [];
+  for (const invoice of invoices) {
+    if (remaining <= 0) break;
+    const due = invoiceBalanceDue(invoice);
+    if (due <= 0) continue;
+    const amount = Math.min(due, remaining);
+    allocations.push({ invoiceId: invoice.id, amount });
+    remaining -= amount;
+  }
+  return allocations;
+};
+
+// Apply up to `amount` (minor units) of a payment to one invoice and move its status on.
+// Idempotent per payment and invoice. Returns the amount applied.
+const applyPaymentToInvoice = async (payment, invoiceId, amount) => {
+  const invoice = await Invoice.findOne({ id: invoiceId });
+  if (!invoice) return 0;
+  const currency = invoice.currency || DEFAULT_CURRENCY;
+
+  const existing = invoice.payments.find(applied => applied.paymentId.equals(payment._id));
+  if (existing) return existing.amount;
+  if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status)) return 0;
+
+  await ensureBalanceDue(invoice);
+  const applied = Math.min(amount, invoice.balanceDue);
+  if (applied <= 0) return 0;
+
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, 'payments.paymentId': { $ne: payment._id } },
+    {
+      $push: { payments: { paymentId: payment._id, amount: applied, method: payment.method, appliedAt: new Date() } },
+      $inc: { amountPaid: applied, balanceDue: -applied },
+    },
+    { new: true }
+  );
+  if (!updated) return applied; // Applied concurrently by a retry
+
+  const settled = updated.balanceDue <= 0;
+  // A part payment doesn't bring an overdue invoice back within its terms
+  const nextStatus = settled ? 'paid' : from => (from === 'overdue' ? 'overdue' : 'partially_paid');
+  const result = await transitionInvoice(invoiceId, nextStatus, settled ? { paidAt: payment.receivedAt || new Date() } : {}, `payment:${payment.method}`);
+  if (result.changed || (!settled && !result.rejected && !result.conflict)) {
+    // Log activity
+    await logActivity({
+      eventType: settled ? 'invoice_paid' : 'invoice_partially_paid',
+      description: settled
+        ? `Invoice ${invoiceId} paid in full. Amount paid: ${moneyText(updated.amountPaid, currency)}.`
+        : `Invoice ${invoiceId} partially paid. Amount paid: ${moneyText(updated.amountPaid, currency)}. Balance due: ${moneyText(updated.balanceDue, currency)}.`,
+      relatedId: updated._id,
+      amount: applied,
+      currency,
+    }, { vendorUsername: payment.vendorUsername, data: { invoice: formatInvoice(result.invoice), payment: formatPayment(payment) } });
+  }
+
+  // Settled outside its Stripe invoice: stop Stripe from collecting it again
+  if (settled && payment.stripeInvoiceId !== invoiceId) {
+    try {
+      await paymentProvider.invoices.pay(invoiceId, { paid_out_of_band: true });
+    } catch (error) {
+      console.error(`Error marking Stripe invoice ${invoiceId} paid out of band:`, error);
+    }
+  }
+  return applied;
+};
+
+// Apply allocations to their invoices and record what was applied on the payment.
+// Amounts are capped at each invoice's balance; anything left stays unallocated.
+const allocatePayment = async (payment, allocations) => {
+  for (const { invoiceId, amount } of allocations) {
+    const applied = await applyPaymentToInvoice(payment, invoiceId, amount);
+    if (applied > 0 && !payment.allocations.some(allocation => allocation.invoiceId === invoiceId)) {
+      payment.allocations.push({ invoiceId, amount: applied });
+    }
+  }
+
+  const allocated = payment.allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+  payment.unallocated = payment.amount - allocated;
+  await payment.save();
+  return payment;
+};
+
+// Record a payment and apply its allocations. A Stripe payment that was recorded
+// before is not stored again; its allocations are re-applied in case an earlier
+// attempt stopped part way.
+const recordPayment = async (fields, allocations) => {
+  let payment;
+  try {
+    payment = await Payment.create({ ...fields, allocations: [], unallocated: fields.amount, amountsInMinorUnits: true });
+  } catch (error) {
+    if (error.code !== 11000 || !(fields.paymentIntentId || fields.stripeInvoiceId)) {
+      throw error;
+    }
+    payment = await Payment.findOne(fields.paymentIntentId ? { paymentIntentId: fields.paymentIntentId } : { stripeInvoiceId: fields.stripeInvoiceId });
+    return { payment: await allocatePayment(payment, allocations), duplicate: true };
+  }
+
+  await allocatePayment(payment, allocations);
+
+  // Log activity
+  await logActivity({
+    eventType: 'payment_recorded',
+    description: `${payment.method} payment of ${moneyText(payment.amount, payment.currency)} from customer ${payment.customerId} recorded by ${payment.recordedBy}.`
+      + `${payment.allocations.length > 0 ? ` Applied to ${payment.allocations.map(allocation => `${allocation.invoiceId} (${fromMinorUnits(allocation.amount, payment.currency)})`).join(', ')}.` : ''}`
+      + `${payment.unallocated > 0 ? ` Unallocated: ${fromMinorUnits(payment.unallocated, payment.currency)}.` : ''}`,
+    relatedId: payment._id,
+    amount: payment.amount,
+    currency: payment.currency,
+  }, { vendorUsername: payment.vendorUsername, data: { payment: formatPayment(payment) } });
+  return { payment, duplicate: false };
+};
+
+// Vendor that owns a Stripe customer
+const findCustomerVendorUsername = async (customerId) => {
+  const customer = await Customer.findOne({ stripeCustomerId: customerId });
+  if (customer) return customer.vendorUsername;
+  const vendor = await Vendor.findOne({ customers: customerId });
+  return vendor ? vendor.username : null;
+};
+
+// Record a card payment taken through /create-payment-intent, with the
+// allocations chosen when it was created
+const recordCardPayment = async (paymentIntent) => {
+  const metadata = paymentIntent.metadata || {};
+  return recordPayment({
+    vendorUsername: metadata.vendorUsername || await findCustomerVendorUsername(paymentIntent.customer),
+    customerId: paymentIntent.customer,
+    amount: paymentIntent.amount_received || paymentIntent.amount,
+    currency: paymentIntent.currency,
+    method: 'card',
+    paymentIntentId: paymentIntent.id,
+    receivedAt: stripeTimestamp(paymentIntent.created) || new Date(),
+    recordedBy: metadata.recordedBy || 'stripe',
+  }, JSON.parse(metadata.allocations || '[]'));
+};
+
+// Record the payment Stripe collected on one of our invoices
+const recordStripeInvoicePayment = async (stripeInvoice) => {
+  const invoice = await Invoice.findOne({ id: stripeInvoice.id });
+  if (!invoice) return null;
+  const currency = invoice.currency || DEFAULT_CURRENCY;
+  const amount = stripeInvoice.amount_paid;
+
+  return recordPayment({
+    vendorUsername: invoice.vendorUsername || await findCustomerVendorUsername(invoice.customerId),
+    customerId: invoice.customerId,
+    amount,
+    currency,
+    method: 'card',
+    stripeInvoiceId: stripeInvoice.id,
+    receivedAt: stripeTimestamp(stripeInvoice.status_transitions && stripeInvoice.status_transitions.paid_at) || new Date(),
+    recordedBy: 'stripe',
+  }, [{ invoiceId: invoice.id, amount }]);
+};
+
+// Payment as returned by the API, with decimal amounts
+const formatPayment = (payment) => {
+  const data = payment.toObject ? payment.toObject() : payment;
+  const { _id, __v, amountsInMinorUnits, ...fields } = data;
+  return {
+    id: _id,
+    ...decimalAmounts(fields, ['amount', 'unallocated'], fields.currency),
+    allocations: (fields.allocations || []).map(allocation => decimalAmounts(allocation, ['amount'], fields.currency)),
+  };
+};
+
+// Vendor: Record a payment received outside Stripe (or a card payment taken elsewhere)
+// Body: { customerId, amount, currency, method: 'card' | 'bank_transfer' | 'cash' | 'cheque', reference, note, receivedAt,
+//         allocations: [{ invoiceId, amount }] (omit to pay the oldest invoices first, [] to leave unallocated) }
+app.post('/vendor/payments', authenticateToken, requireRole('vendor'), validateBody({
+  customerId: check.string({ required: true, maxLength: 255 }),
+  amount: check.money({ required: true }),
+  currency: check.currency(),
+  method: check.string({ required: true, oneOf: PAYMENT_METHODS }),
+  reference: check.string({ nullable: true, maxLength: 200 }),
+  note: check.string({ nullable: true, maxLength: 1000 }),
+  receivedAt: check.date(),
+  allocations: ALLOCATIONS_RULE,
+}), authorizeCustomerAccess(req => req.body.customerId), async (req, res) => {
+  const { customerId, amount, currency: requestedCurrency, method, reference, note, receivedAt, allocations } = req.body;
+
+  try {
+    const customer = await Customer.findOne({ stripeCustomerId: customerId });
+    const currency = normalizeCurrency(requestedCurrency) || (customer && customer.currency) || req.vendor.defaultCurrency || DEFAULT_CURRENCY;
+    const value = parseMoney(amount, currency);
+    if (value.error) {
+      return sendValidationErrors(res, [{ field: 'amount', message: `amount ${value.error}` }]);
+    }
+
+    let chosen;
+    if (allocations === undefined) {
+      chosen = await autoAllocate({ customerId, currency, available: value.minor });
+    } else {
+      const validated = await validateAllocations(allocations, { customerId, currency, available: value.minor });
+      if (validated.errors) {
+        return sendValidationErrors(res, validated.errors);
+      }
+      if (validated.error) {
+        return res.status(400).json({ message: validated.error });
+      }
+      chosen = validated.allocations;
+    }
+
+    const { payment } = await recordPayment({
+      vendorUsername: req.vendor.username,
+      customerId,
+      amount: value.minor,
+      currency,
+      method,
+      reference: reference || null,
+      note: note || null,
+      receivedAt: receivedAt ? new Date(receivedAt) : new Date(),
+      recordedBy: req.user.username,
+    }, chosen);
+
+    res.status(201).json({ message: 'Payment recorded.', payment: formatPayment(payment) });
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    res.status(500).json({ message: 'Failed to record payment.', error: error.message });
+  }
+});
+
+// Vendor: List recorded payments. Query: customerId, method, from, to, unallocated ('true' for payments with money left to allocate)
+app.get('/vendor/payments', authenticateToken, requireRole('vendor'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: { receivedAt: 'receivedAt', amount: 'amount' }, defaultSort: '-receivedAt' });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const { customerId, method, unallocated } = req.query;
+    const query = { vendorUsername: req.user.username };
+    const filterError = applyListFilters(req.query, query, { dateField: 'receivedAt', amountField: 'amount', minorUnits: true });
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    if (customerId) query.customerId = customerId;
+    if (method) query.method = method;
+    if (unallocated === 'true') query.unallocated = { $gt: 0 };
+
+    const payments = await paginate(Payment, query, list);
+    res.status(200).json({ ...payments, data: payments.data.map(formatPayment) });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ message: 'Failed to fetch payments.', error: error.message });
+  }
+});
+
+// Vendor: Get one payment
+app.get('/vendor/payments/:paymentId', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.paymentId)) {
+      return res.status(404).json({ message: 'Payment not found.' });
+    }
+    const payment = await Payment.findOne({ _id: req.params.paymentId, vendorUsername: req.user.username });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found.' });
+    }
+
+    res.status(200).json(formatPayment(payment));
+  } catch (error) {
+    console.error('Error fetching payment:', error);
+    res.status(500).json({ message: 'Failed to fetch payment.', error: error.message });
+  }
+});
+
+// Vendor: Allocate the unallocated part of a payment. Body: { allocations } (omit to pay the oldest invoices first)
+app.post('/vendor/payments/:paymentId/allocate', authenticateToken, requireRole('vendor'), validateBody({ allocations: ALLOCATIONS_RULE }), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.paymentId)) {
+      return res.status(404).json({ message: 'Payment not found.' });
+    }
+    const payment = await Payment.findOne({ _id: req.params.paymentId, vendorUsername: req.user.username });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found.' });
+    }
+    if (payment.unallocated <= 0) {
+      return res.status(400).json({ message: 'This payment is already fully allocated.' });
+    }
+
+    const scope = { customerId: payment.customerId, currency: payment.currency, available: payment.unallocated };
+    let chosen;
+    if (req.body.allocations === undefined) {
+      chosen = await autoAllocate(scope);
+    } else {
+      const validated = await validateAllocations(req.body.allocations, scope);
+      if (validated.errors) {
+        return sendValidationErrors(res, validated.errors);
+      }
+      if (validated.error) {
+        return res.status(400).json({ message: validated.error });
+      }
+      chosen = validated.allocations;
+    }
+    if (chosen.some(allocation => payment.allocations.some(existing => existing.invoiceId === allocation.invoiceId))) {
+      return res.status(400).json({ message: 'This payment is already allocated to one of those invoices.' });
+    }
+
+    await allocatePayment(payment, chosen);
+
+    // Log activity
+    await logActivity({
+      eventType: 'payment_allocated',
+      description: `Payment ${payment._id} from customer ${payment.customerId} allocated by ${req.user.username}. Unallocated: ${moneyText(payment.unallocated, payment.currency)}.`,
+      relatedId: payment._id,
+    }, { vendorUsername: payment.vendorUsername, data: { payment: formatPayment(payment) } });
+
+    res.status(200).json({ message: 'Payment allocated.', payment: formatPayment(payment) });
+  } catch (error) {
+    console.error('Error allocating payment:', error);
+    res.status(500).json({ message: 'Failed to allocate payment.', error: error.message });
+  }
+});
+
+// Refunds and Credit Notes
+
+// Reason codes Stripe accepts for refunds and for credit notes
+const REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+const CREDIT_NOTE_REASONS = ['duplicate', 'fraudulent', 'order_change', 'product_unsatisfactory'];
+
+// Amount collected on an invoice. Invoices recorded before payments were tracked only have their total.
+const invoicePaidAmount = (invoice) => invoice.amountPaid || (invoice.status === 'paid' ? invoice.total || invoice.amount : 0);
+
+// What can still be given back on a paid invoice: what was paid, less refunds and the
+// credit notes issued after payment. Credit issued before payment reduced what was paid instead.
+const invoiceRefundableAmount = (invoice) => invoicePaidAmount(invoice) - (invoice.amountRefunded || 0) - (invoice.creditNotes || [])
+  .filter(creditNote => creditNote.type === 'post_payment')
+  .reduce((sum, creditNote) => sum + creditNote.amount, 0);
+
+// A refund or credit note that hasn't finished within this long is assumed to have died, and its lock is taken over
+const ADJUSTMENT_LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Lock an invoice in one of `statuses` for a refund or credit note, so two of them can't both
+// spend what is left. Resolves with the invoice as stored, or null when it is locked already
+// or no longer in those statuses.
+const lockInvoiceAdjustment = (invoiceId, statuses) => Invoice.findOneAndUpdate(
+  {
+    _id: invoiceId,
+    status: { $in: statuses },
+    $or: [{ adjustmentLockedAt: null }, { adjustmentLockedAt: { $lt: new Date(Date.now() - ADJUSTMENT_LOCK_TIMEOUT_MS) } }],
+  },
+  { adjustmentLockedAt: new Date() },
+  { new: true }
+);
+
+const unlockInvoiceAdjustment = invoiceId => Invoice.updateOne({ _id: invoiceId }, { adjustmentLockedAt: null })
+  .catch(error => console.error(`Error unlocking invoice ${invoiceId}:`, error));
+
+const ADJUSTMENT_IN_PROGRESS = 'Another refund or credit note on this invoice is in progress. Retry shortly.';
+
+// Payment intent that paid a Stripe invoice
+const findInvoicePaymentIntentId = async (stripeInvoiceId) => {
+  const payments = await paymentProvider.invoicePayments.list({ invoice: stripeInvoiceId, status: 'paid', limit: 1 });
+  const payment = payments.data[0] && payments.data[0].payment;
+  if (!payment || !payment.payment_intent) return null;
+  return typeof payment.payment_intent === 'string' ? payment.payment_intent : payment.payment_intent.id;
+};
+
+// Local invoice paid by a payment intent, if any
+const findInvoiceByPaymentIntent = async (paymentIntentId) => {
+  const payments = await paymentProvider.invoicePayments.list({ payment: { type: 'payment_intent', payment_intent: paymentIntentId }, limit: 1 });
+  return payments.data.length > 0 ? Invoice.findOne({ id: payments.data[0].invoice }) : null;
+};
+
+// Validate a decimal refund or credit note amount against the `available` minor units
+// left on the invoice. `amount` may be omitted to use all of `available`.
+// Returns { amount } in minor units, { errors } when it doesn't fit the currency, or { error }.
+const parseAdjustmentAmount = (amount, available, currency) => {
+  if (amount === undefined || amount === null) {
+    return available > 0 ? { amount: available } : { error: 'Nothing is left to adjust on this invoice.' };
+  }
+  const value = parseMoney(amount, currency);
+  if (value.error) {
+    return { errors: [{ field: 'amount', message: `amount ${value.error}` }] };
+  }
+  if (value.minor > available) {
+    return { error: `amount cannot exceed ${moneyText(available, currency)}, the amount left on this invoice.` };
+  }
+  return { amount: value.minor };
+};
+
+// Add Stripe refunds not yet on the invoice and recompute amountRefunded from them
+const syncInvoiceRefunds = async (invoice, stripeRefunds, createdBy = null) => {
+  const known = new Map(invoice.refunds.map(refund => [refund.refundId, refund]));
+  stripeRefunds.forEach((stripeRefund) => {
+    const existing = known.get(stripeRefund.id);
+    if (existing) {
+      existing.status = stripeRefund.status;
+      return;
+    }
+    invoice.refunds.push({
+      refundId: stripeRefund.id,
+      chargeId: (stripeRefund.charge && stripeRefund.charge.id) || stripeRefund.charge || null,
+      amount: stripeRefund.amount,
+      reason: stripeRefund.reason || null,
+      note: stripeRefund.metadata && stripeRefund.metadata.note ? stripeRefund.metadata.note : null,
+      status: stripeRefund.status,
+      createdBy: createdBy || (stripeRefund.metadata && stripeRefund.metadata.createdBy) || 'stripe',
+      createdAt: stripeTimestamp(stripeRefund.created) || new Date(),
+    });
+  });
+
+  invoice.amountRefunded = invoice.refunds
+    .filter(refund => !['failed', 'canceled'].includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  await invoice.save();
+  return invoice;
+};
+
+// Vendor: Refund a paid invoice in full or in part. One refund or credit note runs per invoice
+// at a time, and the amount left is checked against the invoice as it is once the lock is held.
+// Body: { amount (omit for the full remaining amount), reason: 'duplicate' | 'fraudulent' | 'requested_by_customer', note }
+app.post('/invoices/:id/refund', authenticateToken, requireRole('vendor'), validateBody({
+  amount: check.money({ nullable: true }),
+  reason: check.string({ required: true, oneOf: REFUND_REASONS }),
+  note: check.string({ nullable: true, maxLength: 500 }),
+}), authorizeInvoiceAccess(req => req.params.id), handleIdempotencyKey, async (req, res) => {
+  const { amount, reason, note } = req.body;
+  const currency = req.invoice.currency || DEFAULT_CURRENCY;
+
+  if (req.invoice.status !== 'paid') {
+    return res.status(400).json({ message: 'Only paid invoices can be refunded.' });
+  }
+
+  let invoice = null;
+  try {
+    invoice = await lockInvoiceAdjustment(req.invoice._id, ['paid']);
+    if (!invoice) {
+      return res.status(409).json({ message: ADJUSTMENT_IN_PROGRESS });
+    }
+
+    const available = invoiceRefundableAmount(invoice);
+    const parsed = parseAdjustmentAmount(amount, available, currency);
+    if (parsed.errors) {
+      return sendValidationErrors(res, parsed.errors);
+    }
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const paymentIntentId = await findInvoicePaymentIntentId(invoice.id);
+    if (!paymentIntentId) {
+      return res.status(400).json({ message: 'No card payment found for this invoice. It may have been paid outside Stripe.' });
+    }
+
+    const refund = await paymentProvider.refunds.create({
+      payment_intent: paymentIntentId,
+      amount: parsed.amount,
+      reason,
+      metadata: { invoiceId: invoice.id, createdBy: req.user.username, note: note ? String(note).slice(0, 500) : '' },
+    }, idempotencyOptions(req.idempotencyKey, 'refund'));
+    invoice.adjustmentLockedAt = null;
+    const updated = await syncInvoiceRefunds(invoice, [refund], req.user.username);
+    invoice = null;
+
+    // Log activity
+    await logActivity({
+      eventType: 'invoice_refunded',
+      description: `Vendor ${req.user.username} refunded ${moneyText(parsed.amount, currency)} on invoice ${updated.id} (${reason}). Total refunded: ${moneyText(updated.amountRefunded, currency)}.`,
+      relatedId: updated.id,
+      amount: parsed.amount,
+      currency,
+    }, { vendorUsername: req.user.username, data: { invoice: formatInvoice(updated), refund: { id: refund.id, amount: fromMinorUnits(parsed.amount, currency), currency, reason } } });
+
+    res.status(200).json({ message: 'Refund issued.', refundId: refund.id, status: refund.status, invoice: formatInvoice(updated) });
+  } catch (error) {
+    console.error('Error refunding invoice:', error);
+    res.status(500).json({ message: 'Failed to refund invoice.', error: error.message });
+  } finally {
+    // Release the lock unless the refund was saved, which released it
+    if (invoice) {
+      await unlockInvoiceAdjustment(invoice._id);
+    }
+  }
+});
+
+// Vendor: Issue a credit note against an open or paid invoice. On an open invoice it
+// reduces the amount due; on a paid one it is credited to the customer's balance.
+// Takes the same lock as refunds, and checks the amount left once it is held.
+// Body: { amount (omit for everything left), reason: 'duplicate' | 'fraudulent' | 'order_change' | 'product_unsatisfactory', memo }
+app.post('/invoices/:id/credit-notes', authenticateToken, requireRole('vendor'), validateBody({
+  amount: check.money({ nullable: true }),
+  reason: check.string({ required: true, oneOf: CREDIT_NOTE_REASONS }),
+  memo: check.string({ nullable: true, maxLength: 500 }),
+}), authorizeInvoiceAccess(req => req.params.id), handleIdempotencyKey, async (req, res) => {
+  const { amount, reason, memo } = req.body;
+  const currency = req.invoice.currency || DEFAULT_CURRENCY;
+  const creditable = [...PAYABLE_INVOICE_STATUSES, 'paid'];
+
+  if (!creditable.includes(req.invoice.status)) {
+    return res.status(400).json({ message: `Credit notes can only be issued on open or paid invoices. This invoice is ${req.invoice.status}.` });
+  }
+
+  let invoice = null;
+  try {
+    invoice = await lockInvoiceAdjustment(req.invoice._id, creditable);
+    if (!invoice) {
+      return res.status(409).json({ message: ADJUSTMENT_IN_PROGRESS });
+    }
+
+    const { status } = invoice;
+    const paid = status === 'paid';
+    // Unpaid invoices can be credited up to their balance; paid ones up to what can still be given back
+    const available = paid ? invoiceRefundableAmount(invoice) : invoiceBalanceDue(invoice);
+    const parsed = parseAdjustmentAmount(amount, available, currency);
+    if (parsed.errors) {
+      return sendValidationErrors(res, parsed.errors);
+    }
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const creditNote = await paymentProvider.creditNotes.create({
+      invoice: invoice.id,
+      amount: parsed.amount,
+      ...(paid ? { credit_amount: parsed.amount } : {}),
+      reason,
+      ...(memo ? { memo: String(memo).slice(0, 500) } : {}),
+      metadata: { createdBy: req.user.username },
+    }, idempotencyOptions(req.idempotencyKey, 'credit-note'));
+
+    if (!paid) {
+      await ensureBalanceDue(invoice);
+    }
+    // A retried request gets the same credit note back from Stripe; it is only recorded once
+    const recorded = invoice.creditNotes.some(existing => existing.creditNoteId === creditNote.id);
+    let updated = await Invoice.findOneAndUpdate(
+      { _id: invoice._id },
+      recorded ? { adjustmentLockedAt: null } : {
+        adjustmentLockedAt: null,
+        $inc: { creditBalance: parsed.amount, ...(paid ? {} : { balanceDue: -parsed.amount }) },
+        $push: {
+          creditNotes: {
+            creditNoteId: creditNote.id,
+            number: creditNote.number,
+            amount: parsed.amount,
+            reason,
+            memo: memo || null,
+            type: creditNote.type, // 'pre_payment' or 'post_payment'
+            createdBy: req.user.username,
+          },
+        },
+      },
+      { new: true }
+    );
+    invoice = null;
+    // Stripe treats an invoice credited down to nothing as paid
+    if (!paid && updated.balanceDue <= 0) {
+      ({ invoice: updated } = await transitionInvoice(updated.id, 'paid', { paidAt: new Date() }, 'credit_note'));
+    }
+
+    // Log activity
+    await logActivity({
+      eventType: 'invoice_credit_note_issued',
+      description: `Vendor ${req.user.username} issued credit note ${creditNote.number || creditNote.id} for ${moneyText(parsed.amount, currency)} on ${status} invoice ${updated.id} (${reason}).`,
+      relatedId: updated.id,
+      amount: parsed.amount,
+      currency,
+    }, { vendorUsername: req.user.username, data: { invoice: formatInvoice(updated), creditNote: { id: creditNote.id, number: creditNote.number, amount: fromMinorUnits(parsed.amount, currency), currency, reason } } });
+
+    res.status(200).json({ message: 'Credit note issued.', creditNoteId: creditNote.id, number: creditNote.number, invoice: formatInvoice(updated) });
+  } catch (error) {
+    console.error('Error issuing credit note:', error);
+    res.status(500).json({ message: 'Failed to issue credit note.', error: error.message });
+  } finally {
+    // Release the lock unless the credit note was saved, which released it
+    if (invoice) {
+      await unlockInvoiceAdjustment(invoice._id);
+    }
+  }
+});
+
+// Accounting Exports
+
+// Ledger accounts used in QuickBooks IIF files and the Xero sales account code.
+// These match the default charts of accounts; bookkeepers can remap on import.
+const QUICKBOOKS_ACCOUNTS = {
+  receivable: 'Accounts Receivable',
+  sales: 'Sales',
+  discounts: 'Sales Discounts',
+  salesTax: 'Sales Tax Payable',
+  undeposited: 'Undeposited Funds',
+  stripeBalance: 'Stripe Balance',
+  bank: 'Checking',
+};
+const XERO_SALES_ACCOUNT_CODE = process.env.XERO_SALES_ACCOUNT_CODE || '200';
+
+const EXPORT_TYPES = ['invoices', 'payments', 'refunds', 'payouts'];
+const EXPORT_FORMATS = ['csv', 'iif', 'xero'];
+
+const toDateString = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+// QuickBooks expects US-style dates
+const toIifDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCMonth() + 1}/${d.getUTCDate()}/${d.getUTCFullYear()}`;
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+// IIF is tab separated with no quoting, so tabs and line breaks are flattened
+const iifLine = (values) => `${values.map(value => (value === undefined || value === null ? '' : String(value).replace(/[\t\r\n]+/g, ' '))).join('\t')}\r\n`;
+
+// Export sources. Each yields plain records for one vendor, reading from a
+// database cursor or Stripe's auto-pagination so nothing is held in memory.
+
+async function* exportInvoiceRecords({ vendor, customers, from, to, status, customerId }) {
+  const query = { customerId: customerId || { $in: vendor.customers }, createdAt: { $gte: from, $lte: to } };
+  if (status) query.status = status;
+
+  for await (const invoice of Invoice.find(query).sort({ createdAt: 1 }).cursor()) {
+    const data = formatInvoice(invoice);
+    const customer = customers.get(data.customerId) || {};
+    yield { ...data, date: data.createdAt, customerName: customer.name || data.customerId, customerEmail: customer.email };
+  }
+}
+
+async function* exportPaymentRecords({ vendor, customers, from, to, customerId }) {
+  const query = { vendorUsername: vendor.username, receivedAt: { $gte: from, $lte: to } };
+  if (customerId) query.customerId = customerId;
+
+  for await (const payment of Payment.find(query).sort({ receivedAt: 1 }).cursor()) {
+    const customer = customers.get(payment.customerId) || {};
+    yield {
+      id: String(payment._id),
+      date: payment.receivedAt,
+      customerId: payment.customerId,
+      customerName: customer.name || payment.customerId,
+      invoiceId: payment.allocations.map(allocation => allocation.invoiceId).join(' '),
+      memo: payment.allocations.length > 0
+        ? `Payment for invoice ${payment.allocations.map(allocation => allocation.invoiceId).join(', ')}`
+        : 'Unallocated payment',
+      currency: payment.currency,
+      amount: fromMinorUnits(payment.amount, payment.currency),
+      method: payment.method,
+      status: 'succeeded',
+    };
+  }
+
+  // Invoices paid before payments were recorded count as one payment of their total
+  const legacyQuery = { customerId: customerId || { $in: vendor.customers }, status: 'paid', amountPaid: { $in: [0, null] }, createdAt: { $gte: from, $lte: to } };
+  for await (const invoice of Invoice.find(legacyQuery).sort({ createdAt: 1 }).cursor()) {
+    const customer = customers.get(invoice.customerId) || {};
+    yield {
+      id: invoice.id,
+      date: invoice.createdAt,
+      customerId: invoice.customerId,
+      customerName: customer.name || invoice.customerId,
+      invoiceId: invoice.id,
+      memo: `Payment for invoice ${invoice.id}`,
+      currency: invoice.currency,
+      amount: fromMinorUnits(invoice.amount, invoice.currency || DEFAULT_CURRENCY),
+      method: 'stripe',
+      status: 'succeeded',
+    };
+  }
+}
+
+// Refunds are read from the invoices they were issued against, so only this vendor's are scanned
+async function* exportRefundRecords({ vendor, customers, from, to, status, customerId }) {
+  const refundMatch = { 'refunds.createdAt': { $gte: from, $lte: to } };
+  if (status) refundMatch['refunds.status'] = status;
+
+  const refunds = Invoice.aggregate([
+    { $match: { customerId: customerId || { $in: vendor.customers }, 'refunds.createdAt': { $gte: from, $lte: to } } },
+    { $unwind: '$refunds' },
+    { $match: refundMatch },
+    { $sort: { 'refunds.createdAt': 1 } },
+    { $project: { id: 1, customerId: 1, currency: 1, refund: '$refunds' } },
+  ]).cursor();
+
+  for await (const { id: invoiceId, customerId: invoiceCustomerId, currency, refund } of refunds) {
+    const customer = customers.get(invoiceCustomerId) || {};
+    const invoiceCurrency = currency || DEFAULT_CURRENCY;
+    yield {
+      id: refund.refundId,
+      date: refund.createdAt,
+      customerId: invoiceCustomerId,
+      customerName: customer.name || invoiceCustomerId,
+      invoiceId,
+      chargeId: refund.chargeId || '',
+      memo: refund.chargeId ? `Refund of charge ${refund.chargeId} on invoice ${invoiceId}` : `Refund on invoice ${invoiceId}`,
+      currency: invoiceCurrency,
+      amount: fromMinorUnits(refund.amount, invoiceCurrency),
+      reason: refund.reason || '',
+      status: refund.status,
+    };
+  }
+}
+
+async function* exportPayoutRecords({ vendor, from, to, status }) {
+  if (!vendor.stripeConnectAccountId) return;
+
+  const payouts = paymentProvider.payouts.list(
+    { created: { gte: Math.floor(from.getTime() / 1000), lte: Math.floor(to.getTime() / 1000) }, limit: 100, ...(status ? { status } : {}) },
+    { stripeAccount: vendor.stripeConnectAccountId }
+  );
+
+  for await (const payout of payouts) {
+    yield {
+      id: payout.id,
+      date: new Date(payout.arrival_date * 1000),
+      currency: payout.currency,
+      amount: fromMinorUnits(payout.amount, payout.currency),
+      status: payout.status,
+      description: payout.description || 'Stripe payout',
+    };
+  }
+}
+
+const EXPORT_SOURCES = {
+  invoices: exportInvoiceRecords,
+  payments: exportPaymentRecords,
+  refunds: exportRefundRecords,
+  payouts: exportPayoutRecords,
+};
+
+// Export formatters. `header` is written once; `rows` turns one record into text.
+const EXPORT_FORMATTERS = {
+  csv: {
+    invoices: {
+      header: () => csvLine(['Invoice ID', 'Date', 'Due Date', 'Customer ID', 'Customer Name', 'Customer Email', 'Status', 'Currency', 'Subtotal', 'Discount', 'Tax', 'Total', 'Description']),
+      rows: (r) => csvLine([r.id, toDateString(r.date), toDateString(r.dueDate), r.customerId, r.customerName, r.customerEmail, r.status, (r.currency || '').toUpperCase(), r.subtotal, r.discountTotal, r.taxTotal, r.total, r.description]),
+    },
+    payments: {
+      header: () => csvLine(['Payment ID', 'Date', 'Customer ID', 'Customer Name', 'Invoice ID', 'Method', 'Status', 'Currency', 'Amount']),
+      rows: (r) => csvLine([r.id, toDateString(r.date), r.customerId, r.customerName, r.invoiceId, r.method, r.status, (r.currency || '').toUpperCase(), r.amount]),
+    },
+    refunds: {
+      header: () => csvLine(['Refund ID', 'Date', 'Customer ID', 'Customer Name', 'Invoice ID', 'Charge ID', 'Reason', 'Status', 'Currency', 'Amount']),
+      rows: (r) => csvLine([r.id, toDateString(r.date), r.customerId, r.customerName, r.invoiceId, r.chargeId, r.reason, r.status, r.currency.toUpperCase(), r.amount]),
+    },
+    payouts: {
+      header: () => csvLine(['Payout ID', 'Arrival Date', 'Status', 'Currency', 'Amount', 'Description']),
+      rows: (r) => csvLine([r.id, toDateString(r.date), r.status, r.currency.toUpperCase(), r.amount, r.description]),
+    },
+  },
+
+  // QuickBooks Desktop IIF: one TRNS line per transaction, balanced by SPL lines
+  iif: {
+    invoices: {
+      header: () => iifLine(['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO', 'DUEDATE'])
+        + iifLine(['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO', 'QNTY', 'PRICE'])
+        + iifLine(['!ENDTRNS']),
+      rows: (r) => {
+        const date = toIifDate(r.date);
+        let text = iifLine(['TRNS', '', 'INVOICE', date, QUICKBOOKS_ACCOUNTS.receivable, r.customerName, r.total, r.id, r.description, r.dueDate ? toIifDate(r.dueDate) : '']);
+        for (const item of r.lineItems) {
+          text += iifLine(['SPL', '', 'INVOICE', date, QUICKBOOKS_ACCOUNTS.sales, r.customerName, -item.subtotal, r.id, item.description, -item.quantity, item.unitPrice]);
+          if (item.discount) {
+            text += iifLine(['SPL', '', 'INVOICE', date, QUICKBOOKS_ACCOUNTS.discounts, r.customerName, item.discount, r.id, `Discount: ${item.description}`, '', '']);
+          }
+          if (item.taxAmount) {
+            text += iifLine(['SPL', '', 'INVOICE', date, QUICKBOOKS_ACCOUNTS.salesTax, r.customerName, -item.taxAmount, r.id, `Tax (${item.taxRate}%): ${item.description}`, '', '']);
+          }
+        }
+        return text + iifLine(['ENDTRNS']);
+      },
+    },
+    payments: {
+      header: () => iifLine(['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'])
+        + iifLine(['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'])
+        + iifLine(['!ENDTRNS']),
+      rows: (r) => iifLine(['TRNS', '', 'PAYMENT', toIifDate(r.date), QUICKBOOKS_ACCOUNTS.undeposited, r.customerName, r.amount, r.id, r.memo])
+        + iifLine(['SPL', '', 'PAYMENT', toIifDate(r.date), QUICKBOOKS_ACCOUNTS.receivable, r.customerName, -r.amount, r.id, r.memo])
+        + iifLine(['ENDTRNS']),
+    },
+    refunds: {
+      header: () => iifLine(['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'])
+        + iifLine(['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'])
+        + iifLine(['!ENDTRNS']),
+      rows: (r) => iifLine(['TRNS', '', 'GENERAL JOURNAL', toIifDate(r.date), QUICKBOOKS_ACCOUNTS.stripeBalance, r.customerName, -r.amount, r.id, `${r.memo}${r.reason ? ` (${r.reason})` : ''}`])
+        + iifLine(['SPL', '', 'GENERAL JOURNAL', toIifDate(r.date), QUICKBOOKS_ACCOUNTS.receivable, r.customerName, r.amount, r.id, r.memo])
+        + iifLine(['ENDTRNS']),
+    },
+    payouts: {
+      header: () => iifLine(['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'AMOUNT', 'DOCNUM', 'MEMO'])
+        + iifLine(['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'AMOUNT', 'DOCNUM', 'MEMO'])
+        + iifLine(['!ENDTRNS']),
+      rows: (r) => iifLine(['TRNS', '', 'TRANSFER', toIifDate(r.date), QUICKBOOKS_ACCOUNTS.stripeBalance, -r.amount, r.id, r.description])
+        + iifLine(['SPL', '', 'TRANSFER', toIifDate(r.date), QUICKBOOKS_ACCOUNTS.bank, r.amount, r.id, r.description])
+        + iifLine(['ENDTRNS']),
+    },
+  },
+
+  // Xero: invoices use the sales invoice import template (one row per line
+  // item); money movements use the bank statement import layout
+  xero: {
+    invoices: {
+      header: () => csvLine(['*ContactName', 'EmailAddress', '*InvoiceNumber', '*InvoiceDate', '*DueDate', 'Total', '*Description', '*Quantity', '*UnitAmount', 'Discount', '*AccountCode', '*TaxType', 'TaxAmount', 'Currency']),
+      rows: (r) => r.lineItems.map(item => csvLine([
+        r.customerName,
+        r.customerEmail,
+        r.id,
+        toDateString(r.date),
+        toDateString(r.dueDate || r.date),
+        r.total,
+        item.description,
+        item.quantity,
+        item.unitPrice,
+        item.discount ? Math.round((item.discount / item.subtotal) * 10000) / 100 : '', // Xero takes a percentage
+        XERO_SALES_ACCOUNT_CODE,
+        item.taxAmount ? 'Tax on Sales' : 'Tax Exempt',
+        item.taxAmount,
+        (r.currency || '').toUpperCase(),
+      ])).join(''),
+    },
+    payments: {
+      header: () => csvLine(['*Date', '*Amount', 'Payee', 'Description', 'Reference', 'Currency']),
+      rows: (r) => csvLine([toDateString(r.date), r.amount, r.customerName, r.memo, r.id, (r.currency || '').toUpperCase()]),
+    },
+    refunds: {
+      header: () => csvLine(['*Date', '*Amount', 'Payee', 'Description', 'Reference', 'Currency']),
+      rows: (r) => csvLine([toDateString(r.date), -r.amount, r.customerName, r.memo, r.id, r.currency.toUpperCase()]),
+    },
+    payouts: {
+      header: () => csvLine(['*Date', '*Amount', 'Payee', 'Description', 'Reference', 'Currency']),
+      rows: (r) => csvLine([toDateString(r.date), -r.amount, 'Stripe', r.description, r.id, r.currency.toUpperCase()]),
+    },
+  },
+};
+
+// Vendor: Export invoices, payments, refunds or payouts for their accountant.
+// Query: format (csv, iif or xero), from, to (dates; default the last 30 days), status, customerId
+app.get('/vendor/exports/:type', authenticateToken, requireRole('vendor'), async (req, res) => {
+  const { type } = req.params;
+  const { format = 'csv', status, customerId } = req.query;
+
+  if (!EXPORT_TYPES.includes(type)) {
+    return res.status(400).json({ message: `Export type must be one of ${EXPORT_TYPES.join(', ')}.` });
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Export format must be one of ${EXPORT_FORMATS.join(', ')}.` });
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return res.status(400).json({ message: 'from and to must be valid dates, with from before to.' });
+  }
+  if (req.query.to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+    to.setUTCHours(23, 59, 59, 999); // A bare end date includes that whole day
+  }
+
+  try {
+    const vendor = await Vendor.findOne({ username: req.user.username });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+    if (customerId && !vendor.customers.includes(customerId)) {
+      return res.status(403).json({ message: 'Access denied. This customer does not belong to your account.' });
+    }
+
+    const customers = new Map();
+    for (const customer of await Customer.find({ vendorUsername: vendor.username }).select('stripeCustomerId name email')) {
+      customers.set(customer.stripeCustomerId, customer);
+    }
+
+    const formatter = EXPORT_FORMATTERS[format][type];
+    const extension = format === 'iif' ? 'iif' : 'csv';
+    res.setHeader('Content-Type', format === 'iif' ? 'text/plain; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${type}-${format}-${toDateString(from)}-to-${toDateString(to)}.${extension}"`);
+    const lines = async function* exportLines() {
+      yield formatter.header();
+      for await (const record of EXPORT_SOURCES[type]({ vendor, customers, from, to, status, customerId })) {
+        yield formatter.rows(record);
+      }
+    };
+    // pipeline respects backpressure, so a slow client doesn't buffer the whole export, and
+    // stops reading (closing the cursor or Stripe pager) if the client goes away
+    await pipeline(Readable.from(lines()), res);
+
+    // Log activity
+    await logActivity({
+      eventType: 'export_generated',
+      description: `Vendor ${vendor.username} exported ${type} (${format}) from ${toDateString(from)} to ${toDateString(to)}.`,
+      relatedId: vendor._id,
+    }, { vendorUsername: vendor.username });
+  } catch (error) {
+    console.error('Error generating export:', error);
+    if (res.headersSent) {
+      return res.destroy(error); // Part of the file was sent; cut it off rather than leave it truncated silently
+    }
+    res.status(500).json({ message: 'Failed to generate export.', error: error.message });
+  }
+});
+
+// Recurring Invoices
+
+// Consecutive failures after which a schedule is paused for the vendor to look at
+const RECURRING_INVOICE_MAX_FAILURES = 5;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDayOfMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDayOfMonth));
+  return result;
+};
+
+// Date of a schedule's nth run (0 is the start date). Always counted from the
+// start date so month-end schedules don't drift (Jan 31, Feb 28, Mar 31, ...).
+const scheduleRunDate = (schedule, occurrence) => {
+  const start = new Date(schedule.startDate);
+  const steps = occurrence * schedule.intervalCount;
+  switch (schedule.interval) {
+    case 'day':
+      return new Date(start.getTime() + steps * 24 * 60 * 60 * 1000);
+    case 'week':
+      return new Date(start.getTime() + steps * 7 * 24 * 60 * 60 * 1000);
+    case 'month':
+      return addMonths(start, steps);
+    case 'year':
+      return addMonths(start, steps * 12);
+    default:
+      throw new Error(`Unknown interval ${schedule.interval}`);
+  }
+};
+
+// Schedule fields a request body may carry. Line item amounts are decimals and
+// stay that way on the schedule, since its currency may only be settled at each run.
+const RECURRING_INVOICE_BODY = {
+  customerId: check.string({ maxLength: 255 }),
+  lineItems: LINE_ITEMS_RULE,
+  amount: check.money(),
+  description: check.string({ nullable: true, maxLength: 500 }),
+  currency: check.currency({ nullable: true }),
+  interval: check.string({ oneOf: ['day', 'week', 'month', 'year'] }),
+  intervalCount: check.number({ min: 1, integer: true }),
+  startDate: check.date(),
+  endDate: check.date({ nullable: true }),
+  collectionMethod: check.string({ oneOf: ['charge_automatically', 'send_invoice'] }),
+  daysUntilDue: check.number({ min: 0, max: 365, integer: true }),
+  status: check.string({ oneOf: ['active', 'paused'] }),
+};
+
+// Read the schedule fields from a body checked against RECURRING_INVOICE_BODY. With
+// `existing`, only the fields present are taken and merged over the existing schedule.
+// Returns { fields }, { errors } when the line items don't price, or { error }.
+const parseRecurringInvoiceInput = (body, existing = null) => {
+  const fields = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!existing || has('lineItems') || has('amount')) {
+    // Priced in the schedule's currency if it has one, to catch amounts it can't hold
+    const currency = normalizeCurrency(body.currency) || (existing && existing.currency) || DEFAULT_CURRENCY;
+    const pricing = buildLineItems(body, currency);
+    if (pricing.errors) {
+      return { errors: pricing.errors };
+    }
+    fields.lineItems = pricing.lineItems.map(({ description, quantity, unitPrice, discount, taxRate }) => ({
+      description,
+      quantity,
+      unitPrice: fromMinorUnits(unitPrice, currency),
+      discount: fromMinorUnits(discount, currency),
+      taxRate,
+    }));
+  }
+  if (has('description')) {
+    fields.description = body.description;
+  }
+  if (has('currency')) {
+    fields.currency = body.currency === null ? null : normalizeCurrency(body.currency);
+  }
+  for (const field of ['interval', 'intervalCount', 'collectionMethod', 'daysUntilDue']) {
+    if (has(field)) {
+      fields[field] = body[field];
+    }
+  }
+  if (has('startDate')) {
+    const startDate = new Date(body.startDate);
+    if (startDate.getTime() < Date.now() - 24 * 60 * 60 * 1000) {
+      return { error: 'startDate cannot be in the past.' };
+    }
+    fields.startDate = startDate;
+  }
+  if (has('endDate')) {
+    fields.endDate = body.endDate === null ? null : new Date(body.endDate);
+  }
+
+  const startDate = fields.startDate || (existing && existing.startDate);
+  const endDate = fields.endDate !== undefined ? fields.endDate : existing && existing.endDate;
+  if (endDate && endDate < startDate) {
+    return { error: 'endDate must be after startDate.' };
+  }
+
+  return { fields };
+};
+
+// Generate every run of a schedule that is due, including runs missed while the
+// server was down. Each run is claimed by moving nextRunAt forward before the
+// invoice is created, so two scheduler instances never bill the same period. A run
+// that failed before its invoice was recorded is put back, and its retry reuses the
+// run's Stripe idempotency key, so an invoice Stripe already made is picked up, not made again.
+const runRecurringInvoiceSchedule = async (schedule, now = new Date()) => {
+  let generated = 0;
+  let current = schedule;
+
+  while (current && current.status === 'active' && current.nextRunAt && current.nextRunAt <= now) {
+    const runDate = current.nextRunAt;
+    const occurrence = current.nextOccurrence;
+    const nextOccurrence = occurrence + 1;
+    const nextRunAt = scheduleRunDate(current, nextOccurrence);
+    const ended = Boolean(current.endDate) && nextRunAt > current.endDate;
+
+    const claimed = await RecurringInvoice.findOneAndUpdate(
+      { _id: current._id, status: 'active', nextRunAt: runDate },
+      { nextOccurrence, nextRunAt: ended ? null : nextRunAt, status: ended ? 'ended' : 'active', lastRunAt: now },
+      { new: true }
+    );
+    if (!claimed) {
+      break; // Another instance got here first, or the vendor changed the schedule
+    }
+
+    let invoice = null;
+    try {
+      const vendor = await Vendor.findOne({ username: claimed.vendorUsername });
+      const result = await createInvoiceForCustomer({
+        customerId: claimed.customerId,
+        vendor,
+        currency: claimed.currency || undefined,
+        lineItems: claimed.lineItems.map(item => item.toObject()),
+        description: claimed.description,
+        collectionMethod: claimed.collectionMethod === 'charge_automatically' ? 'auto' : 'send_invoice',
+        daysUntilDue: claimed.daysUntilDue,
+        recurringInvoiceId: claimed._id,
+        idempotencyKey: `recurring:${claimed._id}:${occurrence}`,
+      });
+      if (result.errors) {
+        throw new Error(result.errors.map(error => error.message).join(' '));
+      }
+      invoice = result.invoice;
+
+      current = await RecurringInvoice.findByIdAndUpdate(claimed._id, { $inc: { runCount: 1 }, failureCount: 0, lastError: null }, { new: true });
+      generated += 1;
+
+      // Log activity
+      await logActivity({
+        eventType: 'recurring_invoice_generated',
+        description: `Recurring invoice ${result.invoice.id} generated for customer ${claimed.customerId} (vendor ${claimed.vendorUsername}) for the period starting ${runDate.toISOString().slice(0, 10)}${nextRunAt <= now ? ' (catching up a missed run)' : ''}.`,
+        relatedId: claimed._id,
+      }, { vendorUsername: claimed.vendorUsername, data: { recurringInvoice: claimed, invoice: formatInvoice(result.invoice) } });
+    } catch (error) {
+      console.error(`Error generating recurring invoice for schedule ${claimed._id}:`, error);
+      if (invoice) {
+        break; // The invoice was made; putting the run back would bill the period twice
+      }
+      const failureCount = claimed.failureCount + 1;
+      const paused = failureCount >= RECURRING_INVOICE_MAX_FAILURES;
+
+      // Put the run back so it is retried on the next tick
+      await RecurringInvoice.updateOne(
+        { _id: claimed._id },
+        { nextOccurrence: occurrence, nextRunAt: runDate, status: paused ? 'paused' : 'active', failureCount, lastError: error.message }
+      );
+
+      // Log activity
+      await logActivity({
+        eventType: 'recurring_invoice_failed',
+        description: `Recurring invoice for customer ${claimed.customerId} (vendor ${claimed.vendorUsername}) failed: ${error.message}${paused ? ` Schedule paused after ${failureCount} failed attempts.` : ''}`,
+        relatedId: claimed._id,
+      }, { vendorUsername: claimed.vendorUsername, data: { recurringInvoice: claimed, error: error.message } });
+      break;
+    }
+  }
+
+  return generated;
+};
+
+// Scheduler tick: generate invoices for every active schedule that is due
+const runRecurringInvoices = async (now = new Date()) => {
+  const dueSchedules = await RecurringInvoice.find({ status: 'active', nextRunAt: { $lte: now } });
+  let generated = 0;
+  for (const schedule of dueSchedules) {
+    generated += await runRecurringInvoiceSchedule(schedule, now);
+  }
+  return generated;
+};
+
+// Find one of the calling vendor's schedules, or answer 404
+const findVendorRecurringInvoice = async (req, res) => {
+  const schedule = mongoose.isValidObjectId(req.params.id)
+    ? await RecurringInvoice.findOne({ _id: req.params.id, vendorUsername: req.user.username })
+    : null;
+  if (!schedule) {
+    res.status(404).json({ message: 'Recurring invoice not found.' });
+    return null;
+  }
+  return schedule;
+};
+
+// Vendor: Create a recurring invoice schedule for one of their customers
+app.post('/vendor/recurring-invoices', authenticateToken, requireRole('vendor'), validateBody({
+  ...RECURRING_INVOICE_BODY,
+  customerId: check.string({ required: true, maxLength: 255 }),
+  interval: check.string({ required: true, oneOf: ['day', 'week', 'month', 'year'] }),
+  startDate: check.date({ required: true }),
+}), authorizeCustomerAccess(req => req.body.customerId), async (req, res) => {
+  const parsed = parseRecurringInvoiceInput(req.body);
+  if (parsed.errors) {
+    return sendValidationErrors(res, parsed.errors);
+  }
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+
+  try {
+    const schedule = new RecurringInvoice({ ...parsed.fields, vendorUsername: req.user.username, customerId: req.body.customerId });
+    schedule.nextRunAt = scheduleRunDate(schedule, 0);
+    await schedule.save();
+
+    // Log activity
+    await logActivity({
+      eventType: 'recurring_invoice_created',
+      description: `Recurring invoice created for customer ${schedule.customerId} by ${req.user.username}. Every ${schedule.intervalCount} ${schedule.interval}(s) from ${schedule.startDate.toISOString().slice(0, 10)}.`,
+      relatedId: schedule._id,
+    }, { vendorUsername: req.user.username, data: { recurringInvoice: schedule } });
+
+    res.status(201).json({ message: 'Recurring invoice created successfully.', recurringInvoice: schedule });
+  } catch (error) {
+    console.error('Error creating recurring invoice:', error);
+    res.status(500).json({ message: 'Failed to create recurring invoice.', error: error.message });
+  }
+});
+
+// Vendor: List their recurring invoice schedules
+app.get('/vendor/recurring-invoices', authenticateToken, requireRole('vendor'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: { createdAt: 'createdAt', nextRunAt: 'nextRunAt' }, defaultSort: '-createdAt' });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const query = { vendorUsername: req.user.username };
+    const filterError = applyListFilters(req.query, query, { dateField: 'createdAt' });
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    if (req.query.customerId) {
+      query.customerId = req.query.customerId;
+    }
+
+    const schedules = await paginate(RecurringInvoice, query, list);
+    res.status(200).json(schedules);
+  } catch (error) {
+    console.error('Error fetching recurring invoices:', error);
+    res.status(500).json({ message: 'Failed to fetch recurring invoices.', error: error.message });
+  }
+});
+
+// Vendor: Get a recurring invoice schedule and the invoices it generated
+app.get('/vendor/recurring-invoices/:id', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const schedule = await findVendorRecurringInvoice(req, res);
+    if (!schedule) return;
+
+    const invoices = await Invoice.find({ recurringInvoiceId: schedule._id }).sort({ createdAt: -1 });
+    res.status(200).json({ recurringInvoice: schedule, invoices: invoices.map(formatInvoice) });
+  } catch (error) {
+    console.error('Error fetching recurring invoice:', error);
+    res.status(500).json({ message: 'Failed to fetch recurring invoice.', error: error.message });
+  }
+});
+
+// Vendor: Update, pause or resume a recurring invoice schedule
+app.put('/vendor/recurring-invoices/:id', authenticateToken, requireRole('vendor'), validateBody(RECURRING_INVOICE_BODY), async (req, res) => {
+  try {
+    const schedule = await findVendorRecurringInvoice(req, res);
+    if (!schedule) return;
+
+    if (schedule.status === 'ended') {
+      return res.status(400).json({ message: 'This recurring invoice has ended.' });
+    }
+
+    const parsed = parseRecurringInvoiceInput(req.body, schedule);
+    if (parsed.errors) {
+      return sendValidationErrors(res, parsed.errors);
+    }
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const timingChanged = ['interval', 'intervalCount', 'startDate'].some(field => parsed.fields[field] !== undefined);
+    if (timingChanged && schedule.runCount > 0) {
+      return res.status(400).json({ message: 'The interval and start date cannot change once invoices have been generated. End this schedule and create a new one.' });
+    }
+
+    const { status } = req.body;
+    schedule.set(parsed.fields);
+    if (timingChanged) {
+      schedule.nextOccurrence = 0;
+    }
+    if (status === 'paused') {
+      schedule.status = 'paused';
+    } else if (status === 'active' && schedule.status === 'paused') {
+      // Resuming doesn't bill the periods skipped while paused
+      schedule.status = 'active';
+      schedule.failureCount = 0;
+      while (scheduleRunDate(schedule, schedule.nextOccurrence) < new Date()) {
+        schedule.nextOccurrence += 1;
+      }
+    }
+    schedule.nextRunAt = scheduleRunDate(schedule, schedule.nextOccurrence);
+    if (schedule.endDate && schedule.nextRunAt > schedule.endDate) {
+      schedule.status = 'ended';
+      schedule.nextRunAt = null;
+    }
+    await schedule.save();
+
+    // Log activity
+    await logActivity({
+      eventType: 'recurring_invoice_updated',
+      description: `Recurring invoice for customer ${schedule.customerId} updated by ${req.user.username}. Status: ${schedule.status}.`,
+      relatedId: schedule._id,
+    }, { vendorUsername: req.user.username, data: { recurringInvoice: schedule } });
+
+    res.status(200).json({ message: 'Recurring invoice updated successfully.', recurringInvoice: schedule });
+  } catch (error) {
+    console.error('Error updating recurring invoice:', error);
+    res.status(500).json({ message: 'Failed to update recurring invoice.', error: error.message });
+  }
+});
+
+// Vendor: End a recurring invoice schedule. The schedule is kept so its
+// generated invoices still link back to it.
+app.delete('/vendor/recurring-invoices/:id', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const schedule = await findVendorRecurringInvoice(req, res);
+    if (!schedule) return;
+
+    schedule.status = 'ended';
+    schedule.nextRunAt = null;
+    await schedule.save();
+
+    // Log activity
+    await logActivity({
+      eventType: 'recurring_invoice_ended',
+      description: `Recurring invoice for customer ${schedule.customerId} ended by ${req.user.username}.`,
+      relatedId: schedule._id,
+    }, { vendorUsername: req.user.username, data: { recurringInvoice: schedule } });
+
+    res.status(200).json({ message: 'Recurring invoice ended successfully.' });
+  } catch (error) {
+    console.error('Error ending recurring invoice:', error);
+    res.status(500).json({ message: 'Failed to end recurring invoice.', error: error.message });
+  }
+});
+
+// Admin: Run the recurring invoice scheduler now (e.g. from an external cron)
+app.post('/admin/jobs/recurring-invoices/run', authenticateToken, requireAdminLevel('super_admin'), async (req, res) => {
+  try {
+    const generated = await runRecurringInvoices();
+    res.status(200).json({ message: `Generated ${generated} recurring invoice(s).`, generated });
+  } catch (error) {
+    console.error('Error running recurring invoices:', error);
+    res.status(500).json({ message: 'Failed to run recurring invoices.', error: error.message });
+  }
+});
+
+// Overdue Tracking and Payment Reminders
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminder offsets are limited to this range of days around the due date
+const REMINDER_OFFSET_MIN = -30;
+const REMINDER_OFFSET_MAX = 90;
+
+// Move open and partially paid invoices past their due date to 'overdue'
+const markOverdueInvoices = async (now = new Date()) => {
+  const invoices = await Invoice.find({ status: { $in: ['open', 'partially_paid'] }, dueDate: { $ne: null, $lt: now } });
+
+  for (const invoice of invoices) {
+    const updated = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: invoice.status },
+      { status: 'overdue', overdueAt: now, $push: { statusHistory: { from: invoice.status, to: 'overdue', source: 'dunning', at: now } } },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    // Log activity
+    await logActivity({
+      eventType: 'invoice_overdue',
+      description: `Invoice ${invoice.id} for customer ${invoice.customerId} is overdue. It was due on ${invoice.dueDate.toISOString().slice(0, 10)}.`,
+      relatedId: invoice.id,
+    }, { vendorUsername: await invoiceVendorUsername(updated), data: { invoice: formatInvoice(updated) } });
+  }
+
+  return invoices.length;
+};
+
+const reminderText = (invoice, offsetDays) => {
+  const amount = moneyText(invoiceBalanceDue(invoice), invoice.currency || DEFAULT_CURRENCY);
+  const dueDate = invoice.dueDate.toISOString().slice(0, 10);
+  let subject;
+  if (offsetDays < 0) {
+    subject = `Reminder: invoice ${invoice.id} for ${amount} is due on ${dueDate}`;
+  } else if (offsetDays === 0) {
+    subject = `Invoice ${invoice.id} for ${amount} is due today`;
+  } else {
+    subject = `Invoice ${invoice.id} for ${amount} is ${offsetDays} day(s) overdue`;
+  }
+  const lines = [subject + '.'];
+  if (invoice.invoiceUrl) {
+    lines.push('', `View and pay the invoice: ${invoice.invoiceUrl}`);
+  }
+  lines.push('', 'If you have already paid, please ignore this email.');
+  return { subject, text: lines.join('\n') };
+};
+
+// Send the payment reminders that have come due under each vendor's schedule.
+// Only the latest due reminder is sent per invoice, so after downtime customers
+// get one up-to-date email rather than a burst of stale ones.
+const sendInvoiceReminders = async (now = new Date()) => {
+  const invoices = await Invoice.find({
+    status: { $in: PAYABLE_INVOICE_STATUSES },
+    dueDate: { $ne: null, $gte: new Date(now.getTime() - (REMINDER_OFFSET_MAX + 1) * DAY_MS), $lte: new Date(now.getTime() - REMINDER_OFFSET_MIN * DAY_MS) },
+  });
+
+  const vendors = new Map();
+  let sent = 0;
+  for (const invoice of invoices) {
+    const vendorKey = invoice.vendorUsername || `customer:${invoice.customerId}`;
+    if (!vendors.has(vendorKey)) {
+      const vendor = invoice.vendorUsername
+        ? await Vendor.findOne({ username: invoice.vendorUsername })
+        : await Vendor.findOne({ customers: invoice.customerId });
+      vendors.set(vendorKey, vendor);
+    }
+    const vendor = vendors.get(vendorKey);
+    if (!vendor || !vendor.remindersEnabled) continue;
+
+    const lastSentOffset = Math.max(-Infinity, ...invoice.remindersSent.map(reminder => reminder.offsetDays));
+    const dueOffsets = vendor.reminderSchedule
+      .filter(offsetDays => invoice.dueDate.getTime() + offsetDays * DAY_MS <= now.getTime())
+      .filter(offsetDays => offsetDays > lastSentOffset);
+    if (dueOffsets.length === 0) continue;
+    const offsetDays = Math.max(...dueOffsets);
+
+    try {
+      const customer = await paymentProvider.customers.retrieve(invoice.customerId);
+      if (!customer.email) {
+        throw new Error('Customer has no email address.');
+      }
+
+      const { subject, text } = reminderText(invoice, offsetDays);
+      await mailer.send({ to: customer.email, subject, text });
+      await Invoice.updateOne({ _id: invoice._id }, { $push: { remindersSent: { offsetDays, sentAt: now, to: customer.email } } });
+      sent += 1;
+
+      // Log activity
+      await logActivity({
+        eventType: 'invoice_reminder_sent',
+        description: `Payment reminder (${offsetDays} day(s) from due date) sent to ${customer.email} for invoice ${invoice.id}.`,
+        relatedId: invoice.id,
+      }, { vendorUsername: vendor.username, data: { invoice: formatInvoice(invoice), offsetDays } });
+    } catch (error) {
+      console.error(`Error sending reminder for invoice ${invoice.id}:`, error);
+
+      // Log activity
+      await logActivity({
+        eventType: 'invoice_reminder_failed',
+        description: `Payment reminder (${offsetDays} day(s) from due date) for invoice ${invoice.id} failed: ${error.message}`,
+        relatedId: invoice.id,
+      }, { vendorUsername: vendor.username, data: { invoice: formatInvoice(invoice), offsetDays, error: error.message } });
+    }
+  }
+
+  return sent;
+};
+
+// Dunning tick: flag overdue invoices, then send reminders
+const runInvoiceDunning = async (now = new Date()) => {
+  const markedOverdue = await markOverdueInvoices(now);
+  const remindersSent = await sendInvoiceReminders(now);
+  return { markedOverdue, remindersSent };
+};
+
+// Vendor: Configure payment reminders, e.g. { offsets: [-3, 0, 7] } sends one
+// 3 days before the due date, one on it and one a week after
+app.post('/vendor/set-reminder-schedule', authenticateToken, requireRole('vendor'), validateBody({
+  offsets: check.array(check.number({ min: REMINDER_OFFSET_MIN, max: REMINDER_OFFSET_MAX, integer: true, required: true }), { maxLength: 20 }),
+  enabled: check.boolean(),
+}), async (req, res) => {
+  const { offsets, enabled } = req.body;
+  const update = {};
+
+  if (offsets !== undefined) {
+    update.reminderSchedule = [...new Set(offsets)].sort((a, b) => a - b);
+  }
+  if (enabled !== undefined) {
+    update.remindersEnabled = enabled;
+  }
+
+  try {
+    const vendor = await Vendor.findOneAndUpdate({ username: req.user.username }, update, { new: true });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    res.status(200).json({ message: 'Reminder schedule updated.', remindersEnabled: vendor.remindersEnabled, reminderSchedule: vendor.reminderSchedule });
+  } catch (error) {
+    console.error('Error updating reminder schedule:', error);
+    res.status(500).json({ message: 'Failed to update reminder schedule.', error: error.message });
+  }
+});
+
+// Admin: Run the overdue check and reminders now (e.g. from an external cron)
+app.post('/admin/jobs/dunning/run', authenticateToken, requireAdminLevel('super_admin'), async (req, res) => {
+  try {
+    const result = await runInvoiceDunning();
+    res.status(200).json({ message: `Marked ${result.markedOverdue} invoice(s) overdue and sent ${result.remindersSent} reminder(s).`, ...result });
+  } catch (error) {
+    console.error('Error running dunning:', error);
+    res.status(500).json({ message: 'Failed to run dunning.', error: error.message });
+  }
+});
+
+// Monthly recurring amount of a Stripe subscription, summed over its recurring prices
+const subscriptionMonthlyAmount = (subscription) => {
+  const items = (subscription.items && subscription.items.data) || [];
+  const monthsPerInterval = { day: 12 / 365, week: 12 / 52, month: 1, year: 12 };
+  let currency = null;
+  const monthlyMinor = items.reduce((sum, item) => {
+    const price = item.price;
+    if (!price || !price.recurring || typeof price.unit_amount !== 'number') return sum;
+    currency = price.currency;
+    const months = monthsPerInterval[price.recurring.interval] * (price.recurring.interval_count || 1);
+    return sum + (price.unit_amount * (item.quantity || 1)) / months;
+  }, 0);
+  return currency ? { mrr: fromMinorUnits(Math.round(monthlyMinor), currency), currency } : null;
+};
+
+// Set a vendor's subscription status from a Stripe subscription, adding to the
+// history when the status or plan amount changed. The caller saves the vendor.
+const recordSubscriptionStatus = (vendor, subscription) => {
+  const amount = subscriptionMonthlyAmount(subscription);
+  const mrr = amount ? amount.mrr : vendor.subscriptionMrr;
+  const currency = amount ? amount.currency : vendor.subscriptionCurrency;
+  if (vendor.subscriptionStatus === subscription.status && vendor.subscriptionMrr === mrr && vendor.subscriptionHistory.length > 0) {
+    return;
+  }
+
+  vendor.set({ subscriptionStatus: subscription.status, subscriptionMrr: mrr, subscriptionCurrency: currency });
+  vendor.subscriptionHistory.push({ status: subscription.status, mrr, currency, changedAt: new Date() });
+};
+
+// Vendor subscribes to a plan
+app.post('/vendor/create-subscription', authenticateToken, requireRole('vendor'), validateBody({
+  paymentMethodId: check.string({ required: true, maxLength: 255 }),
+  vendorUsername: check.string(),
+}), authorizeVendorAccount(req => req.body.vendorUsername), async (req, res) => {
+  const { paymentMethodId } = req.body;
+  const vendorUsername = req.user.username;
+
+  try {
+    const vendor = await Vendor.findOne({ username: vendorUsername });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    // Attach the payment method to the customer
+    await paymentProvider.paymentMethods.attach(
+      paymentMethodId,
+      { customer: vendor.stripeCustomerId }
+    );
+
+    // Set the default payment method for the customer
+    await paymentProvider.customers.update(
+      vendor.stripeCustomerId,
+      { invoice_settings: { default_payment_method: paymentMethodId } }
+    );
+
+    // Create the subscription
+    const subscription = await paymentProvider.subscriptions.create({
+      customer: vendor.stripeCustomerId,
+      items: [{ price: 'price_12345' }], // Replace with your actual Stripe Price ID for $99/month
+      expand: ['latest_invoice.payment_intent'],
+    });
+
+    // Update vendor's subscription status
+    recordSubscriptionStatus(vendor, subscription);
+    await vendor.save();
+    console.log(`Vendor ${vendorUsername} subscribed:`, subscription.status);
+
+    // Log activity
+    await logActivity({
+      eventType: 'vendor_subscribed',
+      description: `Vendor ${vendorUsername} subscribed to plan. Status: ${subscription.status}`,
+      relatedId: vendor._id,
+    }, { vendorUsername: vendorUsername, data: { subscription: { id: subscription.id, status: subscription.status } } });
+
+    res.status(200).json({ message: 'Subscription successful!', subscriptionId: subscription.id, vendor: formatSessionVendor(vendor) });
+  } catch (error) {
+    console.error('Error creating subscription:', error);
+    res.status(500).json({ message: 'Failed to create subscription.', error: error.message });
+  }
+});
+
+// Request instant payout for vendors using Stripe Express
+app.post('/vendor/request-payout', authenticateToken, requireRole('vendor'), validateBody({
+  amount: check.money({ required: true }),
+  currency: check.currency(),
+  vendorUsername: check.string(),
+}), authorizeVendorAccount(req => req.body.vendorUsername), requireTwoFactorStepUp, handleIdempotencyKey, async (req, res) => {
+  const { amount, currency: requestedCurrency } = req.body;
+  const vendorUsername = req.user.username;
+
+  try {
+    const vendor = await Vendor.findOne({ username: vendorUsername });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    if (!vendor.stripeConnectAccountId) {
+      return res.status(400).json({ message: 'Stripe Express account not connected for this vendor.' });
+    }
+
+    // Payouts come out of the connected account's balance in the vendor's currency unless overridden
+    const currency = resolveCurrency(requestedCurrency, null, vendor);
+    const value = parseMoney(amount, currency);
+    if (value.error) {
+      return sendValidationErrors(res, [{ field: 'amount', message: `amount ${value.error}` }]);
+    }
+    const payout = await paymentProvider.payouts.create({
+      amount: value.minor, // amount in the currency's smallest unit
+      currency,
+    }, { stripeAccount: vendor.stripeConnectAccountId, ...idempotencyOptions(req.idempotencyKey, 'payout') });
+
+    console.log(`Payout of ${moneyText(value.minor, currency)} to ${vendor.username} (Stripe Connect Account: ${vendor.stripeConnectAccountId}) initiated. Payout ID: ${payout.id}`);
+
+    // Log activity
+    await logActivity({
+      eventType: 'payout_requested',
+      description: `Payout of ${moneyText(value.minor, currency)} requested by ${vendor.username}. Payout ID: ${payout.id}`,
+      relatedId: payout.id,
+      amount: value.minor,
+      currency,
+    }, { vendorUsername: vendor.username, data: { payout: formatPayout(payout) } });
+
+    res.status(200).json({ message: `Payout of ${moneyText(value.minor, currency)} requested successfully for ${vendor.username}. Payout ID: ${payout.id}` });
+  } catch (error) {
+    console.error('Error requesting payout:', error);
+    res.status(500).json({ message: 'Failed to request payout.', error: error.message });
+  }
+});
+
+// Invoice Lifecycle
+
+// Move a local invoice to the status returned by `nextStatus(currentStatus)`
+// (or to `nextStatus` itself) and apply `updates`, enforcing INVOICE_TRANSITIONS.
+// Staying in the same status only applies the updates. Rejected transitions are
+// logged and leave the invoice untouched. Returns { invoice, changed }, or one of
+// { notFound }, { rejected } or { conflict } when the status changed concurrently.
+const transitionInvoice = async (invoiceId, nextStatus, updates = {}, source = 'stripe') => {
+  const invoice = await Invoice.findOne({ id: invoiceId });
+  if (!invoice) {
+    return { notFound: true };
+  }
+
+  const from = invoice.status;
+  const to = typeof nextStatus === 'function' ? nextStatus(from) : nextStatus;
+  if (from !== to && !(INVOICE_TRANSITIONS[from] || []).includes(to)) {
+    console.warn(`Rejected invoice ${invoiceId} transition from ${from} to ${to} (${source}).`);
+    // Log activity
+    await logActivity({
+      eventType: 'invoice_transition_rejected',
+      description: `Invoice ${invoiceId} cannot move from ${from} to ${to} (${source}). Status left as ${from}.`,
+      relatedId: invoiceId,
+    }, { vendorUsername: await invoiceVendorUsername(invoice) });
+    return { invoice, rejected: true };
+  }
+
+  const change = from === to
+    ? updates
+    : { ...updates, status: to, $push: { statusHistory: { from, to, source, at: new Date() } } };
+  const updated = await Invoice.findOneAndUpdate({ _id: invoice._id, status: from }, change, { new: true });
+  if (!updated) {
+    return { invoice, conflict: true };
+  }
+  return { invoice: updated, changed: from !== to };
+};
+
+// Stripe invoices that are open for payment stay open (or overdue, or partially
+// paid) on events such as a resend or a failed charge attempt
+const keepOpen = (from) => (['overdue', 'partially_paid'].includes(from) ? from : 'open');
+
+const stripeTimestamp = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// Why the latest payment attempt on a Stripe invoice failed, read from its payment intent
+const fetchInvoicePaymentFailure = async (stripeInvoiceId) => {
+  const payments = await paymentProvider.invoicePayments.list({
+    invoice: stripeInvoiceId,
+    expand: ['data.payment.payment_intent'],
+  });
+  const paymentError = payments.data
+    .map(payment => payment.payment && payment.payment.payment_intent && payment.payment.payment_intent.last_payment_error)
+    .find(Boolean);
+  return paymentError ? paymentError.message || paymentError.decline_code || paymentError.code : null;
+};
+
+// Apply an invoice.* Stripe event to the local invoice. Throws on a concurrent
+// status change so the webhook event is retried.
+const applyInvoiceEvent = async (event) => {
+  const stripeInvoice = event.data.object;
+  let result;
+  let activity = null;
+
+  switch (event.type) {
+    case 'invoice.finalized':
+      result = await transitionInvoice(stripeInvoice.id, keepOpen, {
+        finalizedAt: stripeTimestamp(stripeInvoice.status_transitions && stripeInvoice.status_transitions.finalized_at) || new Date(),
+        ...(stripeInvoice.hosted_invoice_url ? { invoiceUrl: stripeInvoice.hosted_invoice_url } : {}),
+        ...(stripeInvoice.due_date ? { dueDate: stripeTimestamp(stripeInvoice.due_date) } : {}),
+      }, event.type);
+      break;
+    case 'invoice.sent':
+      result = await transitionInvoice(stripeInvoice.id, keepOpen, { sentAt: new Date(event.created * 1000) }, event.type);
+      break;
+    case 'invoice.payment_failed': {
+      let failureReason = null;
+      try {
+        failureReason = await fetchInvoicePaymentFailure(stripeInvoice.id);
+      } catch (lookupError) {
+        console.error(`Error fetching payment failure reason for invoice ${stripeInvoice.id}:`, lookupError);
+      }
+      result = await transitionInvoice(stripeInvoice.id, keepOpen, {
+        attemptCount: stripeInvoice.attempt_count || 0,
+        lastPaymentAttemptAt: new Date(event.created * 1000),
+        nextPaymentAttemptAt: stripeTimestamp(stripeInvoice.next_payment_attempt),
+        failureReason: failureReason || 'Payment attempt failed.',
+      }, event.type);
+      activity = {
+        eventType: 'invoice_payment_failed',
+        description: `Payment attempt ${stripeInvoice.attempt_count || 1} failed for invoice ${stripeInvoice.id} (${failureReason || 'no reason given'}).${stripeInvoice.next_payment_attempt ? ` Next attempt ${stripeTimestamp(stripeInvoice.next_payment_attempt).toISOString()}.` : ''}`,
+      };
+      break;
+    }
+    case 'invoice.payment_succeeded':
+      // Money Stripe collected goes through the payment ledger. Invoices paid out of
+      // band were settled by payments already recorded here.
+      if (!stripeInvoice.paid_out_of_band && stripeInvoice.amount_paid > 0) {
+        await recordStripeInvoicePayment(stripeInvoice);
+      }
+      result = await transitionInvoice(stripeInvoice.id, 'paid', {
+        paidAt: stripeTimestamp(stripeInvoice.status_transitions && stripeInvoice.status_transitions.paid_at) || new Date(event.created * 1000),
+        balanceDue: 0,
+        attemptCount: stripeInvoice.attempt_count || 0,
+        nextPaymentAttemptAt: null,
+        failureReason: null,
+      }, event.type);
+      activity = { eventType: 'invoice_paid', description: `Invoice ${stripeInvoice.id} paid successfully.`, amount: stripeInvoice.amount_paid, currency: stripeInvoice.currency };
+      break;
+    case 'invoice.voided':
+      result = await transitionInvoice(stripeInvoice.id, 'void', {
+        voidedAt: stripeTimestamp(stripeInvoice.status_transitions && stripeInvoice.status_transitions.voided_at) || new Date(event.created * 1000),
+        nextPaymentAttemptAt: null,
+      }, event.type);
+      activity = { eventType: 'invoice_voided', description: `Invoice ${stripeInvoice.id} voided.` };
+      break;
+    case 'invoice.marked_uncollectible':
+      result = await transitionInvoice(stripeInvoice.id, 'uncollectible', {
+        markedUncollectibleAt: stripeTimestamp(stripeInvoice.status_transitions && stripeInvoice.status_transitions.marked_uncollectible_at) || new Date(event.created * 1000),
+        nextPaymentAttemptAt: null,
+      }, event.type);
+      activity = { eventType: 'invoice_marked_uncollectible', description: `Invoice ${stripeInvoice.id} marked uncollectible.` };
+      break;
+    default:
+      return;
+  }
+
+  if (result.notFound) {
+    console.log(`Invoice not found for ID: ${stripeInvoice.id}.`);
+    return;
+  }
+  if (result.conflict) {
+    throw new Error(`Invoice ${stripeInvoice.id} changed status while applying ${event.type}.`);
+  }
+  if (result.rejected) {
+    return;
+  }
+
+  console.log(`Invoice ${stripeInvoice.id} is now ${result.invoice.status} after ${event.type}.`);
+  // Only log the first time; a repeated event that leaves the status alone is not news
+  if (activity && (result.changed || event.type === 'invoice.payment_failed')) {
+    // Log activity
+    await logActivity({ ...activity, relatedId: result.invoice._id }, {
+      vendorUsername: await invoiceVendorUsername(result.invoice),
+      data: { invoice: formatInvoice(result.invoice) },
+    });
+  }
+};
+
+// Dispute Helpers
+
+// Evidence fields Stripe accepts as text, and those that take an uploaded file
+const DISPUTE_EVIDENCE_TEXT_FIELDS = [
+  'access_activity_log', 'billing_address', 'cancellation_policy_disclosure', 'cancellation_rebuttal',
+  'customer_email_address', 'customer_name', 'customer_purchase_ip', 'duplicate_charge_explanation',
+  'duplicate_charge_id', 'product_description', 'refund_policy_disclosure', 'refund_refusal_explanation',
+  'service_date', 'shipping_address', 'shipping_carrier', 'shipping_date', 'shipping_tracking_number',
+  'uncategorized_text',
+];
+const DISPUTE_EVIDENCE_FILE_FIELDS = [
+  'cancellation_policy', 'customer_communication', 'customer_signature', 'duplicate_charge_documentation',
+  'receipt', 'refund_policy', 'service_documentation', 'shipping_documentation', 'uncategorized_file',
+];
+const DISPUTE_EVIDENCE_FILE_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+
+// Stripe statuses after which a dispute can no longer be changed
+const CLOSED_DISPUTE_STATUSES = ['won', 'lost', 'warning_closed', 'prevented'];
+
+// Outcome recorded when Stripe closes a dispute
+const disputeOutcome = (dispute, stripeStatus) => {
+  if (stripeStatus === 'won') return 'won';
+  if (stripeStatus === 'lost') return dispute.acceptedAt ? 'accepted' : 'lost';
+  return 'withdrawn'; // Inquiry closed without a chargeback
+};
+
+// Find the invoice, customer and vendor behind a disputed charge
+const resolveDisputeParties = async (stripeDispute) => {
+  const paymentIntentId = typeof stripeDispute.payment_intent === 'string'
+    ? stripeDispute.payment_intent
+    : stripeDispute.payment_intent && stripeDispute.payment_intent.id;
+
+  let invoice = null;
+  let customerId = null;
+  if (paymentIntentId) {
+    invoice = await findInvoiceByPaymentIntent(paymentIntentId);
+    if (!invoice) {
+      const paymentIntent = await paymentProvider.paymentIntents.retrieve(paymentIntentId);
+      customerId = paymentIntent.customer || null;
+    }
+  }
+  if (invoice) {
+    customerId = invoice.customerId;
+  }
+
+  let vendorUsername = invoice ? invoice.vendorUsername : null;
+  if (!vendorUsername && customerId) {
+    const customer = await Customer.findOne({ stripeCustomerId: customerId });
+    const vendor = customer ? null : await Vendor.findOne({ customers: customerId });
+    vendorUsername = customer ? customer.vendorUsername : vendor && vendor.username;
+  }
+
+  return { paymentIntentId: paymentIntentId || null, invoice, customerId, vendorUsername: vendorUsername || null };
+};
+
+// Evidence for contesting a dispute, taken from the invoice the charge paid
+const buildDisputeEvidence = async (invoice) => {
+  const data = formatInvoice(invoice);
+  const currency = data.currency || DEFAULT_CURRENCY;
+  const customer = await Customer.findOne({ stripeCustomerId: invoice.customerId });
+  const items = data.lineItems.map(item => `${item.quantity} x ${item.description}: ${formatMoney(item.total, currency)}`);
+  const evidence = {
+    product_description: items.join('\n'),
+    service_date: new Date(data.createdAt).toISOString().slice(0, 10),
+    uncategorized_text: [
+      `Invoice ${data.id} for ${formatMoney(data.total, currency)} was issued on ${new Date(data.createdAt).toISOString().slice(0, 10)}`
+        + `${data.paidAt ? ` and paid on ${new Date(data.paidAt).toISOString().slice(0, 10)}` : ''}.`,
+      data.invoiceUrl ? `Invoice: ${data.invoiceUrl}` : null,
+    ].filter(Boolean).join('\n'),
+  };
+  if (customer) {
+    if (customer.name) evidence.customer_name = customer.name;
+    if (customer.email) evidence.customer_email_address = customer.email;
+    const billingAddress = formatAddressLines(customer.billingAddress);
+    if (billingAddress.length > 0) evidence.billing_address = billingAddress.join(', ');
+  }
+  return evidence;
+};
+
+// Tell the vendor about a new dispute and what the policy did with it
+const notifyVendorOfDispute = async (dispute, summary) => {
+  const vendor = dispute.vendorUsername ? await Vendor.findOne({ username: dispute.vendorUsername }) : null;
+  const amount = formatMoney(fromMinorUnits(dispute.amount, dispute.currency), dispute.currency);
+  console.log(`ADMIN NOTIFICATION: Dispute ${dispute.disputeId} for ${amount} on charge ${dispute.chargeId}. ${summary}`);
+  if (!vendor) return;
+
+  try {
+    await mailer.send({
+      to: vendor.businessEmail || vendor.username,
+      subject: `A customer disputed a payment of ${amount}`,
+      text: [
+        `A customer has disputed charge ${dispute.chargeId}${dispute.invoiceId ? ` for invoice ${dispute.invoiceId}` : ''} (${amount}).`,
+        `Reason given: ${dispute.reason || 'not stated'}.`,
+        summary,
+        dispute.evidenceDueBy ? `Evidence is due by ${dispute.evidenceDueBy.toISOString().slice(0, 10)}.` : null,
+      ].filter(Boolean).join('\n\n'),
+    });
+  } catch (error) {
+    console.error(`Error emailing vendor ${vendor.username} about dispute ${dispute.disputeId}:`, error);
+  }
+};
+
+// Store a Stripe dispute locally, linked to its invoice and vendor, with the policy
+// in force for that vendor. Returns the existing record if there is one.
+const recordDispute = async (stripeDispute) => {
+  const parties = await resolveDisputeParties(stripeDispute);
+  const vendor = parties.vendorUsername ? await Vendor.findOne({ username: parties.vendorUsername }) : null;
+  const policy = (vendor && vendor.disputePolicy) || DEFAULT_DISPUTE_POLICY;
+
+  const dispute = await Dispute.findOneAndUpdate(
+    { disputeId: stripeDispute.id },
+    {
+      $setOnInsert: {
+        disputeId: stripeDispute.id,
+        chargeId: stripeDispute.charge,
+        paymentIntentId: parties.paymentIntentId,
+        invoiceId: parties.invoice ? parties.invoice.id : null,
+        customerId: parties.customerId,
+        vendorUsername: parties.vendorUsername,
+        amount: stripeDispute.amount,
+        currency: stripeDispute.currency,
+        reason: stripeDispute.reason,
+        status: stripeDispute.status,
+        policy,
+        evidenceDueBy: stripeDispute.evidence_details ? stripeTimestamp(stripeDispute.evidence_details.due_by) : null,
+        amountsInMinorUnits: true,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return { dispute, invoice: parties.invoice };
+};
+
+// Record a new Stripe dispute and apply the vendor's (or the platform's) policy.
+// Safe to run again for the same dispute: the policy is only applied once.
+const handleDisputeCreated = async (event) => {
+  const { dispute, invoice } = await recordDispute(event.data.object);
+  const { policy } = dispute;
+  if (dispute.actionTakenAt || CLOSED_DISPUTE_STATUSES.includes(dispute.status)) {
+    return;
+  }
+
+  // Log activity
+  await logActivity({
+    eventType: 'dispute_created',
+    description: `Dispute ${dispute.disputeId} created for charge ${dispute.chargeId}${dispute.invoiceId ? ` (invoice ${dispute.invoiceId})` : ''}. Amount: ${moneyText(dispute.amount, dispute.currency)}. Reason: ${dispute.reason || 'N/A'}. Policy: ${policy}.`,
+    relatedId: dispute.disputeId,
+    amount: dispute.amount,
+    currency: dispute.currency,
+  }, { vendorUsername: dispute.vendorUsername, data: { dispute: formatDispute(dispute) } });
+
+  let summary;
+  try {
+    if (policy === 'auto_refund') {
+      // A disputed charge can't be refunded; accepting the dispute returns the funds to the customer
+      const closed = await paymentProvider.disputes.close(dispute.disputeId, {}, { idempotencyKey: `dispute-accept-${dispute.disputeId}` });
+      dispute.set({ status: closed.status, acceptedAt: new Date(), acceptedBy: 'policy' });
+      summary = 'The dispute was accepted automatically and the customer keeps the funds.';
+    } else if (policy === 'contest' && invoice) {
+      const evidence = await buildDisputeEvidence(invoice);
+      const updated = await paymentProvider.disputes.update(dispute.disputeId, { evidence, submit: true });
+      dispute.set({ status: updated.status, evidence, evidenceSubmittedAt: new Date(), evidenceSubmittedBy: 'policy' });
+      summary = 'The dispute was contested automatically with the invoice details as evidence.';
+    } else {
+      summary = policy === 'contest'
+        ? 'The charge did not pay an invoice, so there is no evidence to contest with automatically. It is held for review.'
+        : 'The dispute is held for review. Upload evidence and submit it, or accept the dispute.';
+    }
+    dispute.actionTakenAt = new Date();
+  } catch (error) {
+    console.error(`Error applying ${policy} policy to dispute ${dispute.disputeId}:`, error);
+    dispute.set({ actionTakenAt: new Date(), actionError: error.message });
+    summary = `Applying the ${policy} policy FAILED (${error.message}). The dispute is held for review.`;
+
+    // Log activity
+    await logActivity({
+      eventType: 'dispute_action_failed',
+      description: `Applying the ${policy} policy to dispute ${dispute.disputeId} failed. Error: ${error.message}`,
+      relatedId: dispute.disputeId,
+    }, { vendorUsername: dispute.vendorUsername, data: { dispute: formatDispute(dispute) } });
+  }
+  dispute.updatedAt = new Date();
+  await dispute.save();
+
+  await notifyVendorOfDispute(dispute, summary);
+};
+
+// Sync status and evidence deadline from charge.dispute.updated / charge.dispute.closed
+const handleDisputeChanged = async (event) => {
+  const stripeDispute = event.data.object;
+  // Disputes opened before they were tracked are recorded without applying a policy
+  const dispute = await Dispute.findOne({ disputeId: stripeDispute.id }) || (await recordDispute(stripeDispute)).dispute;
+
+  dispute.set({
+    status: stripeDispute.status,
+    evidenceDueBy: stripeDispute.evidence_details ? stripeTimestamp(stripeDispute.evidence_details.due_by) : dispute.evidenceDueBy,
+    updatedAt: new Date(),
+  });
+
+  const closing = event.type === 'charge.dispute.closed' && !dispute.closedAt;
+  if (closing) {
+    dispute.set({ outcome: disputeOutcome(dispute, stripeDispute.status), closedAt: new Date(event.created * 1000) });
+  }
+  await dispute.save();
+
+  if (closing) {
+    // Log activity
+    await logActivity({
+      eventType: 'dispute_closed',
+      description: `Dispute ${dispute.disputeId} on charge ${dispute.chargeId} closed. Outcome: ${dispute.outcome}. Amount: ${moneyText(dispute.amount, dispute.currency)}.`,
+      relatedId: dispute.disputeId,
+      amount: dispute.amount,
+      currency: dispute.currency,
+    }, { vendorUsername: dispute.vendorUsername, data: { dispute: formatDispute(dispute) } });
+  }
+};
+
+// Dispute as returned by the API, with a decimal amount
+const formatDispute = (dispute) => {
+  const data = dispute.toObject ? dispute.toObject() : dispute;
+  const { _id, __v, amountsInMinorUnits, ...fields } = data;
+  return decimalAmounts(fields, ['amount'], fields.currency);
+};
+
+// Loads the dispute into req.dispute. Vendors may only reach disputes on their own
+// charges; use after requireVendorOrAdminLevel.
+const authorizeDisputeAccess = (getDisputeId) => async (req, res, next) => {
+  try {
+    const dispute = await Dispute.findOne({ disputeId: getDisputeId(req) });
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found.' });
+    }
+
+    if (req.user.role === 'vendor' && dispute.vendorUsername !== req.user.username) {
+      return res.status(403).json({ message: 'Access denied. This dispute does not belong to your account.' });
+    }
+
+    req.dispute = dispute;
+    next();
+  } catch (error) {
+    console.error('Error authorizing dispute access:', error);
+    res.status(500).json({ message: 'Failed to authorize request.', error: error.message });
+  }
+};
+
+// Reject changes to a dispute that Stripe has closed or that already has evidence submitted
+const ensureDisputeOpen = (req, res) => {
+  if (CLOSED_DISPUTE_STATUSES.includes(req.dispute.status) || req.dispute.acceptedAt) {
+    res.status(400).json({ message: `This dispute is already closed (${req.dispute.status}).` });
+    return false;
+  }
+  if (req.dispute.evidenceSubmittedAt) {
+    res.status(400).json({ message: 'Evidence for this dispute has already been submitted.' });
+    return false;
+  }
+  return true;
+};
+
+// Vendor: Set the dispute policy for your charges
+// Body: { policy } (null to follow the platform policy)
+app.post('/vendor/set-dispute-policy', authenticateToken, requireRole('vendor'), validateBody({
+  policy: check.string({ required: true, nullable: true, oneOf: DISPUTE_POLICIES }),
+}), async (req, res) => {
+  const { policy } = req.body;
+
+  try {
+    const vendor = await Vendor.findOneAndUpdate({ username: req.user.username }, { disputePolicy: policy }, { new: true });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    res.status(200).json({ message: 'Dispute policy updated.', disputePolicy: vendor.disputePolicy, effectivePolicy: vendor.disputePolicy || DEFAULT_DISPUTE_POLICY });
+  } catch (error) {
+    console.error('Error updating dispute policy:', error);
+    res.status(500).json({ message: 'Failed to update dispute policy.', error: error.message });
+  }
+});
+
+// List disputes. Vendors see their own; admins see all and may filter by vendorUsername.
+// Query: status, outcome, open ('true' for disputes not yet closed)
+app.get('/disputes', authenticateToken, requireVendorOrAdminLevel('support', 'finance'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: { createdAt: 'createdAt', amount: 'amount', evidenceDueBy: 'evidenceDueBy' }, defaultSort: '-createdAt' });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const { vendorUsername, customerId, outcome, open } = req.query;
+    const query = {};
+    const filterError = applyListFilters(req.query, query, { dateField: 'createdAt', amountField: 'amount', minorUnits: true });
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    if (req.user.role === 'vendor') {
+      query.vendorUsername = req.user.username;
+    } else if (vendorUsername) {
+      query.vendorUsername = vendorUsername;
+    }
+    if (customerId) query.customerId = customerId;
+    if (outcome) query.outcome = outcome;
+    if (open === 'true') query.closedAt = null;
+
+    const disputes = await paginate(Dispute, query, list);
+    res.status(200).json({ ...disputes, data: disputes.data.map(formatDispute) });
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({ message: 'Failed to fetch disputes.', error: error.message });
+  }
+});
+
+// Dispute win/loss statistics. Vendors see their own; admins see the platform or one vendorUsername
+app.get('/disputes/stats', authenticateToken, requireVendorOrAdminLevel('support', 'finance'), async (req, res) => {
+  try {
+    const match = {};
+    if (req.user.role === 'vendor') {
+      match.vendorUsername = req.user.username;
+    } else if (req.query.vendorUsername) {
+      match.vendorUsername = req.query.vendorUsername;
+    }
+
+    const [byOutcome, byCurrency] = await Promise.all([
+      Dispute.aggregate([
+        { $match: match },
+        { $group: { _id: '$outcome', count: { $sum: 1 } } },
+      ]),
+      Dispute.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$currency',
+            disputed: { $sum: '$amount' },
+            won: { $sum: { $cond: [{ $eq: ['$outcome', 'won'] }, '$amount', 0] } },
+            lost: { $sum: { $cond: [{ $in: ['$outcome', ['lost', 'accepted']] }, '$amount', 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const counts = { open: 0, won: 0, lost: 0, accepted: 0, withdrawn: 0 };
+    byOutcome.forEach(({ _id, count }) => {
+      counts[_id || 'open'] += count;
+    });
+    const decided = counts.won + counts.lost;
+
+    res.status(200).json({
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      ...counts,
+      winRate: decided > 0 ? counts.won / decided : null, // Share of contested disputes won
+      // Summed in minor units, reported as decimals
+      amountsByCurrency: byCurrency.reduce((totals, { _id, ...amounts }) => ({ ...totals, [_id]: decimalAmounts(amounts, ['disputed', 'won', 'lost'], _id) }), {}),
+    });
+  } catch (error) {
+    console.error('Error fetching dispute stats:', error);
+    res.status(500).json({ message: 'Failed to fetch dispute stats.', error: error.message });
+  }
+});
+
+// Get one dispute
+app.get('/disputes/:disputeId', authenticateToken, requireVendorOrAdminLevel('support', 'finance'), authorizeDisputeAccess(req => req.params.disputeId), async (req, res) => {
+  res.status(200).json(formatDispute(req.dispute));
+});
+
+// Stage text evidence on a dispute without submitting it. Body: Stripe evidence text fields, e.g. { product_description, refund_refusal_explanation }
+app.post('/disputes/:disputeId/evidence', authenticateToken, requireVendorOrAdminLevel('support'), validateBody(
+  Object.fromEntries(DISPUTE_EVIDENCE_TEXT_FIELDS.map(field => [field, check.string({ maxLength: 20000 })]))
+), authorizeDisputeAccess(req => req.params.disputeId), async (req, res) => {
+  if (!ensureDisputeOpen(req, res)) return;
+
+  const unknown = Object.keys(req.body).filter(field => !DISPUTE_EVIDENCE_TEXT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return sendValidationErrors(res, unknown.map(field => ({
+      field,
+      message: `${field} is not an evidence text field. Upload files to /disputes/${req.dispute.disputeId}/evidence/files.`,
+    })));
+  }
+
+  try {
+    await paymentProvider.disputes.update(req.dispute.disputeId, { evidence: req.body, submit: false });
+    req.dispute.set({ evidence: { ...req.dispute.evidence, ...req.body }, updatedAt: new Date() });
+    await req.dispute.save();
+
+    res.status(200).json({ message: 'Evidence saved. Submit it when it is complete.', dispute: formatDispute(req.dispute) });
+  } catch (error) {
+    console.error('Error saving dispute evidence:', error);
+    res.status(500).json({ message: 'Failed to save dispute evidence.', error: error.message });
+  }
+});
+
+// Upload an evidence file (PDF, PNG or JPEG, up to 5 MB) sent as the raw request body.
+// Query: field (a Stripe evidence file field, e.g. 'receipt'), filename
+app.post('/disputes/:disputeId/evidence/files', authenticateToken, requireVendorOrAdminLevel('support'), authorizeDisputeAccess(req => req.params.disputeId), bodyParser.raw({ type: DISPUTE_EVIDENCE_FILE_TYPES, limit: '5mb' }), async (req, res) => {
+  if (!ensureDisputeOpen(req, res)) return;
+
+  const { field, filename } = req.query;
+  if (!DISPUTE_EVIDENCE_FILE_FIELDS.includes(field)) {
+    return res.status(400).json({ message: `field must be one of ${DISPUTE_EVIDENCE_FILE_FIELDS.join(', ')}.` });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ message: `Send the file as the request body with a Content-Type of ${DISPUTE_EVIDENCE_FILE_TYPES.join(', ')}.` });
+  }
+
+  try {
+    const contentType = req.headers['content-type'].split(';')[0].trim();
+    const file = await paymentProvider.files.create({
+      purpose: 'dispute_evidence',
+      file: {
+        data: req.body,
+        name: filename || `${field}.${contentType.split('/')[1]}`,
+        type: contentType,
+      },
+    });
+    await paymentProvider.disputes.update(req.dispute.disputeId, { evidence: { [field]: file.id }, submit: false });
+    req.dispute.set({ evidence: { ...req.dispute.evidence, [field]: file.id }, updatedAt: new Date() });
+    await req.dispute.save();
+
+    res.status(200).json({ message: 'Evidence file uploaded.', field, fileId: file.id, dispute: formatDispute(req.dispute) });
+  } catch (error) {
+    console.error('Error uploading dispute evidence file:', error);
+    res.status(500).json({ message: 'Failed to upload evidence file.', error: error.message });
+  }
+});
+
+// Submit the staged evidence to Stripe. This can only be done once.
+app.post('/disputes/:disputeId/submit', authenticateToken, requireVendorOrAdminLevel('support'), authorizeDisputeAccess(req => req.params.disputeId), async (req, res) => {
+  if (!ensureDisputeOpen(req, res)) return;
+
+  if (Object.keys(req.dispute.evidence || {}).length === 0) {
+    return res.status(400).json({ message: 'Add evidence before submitting.' });
+  }
+
+  try {
+    const updated = await paymentProvider.disputes.update(req.dispute.disputeId, { submit: true });
+    req.dispute.set({ status: updated.status, evidenceSubmittedAt: new Date(), evidenceSubmittedBy: req.user.username, updatedAt: new Date() });
+    await req.dispute.save();
+
+    // Log activity
+    await logActivity({
+      eventType: 'dispute_evidence_submitted',
+      description: `Evidence for dispute ${req.dispute.disputeId} submitted by ${req.user.username}.`,
+      relatedId: req.dispute.disputeId,
+    }, { vendorUsername: req.dispute.vendorUsername, data: { dispute: formatDispute(req.dispute) } });
+
+    res.status(200).json({ message: 'Evidence submitted to Stripe.', dispute: formatDispute(req.dispute) });
+  } catch (error) {
+    console.error('Error submitting dispute evidence:', error);
+    res.status(500).json({ message: 'Failed to submit dispute evidence.', error: error.message });
+  }
+});
+
+// Accept a dispute (the customer keeps the funds) instead of contesting it
+app.post('/disputes/:disputeId/accept', authenticateToken, requireVendorOrAdminLevel('support'), authorizeDisputeAccess(req => req.params.disputeId), async (req, res) => {
+  if (!ensureDisputeOpen(req, res)) return;
+
+  try {
+    const closed = await paymentProvider.disputes.close(req.dispute.disputeId);
+    req.dispute.set({ status: closed.status, acceptedAt: new Date(), acceptedBy: req.user.username, updatedAt: new Date() });
+    await req.dispute.save();
+
+    // Log activity
+    await logActivity({
+      eventType: 'dispute_accepted',
+      description: `Dispute ${req.dispute.disputeId} on charge ${req.dispute.chargeId} accepted by ${req.user.username}.`,
+      relatedId: req.dispute.disputeId,
+    }, { vendorUsername: req.dispute.vendorUsername, data: { dispute: formatDispute(req.dispute) } });
+
+    res.status(200).json({ message: 'Dispute accepted.', dispute: formatDispute(req.dispute) });
+  } catch (error) {
+    console.error('Error accepting dispute:', error);
+    res.status(500).json({ message: 'Failed to accept dispute.', error: error.message });
+  }
+});
+
+// Stripe Webhook Handling
+
+// Apply one verified Stripe event. Errors are thrown rather than swallowed so
+// the event store can record the failure and retry the event.
+const handleStripeEvent = async (event) => {
+  switch (event.type) {
+    case 'charge.dispute.created':
+      await handleDisputeCreated(event);
+      break;
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed':
+      await handleDisputeChanged(event);
+      break;
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      const subscription = event.data.object;
+      const stripeCustomerId = subscription.customer;
+      const newStatus = subscription.status;
+      console.log(`Subscription updated for customer ${stripeCustomerId}. New status: ${newStatus}`);
+      const vendor = await Vendor.findOne({ stripeCustomerId: stripeCustomerId });
+      if (vendor) {
+        recordSubscriptionStatus(vendor, subscription);
+        await vendor.save();
+        console.log(`Vendor ${vendor.username} subscription status updated to ${newStatus}.`);
+        // Log activity
+        await logActivity({
+          eventType: 'subscription_status_updated',
+          description: `Vendor ${vendor.username} subscription status updated to ${newStatus}.`,
+          relatedId: vendor._id,
+        }, { vendorUsername: vendor.username, data: { subscription: { id: subscription.id, status: newStatus } } });
+      } else {
+        console.log(`Vendor not found for Stripe Customer ID: ${stripeCustomerId}.`);
+      }
+      break;
+    case 'invoice.finalized':
+    case 'invoice.sent':
+    case 'invoice.payment_failed':
+    case 'invoice.payment_succeeded':
+    case 'invoice.voided':
+    case 'invoice.marked_uncollectible':
+      await applyInvoiceEvent(event);
+      break;
+    case 'payment_intent.succeeded':
+      // Only card payments taken through /create-payment-intent; Stripe invoice payments arrive as invoice.payment_succeeded
+      if (event.data.object.metadata && event.data.object.metadata.source === 'create-payment-intent') {
+        await recordCardPayment(event.data.object);
+      }
+      break;
+    case 'payout.paid':
+    case 'payout.succeeded':
+      const succeededPayout = event.data.object;
+      console.log(`Payout succeeded for ID: ${succeededPayout.id}.`);
+      await logActivity({
+        eventType: 'payout_succeeded',
+        description: `Payout succeeded for ID: ${succeededPayout.id}. Amount: ${moneyText(succeededPayout.amount, succeededPayout.currency)}.`,
+        relatedId: succeededPayout.id,
+        amount: succeededPayout.amount,
+        currency: succeededPayout.currency,
+      }, { vendorUsername: await connectAccountVendorUsername(event.account), data: { payout: formatPayout(succeededPayout) } });
+      break;
+    case 'payout.failed':
+      const failedPayout = event.data.object;
+      console.log(`Payout failed for ID: ${failedPayout.id}. Reason: ${failedPayout.failure_code || 'N/A'}.`);
+      await logActivity({
+        eventType: 'payout_failed',
+        description: `Payout failed for ID: ${failedPayout.id}. Reason: ${failedPayout.failure_code || 'N/A'}.`,
+        relatedId: failedPayout.id,
+        amount: failedPayout.amount,
+        currency: failedPayout.currency,
+      }, { vendorUsername: await connectAccountVendorUsername(event.account), data: { payout: formatPayout(failedPayout) } });
+      break;
+    case 'charge.refunded':
+      const refundedCharge = event.data.object;
+      console.log(`Charge refunded for ID: ${refundedCharge.id}.`);
+      await logActivity({
+        eventType: 'charge_refunded',
+        description: `Charge refunded for ID: ${refundedCharge.id}. Amount: ${moneyText(refundedCharge.amount_refunded, refundedCharge.currency)}.`,
+        relatedId: refundedCharge.id,
+        amount: refundedCharge.amount_refunded,
+        currency: refundedCharge.currency,
+      }, {
+        vendorUsername: refundedCharge.customer ? await findCustomerVendorUsername(refundedCharge.customer) : null,
+        data: { charge: { id: refundedCharge.id, paymentIntentId: refundedCharge.payment_intent, amountRefunded: fromMinorUnits(refundedCharge.amount_refunded, refundedCharge.currency), currency: refundedCharge.currency } },
+      });
+      // Bring the paid invoice's refunds in line, including refunds made from the Stripe Dashboard
+      if (refundedCharge.payment_intent) {
+        const refundedInvoice = await findInvoiceByPaymentIntent(refundedCharge.payment_intent);
+        if (refundedInvoice) {
+          const refunds = await paymentProvider.refunds.list({ charge: refundedCharge.id, limit: 100 });
+          await syncInvoiceRefunds(refundedInvoice, refunds.data);
+        }
+      }
+      break;
+    case 'customer.updated':
+      const updatedCustomer = event.data.object;
+      await Customer.updateOne(
+        { stripeCustomerId: updatedCustomer.id },
+        { ...customerFieldsFromStripe(updatedCustomer), updatedAt: new Date() }
+      );
+      break;
+    case 'customer.deleted':
+      const deletedCustomer = event.data.object;
+      await Customer.updateOne(
+        { stripeCustomerId: deletedCustomer.id },
+        { archived: true, archivedAt: new Date(), updatedAt: new Date() }
+      );
+      break;
+    // ... handle other event types
+    default:
+      console.log(`Unhandled event type ${event.type}`);
+  }
+};
+
+// Retry schedule for events whose handler failed: 1 minute, doubling up to
+// 6 hours between attempts, giving up after WEBHOOK_MAX_ATTEMPTS.
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const webhookRetryDelay = (attempts) => Math.min(60 * 1000 * 2 ** (attempts - 1), 6 * 60 * 60 * 1000);
+// An event left 'processing' this long (e.g. the server died mid-handler) is retried
+const WEBHOOK_PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Claim a stored event and run its handler, recording the outcome. With
+// `force` (admin replay) the event is run again whatever its status.
+const processWebhookEvent = async (eventId, { force = false } = {}) => {
+  const claimable = force
+    ? { eventId, status: { $ne: 'processing' } }
+    : {
+      eventId,
+      $or: [
+        { status: 'pending' },
+        { status: 'failed', attempts: { $lt: WEBHOOK_MAX_ATTEMPTS } },
+        { status: 'processing', lockedAt: { $lt: new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MS) } },
+      ],
+    };
+  const stored = await WebhookEvent.findOneAndUpdate(
+    claimable,
+    { status: 'processing', lockedAt: new Date(), $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!stored) {
+    return null; // Already processed, given up on, or being handled elsewhere
+  }
+
+  try {
+    await handleStripeEvent(stored.payload);
+    stored.set({ status: 'processed', processedAt: new Date(), lastError: null, nextAttemptAt: null, lockedAt: null });
+  } catch (error) {
+    console.error(`Error handling webhook event ${stored.eventId} (${stored.type}), attempt ${stored.attempts}:`, error);
+    const exhausted = stored.attempts >= WEBHOOK_MAX_ATTEMPTS;
+    stored.set({
+      status: 'failed',
+      lastError: error.message,
+      nextAttemptAt: exhausted ? null : new Date(Date.now() + webhookRetryDelay(stored.attempts)),
+      lockedAt: null,
+    });
+  }
+  await stored.save();
+  return stored;
+};
+
+// Verify a Stripe webhook delivery, store the event once, and process it unless
+// it has been seen before. Returns { event, duplicate, stored }.
+const ingestStripeWebhook = async (rawBody, signature) => {
+  const event = paymentProvider.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+
+  const existing = await WebhookEvent.findOneAndUpdate(
+    { eventId: event.id },
+    { $setOnInsert: { eventId: event.id, type: event.type, livemode: Boolean(event.livemode), payload: event, status: 'pending', receivedAt: new Date() } },
+    { upsert: true, new: false }
+  );
+  if (existing) {
+    await WebhookEvent.updateOne({ eventId: event.id }, { $inc: { deliveries: 1 } });
+    return { event, duplicate: true, stored: existing };
+  }
+
+  const stored = await processWebhookEvent(event.id);
+  return { event, duplicate: false, stored };
+};
+
+// Retry tick: rerun failed events whose backoff has passed and events stuck mid-processing
+const retryWebhookEvents = async (now = new Date()) => {
+  const due = await WebhookEvent.find({
+    $or: [
+      { status: 'failed', attempts: { $lt: WEBHOOK_MAX_ATTEMPTS }, nextAttemptAt: { $lte: now } },
+      { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - WEBHOOK_PROCESSING_TIMEOUT_MS) } },
+      { status: 'pending', receivedAt: { $lt: new Date(now.getTime() - WEBHOOK_PROCESSING_TIMEOUT_MS) } },
+    ],
+  }).select('eventId').limit(100);
+
+  let retried = 0;
+  for (const { eventId } of due) {
+    if (await processWebhookEvent(eventId)) retried += 1;
+  }
+  return retried;
+};
+
+// Vendor Webhooks. Activity that concerns a vendor is also sent to the webhook
+// endpoints they registered, as signed JSON, retried on the same schedule as
+// incoming Stripe events.
+
+// Activity event types a vendor can subscribe to
+const VENDOR_WEBHOOK_EVENT_TYPES = [
+  'customer_added', 'customer_archived', 'customer_deleted',
+  'invoice_created', 'invoice_paid', 'invoice_partially_paid', 'invoice_payment_failed', 'invoice_overdue',
+  'invoice_voided', 'invoice_marked_uncollectible', 'invoice_refunded', 'invoice_credit_note_issued',
+  'invoice_reminder_sent', 'invoice_reminder_failed',
+  'payment_recorded', 'payment_allocated', 'charge_refunded',
+  'recurring_invoice_created', 'recurring_invoice_updated', 'recurring_invoice_generated', 'recurring_invoice_failed', 'recurring_invoice_ended',
+  'payout_requested', 'payout_succeeded', 'payout_failed',
+  'dispute_created', 'dispute_action_failed', 'dispute_evidence_submitted', 'dispute_accepted', 'dispute_closed',
+  'vendor_subscribed', 'subscription_status_updated', 'subscription_canceled',
+];
+const VENDOR_WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const VENDOR_WEBHOOK_ATTEMPT_LOG_SIZE = 20;
+
+// Signature header: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the endpoint secret>`
+const signVendorWebhook = (secret, timestamp, body) => `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Addresses webhooks are never sent to: loopback, private networks, link-local (which
+// includes cloud metadata services), carrier-grade NAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const INTERNAL_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isInternalAddress = (address) => INTERNAL_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Hosts a developer may point an endpoint at over plain http outside production
+const LOCAL_WEBHOOK_HOSTS = ['localhost', '127.0.0.1'];
+const allowsLocalWebhook = (url) => LOCAL_WEBHOOK_HOSTS.includes(url.hostname) && process.env.NODE_ENV !== 'production';
+
+// dns.lookup that fails for hosts resolving to an internal address. Deliveries connect
+// through it, so a host can't pass the check and then resolve elsewhere for the request.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const internal = addresses.find(({ address }) => isInternalAddress(address));
+    if (internal) {
+      return callback(new Error(`${hostname} resolves to ${internal.address}, a private or internal address.`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Why webhooks can't be sent to `url` (a URL), or null when they can
+const webhookUrlError = async (url) => {
+  if (allowsLocalWebhook(url)) {
+    return null;
+  }
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) {
+    return isInternalAddress(host) ? 'url must not point to a private or internal address.' : null;
+  }
+  return new Promise((resolve) => {
+    publicLookup(host, {}, (error) => {
+      if (!error) return resolve(null);
+      resolve(error.code ? `url host ${host} could not be resolved.` : 'url must not point to a private or internal address.');
+    });
+  });
+};
+
+// POST `body` to a webhook URL through publicLookup. Resolves with the response status.
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: allowsLocalWebhook(url) ? dns.lookup : publicLookup,
+    signal: AbortSignal.timeout(VENDOR_WEBHOOK_TIMEOUT_MS),
+  }, (response) => {
+    response.resume(); // The response body isn't used
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Endpoint fields a request body may carry
+const WEBHOOK_ENDPOINT_BODY = {
+  url: check.string({ maxLength: 2048 }),
+  eventTypes: check.array(check.string({ required: true, oneOf: ['*', ...VENDOR_WEBHOOK_EVENT_TYPES] }), { minLength: 1 }),
+  description: check.string({ nullable: true, maxLength: 200 }),
+  enabled: check.boolean(),
+};
+
+// Read endpoint fields from a body checked against WEBHOOK_ENDPOINT_BODY. With `partial`,
+// only the fields present are taken. Resolves with { fields } or { errors }.
+const parseWebhookEndpointInput = async (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial || body.url !== undefined) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      return { errors: [{ field: 'url', message: 'url must be a valid URL.' }] };
+    }
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && allowsLocalWebhook(url))) {
+      return { errors: [{ field: 'url', message: 'url must use https.' }] };
+    }
+    const urlError = await webhookUrlError(url);
+    if (urlError) {
+      return { errors: [{ field: 'url', message: urlError }] };
+    }
+    fields.url = url.toString();
+  }
+  if (body.eventTypes !== undefined) {
+    fields.eventTypes = [...new Set(body.eventTypes)];
+  }
+  if (body.description !== undefined) {
+    fields.description = body.description || null;
+  }
+  if (partial && body.enabled !== undefined) {
+    fields.enabled = body.enabled;
+  }
+  return { fields };
+};
+
+// Endpoint as returned to the vendor. The secret is only included when it was just generated.
+const formatWebhookEndpoint = (endpoint, { includeSecret = false } = {}) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  description: endpoint.description,
+  eventTypes: endpoint.eventTypes,
+  enabled: endpoint.enabled,
+  ...(includeSecret ? { secret: endpoint.secret } : {}),
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt,
+});
+
+const formatWebhookDelivery = (delivery, { includePayload = false } = {}) => ({
+  id: delivery._id,
+  endpointId: delivery.endpointId,
+  eventId: delivery.eventId,
+  eventType: delivery.eventType,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  lastStatusCode: delivery.lastStatusCode,
+  lastError: delivery.lastError,
+  nextAttemptAt: delivery.nextAttemptAt,
+  deliveredAt: delivery.deliveredAt,
+  createdAt: delivery.createdAt,
+  ...(includePayload ? { payload: delivery.payload, attemptLog: delivery.attemptLog } : {}),
+});
+
+// Claim a delivery and POST it to its endpoint, recording the outcome. With `force`
+// (a manual redelivery) it is sent again whatever its status or attempt count.
+const deliverVendorWebhook = async (deliveryId, { force = false } = {}) => {
+  const staleLock = { status: 'delivering', lockedAt: { $lt: new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MS) } };
+  const claimable = force
+    ? { _id: deliveryId, $or: [{ status: { $ne: 'delivering' } }, staleLock] }
+    : { _id: deliveryId, $or: [{ status: { $in: ['pending', 'failed'] }, attempts: { $lt: WEBHOOK_MAX_ATTEMPTS } }, staleLock] };
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    claimable,
+    { status: 'delivering', lockedAt: new Date(), $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!delivery) {
+    return null; // Delivered, given up on, or being sent elsewhere
+  }
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId);
+  const startedAt = new Date();
+  let statusCode = null;
+  let error = null;
+  if (!endpoint) {
+    error = 'The webhook endpoint was deleted.';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const url = new URL(endpoint.url);
+    try {
+      // Checked again here: the host may have been repointed since the endpoint was saved
+      error = await webhookUrlError(url);
+      if (!error) {
+        statusCode = await postWebhook(url, {
+          'Content-Type': 'application/json',
+          'User-Agent': 'InvoiceManagement-Webhooks/1.0',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Signature': signVendorWebhook(endpoint.secret, Math.floor(startedAt.getTime() / 1000), body),
+        }, body);
+        if (statusCode < 200 || statusCode >= 300) {
+          error = `Endpoint responded with HTTP ${statusCode}.`;
+        }
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+  }
+
+  // A missing endpoint won't come back, so there is no point retrying
+  const retry = error && endpoint && delivery.attempts < WEBHOOK_MAX_ATTEMPTS;
+  delivery.set({
+    status: error ? 'failed' : 'succeeded',
+    lastStatusCode: statusCode,
+    lastError: error,
+    nextAttemptAt: retry ? new Date(Date.now() + webhookRetryDelay(delivery.attempts)) : null,
+    deliveredAt: error ? delivery.deliveredAt : new Date(),
+    lockedAt: null,
+    attemptLog: [...delivery.attemptLog, { at: startedAt, statusCode, error, durationMs: Date.now() - startedAt.getTime() }].slice(-VENDOR_WEBHOOK_ATTEMPT_LOG_SIZE),
+  });
+  await delivery.save();
+  return delivery;
+};
+
+// Queue an activity entry for each of the vendor's endpoints subscribed to its type
+// and make the first attempt without waiting for it. Returns the deliveries.
+const emitVendorEvent = async (vendorUsername, activity, data) => {
+  if (!VENDOR_WEBHOOK_EVENT_TYPES.includes(activity.eventType)) {
+    return [];
+  }
+  const endpoints = await WebhookEndpoint.find({ vendorUsername, enabled: true, eventTypes: { $in: [activity.eventType, '*'] } });
+  if (endpoints.length === 0) {
+    return [];
+  }
+
+  const event = JSON.parse(JSON.stringify({
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: activity.eventType,
+    created: activity.timestamp,
+    description: activity.description,
+    relatedId: activity.relatedId || null,
+    data,
+  }));
+  const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+    endpointId: endpoint._id,
+    vendorUsername,
+    eventId: event.id,
+    eventType: event.type,
+    payload: event,
+  })));
+
+  for (const delivery of deliveries) {
+    deliverVendorWebhook(delivery._id)
+      .catch(error => console.error(`Error delivering webhook ${delivery._id} to vendor ${vendorUsername}:`, error));
+  }
+  return deliveries;
+};
+
+// Write an activity log entry. When it concerns a vendor, it is also sent to the
+// vendor's webhook endpoints with `data` as the event details.
+const logActivity = async (entry, { vendorUsername = null, data = {} } = {}) => {
+  const activity = await ActivityLog.create({ ...entry, vendorUsername });
+  if (vendorUsername) {
+    try {
+      await emitVendorEvent(vendorUsername, activity, data);
+    } catch (error) {
+      // The activity itself is recorded; a webhook problem shouldn't fail the caller
+      console.error(`Error queuing ${entry.eventType} webhooks for vendor ${vendorUsername}:`, error);
+    }
+  }
+  return activity;
+};
+
+// Vendor that issued an invoice, for invoices from before vendorUsername was stored
+const invoiceVendorUsername = async (invoice) => invoice.vendorUsername || findCustomerVendorUsername(invoice.customerId);
+
+// Vendor behind a Stripe Connect account, for Connect events such as payouts
+const connectAccountVendorUsername = async (accountId) => {
+  if (!accountId) return null;
+  const vendor = await Vendor.findOne({ stripeConnectAccountId: accountId });
+  return vendor ? vendor.username : null;
+};
+
+const formatPayout = (payout) => ({
+  id: payout.id,
+  amount: fromMinorUnits(payout.amount, payout.currency),
+  currency: payout.currency,
+  status: payout.status,
+  arrivalDate: stripeTimestamp(payout.arrival_date),
+  failureCode: payout.failure_code || null,
+});
+
+// Retry tick: resend failed deliveries whose backoff has passed and ones stuck mid-send
+const retryVendorWebhookDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({
+    $or: [
+      { status: 'failed', attempts: { $lt: WEBHOOK_MAX_ATTEMPTS }, nextAttemptAt: { $lte: now } },
+      { status: 'delivering', lockedAt: { $lt: new Date(now.getTime() - WEBHOOK_PROCESSING_TIMEOUT_MS) } },
+      { status: 'pending', createdAt: { $lt: new Date(now.getTime() - WEBHOOK_PROCESSING_TIMEOUT_MS) } },
+    ],
+  }).select('_id').limit(100);
+
+  let retried = 0;
+  for (const { _id } of due) {
+    if (await deliverVendorWebhook(_id)) retried += 1;
+  }
+  return retried;
+};
+
+// Load one of the calling vendor's webhook endpoints, or answer 404
+const findVendorWebhookEndpoint = async (req, res) => {
+  const endpoint = mongoose.Types.ObjectId.isValid(req.params.endpointId)
+    ? await WebhookEndpoint.findOne({ _id: req.params.endpointId, vendorUsername: req.user.username })
+    : null;
+  if (!endpoint) {
+    res.status(404).json({ message: 'Webhook endpoint not found.' });
+    return null;
+  }
+  return endpoint;
+};
+
+// Vendor: Register a webhook endpoint. The response carries the signing secret.
+// Body: { url, eventTypes: ['invoice_paid', ...] or ['*'], description }
+app.post('/vendor/webhook-endpoints', authenticateToken, requireRole('vendor'), validateBody({
+  ...WEBHOOK_ENDPOINT_BODY,
+  url: check.string({ required: true, maxLength: 2048 }),
+  eventTypes: check.array(check.string({ required: true, oneOf: ['*', ...VENDOR_WEBHOOK_EVENT_TYPES] }), { required: true, minLength: 1 }),
+}), async (req, res) => {
+  const parsed = await parseWebhookEndpointInput(req.body);
+  if (parsed.errors) {
+    return sendValidationErrors(res, parsed.errors);
+  }
+
+  try {
+    const endpoint = await WebhookEndpoint.create({ ...parsed.fields, vendorUsername: req.user.username, secret: generateWebhookSecret() });
+    res.status(201).json({
+      message: 'Webhook endpoint created. Keep the secret: it is used to verify the X-Webhook-Signature header.',
+      endpoint: formatWebhookEndpoint(endpoint, { includeSecret: true }),
+    });
+  } catch (error) {
+    console.error('Error creating webhook endpoint:', error);
+    res.status(500).json({ message: 'Failed to create webhook endpoint.', error: error.message });
+  }
+});
+
+// Vendor: List webhook endpoints
+app.get('/vendor/webhook-endpoints', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ vendorUsername: req.user.username }).sort({ createdAt: 1 });
+    res.status(200).json({ data: endpoints.map(endpoint => formatWebhookEndpoint(endpoint)), eventTypes: VENDOR_WEBHOOK_EVENT_TYPES });
+  } catch (error) {
+    console.error('Error fetching webhook endpoints:', error);
+    res.status(500).json({ message: 'Failed to fetch webhook endpoints.', error: error.message });
+  }
+});
+
+// Vendor: Update a webhook endpoint's URL, event types, description or enabled flag
+app.put('/vendor/webhook-endpoints/:endpointId', authenticateToken, requireRole('vendor'), validateBody(WEBHOOK_ENDPOINT_BODY), async (req, res) => {
+  const parsed = await parseWebhookEndpointInput(req.body, { partial: true });
+  if (parsed.errors) {
+    return sendValidationErrors(res, parsed.errors);
+  }
+
+  try {
+    const endpoint = await findVendorWebhookEndpoint(req, res);
+    if (!endpoint) return;
+
+    endpoint.set({ ...parsed.fields, updatedAt: new Date() });
+    await endpoint.save();
+    res.status(200).json({ message: 'Webhook endpoint updated.', endpoint: formatWebhookEndpoint(endpoint) });
+  } catch (error) {
+    console.error('Error updating webhook endpoint:', error);
+    res.status(500).json({ message: 'Failed to update webhook endpoint.', error: error.message });
+  }
+});
+
+// Vendor: Replace a webhook endpoint's signing secret
+app.post('/vendor/webhook-endpoints/:endpointId/rotate-secret', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const endpoint = await findVendorWebhookEndpoint(req, res);
+    if (!endpoint) return;
+
+    endpoint.set({ secret: generateWebhookSecret(), updatedAt: new Date() });
+    await endpoint.save();
+    res.status(200).json({ message: 'Signing secret rotated. Deliveries are signed with the new secret from now on.', endpoint: formatWebhookEndpoint(endpoint, { includeSecret: true }) });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ message: 'Failed to rotate webhook secret.', error: error.message });
+  }
+});
+
+// Vendor: Delete a webhook endpoint. Its delivery log is kept.
+app.delete('/vendor/webhook-endpoints/:endpointId', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const endpoint = await findVendorWebhookEndpoint(req, res);
+    if (!endpoint) return;
+
+    await endpoint.deleteOne();
+    res.status(200).json({ message: 'Webhook endpoint deleted.' });
+  } catch (error) {
+    console.error('Error deleting webhook endpoint:', error);
+    res.status(500).json({ message: 'Failed to delete webhook endpoint.', error: error.message });
+  }
+});
+
+// Vendor: Delivery log, newest first
+// Query: endpointId, eventType, status, from, to, plus the usual limit / sort / cursor
+app.get('/vendor/webhook-deliveries', authenticateToken, requireRole('vendor'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: { createdAt: 'createdAt' }, defaultSort: '-createdAt', defaultLimit: 50, maxLimit: 200 });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const query = { vendorUsername: req.user.username };
+    const filterError = applyListFilters(req.query, query, { dateField: 'createdAt' });
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    if (req.query.endpointId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.endpointId)) {
+        return res.status(400).json({ message: 'endpointId is not valid.' });
+      }
+      query.endpointId = req.query.endpointId;
+    }
+    if (req.query.eventType) query.eventType = req.query.eventType;
+
+    const deliveries = await paginate(WebhookDelivery, query, list);
+    res.status(200).json({ ...deliveries, data: deliveries.data.map(delivery => formatWebhookDelivery(delivery)) });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ message: 'Failed to fetch webhook deliveries.', error: error.message });
+  }
+});
+
+// Vendor: One delivery with its payload and attempts
+app.get('/vendor/webhook-deliveries/:deliveryId', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const delivery = mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, vendorUsername: req.user.username })
+      : null;
+    if (!delivery) {
+      return res.status(404).json({ message: 'Webhook delivery not found.' });
+    }
+    res.status(200).json(formatWebhookDelivery(delivery, { includePayload: true }));
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ message: 'Failed to fetch webhook delivery.', error: error.message });
+  }
+});
+
+// Vendor: Send a delivery again now, whatever happened to it before
+app.post('/vendor/webhook-deliveries/:deliveryId/redeliver', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const existing = mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, vendorUsername: req.user.username })
+      : null;
+    if (!existing) {
+      return res.status(404).json({ message: 'Webhook delivery not found.' });
+    }
+
+    const delivery = await deliverVendorWebhook(existing._id, { force: true });
+    if (!delivery) {
+      return res.status(409).json({ message: 'This delivery is being sent right now.' });
+    }
+    res.status(200).json({
+      message: delivery.status === 'succeeded' ? 'Webhook redelivered.' : `Redelivery failed: ${delivery.lastError}`,
+      delivery: formatWebhookDelivery(delivery, { includePayload: true }),
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ message: 'Failed to redeliver webhook.', error: error.message });
+  }
+});
+
+// Stripe Webhook Endpoint
+app.post('/stripe-webhook', async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+
+  try {
+    const { event, duplicate } = await ingestStripeWebhook(req.rawBody, sig);
+    if (duplicate) {
+      console.log(`Webhook event ${event.id} already received. Skipping.`);
+    }
+    // Acknowledge even when the handler failed: the event is stored and retried here,
+    // so a Stripe redelivery would only be skipped as a duplicate
+    res.json({ received: true, duplicate });
+  } catch (err) {
+    if (err.type === 'StripeSignatureVerificationError') {
+      console.error(`Webhook Error: ${err.message}`);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+    // Could not store the event; let Stripe redeliver it
+    console.error('Error storing webhook event:', err);
+    res.status(500).json({ message: 'Failed to store webhook event.', error: err.message });
+  }
+});
+
+const formatWebhookEvent = (stored, { includePayload = false } = {}) => ({
+  eventId: stored.eventId,
+  type: stored.type,
+  livemode: stored.livemode,
+  status: stored.status,
+  attempts: stored.attempts,
+  deliveries: stored.deliveries,
+  lastError: stored.lastError,
+  nextAttemptAt: stored.nextAttemptAt,
+  receivedAt: stored.receivedAt,
+  processedAt: stored.processedAt,
+  ...(includePayload ? { payload: stored.payload } : {}),
+});
+
+// Admin: List stored webhook events. Query: status, type, limit (max 200)
+app.get('/admin/webhook-events', authenticateToken, requireAdminLevel('support', 'finance'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: { receivedAt: 'receivedAt' }, defaultSort: '-receivedAt', defaultLimit: 50, maxLimit: 200 });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const query = {};
+    const filterError = applyListFilters(req.query, query, { dateField: 'receivedAt' });
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    if (req.query.type) query.type = req.query.type;
+
+    const events = await paginate(WebhookEvent, query, list);
+    res.status(200).json({ ...events, data: events.data.map(stored => formatWebhookEvent(stored)) });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    res.status(500).json({ message: 'Failed to fetch webhook events.', error: error.message });
+  }
+});
+
+// Admin: List failed webhook events, including those that have run out of retries
+app.get('/admin/webhook-events/failures', authenticateToken, requireAdminLevel('support', 'finance'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: { receivedAt: 'receivedAt' }, defaultSort: '-receivedAt', defaultLimit: 50, maxLimit: 200 });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const events = await paginate(WebhookEvent, { status: 'failed' }, list);
+    res.status(200).json({
+      ...events,
+      data: events.data.map(stored => ({ ...formatWebhookEvent(stored), retriesExhausted: stored.attempts >= WEBHOOK_MAX_ATTEMPTS })),
+    });
+  } catch (error) {
+    console.error('Error fetching failed webhook events:', error);
+    res.status(500).json({ message: 'Failed to fetch failed webhook events.', error: error.message });
+  }
+});
+
+// Admin: Get one stored webhook event with its payload
+app.get('/admin/webhook-events/:eventId', authenticateToken, requireAdminLevel('support', 'finance'), async (req, res) => {
+  try {
+    const stored = await WebhookEvent.findOne({ eventId: req.params.eventId });
+
+    if (!stored) {
+      return res.status(404).json({ message: 'Webhook event not found.' });
+    }
+
+    res.status(200).json(formatWebhookEvent(stored, { includePayload: true }));
+  } catch (error) {
+    console.error('Error fetching webhook event:', error);
+    res.status(500).json({ message: 'Failed to fetch webhook event.', error: error.message });
+  }
+});
+
+// Admin: Replay a stored webhook event through its handler now
+app.post('/admin/webhook-events/:eventId/replay', authenticateToken, requireAdminLevel('support'), async (req, res) => {
+  try {
+    const existing = await WebhookEvent.findOne({ eventId: req.params.eventId });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Webhook event not found.' });
+    }
+    if (existing.status === 'processing') {
+      return res.status(409).json({ message: 'This event is being processed right now.' });
+    }
+
+    const stored = await processWebhookEvent(existing.eventId, { force: true });
+    if (!stored) {
+      return res.status(409).json({ message: 'This event is being processed right now.' });
+    }
+
+    // Log activity
+    await ActivityLog.create({
+      eventType: 'webhook_event_replayed',
+      description: `Webhook event ${stored.eventId} (${stored.type}) replayed by ${req.admin.username}. Result: ${stored.status}.`,
+      relatedId: stored.eventId,
+    });
+
+    res.status(200).json({ message: `Webhook event ${stored.status === 'processed' ? 'replayed successfully' : 'replay failed'}.`, event: formatWebhookEvent(stored) });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(500).json({ message: 'Failed to replay webhook event.', error: error.message });
+  }
+});
+
+// Admin: Simulate something happening at the payment provider, such as a customer
+// paying an invoice or disputing a charge. Only with PAYMENT_PROVIDER=mock; the
+// resulting webhook events are delivered like Stripe's.
+// Body: { action, ...params }, e.g. { action: 'pay_invoice', invoice: 'in_mock0000000001' }
+app.post('/admin/payment-provider/simulate', authenticateToken, requireAdminLevel('support'), validateBody({
+  action: check.string({ required: true, maxLength: 100 }),
+}), async (req, res) => {
+  if (!paymentProvider.simulate) {
+    return res.status(400).json({ message: 'Simulations are only available with the mock payment provider (PAYMENT_PROVIDER=mock).' });
+  }
+
+  const { action, ...params } = req.body;
+  try {
+    const result = await paymentProvider.simulate(action, params);
+    res.status(200).json({ message: `Simulated ${action}.`, result });
+  } catch (error) {
+    if (error.type === 'StripeInvalidRequestError') {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error running payment provider simulation:', error);
+    res.status(500).json({ message: 'Failed to run simulation.', error: error.message });
+  }
+});
+
+// Admin: Get all vendors
+app.get('/admin/vendors/all', authenticateToken, requireAdminLevel('support', 'finance'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: VENDOR_SORT_FIELDS, defaultSort: 'username' });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const { search, approved, subscriptionStatus } = req.query;
+    const query = {};
+
+    if (search) {
+      query.username = { $regex: escapeRegex(search), $options: 'i' }; // Case-insensitive search
+    }
+    if (approved !== undefined) {
+      query.approved = approved === 'true';
+    }
+    if (subscriptionStatus) {
+      query.subscriptionStatus = subscriptionStatus;
+    }
+
+    const allVendors = await paginate(Vendor, query, list);
+    res.status(200).json({ ...allVendors, data: allVendors.data.map(formatAdminVendor) });
+  } catch (error) {
+    console.error('Error fetching all vendors:', error);
+    res.status(500).json({ message: 'Failed to fetch all vendors.', error: error.message });
+  }
+});
 
-        return {
-          id: stripeCustomer.id,
-          name: stripeCustomer.name,
-          email: stripeCustomer.email,
-          phone: stripeCustomer.phone,
-          lastInvoice: lastInvoice ? {
-            id: lastInvoice.id,
-            amount: lastInvoice.amount_due / 100,
-            currency: lastInvoice.currency.toUpperCase(),
-            date: new Date(lastInvoice.created * 1000).toLocaleDateString(),
-            status: lastInvoice.status,
-            url: lastInvoice.hosted_invoice_url,
-          } : null,
-        };
-      } catch (stripeError) {
-        console.error(`Error fetching Stripe customer or invoice for ${customerId}:`, stripeError);
-        return { id: customerId, name: `Customer ${customerId} (Error)`, email: `error@example.com`, lastInvoice: null };
+// Admin: Get analytics
+app.get('/admin/analytics', authenticateToken, requireAdminLevel('finance'), async (req, res) => {
+  try {
+    const totalVendors = await Vendor.countDocuments({});
+    const approvedVendors = await Vendor.countDocuments({ approved: true });
+    const trialingVendors = await Vendor.countDocuments({ subscriptionStatus: 'trialing' });
+
+    // Amounts in different currencies can't be added together, so totals are kept per currency
+    const invoiceTotalsByCurrency = await Invoice.aggregate([
+      {
+        $group: {
+          _id: '$currency',
+          invoiceCount: { $sum: 1 },
+          totalInvoiced: { $sum: '$amount' },
+          // Invoices paid before payments were recorded have no amountPaid; count their full amount
+          totalPaid: { $sum: { $cond: [{ $gt: ['$amountPaid', 0] }, '$amountPaid', { $cond: [{ $eq: ['$status', 'paid'] }, '$amount', 0] }] } },
+          totalOutstanding: { $sum: { $cond: [{ $in: ['$status', PAYABLE_INVOICE_STATUSES] }, { $ifNull: ['$balanceDue', '$amount'] }, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    res.status(200).json({
+      totalVendors,
+      approvedVendors,
+      trialingVendors,
+      invoiceTotalsByCurrency: invoiceTotalsByCurrency.map(({ _id, ...totals }) => ({
+        currency: _id || 'usd',
+        ...decimalAmounts(totals, ['totalInvoiced', 'totalPaid', 'totalOutstanding'], _id || 'usd'),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({ message: 'Failed to fetch analytics.', error: error.message });
+  }
+});
+
+// Analytics Helpers
+const ANALYTICS_GROUPINGS = ['day', 'week', 'month'];
+const PAYING_SUBSCRIPTION_STATUSES = ['active', 'past_due'];
+const CHURNED_SUBSCRIPTION_STATUSES = ['canceled', 'unpaid', 'incomplete_expired'];
+
+// Read from / to (default: the last 30 days) and groupBy (day, week or month) from the query
+const parseAnalyticsRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+  const groupBy = query.groupBy || 'day';
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates.' };
+  }
+  if (from > to) {
+    return { error: 'from must be before to.' };
+  }
+  if (!ANALYTICS_GROUPINGS.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${ANALYTICS_GROUPINGS.join(', ')}.` };
+  }
+  return { from, to, groupBy };
+};
+
+// Start of the period a date falls in, as an aggregation expression. Weeks start on Monday, in UTC.
+const periodOf = (date, groupBy) => ({
+  $dateTrunc: { date, unit: groupBy, ...(groupBy === 'week' ? { startOfWeek: 'monday' } : {}) },
+});
+
+// Same as periodOf, for dates already loaded
+const truncateToPeriod = (date, groupBy) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), groupBy === 'month' ? 1 : date.getUTCDate()));
+  if (groupBy === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+const nextPeriod = (start, groupBy) => (groupBy === 'month'
+  ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+  : new Date(start.getTime() + (groupBy === 'week' ? 7 : 1) * DAY_MS));
+
+// Sums of floating point amounts drift; round them to the currency's minor unit.
+// Invoice and payment sums are already whole minor units and only need fromMinorUnits.
+const roundMoney = (value, currency) => fromMinorUnits(toMinorUnits(value, currency), currency);
+
+// Payments received in a date range, one document each: { customerId, currency, amount, receivedAt }.
+// Invoices paid before payments were recorded have no Payment, so their full amount is counted instead.
+// Run on the Payment model; pass vendorUsername and customerIds to limit it to one vendor.
+const collectedPaymentsPipeline = ({ from, to }, { vendorUsername, customerIds } = {}) => [
+  { $match: { receivedAt: { $gte: from, $lte: to }, ...(vendorUsername ? { vendorUsername } : {}) } },
+  { $project: { customerId: 1, currency: { $ifNull: ['$currency', 'usd'] }, amount: 1, receivedAt: 1 } },
+  {
+    $unionWith: {
+      coll: Invoice.collection.name,
+      pipeline: [
+        { $match: { status: 'paid', amountPaid: { $in: [0, null] }, ...(customerIds ? { customerId: { $in: customerIds } } : {}) } },
+        { $project: { customerId: 1, currency: { $ifNull: ['$currency', 'usd'] }, amount: 1, receivedAt: { $ifNull: ['$paidAt', '$createdAt'] } } },
+        { $match: { receivedAt: { $gte: from, $lte: to } } },
+      ],
+    },
+  },
+];
+
+// Admin: Invoice volume, collected revenue and refunds per period and currency
+// Query: from, to, groupBy (day | week | month)
+app.get('/admin/analytics/revenue', authenticateToken, requireAdminLevel('finance'), async (req, res) => {
+  const range = parseAnalyticsRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ message: range.error });
+  }
+  const { from, to, groupBy } = range;
+
+  try {
+    const currency = { $ifNull: ['$currency', 'usd'] };
+    const [invoiced, collected, refunded] = await Promise.all([
+      Invoice.aggregate([
+        { $match: { createdAt: { $gte: from, $lte: to }, status: { $nin: ['draft', 'void'] } } },
+        { $group: { _id: { period: periodOf('$createdAt', groupBy), currency }, invoiceCount: { $sum: 1 }, invoiced: { $sum: '$amount' } } },
+      ]),
+      Payment.aggregate([
+        ...collectedPaymentsPipeline(range),
+        { $group: { _id: { period: periodOf('$receivedAt', groupBy), currency: '$currency' }, paymentCount: { $sum: 1 }, collected: { $sum: '$amount' } } },
+      ]),
+      Invoice.aggregate([
+        { $match: { 'refunds.createdAt': { $gte: from, $lte: to } } },
+        { $unwind: '$refunds' },
+        { $match: { 'refunds.createdAt': { $gte: from, $lte: to }, 'refunds.status': { $nin: ['failed', 'canceled'] } } },
+        { $group: { _id: { period: periodOf('$refunds.createdAt', groupBy), currency }, refundCount: { $sum: 1 }, refunded: { $sum: '$refunds.amount' } } },
+      ]),
+    ]);
+
+    // Merge the four pipelines into one row per period and currency
+    const rows = new Map();
+    const totals = new Map();
+    const empty = () => ({ invoiceCount: 0, invoiced: 0, paymentCount: 0, collected: 0, refundCount: 0, refunded: 0 });
+    for (const { _id, ...values } of [...invoiced, ...collected, ...refunded]) {
+      const key = `${_id.period.toISOString()}|${_id.currency}`;
+      if (!rows.has(key)) rows.set(key, { period: _id.period, currency: _id.currency, ...empty() });
+      if (!totals.has(_id.currency)) totals.set(_id.currency, { currency: _id.currency, ...empty() });
+      for (const [field, value] of Object.entries(values)) {
+        rows.get(key)[field] += value;
+        totals.get(_id.currency)[field] += value;
       }
-    }));
+    }
+
+    const format = (row) => ({
+      ...row,
+      invoiced: fromMinorUnits(row.invoiced, row.currency),
+      collected: fromMinorUnits(row.collected, row.currency),
+      refunded: fromMinorUnits(row.refunded, row.currency),
+      netRevenue: fromMinorUnits(row.collected - row.refunded, row.currency),
+    });
+
+    res.status(200).json({
+      from,
+      to,
+      groupBy,
+      series: [...rows.values()]
+        .sort((a, b) => a.period - b.period || a.currency.localeCompare(b.currency))
+        .map(format),
+      totalsByCurrency: [...totals.values()].sort((a, b) => a.currency.localeCompare(b.currency)).map(format),
+    });
+  } catch (error) {
+    console.error('Error fetching revenue analytics:', error);
+    res.status(500).json({ message: 'Failed to fetch revenue analytics.', error: error.message });
+  }
+});
+
+// Longest series the subscription analytics build, e.g. a year of days
+const ANALYTICS_MAX_PERIODS = 366;
+
+// Vendor subscription changes up to `to`, one document each:
+// { changedAt, status, mrr, currency, paying, wasPaying, until }. `until` is when the next
+// change up to `to` was made, and is missing for a vendor's latest one.
+const subscriptionChangesPipeline = (to) => [
+  {
+    $project: {
+      history: {
+        $filter: { input: { $ifNull: ['$subscriptionHistory', []] }, cond: { $lte: ['$$this.changedAt', to] } },
+      },
+    },
+  },
+  {
+    $project: {
+      changes: {
+        $map: {
+          input: { $range: [0, { $size: '$history' }] },
+          as: 'index',
+          in: {
+            $let: {
+              vars: {
+                entry: { $arrayElemAt: ['$history', '$$index'] },
+                previous: { $cond: [{ $gt: ['$$index', 0] }, { $arrayElemAt: ['$history', { $subtract: ['$$index', 1] }] }, null] },
+                next: { $arrayElemAt: ['$history', { $add: ['$$index', 1] }] },
+              },
+              in: {
+                changedAt: '$$entry.changedAt',
+                status: '$$entry.status',
+                mrr: { $ifNull: ['$$entry.mrr', 0] },
+                currency: { $ifNull: ['$$entry.currency', 'usd'] },
+                paying: { $in: ['$$entry.status', PAYING_SUBSCRIPTION_STATUSES] },
+                wasPaying: { $in: [{ $ifNull: ['$$previous.status', null] }, PAYING_SUBSCRIPTION_STATUSES] },
+                until: '$$next.changedAt',
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  { $unwind: '$changes' },
+  { $replaceRoot: { newRoot: '$changes' } },
+];
+
+// Admin: Subscription MRR, churn and trial conversion per period
+// Query: from, to, groupBy (day | week | month), covering at most ANALYTICS_MAX_PERIODS periods
+app.get('/admin/analytics/subscriptions', authenticateToken, requireAdminLevel('finance'), async (req, res) => {
+  const range = parseAnalyticsRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ message: range.error });
+  }
+  const { from, to, groupBy } = range;
+
+  // Period starts, then the end of the last period
+  const boundaries = [truncateToPeriod(from, groupBy)];
+  while (boundaries[boundaries.length - 1] <= to) {
+    if (boundaries.length > ANALYTICS_MAX_PERIODS) {
+      return res.status(400).json({ message: `The range covers more than ${ANALYTICS_MAX_PERIODS} periods. Use a shorter range or a longer groupBy.` });
+    }
+    boundaries.push(nextPeriod(boundaries[boundaries.length - 1], groupBy));
+  }
+
+  try {
+    const [changes, paying, trials, statusCounts] = await Promise.all([
+      // New subscriptions and churn, by the period the change was made in
+      Vendor.aggregate([
+        ...subscriptionChangesPipeline(to),
+        { $match: { changedAt: { $gte: boundaries[0] } } },
+        {
+          $group: {
+            _id: periodOf('$changedAt', groupBy),
+            newSubscriptions: { $sum: { $cond: [{ $and: ['$paying', { $not: ['$wasPaying'] }] }, 1, 0] } },
+            churned: { $sum: { $cond: [{ $and: ['$wasPaying', { $in: ['$status', CHURNED_SUBSCRIPTION_STATUSES] }] }, 1, 0] } },
+          },
+        },
+      ]),
+      // Paying vendors and their MRR at each boundary. A change applies from just after it
+      // was made until the next one, so a boundary counts the last change before it.
+      Vendor.aggregate([
+        ...subscriptionChangesPipeline(to),
+        { $match: { paying: true } },
+        {
+          $project: {
+            mrr: 1,
+            currency: 1,
+            boundary: {
+              $filter: {
+                input: boundaries,
+                cond: {
+                  $and: [
+                    { $lt: ['$changedAt', '$$this'] },
+                    { $or: [{ $eq: [{ $ifNull: ['$until', null] }, null] }, { $lte: ['$$this', '$until'] }] },
+                  ],
+                },
+              },
+            },
+          },
+        },
+        { $unwind: '$boundary' },
+        { $group: { _id: { boundary: '$boundary', currency: '$currency' }, count: { $sum: 1 }, mrr: { $sum: '$mrr' } } },
+      ]),
+      // Trials started in the range, and how many of those vendors have since subscribed
+      ActivityLog.aggregate([
+        { $match: { eventType: 'vendor_registered', timestamp: { $gte: from, $lte: to } } },
+        {
+          $lookup: {
+            from: 'vendors',
+            let: { vendorId: '$relatedId' },
+            pipeline: [
+              { $match: { $expr: { $eq: [{ $toString: '$_id' }, '$$vendorId'] } } },
+              {
+                $project: {
+                  converted: {
+                    $or: [
+                      { $eq: ['$subscriptionStatus', 'active'] },
+                      { $in: ['active', { $ifNull: ['$subscriptionHistory.status', []] }] },
+                    ],
+                  },
+                },
+              },
+            ],
+            as: 'vendor',
+          },
+        },
+        { $unwind: '$vendor' },
+        {
+          $group: {
+            _id: periodOf('$timestamp', groupBy),
+            trialsStarted: { $sum: 1 },
+            converted: { $sum: { $cond: ['$vendor.converted', 1, 0] } },
+          },
+        },
+      ]),
+      Vendor.aggregate([{ $group: { _id: '$subscriptionStatus', count: { $sum: 1 } } }]),
+    ]);
+
+    const changesByPeriod = new Map(changes.map(({ _id, ...counts }) => [_id.toISOString(), counts]));
+    const payingAt = new Map(boundaries.map(boundary => [boundary.toISOString(), { count: 0, mrrByCurrency: {} }]));
+    for (const { _id, count, mrr } of paying) {
+      const state = payingAt.get(_id.boundary.toISOString());
+      state.count += count;
+      state.mrrByCurrency[_id.currency] = roundMoney(mrr, _id.currency);
+    }
+
+    const trialsByPeriod = new Map(trials.map(({ _id, ...counts }) => [_id.toISOString(), counts]));
+    const series = boundaries.slice(0, -1).map((start, index) => {
+      const atStart = payingAt.get(start.toISOString());
+      const atEnd = payingAt.get(boundaries[index + 1].toISOString());
+      const { newSubscriptions = 0, churned = 0 } = changesByPeriod.get(start.toISOString()) || {};
+      const { trialsStarted = 0, converted = 0 } = trialsByPeriod.get(start.toISOString()) || {};
+      return {
+        period: start,
+        mrrByCurrency: atEnd.mrrByCurrency,
+        payingSubscriptions: atEnd.count,
+        newSubscriptions,
+        churned,
+        churnRate: atStart.count > 0 ? churned / atStart.count : 0,
+        trialsStarted,
+        trialsConverted: converted,
+      };
+    });
+
+    const trialsStarted = trials.reduce((sum, period) => sum + period.trialsStarted, 0);
+    const trialsConverted = trials.reduce((sum, period) => sum + period.converted, 0);
+    const byStatus = Object.fromEntries(statusCounts.map(({ _id, count }) => [_id || 'none', count]));
+
+    res.status(200).json({
+      from,
+      to,
+      groupBy,
+      series,
+      conversion: {
+        trialsStarted,
+        trialsConverted,
+        conversionRate: trialsStarted > 0 ? trialsConverted / trialsStarted : 0,
+      },
+      current: {
+        active: byStatus.active || 0,
+        trialing: byStatus.trialing || 0,
+        byStatus,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching subscription analytics:', error);
+    res.status(500).json({ message: 'Failed to fetch subscription analytics.', error: error.message });
+  }
+});
+
+// Admin: Accounts receivable aging of unpaid invoices per currency, by days past due as of today
+// Query: from, to (optional, limits to invoices created in that range), vendorUsername
+app.get('/admin/analytics/ar-aging', authenticateToken, requireAdminLevel('finance'), async (req, res) => {
+  const { from, to, vendorUsername } = req.query;
+  const match = { status: { $in: PAYABLE_INVOICE_STATUSES } };
+
+  if (from || to) {
+    const range = parseAnalyticsRange({ from: from || new Date(0).toISOString(), to });
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+    match.createdAt = { $gte: range.from, $lte: range.to };
+  }
+
+  try {
+    if (vendorUsername) {
+      // By the vendor's customers, as the vendor's own invoice list does, so older invoices without vendorUsername count
+      const vendor = await Vendor.findOne({ username: vendorUsername }).select('customers');
+      if (!vendor) {
+        return res.status(404).json({ message: 'Vendor not found.' });
+      }
+      match.customerId = { $in: vendor.customers };
+    }
+
+    const asOf = new Date();
+    const buckets = ['current', 'days1to30', 'days31to60', 'days61to90', 'days90plus'];
+    const aging = await Invoice.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          balance: { $ifNull: ['$balanceDue', '$amount'] },
+          // Invoices without a due date (auto-charged) are never past due
+          daysPastDue: {
+            $cond: [{ $ifNull: ['$dueDate', false] }, { $dateDiff: { startDate: '$dueDate', endDate: asOf, unit: 'day' } }, 0],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            currency: { $ifNull: ['$currency', 'usd'] },
+            bucket: {
+              $switch: {
+                branches: [
+                  { case: { $lte: ['$daysPastDue', 0] }, then: 'current' },
+                  { case: { $lte: ['$daysPastDue', 30] }, then: 'days1to30' },
+                  { case: { $lte: ['$daysPastDue', 60] }, then: 'days31to60' },
+                  { case: { $lte: ['$daysPastDue', 90] }, then: 'days61to90' },
+                ],
+                default: 'days90plus',
+              },
+            },
+          },
+          count: { $sum: 1 },
+          amount: { $sum: '$balance' },
+        },
+      },
+    ]);
+
+    const byCurrency = new Map();
+    for (const { _id, count, amount } of aging) {
+      if (!byCurrency.has(_id.currency)) {
+        byCurrency.set(_id.currency, {
+          currency: _id.currency,
+          ...Object.fromEntries(buckets.map(bucket => [bucket, { count: 0, amount: 0 }])),
+          total: { count: 0, amount: 0 },
+        });
+      }
+      const row = byCurrency.get(_id.currency);
+      row[_id.bucket] = { count, amount: fromMinorUnits(amount, _id.currency) };
+      row.total.count += count;
+      row.total.amount = roundMoney(row.total.amount + fromMinorUnits(amount, _id.currency), _id.currency);
+    }
+
+    res.status(200).json({
+      asOf,
+      aging: [...byCurrency.values()].sort((a, b) => a.currency.localeCompare(b.currency)),
+    });
+  } catch (error) {
+    console.error('Error fetching receivables aging:', error);
+    res.status(500).json({ message: 'Failed to fetch receivables aging.', error: error.message });
+  }
+});
+
+// Vendor: Get invoices for their customers
+app.get('/vendor/invoices/:vendorUsername', authenticateToken, authorizeVendorAccount(req => req.params.vendorUsername), async (req, res) => {
+  const { vendorUsername } = req.params;
+  const list = parseListQuery(req.query, { sortFields: INVOICE_SORT_FIELDS, defaultSort: '-createdAt' });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const vendor = await Vendor.findOne({ username: vendorUsername });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    const vendorCustomerIds = vendor.customers;
+    const query = { customerId: { $in: vendorCustomerIds } };
+    if (req.query.customerId) {
+      // Only this vendor's customers, so an unknown customer gives an empty list
+      query.customerId = { $in: vendorCustomerIds.filter(id => id === req.query.customerId) };
+    }
+    const filterError = applyInvoiceFilters(req.query, query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+
+    const vendorInvoices = await paginate(Invoice, query, list);
+    res.status(200).json({ ...vendorInvoices, data: vendorInvoices.data.map(formatInvoice) });
+  } catch (error) {
+    console.error('Error fetching vendor invoices:', error);
+    res.status(500).json({ message: 'Failed to fetch vendor invoices.', error: error.message });
+  }
+});
+
+// Vendor: Business dashboard for the logged-in vendor's customers and invoices
+// Query: from, to, groupBy (day | week | month) for the revenue series, top customers and days-to-pay
+app.get('/vendor/dashboard', authenticateToken, requireRole('vendor'), async (req, res) => {
+  const range = parseAnalyticsRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ message: range.error });
+  }
+  const { from, to, groupBy } = range;
+
+  try {
+    const vendor = await Vendor.findOne({ username: req.user.username });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    const scope = { vendorUsername: vendor.username, customerIds: vendor.customers };
+    const now = new Date();
+    const thisMonth = truncateToPeriod(now, 'month');
+    const lastMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+
+    const [outstanding, monthly, daysToPay, topCustomers, series] = await Promise.all([
+      Invoice.aggregate([
+        { $match: { customerId: { $in: vendor.customers }, status: { $in: PAYABLE_INVOICE_STATUSES } } },
+        {
+          $addFields: {
+            balance: { $ifNull: ['$balanceDue', '$amount'] },
+            overdue: {
+              $or: [
+                { $eq: ['$status', 'overdue'] },
+                { $and: [{ $ifNull: ['$dueDate', false] }, { $lt: ['$dueDate', now] }] },
+              ],
+            },
+          },
+        },
+        {
+          $group: {
+            _id: { $ifNull: ['$currency', 'usd'] },
+            invoiceCount: { $sum: 1 },
+            balanceDue: { $sum: '$balance' },
+            overdueCount: { $sum: { $cond: ['$overdue', 1, 0] } },
+            overdueBalance: { $sum: { $cond: ['$overdue', '$balance', 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      Payment.aggregate([
+        ...collectedPaymentsPipeline({ from: lastMonth, to: now }, scope),
+        { $group: { _id: { period: periodOf('$receivedAt', 'month'), currency: '$currency' }, collected: { $sum: '$amount' } } },
+      ]),
+      // Days from invoice creation to payment, for invoices paid in the range
+      Invoice.aggregate([
+        { $match: { customerId: { $in: vendor.customers }, status: 'paid', paidAt: { $gte: from, $lte: to } } },
+        {
+          $group: {
+            _id: null,
+            paidInvoiceCount: { $sum: 1 },
+            averageDaysToPay: { $avg: { $divide: [{ $subtract: ['$paidAt', '$createdAt'] }, DAY_MS] } },
+          },
+        },
+      ]),
+      Payment.aggregate([
+        ...collectedPaymentsPipeline(range, scope),
+        { $group: { _id: { customerId: '$customerId', currency: '$currency' }, paymentCount: { $sum: 1 }, revenue: { $sum: '$amount' } } },
+        { $sort: { revenue: -1 } },
+        { $limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 50) },
+        { $lookup: { from: Customer.collection.name, localField: '_id.customerId', foreignField: 'stripeCustomerId', as: 'customer' } },
+      ]),
+      Payment.aggregate([
+        ...collectedPaymentsPipeline(range, scope),
+        { $group: { _id: { period: periodOf('$receivedAt', groupBy), currency: '$currency' }, paymentCount: { $sum: 1 }, collected: { $sum: '$amount' } } },
+        { $sort: { '_id.period': 1, '_id.currency': 1 } },
+      ]),
+    ]);
+
+    // This month against last month, per currency
+    const collected = new Map();
+    for (const { _id, collected: amount } of monthly) {
+      if (!collected.has(_id.currency)) collected.set(_id.currency, { currency: _id.currency, thisMonth: 0, lastMonth: 0 });
+      collected.get(_id.currency)[_id.period >= thisMonth ? 'thisMonth' : 'lastMonth'] = fromMinorUnits(amount, _id.currency);
+    }
+
+    res.status(200).json({
+      from,
+      to,
+      groupBy,
+      outstanding: outstanding.map(({ _id, balanceDue, overdueBalance, ...counts }) => ({
+        currency: _id,
+        ...counts,
+        balanceDue: fromMinorUnits(balanceDue, _id),
+        overdueBalance: fromMinorUnits(overdueBalance, _id),
+      })),
+      overdueCount: outstanding.reduce((sum, row) => sum + row.overdueCount, 0),
+      collected: [...collected.values()]
+        .sort((a, b) => a.currency.localeCompare(b.currency))
+        .map(row => ({ ...row, change: row.lastMonth > 0 ? (row.thisMonth - row.lastMonth) / row.lastMonth : null })),
+      paidInvoiceCount: daysToPay[0] ? daysToPay[0].paidInvoiceCount : 0,
+      averageDaysToPay: daysToPay[0] ? Math.round(daysToPay[0].averageDaysToPay * 10) / 10 : null,
+      topCustomers: topCustomers.map(({ _id, customer, paymentCount, revenue }) => ({
+        customerId: _id.customerId,
+        name: customer[0] ? customer[0].name : null,
+        email: customer[0] ? customer[0].email : null,
+        currency: _id.currency,
+        paymentCount,
+        revenue: fromMinorUnits(revenue, _id.currency),
+      })),
+      revenueSeries: series.map(({ _id, paymentCount, collected: amount }) => ({
+        period: _id.period,
+        currency: _id.currency,
+        paymentCount,
+        collected: fromMinorUnits(amount, _id.currency),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching vendor dashboard:', error);
+    res.status(500).json({ message: 'Failed to fetch vendor dashboard.', error: error.message });
+  }
+});
+
+// Admin: Get activity log
+app.get('/admin/activity-log', authenticateToken, requireAdminLevel('support', 'finance'), async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: { timestamp: 'timestamp' }, defaultSort: '-timestamp', defaultLimit: 50, maxLimit: 200 });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const { search, eventType, relatedId, vendorUsername, from, to } = req.query;
+    const query = {};
+
+    if (search) {
+      query.description = { $regex: escapeRegex(search), $options: 'i' }; // Case-insensitive search
+    }
+    const filterError = applyListFilters({ from, to }, query, { dateField: 'timestamp' });
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    if (eventType) {
+      query.eventType = eventType;
+    }
+    if (relatedId) {
+      query.relatedId = relatedId;
+    }
+    if (vendorUsername) {
+      query.vendorUsername = vendorUsername;
+    }
+
+    const activityLogs = await paginate(ActivityLog, query, list); // Newest first by default
+    res.status(200).json(activityLogs);
+  } catch (error) {
+    console.error('Error fetching activity logs:', error);
+    res.status(500).json({ message: 'Failed to fetch activity logs.', error: error.message });
+  }
+});
+
+// Create the first super admin: `npm run create-admin -- <username> <password>`
+// (falls back to ADMIN_USERNAME / ADMIN_PASSWORD). Refuses once any admin exists;
+// further admins are invited from the admin panel.
+const createFirstAdmin = async (username, password) => {
+  if (!username || !password) {
+    throw new Error('Usage: npm run create-admin -- <username> <password>');
+  }
+
+  const adminCount = await Admin.countDocuments({});
+  if (adminCount > 0) {
+    throw new Error('An admin account already exists. Invite further admins from the admin panel.');
+  }
+
+  const admin = await Admin.create({
+    username,
+    password: await bcrypt.hash(password, 10),
+    level: 'super_admin',
+  });
+
+  await ActivityLog.create({
+    eventType: 'admin_created',
+    description: `Super admin ${username} created from the command line.`,
+    relatedId: admin._id,
+  });
+
+  console.log(`Super admin ${username} created. Two-factor authentication must be set up at the first login.`);
+};
+
+// Feed signed sample Stripe events through the webhook pipeline:
+// `npm run replay-webhook-fixtures -- [dir]`. Each fixture is delivered twice and
+// must be processed the first time and skipped as a duplicate the second. Signing
+// is local, so no network is needed; point MONGODB_URI at a scratch database.
+const replayWebhookFixtures = async (dir = 'fixtures/stripe-webhooks') => {
+  // Sign with a throwaway secret unless a real one is configured
+  process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_fixture_replay';
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  if (files.length === 0) {
+    throw new Error(`No webhook fixtures found in ${dir}.`);
+  }
+
+  let failures = 0;
+  for (const file of files) {
+    const payload = fs.readFileSync(`${dir}/${file}`, 'utf8');
+    const { id } = JSON.parse(payload);
+    await WebhookEvent.deleteOne({ eventId: id }); // Start each run from a clean slate
+
+    const deliver = () => ingestStripeWebhook(payload, paymentProvider.webhooks.generateTestHeaderString({ payload, secret }));
+    const first = await deliver();
+    const second = await deliver();
+
+    const problems = [];
+    if (first.duplicate || !first.stored || first.stored.status !== 'processed') {
+      problems.push(`first delivery ended as ${first.stored ? first.stored.status : 'unclaimed'}${first.stored && first.stored.lastError ? ` (${first.stored.lastError})` : ''}`);
+    }
+    if (!second.duplicate) {
+      problems.push('second delivery was not detected as a duplicate');
+    }
+
+    if (problems.length > 0) {
+      failures += 1;
+      console.error(`FAIL ${file}: ${problems.join('; ')}`);
+    } else {
+      console.log(`ok   ${file} (${first.event.type})`);
+    }
+  }
+
+  if (failures > 0) {
+    throw new Error(`${failures} of ${files.length} webhook fixtures failed.`);
+  }
+  console.log(`All ${files.length} webhook fixtures passed.`);
+};
+
+// Invoices and payments stored before amounts moved to integer minor units
+const LEGACY_MONEY_QUERY = { amountsInMinorUnits: { $exists: false } };
+
+// Convert decimal amounts on documents from before minor units: `npm run migrate-money`.
+// Works on the raw collections so the integer validators don't reject the old values,
+// and each document is claimed by its marker, so a rerun only picks up what is left.
+// Stop the server first: an old invoice updated mid-run could be converted twice.
+const migrateMoneyToMinorUnits = async () => {
+  const convert = (object, fields, currency) => {
+    const converted = {};
+    for (const field of fields) {
+      if (typeof object[field] === 'number') {
+        converted[field] = toMinorUnits(object[field], currency);
+      }
+    }
+    return converted;
+  };
+  const convertList = (list, fields, currency) => (list || []).map(entry => ({ ...entry, ...convert(entry, fields, currency) }));
+
+  let invoices = 0;
+  for await (const invoice of Invoice.collection.find(LEGACY_MONEY_QUERY)) {
+    const currency = invoice.currency || DEFAULT_CURRENCY;
+    const result = await Invoice.collection.updateOne({ _id: invoice._id, ...LEGACY_MONEY_QUERY }, {
+      $set: {
+        ...convert(invoice, INVOICE_MONEY_FIELDS, currency),
+        ...(invoice.lineItems ? { lineItems: convertList(invoice.lineItems, LINE_ITEM_MONEY_FIELDS, currency) } : {}),
+        ...(invoice.payments ? { payments: convertList(invoice.payments, ['amount'], currency) } : {}),
+        ...(invoice.refunds ? { refunds: convertList(invoice.refunds, ['amount'], currency) } : {}),
+        ...(invoice.creditNotes ? { creditNotes: convertList(invoice.creditNotes, ['amount'], currency) } : {}),
+        amountsInMinorUnits: true,
+      },
+    });
+    invoices += result.modifiedCount;
+  }
+
+  let payments = 0;
+  for await (const payment of Payment.collection.find(LEGACY_MONEY_QUERY)) {
+    const currency = payment.currency || DEFAULT_CURRENCY;
+    const result = await Payment.collection.updateOne({ _id: payment._id, ...LEGACY_MONEY_QUERY }, {
+      $set: {
+        ...convert(payment, ['amount', 'unallocated'], currency),
+        ...(payment.allocations ? { allocations: convertList(payment.allocations, ['amount'], currency) } : {}),
+        amountsInMinorUnits: true,
+      },
+    });
+    payments += result.modifiedCount;
+  }
+
+  let disputes = 0;
+  for await (const dispute of Dispute.collection.find(LEGACY_MONEY_QUERY)) {
+    const result = await Dispute.collection.updateOne({ _id: dispute._id, ...LEGACY_MONEY_QUERY }, {
+      $set: { ...convert(dispute, ['amount'], dispute.currency), amountsInMinorUnits: true },
+    });
+    disputes += result.modifiedCount;
+  }
+
+  const summary = `${invoices} invoice(s), ${payments} payment(s) and ${disputes} dispute(s)`;
+  await ActivityLog.create({
+    eventType: 'money_migrated',
+    description: `Converted ${summary} to minor-unit amounts from the command line.`,
+  });
+  console.log(`Converted ${summary} to minor-unit amounts.`);
+};
+
+// Warn at startup while decimal-amount documents remain; the money code assumes minor units
+const warnAboutLegacyMoney = async () => {
+  const [invoices, payments, disputes] = await Promise.all([
+    Invoice.collection.countDocuments(LEGACY_MONEY_QUERY),
+    Payment.collection.countDocuments(LEGACY_MONEY_QUERY),
+    Dispute.collection.countDocuments(LEGACY_MONEY_QUERY),
+  ]);
+  if (invoices > 0 || payments > 0 || disputes > 0) {
+    console.warn(`WARNING: ${invoices} invoice(s), ${payments} payment(s) and ${disputes} dispute(s) still have decimal amounts. Stop the server and run \`npm run migrate-money\`.`);
+  }
+};
+
+if (process.argv[2] === 'create-admin') {
+  createFirstAdmin(process.argv[3] || process.env.ADMIN_USERNAME, process.argv[4] || process.env.ADMIN_PASSWORD)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error creating admin:', error.message);
+      process.exit(1);
+    });
+} else if (process.argv[2] === 'replay-webhook-fixtures') {
+  replayWebhookFixtures(process.argv[3])
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error replaying webhook fixtures:', error.message);
+      process.exit(1);
+    });
+} else if (process.argv[2] === 'migrate-money') {
+  migrateMoneyToMinorUnits()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Error migrating money amounts:', error.message);
+      process.exit(1);
+    });
+} else if (require.main === module) {
+  // Only serve and schedule when run directly; the test suite requires this file
+  app.listen(port, () => {
+    console.log(`Server is running on port: ${port}`);
+  });
+
+  warnAboutLegacyMoney()
+    .catch(error => console.error('Error checking for decimal money amounts:', error));
+
+  // Recurring invoice scheduler. Runs once at startup to catch up on anything
+  // missed while the server was down, then on a fixed interval.
+  const runScheduledRecurringInvoices = () => runRecurringInvoices()
+    .catch(error => console.error('Error running recurring invoices:', error));
+  runScheduledRecurringInvoices();
+  setInterval(runScheduledRecurringInvoices, Number(process.env.RECURRING_INVOICE_INTERVAL_MS) || 15 * 60 * 1000);
+
+  // Overdue tracking and payment reminders
+  const runScheduledDunning = () => runInvoiceDunning()
+    .catch(error => console.error('Error running dunning:', error));
+  runScheduledDunning();
+  setInterval(runScheduledDunning, Number(process.env.DUNNING_INTERVAL_MS) || 60 * 60 * 1000);
+
+  // Webhook event retries
+  const runScheduledWebhookRetries = () => retryWebhookEvents()
+    .catch(error => console.error('Error retrying webhook events:', error));
+  setInterval(runScheduledWebhookRetries, Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 60 * 1000);
+
+  // Outgoing vendor webhook retries
+  const runScheduledVendorWebhookRetries = () => retryVendorWebhookDeliveries()
+    .catch(error => console.error('Error retrying vendor webhook deliveries:', error));
+  setInterval(runScheduledVendorWebhookRetries, Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 60 * 1000);
+}
+
+// Vendor: Create Stripe Connect Account Link
+app.post('/vendor/create-stripe-connect-account', authenticateToken, requireRole('vendor'), validateBody({
+  vendorUsername: check.string(),
+}), authorizeVendorAccount(req => req.body.vendorUsername), requireTwoFactorStepUp, async (req, res) => {
+  const vendorUsername = req.user.username;
+
+  try {
+    const vendor = await Vendor.findOne({ username: vendorUsername });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    const account = await paymentProvider.accounts.create({
+      type: 'express',
+      country: 'US', // Or your desired country
+      email: vendorUsername, // Use vendorUsername directly as email
+      capabilities: {
+        card_payments: { requested: true },
+        transfers: { requested: true },
+      },
+    });
+
+    const accountLink = await paymentProvider.accountLinks.create({
+      account: account.id,
+      refresh_url: 'https://invoice-management-client.vercel.app/dashboard', // Redirect back to dashboard on refresh
+      return_url: 'https://invoice-management-client.vercel.app/stripe-connect-success', // Redirect to success page on completion
+      type: 'account_onboarding',
+    });
+
+    // Save the Stripe Connect Account ID to the vendor
+    vendor.stripeConnectAccountId = account.id;
+    await vendor.save();
+
+    res.status(200).json({ url: accountLink.url, vendor: formatSessionVendor(vendor) });
+  } catch (error) {
+    console.error('Error creating Stripe Connect account link:', error);
+    res.status(500).json({ message: 'Failed to create Stripe Connect account link.', error: error.message });
+  }
+});
+
+// Customer: Get invoices for a specific customer
+app.get('/customer/invoices/:customerId', authenticateToken, authorizeCustomerAccess(req => req.params.customerId), async (req, res) => {
+  const { customerId } = req.params;
+  const list = parseListQuery(req.query, { sortFields: INVOICE_SORT_FIELDS, defaultSort: '-createdAt' });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const query = { customerId };
+    const filterError = applyInvoiceFilters(req.query, query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
 
-    res.status(200).json(enrichedCustomers);
+    const customerInvoices = await paginate(Invoice, query, list);
+    res.status(200).json({ ...customerInvoices, data: customerInvoices.data.map(formatInvoice) });
   } catch (error) {
-    console.error('Error fetching vendor customers:', error);
-    res.status(500).json({ message: 'Failed to fetch vendor customers.', error: error.message });
+    console.error('Error fetching customer invoices:', error);
+    res.status(500).json({ message: 'Failed to fetch customer invoices.', error: error.message });
   }
 });
 
-// Create a Payment Intent to charge a customer
-app.post('/create-payment-intent', authenticateToken, async (req, res) => {
-  const { customerId, amount } = req.body;
-
+// Vendor: Get current authenticated user's data
+app.get('/vendor/get-current-user', authenticateToken, requireRole('vendor'), async (req, res) => {
   try {
-    // Find the default payment method for the customer
-    const paymentMethods = await stripe.paymentMethods.list({
-      customer: customerId,
-      type: 'card',
-    });
+    const username = req.user.username;
+    const vendor = await Vendor.findOne({ username });
 
-    if (paymentMethods.data.length === 0) {
-      return res.status(400).json({ message: 'No payment method found for this customer.' });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount * 100, // amount in cents
-      currency: 'usd',
-      customer: customerId,
-      payment_method: paymentMethods.data[0].id, // Use the first payment method found
-      off_session: true, // Indicates that the payment is initiated by the merchant
-      confirm: true, // Confirm the payment immediately
-    });
+    const apiKeys = await ApiKey.find({ vendorUsername: username, revokedAt: null }).sort({ createdAt: 1 });
 
-    res.status(200).json({ message: 'Payment successful!', paymentIntentId: paymentIntent.id });
+    res.status(200).json({ vendor: { username: vendor.username, approved: vendor.approved, role: 'vendor', subscriptionStatus: vendor.subscriptionStatus, trialEndsAt: vendor.trialEndsAt, stripeConnectAccountId: vendor.stripeConnectAccountId, defaultCurrency: vendor.defaultCurrency, remindersEnabled: vendor.remindersEnabled, reminderSchedule: vendor.reminderSchedule, disputePolicy: vendor.disputePolicy || DEFAULT_DISPUTE_POLICY, profile: formatVendorProfile(vendor), apiKeys: apiKeys.map(formatApiKey) } });
   } catch (error) {
-    console.error('Error creating Payment Intent:', error);
-    res.status(500).json({ message: 'Failed to create Payment Intent.', error: error.message });
+    console.error('Error fetching current vendor data:', error);
+    res.status(500).json({ message: 'Failed to fetch current vendor data.', error: error.message });
   }
 });
 
-// Create a Stripe Invoice
-app.post('/create-invoice', authenticateToken, async (req, res) => {
-  const { customerId, amount, description } = req.body;
-
-  try {
-    // Create an invoice item
-    const invoiceItem = await stripe.invoiceItems.create({
-      customer: customerId,
-      amount: amount * 100, // amount in cents
-      currency: 'usd',
-      description: description,
-    });
+// Vendor API Keys
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  usageCount: apiKey.usageCount,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+});
 
-    // Check if the customer has a default payment method
-    const customer = await stripe.customers.retrieve(customerId, { expand: ['invoice_settings.default_payment_method'] });
-    const hasDefaultPaymentMethod = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+// Vendor: Create an API key. The key itself is only returned here; only its hash is stored.
+// Body: { name, scopes: ['read-only'] or any of 'invoices:write', 'customers:write' }
+app.post('/vendor/api-keys', authenticateToken, requireRole('vendor'), validateBody({
+  name: check.string({ required: true, maxLength: 100 }),
+  scopes: check.array(check.string({ required: true, oneOf: API_KEY_SCOPES }), { required: true, minLength: 1 }),
+}), async (req, res) => {
+  const name = req.body.name.trim();
+  const scopes = [...new Set(req.body.scopes)];
+
+  if (scopes.includes('read-only') && scopes.length > 1) {
+    return sendValidationErrors(res, [{ field: 'scopes', message: 'read-only cannot be combined with write scopes.' }]);
+  }
 
-    let invoice;
-    if (hasDefaultPaymentMethod) {
-      // Create and finalize the invoice to charge automatically
-      invoice = await stripe.invoices.create({
-        customer: customerId,
-        collection_method: 'charge_automatically',
-        auto_advance: true, // Automatically finalizes and attempts collection
-      });
-      // Immediately finalize the invoice to trigger auto-charge
-      invoice = await stripe.invoices.finalizeInvoice(invoice.id);
-      res.status(200).json({ message: 'Invoice created and charged automatically!', invoiceId: invoice.id, invoiceUrl: invoice.hosted_invoice_url });
-    const newInvoicePaid = new Invoice({ id: invoice.id, customerId, amount, description, invoiceUrl: invoice.hosted_invoice_url, status: 'paid' });
-    await newInvoicePaid.save();
+  try {
+    const key = `ivk_${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = await ApiKey.create({ vendorUsername: req.user.username, name, scopes, prefix: key.slice(0, 12), keyHash: hashApiKey(key) });
 
     // Log activity
-    await ActivityLog.create({
-      eventType: 'invoice_created_and_paid',
-      description: `Invoice created and automatically paid for customer ${customerId}. Amount: ${amount}`,
-      relatedId: invoice.id,
+    await logActivity({
+      eventType: 'api_key_created',
+      description: `API key "${name}" (${apiKey.prefix}..., ${scopes.join(', ')}) created by ${req.user.username}.`,
+      relatedId: apiKey._id,
+    }, { vendorUsername: req.user.username });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now: it cannot be shown again.',
+      key,
+      apiKey: formatApiKey(apiKey),
     });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: 'Failed to create API key.', error: error.message });
+  }
+});
 
-  } else {
-    // Create the invoice to be sent manually
-    invoice = await stripe.invoices.create({
-      customer: customerId,
-      collection_method: 'send_invoice',
-      days_until_due: 7, // Example: due in 7 days
-    });
-    res.status(200).json({ message: 'Invoice created successfully (manual send required)!', invoiceId: invoice.id, invoiceUrl: invoice.hosted_invoice_url });
-    const newInvoiceOpen = new Invoice({ id: invoice.id, customerId, amount, description, invoiceUrl: invoice.hosted_invoice_url, status: 'open' });
-    await newInvoiceOpen.save();
+// Vendor: List API keys with their last use. Revoked keys are included with ?includeRevoked=true.
+app.get('/vendor/api-keys', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const query = { vendorUsername: req.user.username };
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+    const apiKeys = await ApiKey.find(query).sort({ createdAt: 1 });
+    res.status(200).json({ data: apiKeys.map(formatApiKey) });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ message: 'Failed to fetch API keys.', error: error.message });
+  }
+});
+
+// Vendor: Revoke an API key. It stops working at once.
+app.delete('/vendor/api-keys/:keyId', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const apiKey = mongoose.Types.ObjectId.isValid(req.params.keyId)
+      ? await ApiKey.findOne({ _id: req.params.keyId, vendorUsername: req.user.username })
+      : null;
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found.' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(200).json({ message: 'API key was already revoked.', apiKey: formatApiKey(apiKey) });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
 
     // Log activity
-    await ActivityLog.create({
-      eventType: 'invoice_created',
-      description: `Invoice created for customer ${customerId}. Amount: ${amount}. Manual send required.`,
-      relatedId: invoice.id,
-    });
+    await logActivity({
+      eventType: 'api_key_revoked',
+      description: `API key "${apiKey.name}" (${apiKey.prefix}...) revoked by ${req.user.username}.`,
+      relatedId: apiKey._id,
+    }, { vendorUsername: req.user.username });
+
+    res.status(200).json({ message: 'API key revoked.', apiKey: formatApiKey(apiKey) });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ message: 'Failed to revoke API key.', error: error.message });
+  }
+});
 
+// Vendor: Update business details printed on invoices. `logo` is a PNG or JPEG
+// data URL (max 512 KB); pass null to remove it.
+app.post('/vendor/profile', authenticateToken, requireRole('vendor'), validateBody({
+  businessName: check.string({ nullable: true, maxLength: 200 }),
+  businessEmail: check.email({ nullable: true }),
+  businessPhone: check.string({ nullable: true, maxLength: 50 }),
+  address: CUSTOMER_BODY.billingAddress,
+  logo: check.string({ nullable: true, maxLength: 1024 * 1024 }),
+}), async (req, res) => {
+  const { businessName, businessEmail, businessPhone, address, logo } = req.body;
+  const update = {};
+
+  for (const [field, value] of Object.entries({ businessName, businessEmail, businessPhone })) {
+    if (value !== undefined) {
+      update[field] = value ? value.trim() : null;
+    }
+  }
+  if (address !== undefined) {
+    update.address = parseCustomerInput({ billingAddress: address }, { partial: true }).fields.billingAddress;
+  }
+  if (logo !== undefined) {
+    if (logo === null) {
+      update.logo = null;
+    } else {
+      const match = logo.match(/^data:(image\/(?:png|jpeg));base64,([A-Za-z0-9+/=]+)$/);
+      if (!match) {
+        return sendValidationErrors(res, [{ field: 'logo', message: 'logo must be a PNG or JPEG data URL.' }]);
+      }
+      const data = Buffer.from(match[2], 'base64');
+      if (data.length > 512 * 1024) {
+        return sendValidationErrors(res, [{ field: 'logo', message: 'logo must be 512 KB or smaller.' }]);
+      }
+      update.logo = { data, contentType: match[1] };
+    }
   }
 
+  try {
+    const vendor = await Vendor.findOneAndUpdate({ username: req.user.username }, update, { new: true });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    res.status(200).json({ message: 'Profile updated successfully.', profile: formatVendorProfile(vendor) });
   } catch (error) {
-    console.error('Error creating Invoice:', error);
-    res.status(500).json({ message: 'Failed to create Invoice.', error: error.message });
+    console.error('Error updating vendor profile:', error);
+    res.status(500).json({ message: 'Failed to update profile.', error: error.message });
   }
 });
 
-// Vendor subscribes to a plan
-app.post('/vendor/create-subscription', authenticateToken, async (req, res) => {
-  const { vendorUsername, paymentMethodId } = req.body;
+// Vendor: Set the default currency for new invoices, charges and payouts
+app.post('/vendor/set-default-currency', authenticateToken, requireRole('vendor'), validateBody({
+  currency: check.currency({ required: true }),
+}), async (req, res) => {
+  const currency = normalizeCurrency(req.body.currency);
 
   try {
-    const vendor = await Vendor.findOne({ username: vendorUsername });
+    const vendor = await Vendor.findOneAndUpdate({ username: req.user.username }, { defaultCurrency: currency }, { new: true });
 
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found.' });
     }
 
-    // Attach the payment method to the customer
-    await stripe.paymentMethods.attach(
-      paymentMethodId,
-      { customer: vendor.stripeCustomerId }
-    );
+    res.status(200).json({ message: `Default currency set to ${currency.toUpperCase()}.`, defaultCurrency: vendor.defaultCurrency });
+  } catch (error) {
+    console.error('Error setting vendor default currency:', error);
+    res.status(500).json({ message: 'Failed to set default currency.', error: error.message });
+  }
+});
 
-    // Set the default payment method for the customer
-    await stripe.customers.update(
-      vendor.stripeCustomerId,
-      { invoice_settings: { default_payment_method: paymentMethodId } }
-    );
+// Vendor: Set the default currency for one of their customers
+app.post('/vendor/set-customer-currency', authenticateToken, requireRole('vendor'), validateBody({
+  customerId: check.string({ required: true, maxLength: 255 }),
+  currency: check.currency({ required: true }),
+}), authorizeCustomerAccess(req => req.body.customerId), async (req, res) => {
+  const { customerId } = req.body;
+  const currency = normalizeCurrency(req.body.currency);
 
-    // Create the subscription
-    const subscription = await stripe.subscriptions.create({
-      customer: vendor.stripeCustomerId,
-      items: [{ price: 'price_12345' }], // Replace with your actual Stripe Price ID for $99/month
-      expand: ['latest_invoice.payment_intent'],
-    });
+  try {
+    await paymentProvider.customers.update(customerId, { metadata: { currency } });
+    await Customer.updateOne({ stripeCustomerId: customerId }, { currency, updatedAt: new Date() });
 
-    // Update vendor's subscription status
-    vendor.subscriptionStatus = subscription.status;
-    await vendor.save();
-    console.log(`Vendor ${vendorUsername} subscribed:`, subscription.status);
+    res.status(200).json({ message: `Customer currency set to ${currency.toUpperCase()}.`, customerId, currency });
+  } catch (error) {
+    console.error('Error setting customer currency:', error);
+    res.status(500).json({ message: 'Failed to set customer currency.', error: error.message });
+  }
+});
 
-    // Log activity
-    await ActivityLog.create({
-      eventType: 'vendor_subscribed',
-      description: `Vendor ${vendorUsername} subscribed to plan. Status: ${subscription.status}`,
-      relatedId: vendor._id,
+// Vendor: Create SetupIntent for subscription payment method
+app.post('/vendor/create-subscription-setup-intent', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const username = req.user.username;
+    const vendor = await Vendor.findOne({ username });
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    if (!vendor.stripeCustomerId) {
+      return res.status(400).json({ message: 'Stripe Customer ID not found for this vendor.' });
+    }
+
+    const setupIntent = await paymentProvider.setupIntents.create({
+      customer: vendor.stripeCustomerId,
+      payment_method_types: ['card'],
     });
 
-    res.status(200).json({ message: 'Subscription successful!', subscriptionId: subscription.id, vendor: vendor });
+    res.status(200).json({ clientSecret: setupIntent.client_secret });
   } catch (error) {
-    console.error('Error creating subscription:', error);
-    res.status(500).json({ message: 'Failed to create subscription.', error: error.message });
+    console.error('Error creating subscription SetupIntent:', error);
+    res.status(500).json({ message: 'Failed to create subscription SetupIntent.', error: error.message });
   }
 });
 
-// Request instant payout for vendors using Stripe Express
-app.post('/vendor/request-payout', authenticateToken, async (req, res) => {
-  const { vendorUsername, amount } = req.body;
-
+// Admin: Get details for a specific vendor
+app.get('/admin/vendor-details/:username', authenticateToken, requireAdminLevel('support', 'finance'), async (req, res) => {
   try {
-    const vendor = await Vendor.findOne({ username: vendorUsername });
+    const { username } = req.params;
+    const vendor = await Vendor.findOne({ username });
 
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found.' });
     }
 
-    if (!vendor.stripeConnectAccountId) {
-      return res.status(400).json({ message: 'Stripe Express account not connected for this vendor.' });
-    }
-
-    const payout = await stripe.payouts.create({
-      amount: amount * 100, // amount in cents
-      currency: 'usd',
-    }, { stripeAccount: vendor.stripeConnectAccountId });
+    const vendorCustomers = await Promise.all(vendor.customers.map(async (customerId) => {
+      // In a real app, you'd fetch full customer details from Stripe
+      return { id: customerId, name: `Customer ${customerId}`, email: `customer${customerId}@example.com` };
+    }));
 
-    console.log(`Payout of ${amount} to ${vendor.username} (Stripe Connect Account: ${vendor.stripeConnectAccountId}) initiated. Payout ID: ${payout.id}`);
+    const vendorInvoices = await Invoice.find({ customerId: { $in: vendor.customers } });
 
-    // Log activity
-    await ActivityLog.create({
-      eventType: 'payout_requested',
-      description: `Payout of ${amount} requested by ${vendor.username}. Payout ID: ${payout.id}`,
-      relatedId: payout.id,
+    res.status(200).json({
+      username: vendor.username,
+      approved: vendor.approved,
+      subscriptionStatus: vendor.subscriptionStatus,
+      trialEndsAt: vendor.trialEndsAt,
+      stripeCustomerId: vendor.stripeCustomerId,
+      stripeConnectAccountId: vendor.stripeConnectAccountId,
+      customers: vendorCustomers,
+      invoices: vendorInvoices.map(formatInvoice),
     });
+  } catch (error) {
+    console.error('Error fetching vendor details:', error);
+    res.status(500).json({ message: 'Failed to fetch vendor details.', error: error.message });
+  }
+});
+
+// Check authentication status
+app.get('/check-auth', authenticateToken, async (req, res) => {
+  try {
+    // req.user is populated by authenticateToken middleware
+    const username = req.user.username;
+    const role = req.user.role;
 
-    res.status(200).json({ message: `Payout of ${amount} requested successfully for ${vendor.username}. Payout ID: ${payout.id}` });
+    if (role === 'admin') {
+      return res.status(200).json({ user: { username, role, adminLevel: req.user.adminLevel } });
+    } else if (role === 'vendor') {
+      const vendor = await Vendor.findOne({ username });
+      if (!vendor) {
+        return res.status(404).json({ message: 'Vendor not found.' });
+      }
+      return res.status(200).json({ user: { username: vendor.username, approved: vendor.approved, role: 'vendor', subscriptionStatus: vendor.subscriptionStatus, trialEndsAt: vendor.trialEndsAt, stripeConnectAccountId: vendor.stripeConnectAccountId } });
+    }
+    res.status(400).json({ message: 'Invalid user role.' });
   } catch (error) {
-    console.error('Error requesting payout:', error);
-    res.status(500).json({ message: 'Failed to request payout.', error: error.message });
+    console.error('Error checking auth:', error);
+    res.status(500).json({ message: 'Failed to check authentication status.', error: error.message });
   }
 });
 
-// Stripe Webhook Endpoint for fraud warnings
-app.post('/stripe-webhook', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
+// Logout endpoint. Ends the vendor session behind the cookies, even once the access token has expired.
+app.post('/logout', async (req, res) => {
+  try {
+    let query = null;
+    if (req.cookies.refreshToken) {
+      query = { refreshTokenHash: hashToken(req.cookies.refreshToken) };
+    } else if (req.cookies.token) {
+      try {
+        const payload = jwt.verify(req.cookies.token, JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE, ignoreExpiration: true });
+        if (payload && payload.sid && mongoose.Types.ObjectId.isValid(payload.sid)) {
+          query = { _id: payload.sid };
+        }
+      } catch (err) {
+        // Not one of our tokens; there is no session to end
+      }
+    }
+    if (query) {
+      await VendorSession.updateOne({ ...query, revokedAt: null }, { revokedAt: new Date(), revokedReason: 'logout' });
+    }
+
+    clearAuthCookies(res);
+    res.status(200).json({ message: 'Logged out successfully.' });
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({ message: 'Logout failed.', error: error.message });
+  }
+});
 
+// Vendor: List the devices logged in to this account
+app.get('/vendor/sessions', authenticateToken, requireRole('vendor'), async (req, res) => {
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error(`Webhook Error: ${err.message}`);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    const sessions = await VendorSession.find({ vendorUsername: req.user.username, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+    res.status(200).json({ data: sessions.map(session => formatVendorSession(session, req.user.sid)) });
+  } catch (error) {
+    console.error('Error fetching vendor sessions:', error);
+    res.status(500).json({ message: 'Failed to fetch sessions.', error: error.message });
   }
+});
 
-  // Handle the event
-  switch (event.type) {
-    case 'charge.dispute.created':
-      const dispute = event.data.object;
-      console.log(`Fraud warning: Dispute created for charge ${dispute.charge}.`);
-      // Implement auto-refund logic here
-      try {
-        await stripe.refunds.create({ charge: dispute.charge });
-        console.log(`Auto-refund initiated for charge ${dispute.charge}.`);
-        // Simulate admin email notification
-        console.log(`ADMIN NOTIFICATION: Fraud warning for charge ${dispute.charge}. Auto-refund initiated.`);
+// Vendor: Log out every device. Body: { keepCurrent } to stay logged in here.
+app.post('/vendor/sessions/revoke-all', authenticateToken, requireRole('vendor'), validateBody({
+  keepCurrent: check.boolean(),
+}), async (req, res) => {
+  const keepCurrent = req.body.keepCurrent === true;
 
-        // Log activity
-        await ActivityLog.create({
-          eventType: 'fraud_warning_refund',
-          description: `Fraud warning: Dispute created for charge ${dispute.charge}. Auto-refund initiated.`,
-          relatedId: dispute.charge,
-        });
+  try {
+    const revoked = await revokeVendorSessions(req.user.username, 'logout_everywhere', { exceptSessionId: keepCurrent ? req.user.sid : null });
 
-      } catch (refundError) {
-        console.error(`Error initiating auto-refund for charge ${dispute.charge}:`, refundError);
-        console.log(`ADMIN NOTIFICATION: Fraud warning for charge ${dispute.charge}. Auto-refund FAILED.`);
+    // Log activity
+    await logActivity({
+      eventType: 'vendor_sessions_revoked',
+      description: `${req.user.username} logged out ${revoked} session(s)${keepCurrent ? ' on other devices' : ' everywhere'}.`,
+    }, { vendorUsername: req.user.username });
 
-        // Log activity
-        await ActivityLog.create({
-          eventType: 'fraud_warning_refund_failed',
-          description: `Fraud warning: Dispute created for charge ${dispute.charge}. Auto-refund FAILED. Error: ${refundError.message}`,
-          relatedId: dispute.charge,
-        });
-      }
-      break;
-    case 'customer.subscription.updated':
-      const subscription = event.data.object;
-      const stripeCustomerId = subscription.customer;
-      const newStatus = subscription.status;
-      console.log(`Subscription updated for customer ${stripeCustomerId}. New status: ${newStatus}`);
-      try {
-        const vendor = await Vendor.findOneAndUpdate(
-          { stripeCustomerId: stripeCustomerId },
-          { subscriptionStatus: newStatus },
-          { new: true }
-        );
-        if (vendor) {
-          console.log(`Vendor ${vendor.username} subscription status updated to ${newStatus}.`);
-          // Log activity
-          await ActivityLog.create({
-            eventType: 'subscription_status_updated',
-            description: `Vendor ${vendor.username} subscription status updated to ${newStatus}.`,
-            relatedId: vendor._id,
-          });
-        } else {
-          console.log(`Vendor not found for Stripe Customer ID: ${stripeCustomerId}.`);
-        }
-      } catch (updateError) {
-        console.error(`Error updating vendor subscription status:`, updateError);
-      }
-      break;
-    case 'invoice.payment_succeeded':
-      const paidInvoice = event.data.object;
-      console.log(`Invoice payment succeeded for invoice ID: ${paidInvoice.id}`);
-      try {
-        const updatedInvoice = await Invoice.findOneAndUpdate(
-          { id: paidInvoice.id },
-          { status: 'paid' },
-          { new: true }
-        );
-        if (updatedInvoice) {
-          console.log(`Invoice ${updatedInvoice.id} status updated to paid.`);
-          // Log activity
-          await ActivityLog.create({
-            eventType: 'invoice_paid',
-            description: `Invoice ${updatedInvoice.id} paid successfully.`,
-            relatedId: updatedInvoice._id,
-          });
-        } else {
-          console.log(`Invoice not found for ID: ${paidInvoice.id}.`);
-        }
-      } catch (updateError) {
-        console.error(`Error updating invoice status:`, updateError);
-      }
-      break;
-    break;
-    case 'payout.succeeded':
-      const succeededPayout = event.data.object;
-      console.log(`Payout succeeded for ID: ${succeededPayout.id}.`);
-      await ActivityLog.create({
-        eventType: 'payout_succeeded',
-        description: `Payout succeeded for ID: ${succeededPayout.id}. Amount: ${succeededPayout.amount / 100} ${succeededPayout.currency.toUpperCase()}.`,
-        relatedId: succeededPayout.id,
-      });
-      break;
-    case 'payout.failed':
-      const failedPayout = event.data.object;
-      console.log(`Payout failed for ID: ${failedPayout.id}. Reason: ${failedPayout.failure_code || 'N/A'}.`);
-      await ActivityLog.create({
-        eventType: 'payout_failed',
-        description: `Payout failed for ID: ${failedPayout.id}. Reason: ${failedPayout.failure_code || 'N/A'}.`,
-        relatedId: failedPayout.id,
-      });
-      break;
-    case 'charge.refunded':
-      const refundedCharge = event.data.object;
-      console.log(`Charge refunded for ID: ${refundedCharge.id}.`);
-      await ActivityLog.create({
-        eventType: 'charge_refunded',
-        description: `Charge refunded for ID: ${refundedCharge.id}. Amount: ${refundedCharge.amount_refunded / 100} ${refundedCharge.currency.toUpperCase()}.`,
-        relatedId: refundedCharge.id,
-      });
-      break;
-    // ... handle other event types
-    default:
-      console.log(`Unhandled event type ${event.type}`);
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+    res.status(200).json({ message: keepCurrent ? 'Logged out on all other devices.' : 'Logged out everywhere.', revoked });
+  } catch (error) {
+    console.error('Error revoking vendor sessions:', error);
+    res.status(500).json({ message: 'Failed to log out sessions.', error: error.message });
   }
+});
+
+// Vendor: Log out one device
+app.delete('/vendor/sessions/:sessionId', authenticateToken, requireRole('vendor'), async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.sessionId)
+      ? await VendorSession.findOneAndUpdate(
+        { _id: req.params.sessionId, vendorUsername: req.user.username, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'revoked' }
+      )
+      : null;
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found.' });
+    }
 
-  // Return a 200 response to acknowledge receipt of the event
-  res.json({ received: true });
+    // Log activity
+    await logActivity({
+      eventType: 'vendor_session_revoked',
+      description: `${req.user.username} logged out a session (${session.userAgent || 'unknown device'}).`,
+      relatedId: session._id,
+    }, { vendorUsername: req.user.username });
+
+    const current = String(session._id) === String(req.user.sid);
+    if (current) {
+      clearAuthCookies(res);
+    }
+    res.status(200).json({ message: current ? 'Logged out of this device.' : 'Session logged out.' });
+  } catch (error) {
+    console.error('Error revoking vendor session:', error);
+    res.status(500).json({ message: 'Failed to log out session.', error: error.message });
+  }
 });
 
-// Admin: Get all vendors
-app.get('/admin/vendors/all', authenticateToken, async (req, res) => {
-  try {
-    const { search, approved, subscriptionStatus } = req.query;
-    const query = {};
+// Vendor: Change password. Other devices are logged out; this one stays logged in.
+app.post('/vendor/change-password', authenticateToken, requireRole('vendor'), validateBody({
+  currentPassword: check.string({ required: true, maxLength: 200 }),
+  newPassword: check.string({ required: true, minLength: 8, maxLength: 200 }),
+}), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
-    if (search) {
-      query.username = { $regex: search, $options: 'i' }; // Case-insensitive search
+  try {
+    const vendor = await Vendor.findOne({ username: req.user.username });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
     }
-    if (approved !== undefined) {
-      query.approved = approved === 'true';
+
+    if (!(await bcrypt.compare(currentPassword, vendor.password))) {
+      return res.status(403).json({ message: 'Current password is incorrect.' });
     }
-    if (subscriptionStatus) {
-      query.subscriptionStatus = subscriptionStatus;
+    if (currentPassword === newPassword) {
+      return sendValidationErrors(res, [{ field: 'newPassword', message: 'newPassword must differ from the current password.' }]);
     }
 
-    const allVendors = await Vendor.find(query);
-    res.status(200).json(allVendors.map(vendor => ({
-      username: vendor.username,
-      approved: vendor.approved,
-      subscriptionStatus: vendor.subscriptionStatus,
-      trialEndsAt: vendor.trialEndsAt,
-      stripeCustomerId: vendor.stripeCustomerId,
-    })));
+    vendor.password = await bcrypt.hash(newPassword, 10);
+    vendor.passwordChangedAt = new Date();
+    vendor.passwordResetTokenHash = null;
+    vendor.passwordResetExpiresAt = null;
+    await vendor.save();
+
+    const revoked = await revokeVendorSessions(vendor.username, 'password_changed', { exceptSessionId: req.user.sid });
+
+    // Log activity
+    await logActivity({
+      eventType: 'vendor_password_changed',
+      description: `${vendor.username} changed their password; ${revoked} other session(s) were logged out.`,
+      relatedId: vendor._id,
+    }, { vendorUsername: vendor.username });
+
+    res.status(200).json({ message: 'Password changed. Other devices have been logged out.', revoked });
   } catch (error) {
-    console.error('Error fetching all vendors:', error);
-    res.status(500).json({ message: 'Failed to fetch all vendors.', error: error.message });
+    console.error('Error changing password:', error);
+    res.status(500).json({ message: 'Failed to change password.', error: error.message });
   }
 });
 
-// Admin: Get analytics
-app.get('/admin/analytics', authenticateToken, async (req, res) => {
-  try {
-    const totalVendors = await Vendor.countDocuments({});
-    const approvedVendors = await Vendor.countDocuments({ approved: true });
-    const trialingVendors = await Vendor.countDocuments({ subscriptionStatus: 'trialing' });
+// Two-factor authentication settings, for vendors and admins alike
+const findTwoFactorAccount = async (user) => {
+  if (user.role === 'admin') {
+    const admin = await Admin.findOne({ username: user.username });
+    return admin && !admin.disabled ? admin : null;
+  }
+  return Vendor.findOne({ username: user.username });
+};
+
+const logTwoFactorActivity = (account, role, eventType, description) => logActivity({
+  eventType,
+  description,
+  relatedId: account._id,
+}, { vendorUsername: role === 'vendor' ? account.username : null });
+
+// Hash a fresh set of recovery codes onto the account and return them in plain text
+const resetRecoveryCodes = (account) => {
+  const recoveryCodes = generateRecoveryCodes();
+  account.twoFactor.recoveryCodeHashes = recoveryCodes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return recoveryCodes;
+};
 
+// Two-factor status
+app.get('/two-factor', authenticateToken, requireRole('vendor', 'admin'), async (req, res) => {
+  try {
+    const account = await findTwoFactorAccount(req.user);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found.' });
+    }
     res.status(200).json({
-      totalVendors,
-      approvedVendors,
-      trialingVendors,
+      enabled: account.twoFactor.enabled,
+      enabledAt: account.twoFactor.enabledAt,
+      required: req.user.role === 'admin',
+      recoveryCodesRemaining: account.twoFactor.recoveryCodeHashes.length,
     });
   } catch (error) {
-    console.error('Error fetching analytics:', error);
-    res.status(500).json({ message: 'Failed to fetch analytics.', error: error.message });
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ message: 'Failed to fetch two-factor status.', error: error.message });
   }
 });
 
-// Vendor: Get invoices for their customers
-app.get('/vendor/invoices/:vendorUsername', async (req, res) => {
-  const { vendorUsername } = req.params;
+// Two-factor enrollment, step one: a new secret and the otpauth:// URI to show as a QR code
+app.post('/two-factor/setup', authenticateToken, requireRole('vendor', 'admin'), async (req, res) => {
   try {
-    const vendor = await Vendor.findOne({ username: vendorUsername });
-
-    if (!vendor) {
-      return res.status(404).json({ message: 'Vendor not found.' });
+    const account = await findTwoFactorAccount(req.user);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found.' });
+    }
+    if (account.twoFactor.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
     }
 
-    const vendorCustomerIds = vendor.customers;
-    const vendorInvoices = await Invoice.find({ customerId: { $in: vendorCustomerIds } });
+    const secret = base32Encode(crypto.randomBytes(20));
+    account.twoFactor.pendingSecret = secret;
+    await account.save();
 
-    res.status(200).json(vendorInvoices);
+    res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+      secret,
+      otpauthUri: otpauthUri(secret, account.username),
+    });
   } catch (error) {
-    console.error('Error fetching vendor invoices:', error);
-    res.status(500).json({ message: 'Failed to fetch vendor invoices.', error: error.message });
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ message: 'Failed to start two-factor setup.', error: error.message });
   }
 });
 
-// Admin: Get activity log
-app.get('/admin/activity-log', authenticateToken, async (req, res) => {
+// Two-factor enrollment, step two: a code from the app turns 2FA on. The recovery codes are only returned here.
+app.post('/two-factor/enable', authenticateToken, requireRole('vendor', 'admin'), validateBody({
+  code: check.string({ required: true, pattern: /^\d{6}$/ }),
+}), async (req, res) => {
   try {
-    // Ensure only admins can access this log
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admins only.' });
+    const account = await findTwoFactorAccount(req.user);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found.' });
+    }
+    if (account.twoFactor.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+    }
+    if (!account.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start with POST /two-factor/setup.' });
     }
 
-    const { search, eventType } = req.query;
-    const query = {};
+    const step = matchTotpStep(account.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(401).json({ message: 'Invalid two-factor code. Check the time on your device and try again.' });
+    }
 
-    if (search) {
-      query.description = { $regex: search, $options: 'i' }; // Case-insensitive search
+    account.twoFactor.enabled = true;
+    account.twoFactor.secret = account.twoFactor.pendingSecret;
+    account.twoFactor.pendingSecret = null;
+    account.twoFactor.lastUsedStep = step;
+    account.twoFactor.failedAttempts = 0;
+    account.twoFactor.lockedUntil = null;
+    account.twoFactor.enabledAt = new Date();
+    const recoveryCodes = resetRecoveryCodes(account);
+    await account.save();
+
+    // Log activity
+    await logTwoFactorActivity(account, req.user.role, 'two_factor_enabled', `Two-factor authentication enabled by ${account.username}.`);
+
+    res.status(200).json({ message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe: they cannot be shown again.', recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Failed to enable two-factor authentication.', error: error.message });
+  }
+});
+
+// Replace the recovery codes; the old ones stop working
+app.post('/two-factor/recovery-codes', authenticateToken, requireRole('vendor', 'admin'), validateBody(TWO_FACTOR_CODE_BODY), requireTwoFactorCode, async (req, res) => {
+  try {
+    const account = await findTwoFactorAccount(req.user);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found.' });
     }
-    if (eventType) {
-      query.eventType = eventType;
+
+    const result = await verifyTwoFactor(account, req.body);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
     }
 
-    const activityLogs = await ActivityLog.find(query).sort({ timestamp: -1 }); // Sort by newest first
-    res.status(200).json(activityLogs);
+    const recoveryCodes = resetRecoveryCodes(account);
+    await account.save();
+
+    // Log activity
+    await logTwoFactorActivity(account, req.user.role, 'two_factor_recovery_codes_regenerated', `New two-factor recovery codes generated by ${account.username}.`);
+
+    res.status(200).json({ message: 'New recovery codes generated. The old ones no longer work.', recoveryCodes });
   } catch (error) {
-    console.error('Error fetching activity logs:', error);
-    res.status(500).json({ message: 'Failed to fetch activity logs.', error: error.message });
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ message: 'Failed to generate recovery codes.', error: error.message });
   }
 });
 
-app.listen(port, () => {
-  console.log(`Server is running on port: ${port}`);
+// Vendor: Turn 2FA off. Admins can't; a super admin can reset theirs instead.
+app.post('/two-factor/disable', authenticateToken, requireRole('vendor'), validateBody(TWO_FACTOR_CODE_BODY), requireTwoFactorCode, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ username: req.user.username });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found.' });
+    }
+
+    const result = await verifyTwoFactor(vendor, req.body);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    clearTwoFactor(vendor);
+    await vendor.save();
+
+    // Log activity
+    await logTwoFactorActivity(vendor, 'vendor', 'two_factor_disabled', `Two-factor authentication disabled by ${vendor.username}.`);
+
+    res.status(200).json({ message: 'Two-factor authentication disabled.' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Failed to disable two-factor authentication.', error: error.message });
+  }
 });
 
-// Vendor: Create Stripe Connect Account Link
-app.post('/vendor/create-stripe-connect-account', authenticateToken, async (req, res) => {
-  const { vendorUsername } = req.body;
+// Vendor: Confirm a code to unlock payouts and Connect changes in this session for a few minutes
+app.post('/two-factor/step-up', authenticateToken, requireRole('vendor'), validateBody(TWO_FACTOR_CODE_BODY), requireTwoFactorCode, async (req, res) => {
+  if (!req.vendorSession) {
+    return res.status(403).json({ message: 'Step-up needs a logged-in session.' });
+  }
 
   try {
-    const vendor = await Vendor.findOne({ username: vendorUsername });
-
+    const vendor = await Vendor.findOne({ username: req.user.username });
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found.' });
     }
 
-    const account = await stripe.accounts.create({
-      type: 'express',
-      country: 'US', // Or your desired country
-      email: vendorUsername, // Use vendorUsername directly as email
-      capabilities: {
-        card_payments: { requested: true },
-        transfers: { requested: true },
-      },
-    });
+    const result = await verifyTwoFactor(vendor, req.body);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
 
-    const accountLink = await stripe.accountLinks.create({
-      account: account.id,
-      refresh_url: 'https://invoice-management-client.vercel.app/dashboard', // Redirect back to dashboard on refresh
-      return_url: 'https://invoice-management-client.vercel.app/stripe-connect-success', // Redirect to success page on completion
-      type: 'account_onboarding',
-    });
+    const stepUpUntil = new Date(Date.now() + STEP_UP_TTL_MS);
+    await VendorSession.updateOne({ _id: req.vendorSession._id }, { stepUpUntil });
 
-    // Save the Stripe Connect Account ID to the vendor
-    vendor.stripeConnectAccountId = account.id;
-    await vendor.save();
+    if (result.method === 'recovery_code') {
+      // Log activity
+      await logTwoFactorActivity(vendor, 'vendor', 'two_factor_recovery_code_used', `${vendor.username} confirmed a sensitive action with a recovery code; ${vendor.twoFactor.recoveryCodeHashes.length} left.`);
+    }
 
-    res.status(200).json({ url: accountLink.url, vendor: vendor });
+    res.status(200).json({ message: 'Verified.', stepUpUntil });
   } catch (error) {
-    console.error('Error creating Stripe Connect account link:', error);
-    res.status(500).json({ message: 'Failed to create Stripe Connect account link.', error: error.message });
+    console.error('Error verifying two-factor step-up:', error);
+    res.status(500).json({ message: 'Failed to verify two-factor code.', error: error.message });
   }
 });
 
-// Customer: Get invoices for a specific customer
-app.get('/customer/invoices/:customerId', authenticateToken, async (req, res) => {
-  const { customerId } = req.params;
+// Generate a signed, single-use customer portal link
+app.post('/customer/generate-invite-link', authenticateToken, validateBody({
+  customerId: check.string({ required: true, maxLength: 255 }),
+}), authorizeCustomerAccess(req => req.body.customerId), async (req, res) => {
+  const { customerId } = req.body;
+
   try {
-    const customerInvoices = await Invoice.find({ customerId });
-    res.status(200).json(customerInvoices);
+    const jti = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    const token = jwt.sign(
+      { customerId },
+      JWT_SECRET,
+      { audience: 'customer-magic-link', jwtid: jti, expiresIn: '48h' }
+    );
+
+    await CustomerAccessToken.create({ jti, customerId, createdBy: req.user.username, expiresAt });
+
+    // Log activity
+    await logActivity({
+      eventType: 'customer_portal_link_created',
+      description: `Customer portal link created for customer ${customerId} by ${req.user.username}.`,
+      relatedId: customerId,
+    }, { vendorUsername: await findCustomerVendorUsername(customerId) }); // The link may be made by an admin
+
+    const inviteLink = `https://invoice-management-client.vercel.app/customer/access/${token}`;
+    res.status(200).json({ inviteLink, expiresAt });
   } catch (error) {
-    console.error('Error fetching customer invoices:', error);
-    res.status(500).json({ message: 'Failed to fetch customer invoices.', error: error.message });
+    console.error('Error generating customer invite link:', error);
+    res.status(500).json({ message: 'Failed to generate invite link.', error: error.message });
   }
 });
 
-// Vendor: Get current authenticated user's data
-app.get('/vendor/get-current-user', authenticateToken, async (req, res) => {
+// Customer Portal: Exchange a magic link token for a customer session
+app.post('/customer/portal/session', validateBody({
+  token: check.string({ required: true, maxLength: 2048 }),
+}), async (req, res) => {
+  const { token } = req.body;
+
+  let payload;
   try {
-    const username = req.user.username;
-    const vendor = await Vendor.findOne({ username });
+    payload = jwt.verify(token, JWT_SECRET, { audience: 'customer-magic-link' });
+  } catch (err) {
+    return res.status(401).json({ message: 'This link is invalid or has expired.' });
+  }
 
-    if (!vendor) {
-      return res.status(404).json({ message: 'Vendor not found.' });
+  try {
+    // Mark the link used in the same step as checking it, so it can only be redeemed once
+    const accessToken = await CustomerAccessToken.findOneAndUpdate(
+      { jti: payload.jti, customerId: payload.customerId, usedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!accessToken) {
+      return res.status(401).json({ message: 'This link has already been used. Ask for a new one.' });
     }
 
-    res.status(200).json({ vendor: { username: vendor.username, approved: vendor.approved, role: 'vendor', subscriptionStatus: vendor.subscriptionStatus, trialEndsAt: vendor.trialEndsAt, stripeConnectAccountId: vendor.stripeConnectAccountId } });
+    const sessionToken = jwt.sign(
+      { role: 'customer', customerId: accessToken.customerId },
+      JWT_SECRET,
+      { audience: 'customer-portal', expiresIn: '2h' }
+    );
+
+    // Log activity
+    await logActivity({
+      eventType: 'customer_portal_login',
+      description: `Customer ${accessToken.customerId} opened the customer portal.`,
+      relatedId: accessToken.customerId,
+    }, { vendorUsername: await findCustomerVendorUsername(accessToken.customerId) });
+
+    res.cookie('customerToken', sessionToken, { httpOnly: true, secure: true, sameSite: 'None' });
+    res.status(200).json({ message: 'Customer session started.', customer: { customerId: accessToken.customerId, role: 'customer' } });
   } catch (error) {
-    console.error('Error fetching current vendor data:', error);
-    res.status(500).json({ message: 'Failed to fetch current vendor data.', error: error.message });
+    console.error('Error starting customer session:', error);
+    res.status(500).json({ message: 'Failed to start customer session.', error: error.message });
   }
 });
 
-// Vendor: Create SetupIntent for subscription payment method
-app.post('/vendor/create-subscription-setup-intent', authenticateToken, async (req, res) => {
+// Customer Portal: End the customer session
+app.post('/customer/portal/logout', (req, res) => {
+  res.clearCookie('customerToken', { httpOnly: true, secure: true, sameSite: 'None' });
+  res.status(200).json({ message: 'Logged out successfully.' });
+});
+
+// Customer Portal: Get the signed-in customer's profile
+app.get('/customer/portal/me', authenticateCustomer, async (req, res) => {
   try {
-    const username = req.user.username;
-    const vendor = await Vendor.findOne({ username });
+    const customer = await paymentProvider.customers.retrieve(req.customer.customerId);
+    res.status(200).json({ customer: { id: customer.id, name: customer.name, email: customer.email, phone: customer.phone } });
+  } catch (error) {
+    console.error('Error fetching portal customer:', error);
+    res.status(500).json({ message: 'Failed to fetch customer.', error: error.message });
+  }
+});
 
-    if (!vendor) {
-      return res.status(404).json({ message: 'Vendor not found.' });
+// Customer Portal: List the signed-in customer's invoices
+app.get('/customer/portal/invoices', authenticateCustomer, async (req, res) => {
+  const list = parseListQuery(req.query, { sortFields: INVOICE_SORT_FIELDS, defaultSort: '-createdAt' });
+  if (list.error) {
+    return res.status(400).json({ message: list.error });
+  }
+
+  try {
+    const query = { customerId: req.customer.customerId };
+    const filterError = applyInvoiceFilters(req.query, query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
     }
 
-    if (!vendor.stripeCustomerId) {
-      return res.status(400).json({ message: 'Stripe Customer ID not found for this vendor.' });
+    const invoices = await paginate(Invoice, query, list);
+    res.status(200).json({ ...invoices, data: invoices.data.map(formatInvoice) });
+  } catch (error) {
+    console.error('Error fetching portal invoices:', error);
+    res.status(500).json({ message: 'Failed to fetch invoices.', error: error.message });
+  }
+});
+
+// Load one of the signed-in customer's invoices, or answer 404 for anyone else's
+const findPortalInvoice = async (req, res) => {
+  const invoice = await Invoice.findOne({ id: req.params.invoiceId, customerId: req.customer.customerId });
+  if (!invoice) {
+    res.status(404).json({ message: 'Invoice not found.' });
+    return null;
+  }
+  return invoice;
+};
+
+// Customer Portal: Get the hosted payment link for an invoice
+app.get('/customer/portal/invoices/:invoiceId/pay', authenticateCustomer, async (req, res) => {
+  try {
+    const invoice = await findPortalInvoice(req, res);
+    if (!invoice) return;
+
+    const stripeInvoice = await paymentProvider.invoices.retrieve(invoice.id);
+    if (!stripeInvoice.hosted_invoice_url) {
+      return res.status(400).json({ message: 'This invoice has not been issued for payment yet.' });
     }
 
-    const setupIntent = await stripe.setupIntents.create({
-      customer: vendor.stripeCustomerId,
-      payment_method_types: ['card'],
+    res.status(200).json({ invoiceId: invoice.id, status: stripeInvoice.status, url: stripeInvoice.hosted_invoice_url });
+  } catch (error) {
+    console.error('Error fetching invoice payment link:', error);
+    res.status(500).json({ message: 'Failed to fetch payment link.', error: error.message });
+  }
+});
+
+// Customer Portal: Get the receipt and PDF download links for a paid invoice
+app.get('/customer/portal/invoices/:invoiceId/receipt', authenticateCustomer, async (req, res) => {
+  try {
+    const invoice = await findPortalInvoice(req, res);
+    if (!invoice) return;
+
+    const stripeInvoice = await paymentProvider.invoices.retrieve(invoice.id);
+    if (stripeInvoice.status !== 'paid') {
+      return res.status(400).json({ message: 'A receipt is only available once the invoice is paid.' });
+    }
+
+    const payments = await paymentProvider.invoicePayments.list({
+      invoice: invoice.id,
+      status: 'paid',
+      expand: ['data.payment.payment_intent.latest_charge'],
     });
+    const receiptUrls = payments.data
+      .map(payment => payment.payment && payment.payment.payment_intent && payment.payment.payment_intent.latest_charge)
+      .filter(charge => charge && charge.receipt_url)
+      .map(charge => charge.receipt_url);
 
-    res.status(200).json({ clientSecret: setupIntent.client_secret });
+    res.status(200).json({ invoiceId: invoice.id, invoicePdf: stripeInvoice.invoice_pdf, receiptUrls });
   } catch (error) {
-    console.error('Error creating subscription SetupIntent:', error);
-    res.status(500).json({ message: 'Failed to create subscription SetupIntent.', error: error.message });
+    console.error('Error fetching invoice receipt:', error);
+    res.status(500).json({ message: 'Failed to fetch receipt.', error: error.message });
   }
 });
 
-// Admin: Get details for a specific vendor
-app.get('/admin/vendor-details/:username', authenticateToken, async (req, res) => {
+// Customer Portal: Download an invoice as a PDF
+app.get('/customer/portal/invoices/:invoiceId/pdf', authenticateCustomer, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admins only.' });
-    }
+    const invoice = await findPortalInvoice(req, res);
+    if (!invoice) return;
 
-    const { username } = req.params;
-    const vendor = await Vendor.findOne({ username });
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error('Error generating portal invoice PDF:', error);
+    res.status(500).json({ message: 'Failed to generate invoice PDF.', error: error.message });
+  }
+});
 
-    if (!vendor) {
-      return res.status(404).json({ message: 'Vendor not found.' });
-    }
+// Customer Portal: Download a paid invoice's receipt as a PDF
+app.get('/customer/portal/invoices/:invoiceId/receipt.pdf', authenticateCustomer, async (req, res) => {
+  try {
+    const invoice = await findPortalInvoice(req, res);
+    if (!invoice) return;
 
-    const vendorCustomers = await Promise.all(vendor.customers.map(async (customerId) => {
-      // In a real app, you'd fetch full customer details from Stripe
-      return { id: customerId, name: `Customer ${customerId}`, email: `customer${customerId}@example.com` };
-    }));
+    await sendInvoicePdf(res, invoice, { receipt: true });
+  } catch (error) {
+    console.error('Error generating portal receipt PDF:', error);
+    res.status(500).json({ message: 'Failed to generate receipt PDF.', error: error.message });
+  }
+});
 
-    const vendorInvoices = await Invoice.find({ customerId: { $in: vendor.customers } });
+// Customer Portal: List saved cards
+app.get('/customer/portal/payment-methods', authenticateCustomer, async (req, res) => {
+  try {
+    const { customerId } = req.customer;
+    const customer = await paymentProvider.customers.retrieve(customerId);
+    const paymentMethods = await paymentProvider.paymentMethods.list({ customer: customerId, type: 'card' });
+    const defaultPaymentMethod = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+
+    res.status(200).json(paymentMethods.data.map(paymentMethod => ({
+      id: paymentMethod.id,
+      brand: paymentMethod.card.brand,
+      last4: paymentMethod.card.last4,
+      expMonth: paymentMethod.card.exp_month,
+      expYear: paymentMethod.card.exp_year,
+      isDefault: paymentMethod.id === defaultPaymentMethod,
+    })));
+  } catch (error) {
+    console.error('Error fetching saved cards:', error);
+    res.status(500).json({ message: 'Failed to fetch saved cards.', error: error.message });
+  }
+});
 
-    res.status(200).json({
-      username: vendor.username,
-      approved: vendor.approved,
-      subscriptionStatus: vendor.subscriptionStatus,
-      trialEndsAt: vendor.trialEndsAt,
-      stripeCustomerId: vendor.stripeCustomerId,
-      stripeConnectAccountId: vendor.stripeConnectAccountId,
-      customers: vendorCustomers,
-      invoices: vendorInvoices,
+// Customer Portal: Create a SetupIntent for adding a card
+app.post('/customer/portal/setup-intent', authenticateCustomer, async (req, res) => {
+  try {
+    const setupIntent = await paymentProvider.setupIntents.create({
+      customer: req.customer.customerId,
+      payment_method_types: ['card'],
     });
+    res.status(200).json({ clientSecret: setupIntent.client_secret });
   } catch (error) {
-    console.error('Error fetching vendor details:', error);
-    res.status(500).json({ message: 'Failed to fetch vendor details.', error: error.message });
+    console.error('Error creating portal SetupIntent:', error);
+    res.status(500).json({ message: 'Failed to create SetupIntent.', error: error.message });
   }
 });
 
-// Check authentication status
-app.get('/check-auth', authenticateToken, async (req, res) => {
+const PORTAL_PAYMENT_METHOD_BODY = {
+  paymentMethodId: check.string({ required: true, maxLength: 255 }),
+};
+
+// Load one of the signed-in customer's cards, or answer 404 for anyone else's
+const findPortalPaymentMethod = async (req, res) => {
+  const { paymentMethodId } = req.body;
+
+  const paymentMethod = await paymentProvider.paymentMethods.retrieve(paymentMethodId).catch(() => null);
+  if (!paymentMethod || paymentMethod.customer !== req.customer.customerId) {
+    res.status(404).json({ message: 'Payment method not found.' });
+    return null;
+  }
+  return paymentMethod;
+};
+
+// Customer Portal: Make a saved card the default for future invoices
+app.post('/customer/portal/payment-methods/default', authenticateCustomer, validateBody(PORTAL_PAYMENT_METHOD_BODY), async (req, res) => {
   try {
-    // req.user is populated by authenticateToken middleware
-    const username = req.user.username;
-    const role = req.user.role;
+    const paymentMethod = await findPortalPaymentMethod(req, res);
+    if (!paymentMethod) return;
 
-    if (role === 'admin') {
-      return res.status(200).json({ user: { username, role } });
-    } else if (role === 'vendor') {
-      const vendor = await Vendor.findOne({ username });
-      if (!vendor) {
-        return res.status(404).json({ message: 'Vendor not found.' });
-      }
-      return res.status(200).json({ user: { username: vendor.username, approved: vendor.approved, role: 'vendor', subscriptionStatus: vendor.subscriptionStatus, trialEndsAt: vendor.trialEndsAt, stripeConnectAccountId: vendor.stripeConnectAccountId } });
-    }
-    res.status(400).json({ message: 'Invalid user role.' });
+    await paymentProvider.customers.update(req.customer.customerId, { invoice_settings: { default_payment_method: paymentMethod.id } });
+    res.status(200).json({ message: 'Default card updated.' });
   } catch (error) {
-    console.error('Error checking auth:', error);
-    res.status(500).json({ message: 'Failed to check authentication status.', error: error.message });
+    console.error('Error updating default card:', error);
+    res.status(500).json({ message: 'Failed to update default card.', error: error.message });
   }
 });
 
-// Logout endpoint
-app.post('/logout', (req, res) => {
-  res.clearCookie('token', { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax' });
-  res.status(200).json({ message: 'Logged out successfully.' });
-});
+// Customer Portal: Remove a saved card
+app.post('/customer/portal/payment-methods/remove', authenticateCustomer, validateBody(PORTAL_PAYMENT_METHOD_BODY), async (req, res) => {
+  try {
+    const paymentMethod = await findPortalPaymentMethod(req, res);
+    if (!paymentMethod) return;
 
-// Generate customer invite link
-app.post('/customer/generate-invite-link', (req, res) => {
-  const { customerId } = req.body;
-  if (!customerId) {
-    return res.status(400).json({ message: 'Customer ID is required.' });
+    await paymentProvider.paymentMethods.detach(paymentMethod.id);
+    res.status(200).json({ message: 'Card removed.' });
+  } catch (error) {
+    console.error('Error removing card:', error);
+    res.status(500).json({ message: 'Failed to remove card.', error: error.message });
   }
-  const inviteLink = `https://invoice-management-client.vercel.app/customer/dashboard/${customerId}`;
-  res.status(200).json({ inviteLink });
 });
 
 // Vendor: Get payout history
-app.get('/vendor/payout-history', authenticateToken, async (req, res) => {
+app.get('/vendor/payout-history', authenticateToken, requireRole('vendor'), async (req, res) => {
   try {
     const username = req.user.username;
     const vendor = await Vendor.findOne({ username });
@@ -938,12 +7977,21 @@ app.get('/vendor/payout-history', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Stripe Express account not connected for this vendor.' });
     }
 
-    const payouts = await stripe.payouts.list(
-      { limit: 10 }, // Fetch last 10 payouts
+    // Stripe lists are cursor-paged already; the cursor is the last payout's ID
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+    const payouts = await paymentProvider.payouts.list(
+      { limit, ...(req.query.cursor ? { starting_after: String(req.query.cursor) } : {}) },
       { stripeAccount: vendor.stripeConnectAccountId }
     );
 
-    res.status(200).json(payouts.data);
+    const last = payouts.data[payouts.data.length - 1];
+    res.status(200).json({
+      data: payouts.data,
+      limit,
+      sort: '-created',
+      hasMore: payouts.has_more,
+      nextCursor: payouts.has_more && last ? last.id : null,
+    });
   } catch (error) {
     console.error('Error fetching payout history:', error);
     res.status(500).json({ message: 'Failed to fetch payout history.', error: error.message });
@@ -951,7 +7999,7 @@ app.get('/vendor/payout-history', authenticateToken, async (req, res) => {
 });
 
 // Vendor: Cancel subscription
-app.post('/vendor/cancel-subscription', authenticateToken, async (req, res) => {
+app.post('/vendor/cancel-subscription', authenticateToken, requireRole('vendor'), async (req, res) => {
   try {
     const username = req.user.username;
     const vendor = await Vendor.findOne({ username });
@@ -961,7 +8009,7 @@ app.post('/vendor/cancel-subscription', authenticateToken, async (req, res) => {
     }
 
     // Retrieve the vendor's current subscription
-    const subscriptions = await stripe.subscriptions.list({
+    const subscriptions = await paymentProvider.subscriptions.list({
       customer: vendor.stripeCustomerId,
       status: 'active',
       limit: 1,
@@ -974,22 +8022,39 @@ app.post('/vendor/cancel-subscription', authenticateToken, async (req, res) => {
     const subscriptionId = subscriptions.data[0].id;
 
     // Cancel the subscription
-    const canceledSubscription = await stripe.subscriptions.cancel(subscriptionId);
+    const canceledSubscription = await paymentProvider.subscriptions.cancel(subscriptionId);
 
     // Update vendor's subscription status in DB
-    vendor.subscriptionStatus = canceledSubscription.status;
+    recordSubscriptionStatus(vendor, canceledSubscription);
     await vendor.save();
 
     // Log activity
-    await ActivityLog.create({
+    await logActivity({
       eventType: 'subscription_canceled',
       description: `Vendor ${username} canceled subscription. Status: ${canceledSubscription.status}`,
       relatedId: vendor._id,
-    });
+    }, { vendorUsername: vendor.username, data: { subscription: { id: canceledSubscription.id, status: canceledSubscription.status } } });
 
-    res.status(200).json({ message: 'Subscription canceled successfully.', vendor: vendor });
+    res.status(200).json({ message: 'Subscription canceled successfully.', vendor: formatSessionVendor(vendor) });
   } catch (error) {
     console.error('Error canceling subscription:', error);
     res.status(500).json({ message: 'Failed to cancel subscription.', error: error.message });
   }
 });
+
+// For the test suite. Models are reached through mongoose.models.
+module.exports = {
+  app,
+  paymentProvider,
+  ingestStripeWebhook,
+  processWebhookEvent,
+  retryWebhookEvents,
+  webhookRetryDelay,
+  WEBHOOK_MAX_ATTEMPTS,
+  markOverdueInvoices,
+  sendInvoiceReminders,
+  runRecurringInvoices,
+  totpCode,
+  TOTP_STEP_SECONDS,
+  migrateMoneyToMinorUnits,
+};
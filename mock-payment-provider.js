@@ -0,0 +1,939 @@
+// In-memory stand-in for the part of the Stripe API the server uses, picked with
+// PAYMENT_PROVIDER=mock (see createPaymentProvider in index.js).
+const Stripe = require('stripe');
+
+const MOCK_PROVIDER_URL = 'https://payments.mock.invalid';
+
+// Stripe test payment methods the mock understands (https://docs.stripe.com/testing).
+// Any of them can be attached to a customer; the declining ones fail every charge.
+const MOCK_CARDS = {
+  pm_card_visa: { brand: 'visa', last4: '4242' },
+  pm_card_mastercard: { brand: 'mastercard', last4: '4444' },
+  pm_card_amex: { brand: 'amex', last4: '8431' },
+  pm_card_chargeDeclined: { brand: 'visa', last4: '0002', decline: { code: 'card_declined', declineCode: 'generic_decline', message: 'Your card was declined.' } },
+  pm_card_chargeDeclinedInsufficientFunds: { brand: 'visa', last4: '9995', decline: { code: 'card_declined', declineCode: 'insufficient_funds', message: 'Your card has insufficient funds.' } },
+};
+
+// Price the mock charges for subscription items; it has no catalogue, so every price is $99 a month
+const mockPrice = (id) => ({ id, object: 'price', unit_amount: 9900, currency: 'usd', recurring: { interval: 'month', interval_count: 1 } });
+
+// In-memory payment provider with Stripe-shaped objects. IDs come from counters, so the
+// same sequence of calls always produces the same objects. Webhook events are signed
+// like Stripe's and handed to `deliver` in order, `webhookDelayMs` after the call that
+// caused them, so the caller's own writes land first. `simulate` plays the parts of
+// the customer, the bank and Stripe itself (see the actions below).
+const createMockPaymentProvider = ({ webhookSecret, deliver, webhookDelayMs = 100 }) => {
+  const signer = Stripe('sk_test_mock').webhooks; // Signing only; never calls the API
+  const tables = {};
+  const counters = {};
+  const declines = new Map(); // Payment method ID -> decline details
+  const payoutAccounts = new Map(); // Payout ID -> connected account
+
+  const table = (name) => tables[name] || (tables[name] = new Map());
+  const nextId = (prefix) => {
+    counters[prefix] = (counters[prefix] || 0) + 1;
+    return `${prefix}_mock${String(counters[prefix]).padStart(10, '0')}`;
+  };
+  const now = () => Math.floor(Date.now() / 1000);
+  const copy = (object) => JSON.parse(JSON.stringify(object));
+  const expands = (params, path) => Boolean(params && params.expand && params.expand.some(entry => entry === path || entry.startsWith(`${path}.`)));
+
+  const requestError = (message, fields = {}) => Object.assign(new Error(message), { type: 'StripeInvalidRequestError', statusCode: 400, ...fields });
+  const find = (name, type, id) => {
+    const object = table(name).get(id);
+    if (!object || object.deleted) {
+      throw requestError(`No such ${type}: '${id}'`, { code: 'resource_missing', statusCode: 404 });
+    }
+    return object;
+  };
+  const save = (name, object) => {
+    table(name).set(object.id, object);
+    return object;
+  };
+
+  // Setting a metadata key to '' removes it, as in Stripe
+  const mergeMetadata = (current = {}, updates = {}) => {
+    const merged = { ...current };
+    for (const [key, value] of Object.entries(updates)) {
+      if (value === '' || value === null) delete merged[key];
+      else merged[key] = String(value);
+    }
+    return merged;
+  };
+
+  const inCreatedRange = (object, created) => !created
+    || ((created.gte === undefined || object.created >= created.gte) && (created.lte === undefined || object.created <= created.lte));
+
+  // A list page, newest first, that can also be iterated with for await like stripe-node's
+  const list = (name, filter, params = {}) => {
+    const items = [...table(name).values()].reverse().filter(item => !item.deleted && inCreatedRange(item, params.created) && filter(item));
+    const start = params.starting_after ? items.findIndex(item => item.id === params.starting_after) + 1 : 0;
+    const limit = params.limit || 10;
+    const page = Promise.resolve({ object: 'list', data: items.slice(start, start + limit).map(copy), has_more: start + limit < items.length });
+    page[Symbol.asyncIterator] = async function* iterate() {
+      for (const item of items.slice(start)) yield copy(item);
+    };
+    return page;
+  };
+
+  let deliveries = Promise.resolve();
+  const emit = (type, object, { account } = {}) => {
+    const event = {
+      id: nextId('evt'),
+      object: 'event',
+      type,
+      created: now(),
+      livemode: false,
+      data: { object: copy(object) },
+      ...(account ? { account } : {}),
+    };
+    const payload = JSON.stringify(event);
+    deliveries = deliveries
+      .then(() => new Promise(resolve => setTimeout(resolve, webhookDelayMs)))
+      .then(() => deliver(payload, signer.generateTestHeaderString({ payload, secret: webhookSecret })))
+      .catch(error => console.error(`Error delivering mock ${type} event ${event.id}:`, error));
+    return event;
+  };
+
+  // Payments
+
+  // Charge a payment method. Returns the payment intent, succeeded or carrying last_payment_error.
+  const charge = ({ amount, currency, customer, paymentMethod, metadata = {}, description = null }) => {
+    const decline = paymentMethod ? declines.get(paymentMethod) : null;
+    const intent = save('paymentIntents', {
+      id: nextId('pi'),
+      object: 'payment_intent',
+      amount,
+      amount_received: 0,
+      currency,
+      customer: customer || null,
+      description,
+      payment_method: paymentMethod || null,
+      metadata: mergeMetadata({}, metadata),
+      status: 'requires_payment_method',
+      latest_charge: null,
+      last_payment_error: null,
+      created: now(),
+    });
+
+    if (!paymentMethod) {
+      intent.last_payment_error = { type: 'invalid_request_error', code: 'payment_method_missing', message: 'The customer has no payment method to charge.' };
+      emit('payment_intent.payment_failed', intent);
+      return intent;
+    }
+
+    const chargeObject = save('charges', {
+      id: nextId('ch'),
+      object: 'charge',
+      amount,
+      amount_refunded: 0,
+      refunded: false,
+      currency,
+      customer: customer || null,
+      payment_intent: intent.id,
+      payment_method: paymentMethod,
+      paid: !decline,
+      status: decline ? 'failed' : 'succeeded',
+      failure_code: decline ? decline.code : null,
+      failure_message: decline ? decline.message : null,
+      receipt_url: decline ? null : `${MOCK_PROVIDER_URL}/receipts/${intent.id}`,
+      created: now(),
+    });
+    intent.latest_charge = chargeObject.id;
+
+    if (decline) {
+      intent.last_payment_error = { type: 'card_error', code: decline.code, decline_code: decline.declineCode, message: decline.message, charge: chargeObject.id };
+      emit('charge.failed', chargeObject);
+      emit('payment_intent.payment_failed', intent);
+    } else {
+      intent.status = 'succeeded';
+      intent.amount_received = amount;
+      emit('charge.succeeded', chargeObject);
+      emit('payment_intent.succeeded', intent);
+    }
+    return intent;
+  };
+
+  const attachPaymentMethod = (id, customerId) => {
+    find('customers', 'customer', customerId);
+    let paymentMethod = table('paymentMethods').get(id);
+    if (!paymentMethod) {
+      const card = MOCK_CARDS[id];
+      if (!card) {
+        throw requestError(`No such PaymentMethod: '${id}'`, { code: 'resource_missing', statusCode: 404 });
+      }
+      // Attaching a test token makes a new payment method each time, as in Stripe
+      paymentMethod = save('paymentMethods', {
+        id: nextId('pm'),
+        object: 'payment_method',
+        type: 'card',
+        customer: null,
+        card: { brand: card.brand, last4: card.last4, exp_month: 12, exp_year: new Date().getUTCFullYear() + 5 },
+        created: now(),
+      });
+      if (card.decline) declines.set(paymentMethod.id, card.decline);
+    }
+    paymentMethod.customer = customerId;
+    emit('payment_method.attached', paymentMethod);
+    return paymentMethod;
+  };
+
+  const cardError = (intent) => Object.assign(new Error(intent.last_payment_error.message), {
+    type: intent.last_payment_error.type === 'card_error' ? 'StripeCardError' : 'StripeInvalidRequestError',
+    statusCode: 402,
+    code: intent.last_payment_error.code,
+    decline_code: intent.last_payment_error.decline_code,
+    payment_intent: copy(intent),
+  });
+
+  const defaultPaymentMethod = (customerId) => {
+    const customer = table('customers').get(customerId);
+    return (customer && customer.invoice_settings.default_payment_method) || null;
+  };
+
+  const withExpandedPaymentMethod = (customer, params) => {
+    const result = copy(customer);
+    const paymentMethodId = result.invoice_settings && result.invoice_settings.default_payment_method;
+    if (paymentMethodId && expands(params, 'invoice_settings.default_payment_method')) {
+      result.invoice_settings.default_payment_method = copy(find('paymentMethods', 'payment_method', paymentMethodId));
+    }
+    return result;
+  };
+
+  // Invoices
+
+  const recalculateInvoice = (invoice) => {
+    invoice.subtotal = invoice.lines.data.reduce((sum, line) => sum + line.amount, 0);
+    invoice.total = invoice.subtotal;
+    invoice.amount_due = invoice.total;
+    invoice.amount_remaining = invoice.amount_due - invoice.amount_paid;
+  };
+
+  const markInvoicePaid = (invoice, { outOfBand = false } = {}) => {
+    invoice.status = 'paid';
+    invoice.paid_out_of_band = outOfBand;
+    invoice.amount_paid = outOfBand ? invoice.amount_paid : invoice.amount_paid + invoice.amount_remaining;
+    invoice.amount_remaining = 0;
+    invoice.next_payment_attempt = null;
+    invoice.status_transitions.paid_at = now();
+  };
+
+  // One payment attempt on an open invoice, as Stripe's automatic collection or the hosted page makes
+  const attemptInvoicePayment = (invoice, paymentMethod = defaultPaymentMethod(invoice.customer)) => {
+    const intent = charge({
+      amount: invoice.amount_remaining,
+      currency: invoice.currency,
+      customer: invoice.customer,
+      paymentMethod,
+      description: `Payment for invoice ${invoice.number}`,
+    });
+    save('invoicePayments', {
+      id: nextId('inpay'),
+      object: 'invoice_payment',
+      invoice: invoice.id,
+      amount_requested: invoice.amount_remaining,
+      amount_paid: intent.status === 'succeeded' ? intent.amount : 0,
+      currency: invoice.currency,
+      is_default: true,
+      status: intent.status === 'succeeded' ? 'paid' : 'open',
+      payment: { type: 'payment_intent', payment_intent: intent.id },
+      created: now(),
+    });
+    invoice.attempt_count += 1;
+    invoice.attempted = true;
+
+    if (intent.status === 'succeeded') {
+      markInvoicePaid(invoice);
+      emit('invoice.paid', invoice);
+      emit('invoice.payment_succeeded', invoice);
+    } else {
+      // Smart Retries: up to four attempts, three days apart
+      invoice.next_payment_attempt = invoice.collection_method === 'charge_automatically' && invoice.attempt_count < 4 ? now() + 3 * 24 * 60 * 60 : null;
+      emit('invoice.payment_failed', invoice);
+    }
+    return intent;
+  };
+
+  const finalize = (invoice) => {
+    if (invoice.status !== 'draft') {
+      throw requestError(`This invoice is already finalized, you can't re-finalize a non-draft invoice.`);
+    }
+    invoice.status = 'open';
+    invoice.number = `MOCK-${String(table('invoices').size).padStart(4, '0')}`;
+    invoice.hosted_invoice_url = `${MOCK_PROVIDER_URL}/invoices/${invoice.id}`;
+    invoice.invoice_pdf = `${MOCK_PROVIDER_URL}/invoices/${invoice.id}/pdf`;
+    invoice.status_transitions.finalized_at = now();
+    emit('invoice.finalized', invoice);
+    if (invoice.amount_remaining === 0) {
+      markInvoicePaid(invoice);
+      emit('invoice.paid', invoice);
+      emit('invoice.payment_succeeded', invoice);
+    }
+  };
+
+  const createInvoice = (params) => {
+    const created = now();
+    return save('invoices', {
+      id: nextId('in'),
+      object: 'invoice',
+      number: null,
+      customer: find('customers', 'customer', params.customer).id,
+      subscription: params.subscription || null,
+      status: 'draft',
+      collection_method: params.collection_method || 'charge_automatically',
+      auto_advance: params.auto_advance !== undefined ? params.auto_advance : params.collection_method !== 'send_invoice',
+      currency: params.currency || 'usd',
+      lines: { object: 'list', data: [] },
+      subtotal: 0,
+      total: 0,
+      amount_due: 0,
+      amount_paid: 0,
+      amount_remaining: 0,
+      attempt_count: 0,
+      attempted: false,
+      next_payment_attempt: null,
+      paid_out_of_band: false,
+      due_date: params.collection_method === 'send_invoice' ? created + (params.days_until_due || 30) * 24 * 60 * 60 : null,
+      hosted_invoice_url: null,
+      invoice_pdf: null,
+      status_transitions: { finalized_at: null, paid_at: null, voided_at: null, marked_uncollectible_at: null },
+      metadata: mergeMetadata({}, params.metadata),
+      created,
+    });
+  };
+
+  const openInvoice = (id) => {
+    const invoice = find('invoices', 'invoice', id);
+    if (invoice.status === 'draft') finalize(invoice);
+    if (invoice.status !== 'open') {
+      throw requestError(`Invoice is already ${invoice.status}.`, { code: 'invoice_not_open' });
+    }
+    return invoice;
+  };
+
+  const expandInvoicePayment = (invoicePayment, params) => {
+    const result = copy(invoicePayment);
+    if (expands(params, 'data.payment.payment_intent')) {
+      const intent = copy(find('paymentIntents', 'payment_intent', result.payment.payment_intent));
+      if (intent.latest_charge && expands(params, 'data.payment.payment_intent.latest_charge')) {
+        intent.latest_charge = copy(find('charges', 'charge', intent.latest_charge));
+      }
+      result.payment.payment_intent = intent;
+    }
+    return result;
+  };
+
+  // Subscriptions
+
+  const setSubscriptionStatus = (subscription, status) => {
+    subscription.status = status;
+    if (status === 'canceled') {
+      subscription.canceled_at = now();
+      subscription.ended_at = now();
+      emit('customer.subscription.deleted', subscription);
+    } else {
+      emit('customer.subscription.updated', subscription);
+    }
+  };
+
+  // Disputes
+
+  const createDispute = ({ payment_intent: paymentIntentId, charge: chargeId, reason = 'fraudulent', amount }) => {
+    const chargeObject = find('charges', 'charge', chargeId || find('paymentIntents', 'payment_intent', paymentIntentId).latest_charge);
+    const dispute = save('disputes', {
+      id: nextId('dp'),
+      object: 'dispute',
+      amount: amount || chargeObject.amount - chargeObject.amount_refunded,
+      currency: chargeObject.currency,
+      charge: chargeObject.id,
+      payment_intent: chargeObject.payment_intent,
+      reason,
+      status: 'needs_response',
+      is_charge_refundable: false,
+      evidence: {},
+      evidence_details: { due_by: now() + 7 * 24 * 60 * 60, has_evidence: false, past_due: false, submission_count: 0 },
+      created: now(),
+    });
+    emit('charge.dispute.created', dispute);
+    return dispute;
+  };
+
+  const closeDispute = (dispute, status) => {
+    if (['won', 'lost'].includes(dispute.status)) {
+      throw requestError('This dispute is already closed.');
+    }
+    dispute.status = status;
+    emit('charge.dispute.closed', dispute);
+  };
+
+  const findPayout = (id) => {
+    const payout = find('payouts', 'payout', id);
+    if (payout.status !== 'pending') {
+      throw requestError(`Payout ${id} is already ${payout.status}.`);
+    }
+    return payout;
+  };
+
+  // Things that happen outside the API in real life. Each action returns the object it changed.
+  const simulations = {
+    // The customer completes a SetupIntent (Stripe.js), saving a test card
+    complete_setup_intent: ({ setup_intent: setupIntentId, payment_method: card = 'pm_card_visa', set_default: setDefault = false }) => {
+      const setupIntent = find('setupIntents', 'setup_intent', setupIntentId);
+      if (setupIntent.status === 'succeeded') {
+        throw requestError('This SetupIntent has already succeeded.');
+      }
+      const paymentMethod = attachPaymentMethod(card, setupIntent.customer);
+      setupIntent.status = 'succeeded';
+      setupIntent.payment_method = paymentMethod.id;
+      if (setDefault) {
+        find('customers', 'customer', setupIntent.customer).invoice_settings.default_payment_method = paymentMethod.id;
+      }
+      emit('setup_intent.succeeded', setupIntent);
+      return setupIntent;
+    },
+    // The customer pays on the hosted invoice page
+    pay_invoice: ({ invoice: invoiceId, payment_method: card }) => {
+      const invoice = openInvoice(invoiceId);
+      attemptInvoicePayment(invoice, card ? attachPaymentMethod(card, invoice.customer).id : undefined);
+      return invoice;
+    },
+    // Stripe's next automatic collection attempt
+    retry_invoice: ({ invoice: invoiceId }) => {
+      const invoice = openInvoice(invoiceId);
+      attemptInvoicePayment(invoice);
+      return invoice;
+    },
+    // The cardholder disputes a charge with their bank
+    create_dispute: (params) => createDispute(params),
+    // The bank decides a dispute
+    close_dispute: ({ dispute: disputeId, status = 'won' }) => {
+      if (!['won', 'lost'].includes(status)) {
+        throw requestError('status must be won or lost.');
+      }
+      const dispute = find('disputes', 'dispute', disputeId);
+      closeDispute(dispute, status);
+      return dispute;
+    },
+    // The vendor finishes Connect onboarding
+    complete_account_onboarding: ({ account: accountId }) => {
+      const account = find('accounts', 'account', accountId);
+      Object.assign(account, { details_submitted: true, charges_enabled: true, payouts_enabled: true });
+      account.capabilities = Object.fromEntries(Object.keys(account.capabilities).map(capability => [capability, 'active']));
+      emit('account.updated', account, { account: account.id });
+      return account;
+    },
+    payout_paid: ({ payout: payoutId }) => {
+      const payout = findPayout(payoutId);
+      payout.status = 'paid';
+      emit('payout.paid', payout, { account: payoutAccounts.get(payout.id) });
+      return payout;
+    },
+    payout_failed: ({ payout: payoutId, failure_code: failureCode = 'account_closed' }) => {
+      const payout = findPayout(payoutId);
+      Object.assign(payout, { status: 'failed', failure_code: failureCode, failure_message: `The payout failed (${failureCode}).` });
+      emit('payout.failed', payout, { account: payoutAccounts.get(payout.id) });
+      return payout;
+    },
+    // A subscription moves on, e.g. to past_due after a failed renewal
+    update_subscription: ({ subscription: subscriptionId, status }) => {
+      if (!status) {
+        throw requestError('status is required.');
+      }
+      const subscription = find('subscriptions', 'subscription', subscriptionId);
+      setSubscriptionStatus(subscription, status);
+      return subscription;
+    },
+    // Any other event, sent as given
+    event: ({ type, object, account }) => {
+      if (!type || !object) {
+        throw requestError('type and object are required.');
+      }
+      return emit(type, object, { account }).data.object;
+    },
+  };
+
+  // Calls made with { idempotencyKey } as their last argument return the first result
+  // again, and reusing a key with other parameters fails, as in Stripe
+  const idempotentResults = new Map(); // Idempotency key -> { request, result }
+  const idempotent = (method, fn) => (...args) => {
+    const options = args.length > 1 ? args[args.length - 1] : null;
+    const key = options && options.idempotencyKey;
+    if (!key) {
+      return fn(...args);
+    }
+    const request = JSON.stringify([method, args.slice(0, -1)]);
+    const previous = idempotentResults.get(key);
+    if (previous) {
+      if (previous.request !== request) {
+        return Promise.reject(requestError(`Keys for idempotent requests can only be used with the same parameters they were first used with. Try using a key other than '${key}' if you meant to execute a different request.`, { type: 'StripeIdempotencyError' }));
+      }
+      return Promise.resolve(copy(previous.result));
+    }
+    return Promise.resolve(fn(...args)).then(result => {
+      idempotentResults.set(key, { request, result: copy(result) });
+      return result;
+    });
+  };
+
+  const provider = {
+    customers: {
+      create: async (params = {}) => {
+        const customer = save('customers', {
+          id: nextId('cus'),
+          object: 'customer',
+          name: params.name || null,
+          email: params.email || null,
+          phone: params.phone || null,
+          description: params.description || null,
+          address: params.address || null,
+          metadata: mergeMetadata({}, params.metadata),
+          invoice_settings: { default_payment_method: null },
+          created: now(),
+        });
+        emit('customer.created', customer);
+        return copy(customer);
+      },
+      retrieve: async (id, params) => {
+        const customer = table('customers').get(id);
+        if (customer && customer.deleted) return copy(customer);
+        return withExpandedPaymentMethod(find('customers', 'customer', id), params);
+      },
+      update: async (id, params = {}) => {
+        const customer = find('customers', 'customer', id);
+        const { metadata, invoice_settings: invoiceSettings, ...fields } = params;
+        Object.assign(customer, fields);
+        if (metadata) customer.metadata = mergeMetadata(customer.metadata, metadata);
+        if (invoiceSettings) Object.assign(customer.invoice_settings, invoiceSettings);
+        emit('customer.updated', customer);
+        return copy(customer);
+      },
+      del: async (id) => {
+        const customer = find('customers', 'customer', id);
+        save('customers', { id, object: 'customer', deleted: true });
+        emit('customer.deleted', customer);
+        return { id, object: 'customer', deleted: true };
+      },
+    },
+
+    paymentMethods: {
+      attach: async (id, { customer }) => copy(attachPaymentMethod(id, customer)),
+      detach: async (id) => {
+        const paymentMethod = find('paymentMethods', 'payment_method', id);
+        const customer = paymentMethod.customer && table('customers').get(paymentMethod.customer);
+        if (customer && customer.invoice_settings.default_payment_method === id) {
+          customer.invoice_settings.default_payment_method = null;
+        }
+        paymentMethod.customer = null;
+        emit('payment_method.detached', paymentMethod);
+        return copy(paymentMethod);
+      },
+      list: (params = {}) => list('paymentMethods', paymentMethod => paymentMethod.customer === params.customer && (!params.type || paymentMethod.type === params.type), params),
+      retrieve: async (id) => copy(find('paymentMethods', 'payment_method', id)),
+    },
+
+    setupIntents: {
+      create: async (params = {}) => {
+        const id = nextId('seti');
+        const setupIntent = save('setupIntents', {
+          id,
+          object: 'setup_intent',
+          client_secret: `${id}_secret_mock`,
+          customer: params.customer ? find('customers', 'customer', params.customer).id : null,
+          payment_method: null,
+          payment_method_types: params.payment_method_types || ['card'],
+          status: 'requires_payment_method',
+          created: now(),
+        });
+        return copy(setupIntent);
+      },
+    },
+
+    paymentIntents: {
+      create: async (params) => {
+        if (!params.confirm) {
+          const intent = save('paymentIntents', {
+            id: nextId('pi'),
+            object: 'payment_intent',
+            amount: params.amount,
+            amount_received: 0,
+            currency: params.currency,
+            customer: params.customer || null,
+            payment_method: params.payment_method || null,
+            metadata: mergeMetadata({}, params.metadata),
+            status: params.payment_method ? 'requires_confirmation' : 'requires_payment_method',
+            latest_charge: null,
+            last_payment_error: null,
+            created: now(),
+          });
+          return copy(intent);
+        }
+        const intent = charge({
+          amount: params.amount,
+          currency: params.currency,
+          customer: params.customer,
+          paymentMethod: params.payment_method,
+          metadata: params.metadata,
+          description: params.description,
+        });
+        if (intent.status !== 'succeeded') {
+          throw cardError(intent);
+        }
+        return copy(intent);
+      },
+      retrieve: async (id, params) => {
+        const intent = copy(find('paymentIntents', 'payment_intent', id));
+        if (intent.latest_charge && expands(params, 'latest_charge')) {
+          intent.latest_charge = copy(find('charges', 'charge', intent.latest_charge));
+        }
+        return intent;
+      },
+    },
+
+    invoices: {
+      create: async (params) => copy(createInvoice(params)),
+      retrieve: async (id) => copy(find('invoices', 'invoice', id)),
+      list: (params = {}) => list('invoices', invoice => (!params.customer || invoice.customer === params.customer) && (!params.status || invoice.status === params.status), params),
+      finalizeInvoice: async (id) => {
+        const invoice = find('invoices', 'invoice', id);
+        finalize(invoice);
+        const finalized = copy(invoice);
+        // Automatic collection runs after finalization returns, as it does in Stripe
+        if (invoice.status === 'open' && invoice.collection_method === 'charge_automatically' && invoice.auto_advance) {
+          setImmediate(() => {
+            if (invoice.status === 'open') attemptInvoicePayment(invoice);
+          });
+        }
+        return finalized;
+      },
+      sendInvoice: async (id) => {
+        const invoice = openInvoice(id);
+        emit('invoice.sent', invoice);
+        return copy(invoice);
+      },
+      pay: async (id, params = {}) => {
+        const invoice = openInvoice(id);
+        if (params.paid_out_of_band) {
+          markInvoicePaid(invoice, { outOfBand: true });
+          emit('invoice.paid', invoice);
+          return copy(invoice);
+        }
+        const intent = attemptInvoicePayment(invoice, params.payment_method || undefined);
+        if (intent.status !== 'succeeded') {
+          throw cardError(intent);
+        }
+        return copy(invoice);
+      },
+      voidInvoice: async (id) => {
+        const invoice = openInvoice(id);
+        invoice.status = 'void';
+        invoice.next_payment_attempt = null;
+        invoice.status_transitions.voided_at = now();
+        emit('invoice.voided', invoice);
+        return copy(invoice);
+      },
+      markUncollectible: async (id) => {
+        const invoice = openInvoice(id);
+        invoice.status = 'uncollectible';
+        invoice.next_payment_attempt = null;
+        invoice.status_transitions.marked_uncollectible_at = now();
+        emit('invoice.marked_uncollectible', invoice);
+        return copy(invoice);
+      },
+    },
+
+    invoiceItems: {
+      create: async (params) => {
+        const invoice = find('invoices', 'invoice', params.invoice);
+        if (invoice.status !== 'draft') {
+          throw requestError('Invoice items can only be added to draft invoices.');
+        }
+        // The invoice's currency is fixed when it is created, and every item must be in it
+        const currency = params.currency || invoice.currency;
+        if (currency !== invoice.currency) {
+          throw requestError(`The currency of this invoice item (${currency}) must match the currency of the invoice (${invoice.currency}).`, { param: 'currency' });
+        }
+        const quantity = params.quantity || 1;
+        const item = save('invoiceItems', {
+          id: nextId('ii'),
+          object: 'invoiceitem',
+          customer: invoice.customer,
+          invoice: invoice.id,
+          amount: params.amount !== undefined ? params.amount : params.unit_amount * quantity,
+          currency,
+          description: params.description || null,
+          quantity,
+          created: now(),
+        });
+        invoice.lines.data.push({ id: item.id, object: 'line_item', amount: item.amount, currency: item.currency, description: item.description, quantity });
+        recalculateInvoice(invoice);
+        return copy(item);
+      },
+    },
+
+    invoicePayments: {
+      list: (params = {}) => {
+        const paymentIntentId = params.payment && params.payment.payment_intent;
+        const page = list('invoicePayments', invoicePayment => (!params.invoice || invoicePayment.invoice === params.invoice)
+          && (!params.status || invoicePayment.status === params.status)
+          && (!paymentIntentId || invoicePayment.payment.payment_intent === paymentIntentId), params);
+        return page.then(result => ({ ...result, data: result.data.map(invoicePayment => expandInvoicePayment(invoicePayment, params)) }));
+      },
+    },
+
+    refunds: {
+      create: async (params) => {
+        const intent = params.payment_intent ? find('paymentIntents', 'payment_intent', params.payment_intent) : null;
+        const chargeObject = find('charges', 'charge', params.charge || (intent && intent.latest_charge));
+        const refundable = chargeObject.status === 'succeeded' ? chargeObject.amount - chargeObject.amount_refunded : 0;
+        const amount = params.amount !== undefined ? params.amount : refundable;
+        if (amount <= 0 || amount > refundable) {
+          throw requestError(`Refund amount (${amount}) is greater than the unrefunded amount on the charge (${refundable}).`, { code: 'amount_too_large' });
+        }
+        const refund = save('refunds', {
+          id: nextId('re'),
+          object: 'refund',
+          amount,
+          currency: chargeObject.currency,
+          charge: chargeObject.id,
+          payment_intent: chargeObject.payment_intent,
+          reason: params.reason || null,
+          status: 'succeeded',
+          metadata: mergeMetadata({}, params.metadata),
+          created: now(),
+        });
+        chargeObject.amount_refunded += amount;
+        chargeObject.refunded = chargeObject.amount_refunded === chargeObject.amount;
+        emit('refund.created', refund);
+        emit('charge.refunded', chargeObject);
+        return copy(refund);
+      },
+      list: (params = {}) => {
+        const page = list('refunds', refund => (!params.charge || refund.charge === params.charge) && (!params.payment_intent || refund.payment_intent === params.payment_intent), params);
+        if (!expands(params, 'data.charge')) return page;
+        const withCharge = (refund) => ({ ...refund, charge: copy(find('charges', 'charge', refund.charge)) });
+        const expanded = page.then(result => ({ ...result, data: result.data.map(withCharge) }));
+        expanded[Symbol.asyncIterator] = async function* iterate() {
+          for await (const refund of page) yield withCharge(refund);
+        };
+        return expanded;
+      },
+    },
+
+    creditNotes: {
+      create: async (params) => {
+        const invoice = find('invoices', 'invoice', params.invoice);
+        if (!['open', 'paid'].includes(invoice.status)) {
+          throw requestError(`Credit notes can only be issued on open or paid invoices; this one is ${invoice.status}.`);
+        }
+        const type = invoice.status === 'paid' ? 'post_payment' : 'pre_payment';
+        const limit = type === 'pre_payment' ? invoice.amount_remaining : invoice.amount_paid;
+        if (params.amount <= 0 || params.amount > limit) {
+          throw requestError(`The credit note amount (${params.amount}) can't be more than ${limit}.`);
+        }
+        const creditNotes = [...table('creditNotes').values()].filter(creditNote => creditNote.invoice === invoice.id);
+        const creditNote = save('creditNotes', {
+          id: nextId('cn'),
+          object: 'credit_note',
+          number: `${invoice.number}-CN-${String(creditNotes.length + 1).padStart(2, '0')}`,
+          invoice: invoice.id,
+          customer: invoice.customer,
+          amount: params.amount,
+          currency: invoice.currency,
+          reason: params.reason || null,
+          memo: params.memo || null,
+          type,
+          status: 'issued',
+          metadata: mergeMetadata({}, params.metadata),
+          created: now(),
+        });
+        emit('credit_note.created', creditNote);
+        if (type === 'pre_payment') {
+          invoice.amount_remaining -= params.amount;
+          if (invoice.amount_remaining === 0) {
+            markInvoicePaid(invoice, { outOfBand: true });
+            emit('invoice.paid', invoice);
+          }
+        }
+        return copy(creditNote);
+      },
+    },
+
+    subscriptions: {
+      create: async (params) => {
+        const customer = find('customers', 'customer', params.customer);
+        const items = (params.items || []).map(item => ({ id: nextId('si'), object: 'subscription_item', price: mockPrice(item.price), quantity: item.quantity || 1 }));
+        const created = now();
+        const subscription = save('subscriptions', {
+          id: nextId('sub'),
+          object: 'subscription',
+          customer: customer.id,
+          status: 'incomplete',
+          items: { object: 'list', data: items },
+          current_period_start: created,
+          current_period_end: created + 30 * 24 * 60 * 60,
+          cancel_at_period_end: false,
+          canceled_at: null,
+          ended_at: null,
+          latest_invoice: null,
+          metadata: mergeMetadata({}, params.metadata),
+          created,
+        });
+
+        // The first period is billed and charged straight away
+        const invoice = createInvoice({ customer: customer.id, subscription: subscription.id, currency: items.length > 0 ? items[0].price.currency : 'usd' });
+        for (const item of items) {
+          invoice.lines.data.push({ id: item.id, object: 'line_item', amount: item.price.unit_amount * item.quantity, currency: item.price.currency, description: `Subscription (${item.price.id})`, quantity: item.quantity });
+        }
+        recalculateInvoice(invoice);
+        subscription.latest_invoice = invoice.id;
+        finalize(invoice);
+        if (invoice.status === 'open') {
+          attemptInvoicePayment(invoice, params.default_payment_method || defaultPaymentMethod(customer.id));
+        }
+        subscription.status = invoice.status === 'paid' ? 'active' : 'incomplete';
+        emit('customer.subscription.created', subscription);
+
+        const result = copy(subscription);
+        if (expands(params, 'latest_invoice')) {
+          result.latest_invoice = copy(invoice);
+        }
+        return result;
+      },
+      retrieve: async (id) => copy(find('subscriptions', 'subscription', id)),
+      list: (params = {}) => list('subscriptions', subscription => (!params.customer || subscription.customer === params.customer)
+        && (params.status === 'all' || (params.status ? subscription.status === params.status : subscription.status !== 'canceled')), params),
+      cancel: async (id) => {
+        const subscription = find('subscriptions', 'subscription', id);
+        if (subscription.status === 'canceled') {
+          throw requestError('This subscription is already canceled.');
+        }
+        setSubscriptionStatus(subscription, 'canceled');
+        return copy(subscription);
+      },
+    },
+
+    accounts: {
+      create: async (params = {}) => {
+        const account = save('accounts', {
+          id: nextId('acct'),
+          object: 'account',
+          type: params.type || 'express',
+          country: params.country || 'US',
+          email: params.email || null,
+          capabilities: Object.fromEntries(Object.keys(params.capabilities || {}).map(capability => [capability, 'inactive'])),
+          charges_enabled: false,
+          payouts_enabled: false,
+          details_submitted: false,
+          created: now(),
+        });
+        return copy(account);
+      },
+    },
+
+    accountLinks: {
+      create: async (params) => {
+        const account = find('accounts', 'account', params.account);
+        return {
+          object: 'account_link',
+          url: `${MOCK_PROVIDER_URL}/connect/${account.id}/onboarding`,
+          created: now(),
+          expires_at: now() + 5 * 60,
+        };
+      },
+    },
+
+    payouts: {
+      create: async (params, options = {}) => {
+        if (options.stripeAccount) find('accounts', 'account', options.stripeAccount);
+        const payout = save('payouts', {
+          id: nextId('po'),
+          object: 'payout',
+          amount: params.amount,
+          currency: params.currency,
+          status: 'pending',
+          method: params.method || 'standard',
+          arrival_date: now() + 2 * 24 * 60 * 60,
+          failure_code: null,
+          failure_message: null,
+          created: now(),
+        });
+        payoutAccounts.set(payout.id, options.stripeAccount || null);
+        emit('payout.created', payout, { account: options.stripeAccount });
+        return copy(payout);
+      },
+      list: (params = {}, options = {}) => list('payouts', payout => payoutAccounts.get(payout.id) === (options.stripeAccount || null)
+        && (!params.status || payout.status === params.status), params),
+    },
+
+    disputes: {
+      update: async (id, params = {}) => {
+        const dispute = find('disputes', 'dispute', id);
+        if (dispute.status !== 'needs_response' && dispute.status !== 'warning_needs_response') {
+          throw requestError(`This dispute is ${dispute.status} and can no longer be updated.`);
+        }
+        if (params.evidence) {
+          dispute.evidence = { ...dispute.evidence, ...params.evidence };
+          dispute.evidence_details.has_evidence = true;
+        }
+        if (params.submit) {
+          dispute.status = 'under_review';
+          dispute.evidence_details.submission_count += 1;
+        }
+        emit('charge.dispute.updated', dispute);
+        return copy(dispute);
+      },
+      close: async (id) => {
+        const dispute = find('disputes', 'dispute', id);
+        closeDispute(dispute, 'lost');
+        return copy(dispute);
+      },
+    },
+
+    files: {
+      create: async (params) => {
+        const { data, name, type } = params.file || {};
+        const file = save('files', {
+          id: nextId('file'),
+          object: 'file',
+          purpose: params.purpose,
+          filename: name || null,
+          size: data ? data.length : 0,
+          type: type ? type.split('/')[1] : null,
+          created: now(),
+        });
+        return copy(file);
+      },
+    },
+
+    webhooks: signer,
+
+    // Run one of the simulations above with Stripe-style snake_case params
+    simulate: async (action, params = {}) => {
+      if (!simulations[action]) {
+        throw requestError(`Unknown simulation: ${action}. Expected one of: ${Object.keys(simulations).join(', ')}.`);
+      }
+      return copy(simulations[action](params));
+    },
+
+    // Resolves once every webhook emitted so far, and any emitted while delivering them,
+    // has been delivered. Waits for collection attempts queued by finalizeInvoice too.
+    settle: async () => {
+      let pending;
+      do {
+        await new Promise(resolve => setImmediate(resolve));
+        pending = deliveries;
+        await pending;
+      } while (pending !== deliveries);
+    },
+  };
+
+  for (const [resource, methods] of Object.entries(provider)) {
+    if (resource === 'webhooks' || typeof methods !== 'object') continue;
+    for (const [name, fn] of Object.entries(methods)) {
+      methods[name] = idempotent(`${resource}.${name}`, fn);
+    }
+  }
+  return provider;
+};
+
+module.exports = { createMockPaymentProvider, MOCK_CARDS };
@@ -0,0 +1,86 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { start } = require('./support/app');
+
+const ADMIN_SECRET = 'JBSWY3DPEHPK3PXP';
+
+let app;
+let models;
+let agent;
+
+before(async () => {
+  app = await start();
+  models = app.models;
+});
+
+after(() => app.stop());
+
+// A finance admin, logged in
+beforeEach(async () => {
+  await app.reset();
+  await models.Admin.create({
+    username: 'finance@example.com',
+    password: await bcrypt.hash('admin password', 10),
+    level: 'finance',
+    twoFactor: { enabled: true, secret: ADMIN_SECRET },
+  });
+  const login = await app.request('POST', '/admin/login', { body: { username: 'finance@example.com', password: 'admin password' } });
+  agent = app.agent();
+  const code = app.totpCode(ADMIN_SECRET, Math.floor(Date.now() / 1000 / app.TOTP_STEP_SECONDS));
+  const confirmed = await app.request('POST', '/admin/login/two-factor', { agent, body: { challengeToken: login.body.challengeToken, code } });
+  assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+});
+
+const vendorWithHistory = (username, history) => models.Vendor.create({
+  username,
+  password: 'unused',
+  stripeCustomerId: `cus_${username}`,
+  subscriptionStatus: history.at(-1)[1],
+  subscriptionHistory: history.map(([changedAt, status, mrr = 0, currency = 'usd']) => ({ changedAt: new Date(changedAt), status, mrr, currency })),
+});
+
+test('subscription analytics report MRR, new subscriptions and churn per period', async () => {
+  await vendorWithHistory('steady', [['2030-01-05', 'trialing'], ['2030-01-20', 'active', 99]]);
+  await vendorWithHistory('churner', [['2029-12-01', 'active', 49.5], ['2030-02-10', 'canceled'], ['2030-02-20', 'active', 49.5], ['2030-03-15', 'unpaid']]);
+  await vendorWithHistory('euro', [['2030-02-01', 'trialing'], ['2030-02-03', 'active', 20, 'eur'], ['2030-02-04', 'past_due', 20, 'eur']]);
+  await vendorWithHistory('later', [['2030-01-01', 'trialing'], ['2030-05-01', 'active', 10]]); // After the range
+
+  const res = await app.request('GET', '/admin/analytics/subscriptions?from=2030-01-01&to=2030-03-31T23:59:59Z&groupBy=month', { agent });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(res.body.series.map(({ period, mrrByCurrency, payingSubscriptions, newSubscriptions, churned, churnRate }) => (
+    { period, mrrByCurrency, payingSubscriptions, newSubscriptions, churned, churnRate }
+  )), [
+    { period: '2030-01-01T00:00:00.000Z', mrrByCurrency: { usd: 148.5 }, payingSubscriptions: 2, newSubscriptions: 1, churned: 0, churnRate: 0 },
+    { period: '2030-02-01T00:00:00.000Z', mrrByCurrency: { usd: 148.5, eur: 20 }, payingSubscriptions: 3, newSubscriptions: 2, churned: 1, churnRate: 0.5 },
+    { period: '2030-03-01T00:00:00.000Z', mrrByCurrency: { usd: 99, eur: 20 }, payingSubscriptions: 2, newSubscriptions: 0, churned: 1, churnRate: 1 / 3 },
+  ]);
+  assert.deepEqual(res.body.current.byStatus, { active: 2, unpaid: 1, past_due: 1 });
+});
+
+test('subscription analytics refuse a range with too many periods', async () => {
+  const res = await app.request('GET', '/admin/analytics/subscriptions?from=2020-01-01&to=2030-01-01&groupBy=day', { agent });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /periods/);
+
+  const monthly = await app.request('GET', '/admin/analytics/subscriptions?from=2020-01-01&to=2030-01-01&groupBy=month', { agent });
+  assert.equal(monthly.status, 200);
+  assert.equal(monthly.body.series.length, 121);
+});
+
+test('receivables aging for a vendor includes invoices from before vendorUsername was stored', async () => {
+  await models.Vendor.create({ username: 'vendor', password: 'unused', stripeCustomerId: 'cus_vendor', customers: ['cus_a'] });
+  await models.Vendor.create({ username: 'other', password: 'unused', stripeCustomerId: 'cus_other', customers: ['cus_b'] });
+  const invoice = (id, customerId, amount, fields = {}) => ({ id, customerId, amount, total: amount, balanceDue: amount, currency: 'usd', status: 'open', amountsInMinorUnits: true, ...fields });
+  await models.Invoice.create([
+    invoice('in_new', 'cus_a', 1000, { vendorUsername: 'vendor' }),
+    invoice('in_other', 'cus_b', 4000, { vendorUsername: 'other' }),
+  ]);
+  await models.Invoice.collection.insertOne(invoice('in_legacy', 'cus_a', 2500)); // Saved before invoices had vendorUsername
+
+  const res = await app.request('GET', '/admin/analytics/ar-aging?vendorUsername=vendor', { agent });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(res.body.aging.map(({ currency, total }) => ({ currency, total })), [{ currency: 'usd', total: { count: 2, amount: 35 } }]);
+
+  assert.equal((await app.request('GET', '/admin/analytics/ar-aging?vendorUsername=nobody', { agent })).status, 404);
+});
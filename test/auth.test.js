@@ -0,0 +1,134 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { start } = require('./support/app');
+
+const ADMIN_SECRET = 'JBSWY3DPEHPK3PXP';
+const SESSION_VENDOR_FIELDS = ['approved', 'role', 'subscriptionStatus', 'trialEndsAt', 'twoFactorEnabled', 'username'];
+
+let app;
+let models;
+
+before(async () => {
+  app = await start();
+  models = app.models;
+});
+
+after(() => app.stop());
+
+beforeEach(() => app.reset());
+
+const currentCode = () => app.totpCode(ADMIN_SECRET, Math.floor(Date.now() / 1000 / app.TOTP_STEP_SECONDS));
+
+// An admin with 2FA on, through the password step of the login
+const startAdminLogin = async () => {
+  await models.Admin.create({
+    username: 'admin@example.com',
+    password: await bcrypt.hash('admin password', 10),
+    level: 'support',
+    twoFactor: { enabled: true, secret: ADMIN_SECRET },
+  });
+  const login = await app.request('POST', '/admin/login', { body: { username: 'admin@example.com', password: 'admin password' } });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.twoFactorRequired, true);
+  return login.body.challengeToken;
+};
+
+test('an admin 2FA challenge token is not an access token', async () => {
+  const challengeToken = await startAdminLogin();
+
+  const res = await app.request('GET', '/admin/vendors/all', { headers: { Cookie: `token=${challengeToken}` } });
+  assert.equal(res.status, 403);
+
+  // The code step turns the challenge into a session that does work
+  const agent = app.agent();
+  const confirmed = await app.request('POST', '/admin/login/two-factor', { agent, body: { challengeToken, code: currentCode() } });
+  assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+  assert.equal((await app.request('GET', '/admin/vendors/all', { agent })).status, 200);
+});
+
+test('a vendor 2FA challenge token is not an access token', async () => {
+  const agent = await app.signUpVendor('vendor@example.com', { password: 'vendor password' });
+  await models.Vendor.updateOne({ username: 'vendor@example.com' }, { 'twoFactor.enabled': true, 'twoFactor.secret': ADMIN_SECRET });
+  const login = await app.request('POST', '/login', { body: { username: 'vendor@example.com', password: 'vendor password' } });
+  assert.equal(login.body.twoFactorRequired, true);
+
+  const res = await app.request('GET', '/vendor/get-current-user', { headers: { Cookie: `token=${login.body.challengeToken}` } });
+  assert.equal(res.status, 403);
+  assert.equal((await app.request('GET', '/vendor/get-current-user', { agent })).status, 200);
+});
+
+test('vendor billing responses carry the session fields, not the stored vendor', async () => {
+  const agent = await app.signUpVendor('vendor@example.com');
+  await models.Vendor.updateOne({ username: 'vendor@example.com' }, { 'twoFactor.pendingSecret': ADMIN_SECRET, 'twoFactor.recoveryCodeHashes': ['hash'] });
+
+  const responses = [
+    await app.request('POST', '/vendor/create-stripe-connect-account', { agent }),
+    await app.request('POST', '/vendor/create-subscription', { agent, body: { paymentMethodId: 'pm_card_visa' } }),
+    await app.request('POST', '/vendor/cancel-subscription', { agent }),
+  ];
+  for (const res of responses) {
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(Object.keys(res.body.vendor).sort(), SESSION_VENDOR_FIELDS);
+    assert.doesNotMatch(JSON.stringify(res.body), /password|twoFactor"|pendingSecret|recoveryCode/);
+  }
+});
+
+test('admin vendor lists carry the listed fields only', async () => {
+  const challengeToken = await startAdminLogin();
+  const agent = app.agent();
+  await app.request('POST', '/admin/login/two-factor', { agent, body: { challengeToken, code: currentCode() } });
+  await app.request('POST', '/register', { body: { username: 'pending@example.com', password: 'vendor password' } });
+
+  for (const url of ['/admin/vendors/pending', '/admin/vendors/all']) {
+    const res = await app.request('GET', url, { agent });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.data.length, 1);
+    assert.deepEqual(Object.keys(res.body.data[0]).sort(), ['approved', 'defaultCurrency', 'stripeCustomerId', 'subscriptionStatus', 'trialEndsAt', 'username']);
+    assert.equal(res.body.data[0].username, 'pending@example.com');
+  }
+});
+
+test('an invited admin must choose a password of at least 8 characters', async () => {
+  const token = 'a'.repeat(64);
+  await models.Admin.create({
+    username: 'invited@example.com',
+    level: 'support',
+    inviteTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    inviteExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+
+  const short = await app.request('POST', '/admin/accept-invite', { body: { token, password: 'seven77' } });
+  assert.equal(short.status, 422);
+  assert.deepEqual(short.body.errors, [{ field: 'password', message: 'password must be at least 8 characters.' }]);
+  assert.equal((await models.Admin.findOne({ username: 'invited@example.com' })).password, null);
+
+  const accepted = await app.request('POST', '/admin/accept-invite', { body: { token, password: 'eight888' } });
+  assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+});
+
+test('vendor account, export and customer portal activity is filed under the vendor', async () => {
+  const challengeToken = await startAdminLogin();
+  const admin = app.agent();
+  await app.request('POST', '/admin/login/two-factor', { agent: admin, body: { challengeToken, code: currentCode() } });
+  await app.request('POST', '/register', { body: { username: 'vendor@example.com', password: 'vendor password' } });
+  assert.equal((await app.request('POST', '/admin/vendors/approve', { agent: admin, body: { username: 'vendor@example.com' } })).status, 200);
+
+  const vendor = app.agent();
+  assert.equal((await app.request('POST', '/login', { agent: vendor, body: { username: 'vendor@example.com', password: 'vendor password' } })).status, 200);
+  const customer = await app.request('POST', '/vendor/customers', { agent: vendor, body: { name: 'Ada Lovelace', email: 'ada@example.com' } });
+  const customerId = customer.body.customer.id;
+  assert.equal((await app.request('GET', '/vendor/exports/invoices', { agent: vendor })).status, 200);
+  const link = await app.request('POST', '/customer/generate-invite-link', { agent: admin, body: { customerId } });
+  assert.equal(link.status, 200, JSON.stringify(link.body));
+  const session = await app.request('POST', '/customer/portal/session', { body: { token: link.body.inviteLink.split('/').pop() } });
+  assert.equal(session.status, 200, JSON.stringify(session.body));
+
+  const res = await app.request('GET', '/admin/activity-log?vendorUsername=vendor@example.com&limit=200', { agent: admin });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const eventTypes = res.body.data.map(entry => entry.eventType);
+  for (const eventType of ['vendor_registered', 'vendor_approved', 'export_generated', 'customer_portal_link_created', 'customer_portal_login']) {
+    assert.ok(eventTypes.includes(eventType), `${eventType} in ${eventTypes}`);
+  }
+});
@@ -0,0 +1,77 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./support/app');
+
+let app;
+let models;
+let agent;
+
+before(async () => {
+  app = await start();
+  models = app.models;
+});
+
+after(() => app.stop());
+
+beforeEach(async () => {
+  await app.reset();
+  agent = await app.signUpVendor('vendor@example.com');
+});
+
+// A card payment of `amount` on an invoice, disputed by the cardholder
+const disputePayment = async (amount, currency = 'usd') => {
+  const customer = await app.request('POST', '/vendor/customers', { agent, body: { name: 'Ada Lovelace', email: 'ada@example.com' } });
+  const customerId = customer.body.customer.id;
+  const setupIntent = await app.paymentProvider.setupIntents.create({ customer: customerId });
+  await app.paymentProvider.simulate('complete_setup_intent', { setup_intent: setupIntent.id, set_default: true });
+  const created = await app.request('POST', '/create-invoice', { agent, body: { customerId, amount, currency, description: 'Goods' } });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  await app.paymentProvider.settle();
+
+  const payments = await app.paymentProvider.invoicePayments.list({ invoice: created.body.invoiceId });
+  const dispute = await app.paymentProvider.simulate('create_dispute', { payment_intent: payments.data[0].payment.payment_intent });
+  await app.paymentProvider.settle();
+  return dispute.id;
+};
+
+test('disputes are stored in minor units and reported as decimals', async () => {
+  const disputeId = await disputePayment(49.99);
+  const otherId = await disputePayment(10);
+  await app.paymentProvider.simulate('close_dispute', { dispute: otherId, status: 'lost' });
+  await app.paymentProvider.settle();
+
+  const stored = await models.Dispute.findOne({ disputeId }).lean();
+  assert.equal(stored.amount, 4999);
+  assert.equal(stored.amountsInMinorUnits, true);
+  const [logged] = await models.ActivityLog.find({ eventType: 'dispute_created', relatedId: disputeId }).lean();
+  assert.equal(logged.amount, 4999);
+  assert.match(logged.description, /Amount: 49\.99 USD/);
+
+  const one = await app.request('GET', `/disputes/${disputeId}`, { agent });
+  assert.equal(one.body.amount, 49.99);
+  assert.equal(one.body.amountsInMinorUnits, undefined);
+
+  const filtered = await app.request('GET', '/disputes?minAmount=20', { agent });
+  assert.deepEqual(filtered.body.data.map(dispute => [dispute.disputeId, dispute.amount]), [[disputeId, 49.99]]);
+
+  const stats = await app.request('GET', '/disputes/stats', { agent });
+  assert.equal(stats.body.total, 2);
+  assert.deepEqual(stats.body.amountsByCurrency, { usd: { disputed: 59.99, won: 0, lost: 10 } });
+});
+
+test('migrate-money converts disputes recorded with decimal amounts', async () => {
+  const { insertedId } = await models.Dispute.collection.insertOne({
+    disputeId: 'dp_legacy', chargeId: 'ch_legacy', amount: 12.5, currency: 'usd', status: 'needs_response', policy: 'hold',
+  });
+  const { insertedId: yenId } = await models.Dispute.collection.insertOne({
+    disputeId: 'dp_legacy_jpy', chargeId: 'ch_legacy_jpy', amount: 1500, currency: 'jpy', status: 'won', policy: 'hold',
+  });
+
+  await app.migrateMoneyToMinorUnits();
+  await app.migrateMoneyToMinorUnits(); // A rerun leaves converted disputes alone
+
+  const legacy = await models.Dispute.collection.findOne({ _id: insertedId });
+  assert.equal(legacy.amount, 1250);
+  assert.equal(legacy.amountsInMinorUnits, true);
+  assert.equal((await models.Dispute.collection.findOne({ _id: yenId })).amount, 1500);
+});
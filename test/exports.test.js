@@ -0,0 +1,93 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./support/app');
+
+let app;
+let models;
+let agent;
+
+before(async () => {
+  app = await start();
+  models = app.models;
+});
+
+after(() => app.stop());
+
+beforeEach(async () => {
+  await app.reset();
+  agent = await app.signUpVendor('vendor@example.com');
+});
+
+// An invoice for `amount` paid by the customer's saved card
+const payInvoice = async (amount) => {
+  const customer = await app.request('POST', '/vendor/customers', { agent, body: { name: 'Ada Lovelace', email: 'ada@example.com' } });
+  const customerId = customer.body.customer.id;
+  const setupIntent = await app.paymentProvider.setupIntents.create({ customer: customerId });
+  await app.paymentProvider.simulate('complete_setup_intent', { setup_intent: setupIntent.id, set_default: true });
+  const created = await app.request('POST', '/create-invoice', { agent, body: { customerId, amount, description: 'Goods' } });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  await app.paymentProvider.settle();
+  return created.body.invoiceId;
+};
+
+test('the refunds export is read from the refunds recorded on the vendor\'s invoices', async (t) => {
+  const invoiceId = await payInvoice(100);
+  const refunded = await app.request('POST', `/invoices/${invoiceId}/refund`, { agent, body: { amount: 25, reason: 'duplicate' } });
+  assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+  await app.paymentProvider.settle();
+  const list = t.mock.method(app.paymentProvider.refunds, 'list');
+
+  const res = await app.request('GET', '/vendor/exports/refunds', { agent });
+  assert.equal(res.status, 200);
+  const [header, row, ...rest] = res.body.trim().split('\r\n');
+  assert.equal(header, 'Refund ID,Date,Customer ID,Customer Name,Invoice ID,Charge ID,Reason,Status,Currency,Amount');
+  const [refundId, , , customerName, rowInvoiceId, chargeId, reason, status, currency, amount] = row.split(',');
+  assert.deepEqual(
+    [refundId, customerName, rowInvoiceId, reason, status, currency, amount],
+    [refunded.body.refundId, 'Ada Lovelace', invoiceId, 'duplicate', 'succeeded', 'USD', '25']
+  );
+  assert.match(chargeId, /^ch_/);
+  assert.deepEqual(rest, []);
+
+  const xero = await app.request('GET', '/vendor/exports/refunds?format=xero', { agent });
+  assert.match(xero.body, new RegExp(`Refund of charge ${chargeId} on invoice ${invoiceId}`));
+  assert.equal(list.mock.callCount(), 0);
+
+  // Another vendor sees none of them
+  const other = await app.signUpVendor('other@example.com');
+  const empty = await app.request('GET', '/vendor/exports/refunds', { agent: other });
+  assert.equal(empty.body.trim().split('\r\n').length, 1);
+});
+
+test('an export stops reading its source when the client disconnects', { timeout: 10000 }, async (t) => {
+  await models.Vendor.updateOne({ username: 'vendor@example.com' }, { stripeConnectAccountId: 'acct_vendor' });
+  let pages = 0;
+  let closed;
+  const finished = new Promise((resolve) => { closed = resolve; });
+  t.mock.method(app.paymentProvider.payouts, 'list', async function* payouts() {
+    try {
+      for (;;) {
+        pages += 1;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        yield { id: `po_${pages}`, arrival_date: Math.floor(Date.now() / 1000), currency: 'usd', amount: 1000, status: 'paid', description: 'x'.repeat(1000) };
+      }
+    } finally {
+      closed();
+    }
+  });
+
+  const controller = new AbortController();
+  const response = await fetch(`${app.baseUrl}/vendor/exports/payouts`, {
+    headers: { Cookie: [...agent.cookies].map(([name, value]) => `${name}=${value}`).join('; ') },
+    signal: controller.signal,
+  });
+  assert.equal(response.status, 200);
+  const reader = response.body.getReader();
+  await reader.read();
+  controller.abort();
+
+  await finished;
+  const read = pages;
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(pages, read);
+});
@@ -0,0 +1,156 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./support/app');
+
+let app;
+let models;
+let agent;
+
+before(async () => {
+  app = await start();
+  models = app.models;
+});
+
+after(() => app.stop());
+
+beforeEach(async () => {
+  await app.reset();
+  agent = await app.signUpVendor('vendor@example.com');
+});
+
+// An invoice for `amount`, charged to a saved card unless `card` is false
+const createInvoice = async (amount, { card = true } = {}) => {
+  const customer = await app.request('POST', '/vendor/customers', { agent, body: { name: 'Ada Lovelace', email: 'ada@example.com' } });
+  const customerId = customer.body.customer.id;
+  if (card) {
+    const setupIntent = await app.paymentProvider.setupIntents.create({ customer: customerId });
+    await app.paymentProvider.simulate('complete_setup_intent', { setup_intent: setupIntent.id, set_default: true });
+  }
+  const created = await app.request('POST', '/create-invoice', { agent, body: { customerId, amount, description: 'Goods' } });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  await app.paymentProvider.settle();
+  return created.body.invoiceId;
+};
+
+// An invoice for `amount` paid by card
+const payInvoice = async (amount) => {
+  const invoiceId = await createInvoice(amount);
+  assert.equal((await models.Invoice.findOne({ id: invoiceId })).status, 'paid');
+  return invoiceId;
+};
+
+const refund = (invoiceId, body, headers) => app.request('POST', `/invoices/${invoiceId}/refund`, { agent, body, headers });
+const creditNote = (invoiceId, body, headers) => app.request('POST', `/invoices/${invoiceId}/credit-notes`, { agent, body, headers });
+
+test('concurrent refunds cannot refund more than was paid', async () => {
+  const invoiceId = await payInvoice(100);
+
+  const responses = await Promise.all([
+    refund(invoiceId, { amount: 60, reason: 'requested_by_customer' }),
+    refund(invoiceId, { amount: 60, reason: 'requested_by_customer' }),
+  ]);
+  assert.deepEqual(responses.map(res => res.status).sort(), [200, 409]);
+
+  // Once the first is done, the second is checked against what is left
+  const retried = await refund(invoiceId, { amount: 60, reason: 'requested_by_customer' });
+  assert.equal(retried.status, 400);
+  const rest = await refund(invoiceId, { reason: 'requested_by_customer' });
+  assert.equal(rest.status, 200);
+  await app.paymentProvider.settle();
+
+  const invoice = await models.Invoice.findOne({ id: invoiceId });
+  assert.equal(invoice.amountRefunded, 10000);
+  assert.deepEqual(invoice.refunds.map(entry => entry.amount), [6000, 4000]);
+  assert.equal(invoice.adjustmentLockedAt, null);
+  assert.equal(rest.body.invoice.adjustmentLockedAt, undefined);
+});
+
+test('a refund retried with its Idempotency-Key is issued once', async () => {
+  const invoiceId = await payInvoice(100);
+  const headers = { 'Idempotency-Key': 'refund-1' };
+
+  const first = await refund(invoiceId, { amount: 25, reason: 'duplicate' }, headers);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  // A client that lost the response, and a server that lost the stored one, still get one refund
+  await models.IdempotencyKey.deleteMany({});
+  const again = await refund(invoiceId, { amount: 25, reason: 'duplicate' }, headers);
+  assert.equal(again.status, 200, JSON.stringify(again.body));
+  assert.equal(again.body.refundId, first.body.refundId);
+  await app.paymentProvider.settle();
+
+  const payments = await app.paymentProvider.invoicePayments.list({ invoice: invoiceId });
+  const refunds = await app.paymentProvider.refunds.list({ payment_intent: payments.data[0].payment.payment_intent });
+  assert.equal(refunds.data.length, 1);
+  assert.equal((await models.Invoice.findOne({ id: invoiceId })).amountRefunded, 2500);
+});
+
+test('a refund lock left by a request that died is taken over', async () => {
+  const invoiceId = await payInvoice(100);
+  await models.Invoice.updateOne({ id: invoiceId }, { adjustmentLockedAt: new Date() });
+  assert.equal((await refund(invoiceId, { reason: 'duplicate' })).status, 409);
+
+  await models.Invoice.updateOne({ id: invoiceId }, { adjustmentLockedAt: new Date(Date.now() - 60 * 60 * 1000) });
+  const res = await refund(invoiceId, { reason: 'duplicate' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.invoice.amountRefunded, 100);
+});
+
+test('credit notes on a paid invoice count against what can be refunded', async () => {
+  const invoiceId = await payInvoice(100);
+
+  assert.equal((await creditNote(invoiceId, { amount: 30, reason: 'order_change' })).status, 200);
+  const res = await refund(invoiceId, { reason: 'requested_by_customer' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.invoice.amountRefunded, 70);
+
+  // Nothing is left for either
+  assert.equal((await creditNote(invoiceId, { reason: 'order_change' })).status, 400);
+  assert.equal((await refund(invoiceId, { reason: 'requested_by_customer' })).status, 400);
+
+  const fullyCredited = await payInvoice(100);
+  assert.equal((await creditNote(fullyCredited, { reason: 'order_change' })).status, 200);
+  assert.equal((await refund(fullyCredited, { reason: 'requested_by_customer' })).status, 400);
+  assert.equal((await models.Invoice.findOne({ id: fullyCredited })).amountRefunded, 0);
+});
+
+test('credit issued before payment does not count against refunds', async () => {
+  const invoiceId = await createInvoice(100, { card: false });
+  await app.paymentProvider.invoices.finalizeInvoice(invoiceId);
+  const credited = await creditNote(invoiceId, { amount: 30, reason: 'order_change' });
+  assert.equal(credited.status, 200, JSON.stringify(credited.body));
+  assert.equal(credited.body.invoice.balanceDue, 70);
+
+  await app.paymentProvider.simulate('pay_invoice', { invoice: invoiceId, payment_method: 'pm_card_visa' });
+  await app.paymentProvider.settle();
+  const paid = await models.Invoice.findOne({ id: invoiceId });
+  assert.deepEqual([paid.status, paid.amountPaid, paid.creditBalance], ['paid', 7000, 3000]);
+
+  assert.equal((await creditNote(invoiceId, { amount: 70.01, reason: 'order_change' })).status, 400);
+  const res = await creditNote(invoiceId, { reason: 'order_change' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.invoice.creditBalance, 100);
+});
+
+test('concurrent credit notes cannot credit more than is left', async () => {
+  const invoiceId = await payInvoice(100);
+
+  const responses = await Promise.all([
+    creditNote(invoiceId, { amount: 60, reason: 'order_change' }),
+    creditNote(invoiceId, { amount: 60, reason: 'order_change' }),
+  ]);
+  assert.deepEqual(responses.map(res => res.status).sort(), [200, 409]);
+  assert.equal((await creditNote(invoiceId, { amount: 60, reason: 'order_change' })).status, 400);
+
+  // A retry with the key of a credit note that went through is replayed, not issued again
+  const headers = { 'Idempotency-Key': 'credit-1' };
+  const first = await creditNote(invoiceId, { amount: 20, reason: 'order_change' }, headers);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  const again = await creditNote(invoiceId, { amount: 20, reason: 'order_change' }, headers);
+  assert.equal(again.headers.get('idempotent-replayed'), 'true');
+  assert.equal(again.body.creditNoteId, first.body.creditNoteId);
+
+  const invoice = await models.Invoice.findOne({ id: invoiceId });
+  assert.equal(invoice.creditBalance, 8000);
+  assert.equal(invoice.creditNotes.length, 2);
+  assert.equal(invoice.adjustmentLockedAt, null);
+});
@@ -0,0 +1,140 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./support/app');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUE = new Date('2030-03-15T12:00:00Z');
+const at = (days, hours = 1) => new Date(DUE.getTime() + days * DAY_MS + hours * 60 * 60 * 1000);
+
+let app;
+let models;
+let agent;
+
+before(async () => {
+  app = await start();
+  models = app.models;
+});
+
+after(() => app.stop());
+
+beforeEach(async () => {
+  await app.reset();
+  agent = await app.signUpVendor('vendor@example.com');
+});
+
+// An open invoice sent for manual payment, due on DUE
+const createInvoice = async ({ email = 'ada@example.com' } = {}) => {
+  const customer = await app.request('POST', '/vendor/customers', { agent, body: { name: 'Ada Lovelace', ...(email ? { email } : {}) } });
+  assert.equal(customer.status, 201, JSON.stringify(customer.body));
+  const created = await app.request('POST', '/create-invoice', { agent, body: { customerId: customer.body.customer.id, amount: 120, description: 'Retainer' } });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  await app.paymentProvider.settle();
+  return models.Invoice.findOneAndUpdate({ id: created.body.invoiceId }, { dueDate: DUE }, { new: true });
+};
+
+const subjects = () => app.readMail().map(message => message.subject);
+
+test('markOverdueInvoices flags open invoices once they are past due', async () => {
+  const invoice = await createInvoice();
+  const paid = await createInvoice();
+  await models.Invoice.updateOne({ _id: paid._id }, { status: 'paid' });
+
+  assert.equal(await app.markOverdueInvoices(at(0, -1)), 0);
+  assert.equal((await models.Invoice.findById(invoice._id)).status, 'open');
+
+  assert.equal(await app.markOverdueInvoices(at(0)), 1);
+  const overdue = await models.Invoice.findById(invoice._id);
+  assert.equal(overdue.status, 'overdue');
+  assert.deepEqual(overdue.overdueAt, at(0));
+  assert.deepEqual(overdue.statusHistory.map(entry => [entry.from, entry.to, entry.source]), [['open', 'overdue', 'dunning']]);
+  assert.equal((await models.Invoice.findById(paid._id)).status, 'paid');
+
+  // Nothing left to flag on the next run
+  assert.equal(await app.markOverdueInvoices(at(1)), 0);
+  const logged = await models.ActivityLog.find({ eventType: 'invoice_overdue' }).lean();
+  assert.equal(logged.length, 1);
+  assert.equal(logged[0].relatedId, invoice.id);
+  assert.equal(logged[0].vendorUsername, 'vendor@example.com');
+});
+
+test('partially paid invoices become overdue, and a part payment keeps an overdue one overdue', async () => {
+  const partial = await createInvoice();
+  const pay = (invoice, amount) => app.request('POST', '/vendor/payments', {
+    agent,
+    body: { customerId: invoice.customerId, amount, method: 'bank_transfer', allocations: [{ invoiceId: invoice.id, amount }] },
+  });
+  assert.equal((await pay(partial, 20)).status, 201);
+  assert.equal((await models.Invoice.findById(partial._id)).status, 'partially_paid');
+
+  const overdue = await createInvoice();
+  assert.equal(await app.markOverdueInvoices(at(0)), 2);
+  assert.equal((await models.Invoice.findById(partial._id)).status, 'overdue');
+
+  assert.equal((await pay(overdue, 20)).status, 201);
+  const updated = await models.Invoice.findById(overdue._id);
+  assert.equal(updated.status, 'overdue');
+  assert.equal(updated.balanceDue, 10000);
+  assert.deepEqual((await models.Invoice.findById(partial._id)).statusHistory.map(entry => [entry.from, entry.to, entry.source]), [
+    ['open', 'partially_paid', 'payment:bank_transfer'],
+    ['partially_paid', 'overdue', 'dunning'],
+  ]);
+  assert.equal(await models.ActivityLog.countDocuments({ eventType: 'invoice_partially_paid' }), 2);
+});
+
+test('sendInvoiceReminders sends one reminder per schedule entry', async () => {
+  const invoice = await createInvoice(); // Default schedule: 3 days before, on the day, a week after
+
+  assert.equal(await app.sendInvoiceReminders(at(-4)), 0);
+  assert.equal(await app.sendInvoiceReminders(at(-3)), 1);
+  assert.equal(await app.sendInvoiceReminders(at(-2)), 0); // Already sent for -3
+  assert.equal(await app.sendInvoiceReminders(at(0)), 1);
+  assert.equal(await app.sendInvoiceReminders(at(0, 5)), 0);
+  assert.equal(await app.sendInvoiceReminders(at(7)), 1);
+  assert.equal(await app.sendInvoiceReminders(at(20)), 0); // Schedule used up
+
+  assert.deepEqual(subjects(), [
+    `Reminder: invoice ${invoice.id} for 120 USD is due on 2030-03-15`,
+    `Invoice ${invoice.id} for 120 USD is due today`,
+    `Invoice ${invoice.id} for 120 USD is 7 day(s) overdue`,
+  ]);
+  assert.deepEqual(app.readMail().map(message => message.to.map(to => to.address)), [['ada@example.com'], ['ada@example.com'], ['ada@example.com']]);
+
+  const updated = await models.Invoice.findById(invoice._id);
+  assert.deepEqual(updated.remindersSent.map(reminder => reminder.offsetDays), [-3, 0, 7]);
+  assert.equal((await models.ActivityLog.countDocuments({ eventType: 'invoice_reminder_sent' })), 3);
+});
+
+test('after downtime only the latest due reminder is sent', async () => {
+  const invoice = await createInvoice();
+
+  assert.equal(await app.sendInvoiceReminders(at(8)), 1);
+  assert.equal(await app.sendInvoiceReminders(at(9)), 0);
+
+  assert.deepEqual(subjects(), [`Invoice ${invoice.id} for 120 USD is 7 day(s) overdue`]);
+  assert.deepEqual((await models.Invoice.findById(invoice._id)).remindersSent.map(reminder => reminder.offsetDays), [7]);
+});
+
+test('follows the vendor schedule and skips vendors who turned reminders off', async () => {
+  const invoice = await createInvoice();
+
+  const disabled = await app.request('POST', '/vendor/set-reminder-schedule', { agent, body: { offsets: [1, 0], enabled: false } });
+  assert.equal(disabled.status, 200, JSON.stringify(disabled.body));
+  assert.equal(await app.sendInvoiceReminders(at(0)), 0);
+  assert.equal(await app.sendInvoiceReminders(at(1)), 0);
+  assert.deepEqual(app.readMail(), []);
+  assert.deepEqual((await models.Invoice.findById(invoice._id)).remindersSent, []);
+
+  await app.request('POST', '/vendor/set-reminder-schedule', { agent, body: { enabled: true } });
+  assert.equal(await app.sendInvoiceReminders(at(1)), 1);
+  assert.deepEqual(subjects(), [`Invoice ${invoice.id} for 120 USD is 1 day(s) overdue`]);
+});
+
+test('a customer without an email address gets no reminder and the failure is logged', async () => {
+  const invoice = await createInvoice({ email: null });
+
+  assert.equal(await app.sendInvoiceReminders(at(0)), 0);
+  assert.deepEqual(app.readMail(), []);
+  const [failed] = await models.ActivityLog.find({ eventType: 'invoice_reminder_failed' }).lean();
+  assert.equal(failed.relatedId, invoice.id);
+  assert.match(failed.description, /no email address/);
+});
@@ -0,0 +1,274 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Stripe = require('stripe');
+const { createMockPaymentProvider } = require('../mock-payment-provider');
+const { start } = require('./support/app');
+
+const SECRET = 'whsec_mock_test';
+
+describe('mock payment provider', () => {
+  let provider;
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    provider = createMockPaymentProvider({
+      webhookSecret: SECRET,
+      webhookDelayMs: 0,
+      deliver: async (payload, signature) => {
+        events.push(Stripe('sk_test_unused').webhooks.constructEvent(payload, signature, SECRET));
+      },
+    });
+  });
+
+  const customerWithCard = async (card = 'pm_card_visa') => {
+    const customer = await provider.customers.create({ name: 'Ada', email: 'ada@example.com' });
+    // Attaching a test card token makes a new payment method, as in Stripe
+    const paymentMethod = await provider.paymentMethods.attach(card, { customer: customer.id });
+    await provider.customers.update(customer.id, { invoice_settings: { default_payment_method: paymentMethod.id } });
+    return customer;
+  };
+
+  test('charges an invoice automatically once finalized and sends signed events in order', async () => {
+    const customer = await customerWithCard();
+    const invoice = await provider.invoices.create({ customer: customer.id, collection_method: 'charge_automatically', currency: 'usd' });
+    await provider.invoiceItems.create({ customer: customer.id, invoice: invoice.id, amount: 4200, currency: 'usd', description: 'Consulting' });
+
+    const finalized = await provider.invoices.finalizeInvoice(invoice.id);
+    assert.equal(finalized.status, 'open');
+    assert.equal(finalized.amount_due, 4200);
+    await provider.settle();
+
+    const paid = await provider.invoices.retrieve(invoice.id);
+    assert.equal(paid.status, 'paid');
+    assert.equal(paid.amount_paid, 4200);
+    assert.deepEqual(events.filter(event => event.type.startsWith('invoice.')).map(event => event.type), ['invoice.finalized', 'invoice.paid', 'invoice.payment_succeeded']);
+    assert.ok(events.findIndex(event => event.type === 'charge.succeeded') < events.findIndex(event => event.type === 'invoice.paid'));
+
+    const payments = await provider.invoicePayments.list({ invoice: invoice.id, expand: ['data.payment.payment_intent'] });
+    assert.equal(payments.data[0].payment.payment_intent.status, 'succeeded');
+  });
+
+  test('a declined card fails the attempt and schedules a retry', async () => {
+    const customer = await customerWithCard('pm_card_chargeDeclinedInsufficientFunds');
+    const invoice = await provider.invoices.create({ customer: customer.id, collection_method: 'charge_automatically' });
+    await provider.invoiceItems.create({ customer: customer.id, invoice: invoice.id, amount: 1000 });
+    await provider.invoices.finalizeInvoice(invoice.id);
+    await provider.settle();
+
+    const failed = await provider.invoices.retrieve(invoice.id);
+    assert.equal(failed.status, 'open');
+    assert.equal(failed.attempt_count, 1);
+    assert.ok(failed.next_payment_attempt > Date.now() / 1000);
+    assert.equal(events.at(-1).type, 'invoice.payment_failed');
+
+    await assert.rejects(provider.invoices.pay(invoice.id), { type: 'StripeCardError', decline_code: 'insufficient_funds' });
+  });
+
+  test('repeats an idempotent request and rejects a reused key with other parameters', async () => {
+    const first = await provider.customers.create({ name: 'Ada' }, { idempotencyKey: 'key-1' });
+    const again = await provider.customers.create({ name: 'Ada' }, { idempotencyKey: 'key-1' });
+    assert.equal(again.id, first.id);
+    await assert.rejects(provider.customers.create({ name: 'Grace' }, { idempotencyKey: 'key-1' }), { type: 'StripeIdempotencyError' });
+  });
+
+  test('refunds no more than what is left on the charge', async () => {
+    const customer = await customerWithCard();
+    const intent = await provider.paymentIntents.create({ amount: 5000, currency: 'usd', customer: customer.id, payment_method: 'pm_card_visa', confirm: true });
+    assert.equal(intent.status, 'succeeded');
+
+    await provider.refunds.create({ payment_intent: intent.id, amount: 3000 });
+    await assert.rejects(provider.refunds.create({ payment_intent: intent.id, amount: 2001 }), { code: 'amount_too_large' });
+    const refunds = await provider.refunds.list({ payment_intent: intent.id });
+    assert.deepEqual(refunds.data.map(refund => refund.amount), [3000]);
+  });
+
+  test('rejects invoice items in another currency than the invoice', async () => {
+    const customer = await provider.customers.create({ name: 'Ada' });
+    const invoice = await provider.invoices.create({ customer: customer.id, currency: 'eur' });
+
+    await assert.rejects(provider.invoiceItems.create({ invoice: invoice.id, amount: 1000, currency: 'usd' }), { param: 'currency' });
+    await provider.invoiceItems.create({ invoice: invoice.id, amount: 1000, currency: 'eur' });
+    await provider.invoiceItems.create({ invoice: invoice.id, amount: 500 });
+    const updated = await provider.invoices.retrieve(invoice.id);
+    assert.equal(updated.currency, 'eur');
+    assert.equal(updated.amount_due, 1500);
+  });
+
+  test('unknown IDs fail like Stripe', async () => {
+    await assert.rejects(provider.invoices.retrieve('in_missing'), { code: 'resource_missing', statusCode: 404 });
+    await assert.rejects(provider.simulate('not_an_action'), /Unknown simulation/);
+  });
+});
+
+describe('server flows against the mock provider', () => {
+  let app;
+  let models;
+
+  before(async () => {
+    app = await start();
+    models = app.models;
+  });
+
+  after(() => app.stop());
+
+  beforeEach(() => app.reset());
+
+  // A customer of `agent`'s vendor, with a saved card when `card` is given
+  const createCustomer = async (agent, { card } = {}) => {
+    const created = await app.request('POST', '/vendor/customers', { agent, body: { name: 'Ada Lovelace', email: 'ada@example.com' } });
+    assert.equal(created.status, 201);
+    const customerId = created.body.customer.id;
+    if (card) {
+      const setupIntent = await app.paymentProvider.setupIntents.create({ customer: customerId });
+      await app.paymentProvider.simulate('complete_setup_intent', { setup_intent: setupIntent.id, payment_method: card, set_default: true });
+    }
+    return customerId;
+  };
+
+  const activity = eventType => models.ActivityLog.find({ eventType }).lean();
+
+  test('invoice flow: a customer with a saved card is charged and the invoice is paid', async () => {
+    const agent = await app.signUpVendor('vendor@example.com');
+    const customerId = await createCustomer(agent, { card: 'pm_card_visa' });
+
+    const created = await app.request('POST', '/create-invoice', {
+      agent,
+      body: { customerId, currency: 'usd', lineItems: [{ description: 'Design work', quantity: 2, unitPrice: 150 }] },
+    });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    assert.equal(created.body.total, 300);
+    await app.paymentProvider.settle();
+
+    const invoice = await models.Invoice.findOne({ id: created.body.invoiceId });
+    assert.equal(invoice.status, 'paid');
+    assert.equal(invoice.amountPaid, 30000);
+    assert.equal(invoice.balanceDue, 0);
+    const stripeInvoice = await app.paymentProvider.invoices.retrieve(invoice.id);
+    assert.equal(stripeInvoice.amount_paid, 30000);
+
+    const payments = await models.Payment.find({ stripeInvoiceId: invoice.id }).lean();
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].amount, 30000);
+    assert.equal((await activity('invoice_paid')).length, 1);
+  });
+
+  test('invoice flow: a manual invoice survives a declined payment and is paid on the next attempt', async () => {
+    const agent = await app.signUpVendor('vendor@example.com');
+    const customerId = await createCustomer(agent);
+
+    const created = await app.request('POST', '/create-invoice', { agent, body: { customerId, amount: 80, description: 'Hosting' } });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    const invoiceId = created.body.invoiceId;
+    assert.equal((await models.Invoice.findOne({ id: invoiceId })).status, 'open');
+
+    await app.paymentProvider.simulate('pay_invoice', { invoice: invoiceId, payment_method: 'pm_card_chargeDeclined' });
+    await app.paymentProvider.settle();
+    let invoice = await models.Invoice.findOne({ id: invoiceId });
+    assert.equal(invoice.status, 'open');
+    assert.equal(invoice.failureReason, 'Your card was declined.');
+    assert.equal((await activity('invoice_payment_failed')).length, 1);
+
+    await app.paymentProvider.simulate('pay_invoice', { invoice: invoiceId, payment_method: 'pm_card_visa' });
+    await app.paymentProvider.settle();
+    invoice = await models.Invoice.findOne({ id: invoiceId });
+    assert.equal(invoice.status, 'paid');
+    assert.equal(invoice.amountPaid, 8000);
+    assert.equal(invoice.failureReason, null);
+  });
+
+  test('invoice flow: the Stripe invoice is created in the invoice currency', async () => {
+    const agent = await app.signUpVendor('vendor@example.com');
+    const customerId = await createCustomer(agent);
+
+    const created = await app.request('POST', '/create-invoice', { agent, body: { customerId, currency: 'eur', amount: 45.5, description: 'Support' } });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    assert.equal(created.body.currency, 'eur');
+    const stripeInvoice = await app.paymentProvider.invoices.retrieve(created.body.invoiceId);
+    assert.equal(stripeInvoice.currency, 'eur');
+    assert.equal(stripeInvoice.amount_due, 4550);
+  });
+
+  test('subscription flow: subscribe, fall past due, cancel', async () => {
+    const agent = await app.signUpVendor('vendor@example.com');
+
+    const subscribed = await app.request('POST', '/vendor/create-subscription', { agent, body: { paymentMethodId: 'pm_card_visa' } });
+    assert.equal(subscribed.status, 200, JSON.stringify(subscribed.body));
+    await app.paymentProvider.settle();
+    let vendor = await models.Vendor.findOne({ username: 'vendor@example.com' });
+    assert.equal(vendor.subscriptionStatus, 'active');
+    assert.equal(vendor.subscriptionMrr, 99);
+
+    await app.paymentProvider.simulate('update_subscription', { subscription: subscribed.body.subscriptionId, status: 'past_due' });
+    await app.paymentProvider.settle();
+    vendor = await models.Vendor.findOne({ username: 'vendor@example.com' });
+    assert.equal(vendor.subscriptionStatus, 'past_due');
+
+    await app.paymentProvider.simulate('update_subscription', { subscription: subscribed.body.subscriptionId, status: 'active' });
+    await app.paymentProvider.settle();
+    const canceled = await app.request('POST', '/vendor/cancel-subscription', { agent });
+    assert.equal(canceled.status, 200, JSON.stringify(canceled.body));
+    await app.paymentProvider.settle();
+    vendor = await models.Vendor.findOne({ username: 'vendor@example.com' });
+    assert.equal(vendor.subscriptionStatus, 'canceled');
+    assert.deepEqual(vendor.subscriptionHistory.map(entry => entry.status), ['trialing', 'active', 'past_due', 'active', 'canceled']);
+  });
+
+  test('payout flow: connect an account, request a payout and follow it to paid and failed', async () => {
+    const agent = await app.signUpVendor('vendor@example.com');
+
+    const connected = await app.request('POST', '/vendor/create-stripe-connect-account', { agent });
+    assert.equal(connected.status, 200, JSON.stringify(connected.body));
+    const { stripeConnectAccountId } = await models.Vendor.findOne({ username: 'vendor@example.com' });
+    assert.ok(connected.body.url.includes(stripeConnectAccountId));
+    await app.paymentProvider.simulate('complete_account_onboarding', { account: stripeConnectAccountId });
+
+    const requested = await app.request('POST', '/vendor/request-payout', { agent, body: { amount: 250, currency: 'usd' } });
+    assert.equal(requested.status, 200, JSON.stringify(requested.body));
+    const second = await app.request('POST', '/vendor/request-payout', { agent, body: { amount: 10, currency: 'usd' } });
+    assert.equal(second.status, 200, JSON.stringify(second.body));
+
+    const history = await app.request('GET', '/vendor/payout-history', { agent });
+    assert.deepEqual(history.body.data.map(payout => [payout.amount, payout.status]), [[1000, 'pending'], [25000, 'pending']]);
+    const [small, large] = history.body.data;
+
+    await app.paymentProvider.simulate('payout_paid', { payout: large.id });
+    await app.paymentProvider.simulate('payout_failed', { payout: small.id, failure_code: 'insufficient_funds' });
+    await app.paymentProvider.settle();
+
+    const [succeeded] = await activity('payout_succeeded');
+    assert.equal(succeeded.relatedId, large.id);
+    assert.equal(succeeded.vendorUsername, 'vendor@example.com');
+    assert.equal(succeeded.amount, 25000);
+    const [failed] = await activity('payout_failed');
+    assert.equal(failed.relatedId, small.id);
+    assert.match(failed.description, /insufficient_funds/);
+    assert.equal((await activity('payout_requested')).length, 2);
+  });
+
+  test('webhook flow: everything the mock does arrives through the webhook pipeline once', async () => {
+    const agent = await app.signUpVendor('vendor@example.com');
+    const customerId = await createCustomer(agent, { card: 'pm_card_visa' });
+    await app.request('POST', '/create-invoice', { agent, body: { customerId, amount: 12 } });
+    await app.paymentProvider.settle();
+
+    const stored = await models.WebhookEvent.find().sort({ receivedAt: 1 }).lean();
+    const types = stored.map(event => event.type);
+    assert.deepEqual(types.filter(type => /^(customer|setup_intent|invoice)\./.test(type)), [
+      'customer.created', // The vendor's own customer, at registration
+      'customer.created',
+      'setup_intent.succeeded',
+      'invoice.finalized',
+      'invoice.paid',
+      'invoice.payment_succeeded',
+    ]);
+    assert.ok(types.includes('charge.succeeded') && types.includes('payment_intent.succeeded'));
+    assert.ok(stored.every(event => event.status === 'processed' && event.attempts === 1 && event.deliveries === 1));
+
+    // Stripe would redeliver the same event ID; the mock can too
+    const payload = JSON.stringify(stored.at(-1).payload);
+    const result = await app.ingestStripeWebhook(payload, app.paymentProvider.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }));
+    assert.equal(result.duplicate, true);
+    assert.equal((await activity('invoice_paid')).length, 1);
+  });
+});
@@ -0,0 +1,81 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./support/app');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const tomorrow = () => new Date(Date.now() + DAY_MS);
+
+let app;
+let models;
+let agent;
+
+before(async () => {
+  app = await start();
+  models = app.models;
+});
+
+after(() => app.stop());
+
+beforeEach(async () => {
+  await app.reset();
+  agent = await app.signUpVendor('vendor@example.com');
+});
+
+// A monthly schedule starting in an hour, charged to the customer's saved card
+const createSchedule = async () => {
+  const customer = await app.request('POST', '/vendor/customers', { agent, body: { name: 'Ada Lovelace', email: 'ada@example.com' } });
+  const customerId = customer.body.customer.id;
+  const setupIntent = await app.paymentProvider.setupIntents.create({ customer: customerId });
+  await app.paymentProvider.simulate('complete_setup_intent', { setup_intent: setupIntent.id, set_default: true });
+  const created = await app.request('POST', '/vendor/recurring-invoices', {
+    agent,
+    body: { customerId, amount: 50, description: 'Hosting', interval: 'month', startDate: new Date(Date.now() + 60 * 60 * 1000).toISOString(), collectionMethod: 'charge_automatically' },
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return { scheduleId: created.body.recurringInvoice._id, customerId };
+};
+
+const stripeInvoices = async customerId => (await app.paymentProvider.invoices.list({ customer: customerId, limit: 100 })).data;
+
+test('a run that fails after its invoice was recorded is not put back', async (t) => {
+  const { scheduleId, customerId } = await createSchedule();
+  t.mock.method(models.RecurringInvoice, 'findByIdAndUpdate', async () => {
+    throw new Error('Connection lost');
+  }, { times: 1 });
+
+  assert.equal(await app.runRecurringInvoices(tomorrow()), 0);
+  const schedule = await models.RecurringInvoice.findById(scheduleId);
+  assert.equal(schedule.nextOccurrence, 1);
+  assert.equal(schedule.failureCount, 0);
+
+  // The next tick has nothing left to bill for this period
+  assert.equal(await app.runRecurringInvoices(tomorrow()), 0);
+  await app.paymentProvider.settle();
+  assert.equal(await models.Invoice.countDocuments({ recurringInvoiceId: scheduleId }), 1);
+  assert.equal((await stripeInvoices(customerId)).length, 1);
+});
+
+test('a run that fails before its invoice was recorded is retried with the invoice Stripe already made', async (t) => {
+  const { scheduleId, customerId } = await createSchedule();
+  t.mock.method(models.Invoice, 'create', async () => {
+    throw new Error('Connection lost');
+  }, { times: 1 });
+
+  assert.equal(await app.runRecurringInvoices(tomorrow()), 0);
+  let schedule = await models.RecurringInvoice.findById(scheduleId);
+  assert.equal(schedule.nextOccurrence, 0);
+  assert.equal(schedule.failureCount, 1);
+  assert.equal(schedule.lastError, 'Connection lost');
+
+  assert.equal(await app.runRecurringInvoices(tomorrow()), 1);
+  await app.paymentProvider.settle();
+  schedule = await models.RecurringInvoice.findById(scheduleId);
+  assert.equal(schedule.nextOccurrence, 1);
+  assert.equal(schedule.runCount, 1);
+
+  const [stripeInvoice, ...others] = await stripeInvoices(customerId);
+  assert.deepEqual(others, []);
+  assert.equal(stripeInvoice.status, 'paid');
+  const invoices = await models.Invoice.find({ recurringInvoiceId: scheduleId }).lean();
+  assert.deepEqual(invoices.map(invoice => invoice.id), [stripeInvoice.id]);
+});
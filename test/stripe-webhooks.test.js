@@ -0,0 +1,247 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { start } = require('./support/app');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'stripe-webhooks');
+const VENDOR = 'fixture.vendor@example.com';
+
+let app;
+let models;
+
+before(async () => {
+  app = await start();
+  models = app.models;
+});
+
+after(() => app.stop());
+
+// The vendor, customer and invoices the fixtures refer to
+beforeEach(async () => {
+  await app.reset();
+  await models.Vendor.create({ username: VENDOR, password: 'unused', approved: true, stripeCustomerId: 'cus_fixture_vendor', subscriptionStatus: 'active' });
+  await models.Customer.create({ stripeCustomerId: 'cus_fixture_customer', vendorUsername: VENDOR, name: 'Old Name' });
+  await models.Invoice.create(['in_fixture_1', 'in_fixture_2'].map(id => ({
+    id,
+    customerId: 'cus_fixture_customer',
+    vendorUsername: VENDOR,
+    amount: 12500,
+    total: 12500,
+    balanceDue: 12500,
+    currency: 'usd',
+    status: 'open',
+    amountsInMinorUnits: true,
+  })));
+});
+
+const signed = (payload) => app.paymentProvider.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+
+// POST a fixture (or any event) to /stripe-webhook as Stripe would
+const deliver = (event) => {
+  const payload = typeof event === 'string' ? fs.readFileSync(path.join(FIXTURES, `${event}.json`), 'utf8') : JSON.stringify(event);
+  return app.request('POST', '/stripe-webhook', { body: payload, headers: { 'Stripe-Signature': signed(payload) } });
+};
+
+const activity = eventType => models.ActivityLog.find({ eventType }).lean();
+
+test('rejects a delivery with a bad signature', async () => {
+  const payload = fs.readFileSync(path.join(FIXTURES, 'invoice.voided.json'), 'utf8');
+  const res = await app.request('POST', '/stripe-webhook', { body: payload, headers: { 'Stripe-Signature': 't=1,v1=bad' } });
+
+  assert.equal(res.status, 400);
+  assert.equal(await models.WebhookEvent.countDocuments(), 0);
+});
+
+test('invoice.payment_succeeded marks the invoice paid and records the payment', async () => {
+  const res = await deliver('invoice.payment_succeeded');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { received: true, duplicate: false });
+
+  const invoice = await models.Invoice.findOne({ id: 'in_fixture_1' });
+  assert.equal(invoice.status, 'paid');
+  assert.equal(invoice.amountPaid, 12500);
+  assert.equal(invoice.balanceDue, 0);
+  // The payment settles the invoice; the event itself then finds it already paid
+  assert.deepEqual(invoice.statusHistory.map(entry => [entry.from, entry.to, entry.source]), [['open', 'paid', 'payment:card']]);
+
+  const payments = await models.Payment.find().lean();
+  assert.equal(payments.length, 1);
+  assert.equal(payments[0].amount, 12500);
+  assert.equal(payments[0].stripeInvoiceId, 'in_fixture_1');
+
+  const [logged] = await activity('invoice_paid');
+  assert.equal(logged.vendorUsername, VENDOR);
+  assert.equal(logged.amount, 12500);
+
+  const stored = await models.WebhookEvent.findOne({ eventId: 'evt_fixture_invoice_payment_succeeded' });
+  assert.equal(stored.status, 'processed');
+  assert.equal(stored.attempts, 1);
+});
+
+test('a redelivered event is acknowledged as a duplicate and not applied again', async () => {
+  await deliver('invoice.payment_succeeded');
+  const res = await deliver('invoice.payment_succeeded');
+
+  assert.deepEqual(res.body, { received: true, duplicate: true });
+  assert.equal(await models.Payment.countDocuments(), 1);
+  assert.equal((await activity('invoice_paid')).length, 1);
+  const stored = await models.WebhookEvent.findOne({ eventId: 'evt_fixture_invoice_payment_succeeded' });
+  assert.equal(stored.deliveries, 2);
+  assert.equal(stored.attempts, 1);
+});
+
+test('invoice.voided voids the invoice', async () => {
+  await deliver('invoice.voided');
+
+  const invoice = await models.Invoice.findOne({ id: 'in_fixture_2' });
+  assert.equal(invoice.status, 'void');
+  assert.ok(invoice.voidedAt);
+  assert.equal((await activity('invoice_voided')).length, 1);
+});
+
+test('a rejected status change is logged for the invoice\'s vendor', async () => {
+  // Paid, and from before invoices stored their vendor
+  await models.Invoice.collection.updateOne({ id: 'in_fixture_2' }, { $set: { status: 'paid' }, $unset: { vendorUsername: '' } });
+  await deliver('invoice.voided');
+
+  assert.equal((await models.Invoice.findOne({ id: 'in_fixture_2' })).status, 'paid');
+  const [logged] = await activity('invoice_transition_rejected');
+  assert.equal(logged.relatedId, 'in_fixture_2');
+  assert.equal(logged.vendorUsername, VENDOR);
+});
+
+test('customer.subscription.updated records the vendor subscription status', async () => {
+  await deliver('customer.subscription.updated');
+
+  const vendor = await models.Vendor.findOne({ username: VENDOR });
+  assert.equal(vendor.subscriptionStatus, 'past_due');
+  assert.equal(vendor.subscriptionHistory.at(-1).status, 'past_due');
+  const [logged] = await activity('subscription_status_updated');
+  assert.equal(logged.vendorUsername, VENDOR);
+});
+
+test('customer.updated copies the Stripe customer onto the local one', async () => {
+  await deliver('customer.updated');
+
+  const customer = await models.Customer.findOne({ stripeCustomerId: 'cus_fixture_customer' });
+  assert.equal(customer.name, 'Fixture Customer');
+  assert.equal(customer.email, 'fixture.customer@example.com');
+  assert.equal(customer.currency, 'usd');
+});
+
+test('payout events are logged with minor-unit amounts', async () => {
+  await deliver('payout.succeeded');
+  await deliver('payout.failed');
+
+  const [succeeded] = await activity('payout_succeeded');
+  assert.equal(succeeded.relatedId, 'po_fixture_1');
+  assert.equal(succeeded.amount, 50000);
+  assert.equal(succeeded.currency, 'usd');
+  const [failed] = await activity('payout_failed');
+  assert.equal(failed.relatedId, 'po_fixture_2');
+  assert.equal(failed.amount, 20000);
+  assert.equal(failed.currency, 'eur');
+  assert.match(failed.description, /account_closed/);
+});
+
+test('charge.refunded is logged', async () => {
+  await deliver('charge.refunded');
+
+  const [logged] = await activity('charge_refunded');
+  assert.equal(logged.relatedId, 'ch_fixture_1');
+  assert.equal(logged.amount, 12500);
+});
+
+test('every fixture is processed once and detected as a duplicate on redelivery', async () => {
+  const fixtures = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'));
+  for (const fixture of fixtures) {
+    assert.equal((await deliver(fixture)).body.duplicate, false, fixture);
+    assert.equal((await deliver(fixture)).body.duplicate, true, fixture);
+  }
+  const stored = await models.WebhookEvent.find().lean();
+  assert.equal(stored.length, fixtures.length);
+  assert.ok(stored.every(event => event.status === 'processed'), stored.map(event => `${event.eventId}: ${event.status}`).join(', '));
+});
+
+// Retries: a charge.refunded event for a card-paid invoice whose refund lookup fails
+test('a failed handler is retried with backoff until it succeeds', async (t) => {
+  const { paymentProvider, retryWebhookEvents, webhookRetryDelay } = app;
+  const refund = { id: 're_retry_1', object: 'refund', amount: 5000, currency: 'usd', charge: 'ch_retry_1', status: 'succeeded', reason: 'requested_by_customer', created: 1760000000 };
+  t.mock.method(paymentProvider.invoicePayments, 'list', async () => ({ object: 'list', data: [{ invoice: 'in_fixture_1' }], has_more: false }));
+  const refundsList = t.mock.method(paymentProvider.refunds, 'list', async () => {
+    throw new Error('Stripe is unavailable');
+  });
+
+  const startedAt = Date.now();
+  await deliver({
+    id: 'evt_retry_refund',
+    object: 'event',
+    type: 'charge.refunded',
+    created: 1760000000,
+    livemode: false,
+    data: { object: { id: 'ch_retry_1', object: 'charge', amount: 12500, amount_refunded: 5000, currency: 'usd', payment_intent: 'pi_retry_1' } },
+  });
+
+  let stored = await models.WebhookEvent.findOne({ eventId: 'evt_retry_refund' });
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.attempts, 1);
+  assert.equal(stored.lastError, 'Stripe is unavailable');
+  assert.ok(stored.nextAttemptAt.getTime() >= startedAt + webhookRetryDelay(1));
+  assert.ok(stored.nextAttemptAt.getTime() <= Date.now() + webhookRetryDelay(1));
+
+  // Not due yet
+  assert.equal(await retryWebhookEvents(new Date(stored.nextAttemptAt.getTime() - 1000)), 0);
+  assert.equal(refundsList.mock.callCount(), 1);
+
+  // Due, still failing: the delay doubles
+  assert.equal(await retryWebhookEvents(stored.nextAttemptAt), 1);
+  stored = await models.WebhookEvent.findOne({ eventId: 'evt_retry_refund' });
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.attempts, 2);
+  assert.equal(webhookRetryDelay(2), 2 * webhookRetryDelay(1));
+  assert.ok(stored.nextAttemptAt.getTime() >= Date.now() + webhookRetryDelay(2) - 5000);
+
+  // Due again, and Stripe is back
+  refundsList.mock.mockImplementation(async () => ({ object: 'list', data: [refund], has_more: false }));
+  assert.equal(await retryWebhookEvents(stored.nextAttemptAt), 1);
+  stored = await models.WebhookEvent.findOne({ eventId: 'evt_retry_refund' });
+  assert.equal(stored.status, 'processed');
+  assert.equal(stored.attempts, 3);
+  assert.equal(stored.nextAttemptAt, null);
+  assert.equal(stored.lastError, null);
+
+  const invoice = await models.Invoice.findOne({ id: 'in_fixture_1' });
+  assert.equal(invoice.amountRefunded, 5000);
+  assert.deepEqual(invoice.refunds.map(entry => [entry.refundId, entry.amount, entry.status, entry.createdBy]), [['re_retry_1', 5000, 'succeeded', 'stripe']]);
+});
+
+test('a handler that keeps failing is given up on after the last attempt', async (t) => {
+  const { paymentProvider, retryWebhookEvents, processWebhookEvent, WEBHOOK_MAX_ATTEMPTS } = app;
+  t.mock.method(paymentProvider.invoicePayments, 'list', async () => ({ object: 'list', data: [{ invoice: 'in_fixture_1' }], has_more: false }));
+  t.mock.method(paymentProvider.refunds, 'list', async () => {
+    throw new Error('Stripe is unavailable');
+  });
+
+  await deliver({
+    id: 'evt_exhausted_refund',
+    object: 'event',
+    type: 'charge.refunded',
+    created: 1760000000,
+    livemode: false,
+    data: { object: { id: 'ch_retry_2', object: 'charge', amount: 12500, amount_refunded: 12500, currency: 'usd', payment_intent: 'pi_retry_2' } },
+  });
+  await models.WebhookEvent.updateOne({ eventId: 'evt_exhausted_refund' }, { attempts: WEBHOOK_MAX_ATTEMPTS - 1 });
+
+  const far = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  assert.equal(await retryWebhookEvents(far), 1);
+  const stored = await models.WebhookEvent.findOne({ eventId: 'evt_exhausted_refund' });
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.attempts, WEBHOOK_MAX_ATTEMPTS);
+  assert.equal(stored.nextAttemptAt, null);
+
+  assert.equal(await retryWebhookEvents(far), 0);
+  assert.equal(await processWebhookEvent('evt_exhausted_refund'), null);
+  // An admin replay still runs it
+  assert.equal((await processWebhookEvent('evt_exhausted_refund', { force: true })).attempts, WEBHOOK_MAX_ATTEMPTS + 1);
+});
@@ -0,0 +1,104 @@
+// Boots index.js against the in-memory MongoDB server and the mock payment
+// provider, with mail written to a scratch file. Require it once per test file.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryMongo } = require('./memory-mongo');
+
+const start = async () => {
+  const mongo = createMemoryMongo();
+  const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-app-mail-'));
+  const mailFile = path.join(mailDir, 'outbox.jsonl');
+
+  Object.assign(process.env, {
+    MONGODB_URI: await mongo.start('invoice_app_test'),
+    JWT_SECRET: 'test-secret',
+    PAYMENT_PROVIDER: 'mock',
+    MOCK_WEBHOOK_DELAY_MS: '0',
+    STRIPE_WEBHOOK_SECRET: 'whsec_test',
+    MAIL_TRANSPORT: 'file',
+    MAIL_FILE_PATH: mailFile,
+  });
+
+  // Keep the app's logging, including errors the tests cause on purpose, out of the
+  // test output. Set TEST_LOGS=1 to see it.
+  const { log, error } = console;
+  if (!process.env.TEST_LOGS) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+  const server = require('../../index.js');
+  const mongoose = require('mongoose');
+  await mongoose.connection.asPromise();
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+  const listener = server.app.listen(0);
+  await new Promise(resolve => listener.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  // JSON request, keeping cookies in `agent` (see agent()). Returns { status, body, headers }.
+  const request = async (method, url, { body, agent, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(agent && agent.cookies.size > 0 ? { Cookie: [...agent.cookies].map(([name, value]) => `${name}=${value}`).join('; ') } : {}),
+        ...headers,
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body), // Strings are sent as is, e.g. signed webhook payloads
+    });
+    if (agent) {
+      response.headers.getSetCookie().forEach((cookie) => {
+        const [pair] = cookie.split(';');
+        const index = pair.indexOf('=');
+        const value = pair.slice(index + 1);
+        if (value) agent.cookies.set(pair.slice(0, index), value);
+        else agent.cookies.delete(pair.slice(0, index));
+      });
+    }
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Not JSON; leave the text as is
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+  };
+
+  // Register a vendor, approve it and log in. Returns the logged-in agent.
+  const signUpVendor = async (username, { password = 'correct horse battery' } = {}) => {
+    const registered = await request('POST', '/register', { body: { username, password } });
+    if (registered.status !== 201) throw new Error(`Registering ${username} failed: ${registered.status} ${JSON.stringify(registered.body)}`);
+    await mongoose.models.Vendor.updateOne({ username }, { approved: true });
+    const agent = { cookies: new Map() };
+    const login = await request('POST', '/login', { agent, body: { username, password } });
+    if (login.status !== 200) throw new Error(`Logging in ${username} failed: ${login.status} ${JSON.stringify(login.body)}`);
+    return agent;
+  };
+
+  // Messages sent through the file mailer since the last reset
+  const readMail = () => {
+    if (!fs.existsSync(mailFile)) return [];
+    return fs.readFileSync(mailFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  };
+
+  const reset = async () => {
+    await server.paymentProvider.settle();
+    mongo.clear();
+    fs.rmSync(mailFile, { force: true });
+  };
+
+  const stop = async () => {
+    await server.paymentProvider.settle();
+    await new Promise(resolve => listener.close(resolve));
+    await mongoose.disconnect();
+    await mongo.stop();
+    fs.rmSync(mailDir, { recursive: true, force: true });
+    Object.assign(console, { log, error });
+  };
+
+  return { ...server, models: mongoose.models, baseUrl, request, signUpVendor, readMail, reset, stop, agent: () => ({ cookies: new Map() }) };
+};
+
+module.exports = { start };
@@ -0,0 +1,433 @@
+// A small MongoDB stand-in for the tests: a server that speaks enough of the wire
+// protocol for the official driver (and so Mongoose), keeping every collection in
+// memory. Queries, updates and aggregation pipelines are evaluated by mingo, and
+// unique indexes are enforced, since the app relies on duplicate key errors.
+// It knows nothing of transactions, TTL expiry or replica sets.
+const net = require('net');
+const { BSON, ObjectId, Long } = require('mongodb');
+const mingo = require('mingo');
+
+const OP_REPLY = 1;
+const OP_QUERY = 2004;
+const OP_MSG = 2013;
+
+const clone = (doc) => BSON.deserialize(BSON.serialize(doc));
+
+const commandError = (code, codeName, errmsg, fields = {}) => Object.assign(new Error(errmsg), { code, codeName, fields });
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof ObjectId) && Object.keys(value).some(key => key.startsWith('$'));
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+// The fields an upsert copies from its filter: plain equality conditions only
+const equalityFields = (filter) => {
+  const fields = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key.startsWith('$')) {
+      if (key === '$and') value.forEach(part => Object.assign(fields, equalityFields(part)));
+      continue;
+    }
+    if (isOperatorObject(value)) {
+      if ('$eq' in value) fields[key] = value.$eq;
+      continue;
+    }
+    fields[key] = value;
+  }
+  return fields;
+};
+
+const createMemoryMongo = () => {
+  const databases = new Map(); // name -> Map(collection name -> { docs, indexes })
+  let connectionIds = 0;
+
+  const database = (name) => databases.get(name) || databases.set(name, new Map()).get(name);
+  const collection = (db, name) => {
+    const collections = database(db);
+    if (!collections.has(name)) {
+      collections.set(name, { docs: [], indexes: [{ v: 2, key: { _id: 1 }, name: '_id_' }] });
+    }
+    return collections.get(name);
+  };
+
+  const options = (db) => ({ collectionResolver: name => collection(db, name).docs });
+  const query = (db, docs, filter) => mingo.find(docs, filter || {}, undefined, options(db));
+
+  // Throws a duplicate key error if `doc` clashes with another document on a unique index
+  const checkUnique = (db, coll, doc, ns) => {
+    for (const index of coll.indexes) {
+      if (!index.unique && index.name !== '_id_') continue;
+      if (index.partialFilterExpression && query(db, [doc], index.partialFilterExpression).all().length === 0) continue;
+      const paths = Object.keys(index.key);
+      const values = paths.map(path => valueAt(doc, path));
+      if (index.sparse && values.every(value => value === undefined)) continue;
+      const keyValue = Object.fromEntries(paths.map((path, i) => [path, values[i] === undefined ? null : values[i]]));
+      const clash = coll.docs.find(other => other !== doc && !other._id.equals(doc._id)
+        && query(db, [other], keyValue).all().length > 0
+        && (!index.partialFilterExpression || query(db, [other], index.partialFilterExpression).all().length > 0));
+      if (clash) {
+        throw commandError(11000, 'DuplicateKey', `E11000 duplicate key error collection: ${ns} index: ${index.name} dup key: ${JSON.stringify(keyValue)}`, {
+          keyPattern: index.key,
+          keyValue,
+        });
+      }
+    }
+  };
+
+  // Apply an update (operators, a replacement or a pipeline) to a copy of `doc`
+  const applyUpdate = (db, doc, update, { filter, arrayFilters, inserting = false }) => {
+    const updated = clone(doc);
+    if (Array.isArray(update)) {
+      mingo.updateOne([updated], {}, update, {}, options(db));
+      return updated;
+    }
+    if (!Object.keys(update).some(key => key.startsWith('$'))) {
+      return { ...clone(update), _id: doc._id };
+    }
+    const { $setOnInsert: setOnInsert, ...operators } = update;
+    if (inserting && setOnInsert) {
+      operators.$set = { ...setOnInsert, ...operators.$set };
+    }
+    if (Object.keys(operators).length > 0) {
+      mingo.updateOne([updated], inserting ? {} : (filter || {}), operators, { arrayFilters }, options(db));
+    }
+    return updated;
+  };
+
+  const upsertDoc = (db, filter, update, arrayFilters) => {
+    const base = clone(equalityFields(filter));
+    const inserted = applyUpdate(db, base, update, { arrayFilters, inserting: true });
+    if (inserted._id === undefined) inserted._id = base._id !== undefined ? base._id : new ObjectId();
+    return inserted;
+  };
+
+  const cursorReply = (ns, docs) => ({ cursor: { id: Long.fromNumber(0), ns, firstBatch: docs.map(clone) }, ok: 1 });
+
+  const sortAndSlice = (cursor, { sort, skip, limit }) => {
+    let result = cursor;
+    if (sort && Object.keys(sort).length > 0) result = result.sort(sort);
+    if (skip) result = result.skip(skip);
+    if (limit) result = result.limit(Math.abs(limit));
+    return result.all();
+  };
+
+  // Update one stored document, or insert one for an upsert. Returns { before, after, upserted }.
+  const updateOne = (db, coll, ns, { filter, update, upsert, arrayFilters, sort }) => {
+    const [match] = sortAndSlice(query(db, coll.docs, filter), { sort, limit: 1 });
+    if (!match) {
+      if (!upsert) return { before: null, after: null };
+      const inserted = upsertDoc(db, filter, update, arrayFilters);
+      checkUnique(db, coll, inserted, ns);
+      coll.docs.push(inserted);
+      return { before: null, after: inserted, upserted: true };
+    }
+    const updated = applyUpdate(db, match, update, { filter, arrayFilters });
+    checkUnique(db, coll, updated, ns);
+    coll.docs[coll.docs.indexOf(match)] = updated;
+    return { before: match, after: updated };
+  };
+
+  const writeError = (index, error) => ({
+    index,
+    code: error.code || 2,
+    codeName: error.codeName,
+    errmsg: error.message,
+    ...(error.fields || {}),
+  });
+
+  const commands = {
+    hello: () => ({
+      helloOk: true,
+      ismaster: true,
+      isWritablePrimary: true,
+      maxBsonObjectSize: 16 * 1024 * 1024,
+      maxMessageSizeBytes: 48000000,
+      maxWriteBatchSize: 100000,
+      localTime: new Date(),
+      logicalSessionTimeoutMinutes: 30,
+      connectionId: ++connectionIds,
+      minWireVersion: 0,
+      maxWireVersion: 21,
+      readOnly: false,
+      ok: 1,
+    }),
+    ping: () => ({ ok: 1 }),
+    buildInfo: () => ({ version: '7.0.0', versionArray: [7, 0, 0, 0], ok: 1 }),
+    getParameter: () => ({ ok: 1 }),
+    endSessions: () => ({ ok: 1 }),
+    killCursors: (cmd) => ({ cursorsKilled: cmd.cursors || [], cursorsNotFound: [], cursorsAlive: [], cursorsUnknown: [], ok: 1 }),
+    create: (cmd, db) => {
+      collection(db, cmd.create);
+      return { ok: 1 };
+    },
+    drop: (cmd, db) => {
+      database(db).delete(cmd.drop);
+      return { ok: 1 };
+    },
+    dropDatabase: (cmd, db) => {
+      databases.delete(db);
+      return { ok: 1 };
+    },
+    listCollections: (cmd, db) => {
+      const names = [...database(db).keys()].map(name => ({ name, type: 'collection', options: {}, info: { readOnly: false } }));
+      return cursorReply(`${db}.$cmd.listCollections`, query(db, names, cmd.filter).all());
+    },
+    createIndexes: (cmd, db) => {
+      const coll = collection(db, cmd.createIndexes);
+      const before = coll.indexes.length;
+      for (const index of cmd.indexes) {
+        if (!coll.indexes.some(existing => existing.name === index.name)) {
+          coll.indexes.push({ v: 2, ...index });
+        }
+      }
+      return { numIndexesBefore: before, numIndexesAfter: coll.indexes.length, createdCollectionAutomatically: false, ok: 1 };
+    },
+    listIndexes: (cmd, db) => cursorReply(`${db}.${cmd.listIndexes}`, collection(db, cmd.listIndexes).indexes),
+    dropIndexes: (cmd, db) => {
+      const coll = collection(db, cmd.dropIndexes);
+      coll.indexes = cmd.index === '*' ? coll.indexes.slice(0, 1) : coll.indexes.filter(index => index.name !== cmd.index);
+      return { ok: 1 };
+    },
+    insert: (cmd, db) => {
+      const ns = `${db}.${cmd.insert}`;
+      const coll = collection(db, cmd.insert);
+      const writeErrors = [];
+      let n = 0;
+      for (const [index, document] of (cmd.documents || []).entries()) {
+        const doc = clone(document);
+        if (doc._id === undefined) doc._id = new ObjectId();
+        try {
+          checkUnique(db, coll, doc, ns);
+          coll.docs.push(doc);
+          n += 1;
+        } catch (error) {
+          writeErrors.push(writeError(index, error));
+          if (cmd.ordered !== false) break;
+        }
+      }
+      return { n, ...(writeErrors.length > 0 ? { writeErrors } : {}), ok: 1 };
+    },
+    update: (cmd, db) => {
+      const ns = `${db}.${cmd.update}`;
+      const coll = collection(db, cmd.update);
+      const writeErrors = [];
+      const upserted = [];
+      let n = 0;
+      let nModified = 0;
+      for (const [index, statement] of (cmd.updates || []).entries()) {
+        try {
+          if (statement.multi) {
+            const matches = query(db, coll.docs, statement.q).all();
+            for (const match of matches) {
+              const updated = applyUpdate(db, match, statement.u, { filter: statement.q, arrayFilters: statement.arrayFilters });
+              checkUnique(db, coll, updated, ns);
+              coll.docs[coll.docs.indexOf(match)] = updated;
+              n += 1;
+              nModified += 1;
+            }
+            if (matches.length === 0 && statement.upsert) {
+              const result = updateOne(db, coll, ns, { filter: statement.q, update: statement.u, upsert: true, arrayFilters: statement.arrayFilters });
+              upserted.push({ index, _id: result.after._id });
+              n += 1;
+            }
+            continue;
+          }
+          const result = updateOne(db, coll, ns, { filter: statement.q, update: statement.u, upsert: statement.upsert, arrayFilters: statement.arrayFilters, sort: statement.sort });
+          if (result.upserted) {
+            upserted.push({ index, _id: result.after._id });
+            n += 1;
+          } else if (result.before) {
+            n += 1;
+            nModified += 1;
+          }
+        } catch (error) {
+          writeErrors.push(writeError(index, error));
+          if (cmd.ordered !== false) break;
+        }
+      }
+      return { n, nModified, ...(upserted.length > 0 ? { upserted } : {}), ...(writeErrors.length > 0 ? { writeErrors } : {}), ok: 1 };
+    },
+    delete: (cmd, db) => {
+      const coll = collection(db, cmd.delete);
+      let n = 0;
+      for (const statement of cmd.deletes || []) {
+        const matches = query(db, coll.docs, statement.q).all();
+        for (const match of statement.limit === 1 ? matches.slice(0, 1) : matches) {
+          coll.docs.splice(coll.docs.indexOf(match), 1);
+          n += 1;
+        }
+      }
+      return { n, ok: 1 };
+    },
+    findAndModify: (cmd, db) => {
+      const ns = `${db}.${cmd.findAndModify}`;
+      const coll = collection(db, cmd.findAndModify);
+      const project = (doc) => (cmd.fields && Object.keys(cmd.fields).length > 0 ? mingo.find([doc], {}, cmd.fields).all()[0] : doc);
+      if (cmd.remove) {
+        const [match] = sortAndSlice(query(db, coll.docs, cmd.query), { sort: cmd.sort, limit: 1 });
+        if (match) coll.docs.splice(coll.docs.indexOf(match), 1);
+        return { lastErrorObject: { n: match ? 1 : 0 }, value: match ? clone(project(match)) : null, ok: 1 };
+      }
+      const result = updateOne(db, coll, ns, { filter: cmd.query, update: cmd.update, upsert: cmd.upsert, arrayFilters: cmd.arrayFilters, sort: cmd.sort });
+      const value = cmd.new ? result.after : result.before;
+      return {
+        lastErrorObject: {
+          n: result.after ? 1 : 0,
+          updatedExisting: Boolean(result.before),
+          ...(result.upserted ? { upserted: result.after._id } : {}),
+        },
+        value: value ? clone(project(value)) : null,
+        ok: 1,
+      };
+    },
+    find: (cmd, db) => {
+      const docs = sortAndSlice(query(db, collection(db, cmd.find).docs, cmd.filter), cmd);
+      const projected = cmd.projection && Object.keys(cmd.projection).length > 0 ? mingo.find(docs, {}, cmd.projection).all() : docs;
+      return cursorReply(`${db}.${cmd.find}`, projected);
+    },
+    count: (cmd, db) => ({ n: sortAndSlice(query(db, collection(db, cmd.count).docs, cmd.query), cmd).length, ok: 1 }),
+    distinct: (cmd, db) => {
+      const values = [];
+      for (const doc of query(db, collection(db, cmd.distinct).docs, cmd.query).all()) {
+        const value = valueAt(doc, cmd.key);
+        for (const item of Array.isArray(value) ? value : [value]) {
+          if (item !== undefined && !values.some(existing => mingo.find([{ v: existing }], { v: item }).all().length > 0)) values.push(item);
+        }
+      }
+      return { values, ok: 1 };
+    },
+    aggregate: (cmd, db) => {
+      const docs = typeof cmd.aggregate === 'string' ? collection(db, cmd.aggregate).docs : [];
+      return cursorReply(`${db}.${cmd.aggregate}`, mingo.aggregate(docs.map(clone), cmd.pipeline, options(db)));
+    },
+  };
+  commands.isMaster = commands.hello;
+  commands.ismaster = commands.hello;
+  commands.buildinfo = commands.buildInfo;
+
+  const runCommand = (body, db) => {
+    const name = Object.keys(body)[0];
+    const command = commands[name];
+    if (!command) {
+      return { ok: 0, code: 59, codeName: 'CommandNotFound', errmsg: `no such command: '${name}'` };
+    }
+    try {
+      return command(body, db);
+    } catch (error) {
+      return { ok: 0, code: error.code || 1, codeName: error.codeName || 'InternalError', errmsg: error.message, ...(error.fields || {}) };
+    }
+  };
+
+  const header = (length, responseTo, opCode) => {
+    const buffer = Buffer.alloc(16);
+    buffer.writeInt32LE(length, 0);
+    buffer.writeInt32LE(0, 4);
+    buffer.writeInt32LE(responseTo, 8);
+    buffer.writeInt32LE(opCode, 12);
+    return buffer;
+  };
+
+  const opMsgReply = (requestId, doc) => {
+    const body = BSON.serialize(doc);
+    const flags = Buffer.alloc(5); // flagBits, then section kind 0
+    return Buffer.concat([header(16 + flags.length + body.length, requestId, OP_MSG), flags, body]);
+  };
+
+  const opReply = (requestId, doc) => {
+    const body = BSON.serialize(doc);
+    const fields = Buffer.alloc(20);
+    fields.writeInt32LE(1, 16); // numberReturned; flags, cursor ID and startingFrom stay 0
+    return Buffer.concat([header(16 + fields.length + body.length, requestId, OP_REPLY), fields, body]);
+  };
+
+  const readCString = (buffer, offset) => {
+    const end = buffer.indexOf(0, offset);
+    return { value: buffer.toString('utf8', offset, end), next: end + 1 };
+  };
+
+  // Handle one complete message; returns the reply, or null when none is expected
+  const handleMessage = (message) => {
+    const requestId = message.readInt32LE(4);
+    const opCode = message.readInt32LE(12);
+
+    if (opCode === OP_QUERY) {
+      const collectionName = readCString(message, 20);
+      const queryDoc = BSON.deserialize(message.subarray(collectionName.next + 8));
+      const db = collectionName.value.split('.')[0];
+      const body = queryDoc.$query || queryDoc.query || queryDoc;
+      return opReply(requestId, runCommand(body, db));
+    }
+
+    if (opCode !== OP_MSG) {
+      return opReply(requestId, { ok: 0, errmsg: `Unsupported opCode ${opCode}` });
+    }
+
+    const flagBits = message.readUInt32LE(16);
+    const end = message.length - (flagBits & 1 ? 4 : 0);
+    let offset = 20;
+    let body = null;
+    const sequences = {};
+    while (offset < end) {
+      const kind = message[offset];
+      offset += 1;
+      if (kind === 0) {
+        const size = message.readInt32LE(offset);
+        body = BSON.deserialize(message.subarray(offset, offset + size));
+        offset += size;
+      } else {
+        const size = message.readInt32LE(offset);
+        const sectionEnd = offset + size;
+        const identifier = readCString(message, offset + 4);
+        const docs = [];
+        let docOffset = identifier.next;
+        while (docOffset < sectionEnd) {
+          const docSize = message.readInt32LE(docOffset);
+          docs.push(BSON.deserialize(message.subarray(docOffset, docOffset + docSize)));
+          docOffset += docSize;
+        }
+        sequences[identifier.value] = docs;
+        offset = sectionEnd;
+      }
+    }
+    const reply = runCommand({ ...body, ...sequences }, body.$db || 'admin');
+    return flagBits & 2 ? null : opMsgReply(requestId, reply); // moreToCome: unacknowledged write
+  };
+
+  const server = net.createServer(socket => {
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= 4 && pending.length >= pending.readInt32LE(0)) {
+        const length = pending.readInt32LE(0);
+        const reply = handleMessage(pending.subarray(0, length));
+        pending = pending.subarray(length);
+        if (reply) socket.write(reply);
+      }
+    });
+    socket.on('error', () => {});
+  });
+  const sockets = new Set();
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return {
+    // Listen on a free local port and resolve to a connection string for `dbName`
+    start: (dbName = 'test') => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => resolve(`mongodb://127.0.0.1:${server.address().port}/${dbName}?directConnection=true`));
+    }),
+    stop: () => new Promise(resolve => {
+      for (const socket of sockets) socket.destroy();
+      server.close(() => resolve());
+    }),
+    // Empty every collection but keep the indexes
+    clear: () => {
+      for (const collections of databases.values()) {
+        for (const coll of collections.values()) coll.docs = [];
+      }
+    },
+  };
+};
+
+module.exports = { createMemoryMongo };
@@ -0,0 +1,122 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const { once } = require('events');
+const { start } = require('./support/app');
+
+let app;
+let models;
+let agent;
+
+before(async () => {
+  app = await start();
+  models = app.models;
+});
+
+after(() => app.stop());
+
+beforeEach(async () => {
+  await app.reset();
+  agent = await app.signUpVendor('vendor@example.com');
+});
+
+const register = url => app.request('POST', '/vendor/webhook-endpoints', { agent, body: { url, eventTypes: ['customer_added'] } });
+
+// Answer every DNS lookup with `dnsAnswer.address`
+const mockDns = (t) => {
+  const dnsAnswer = { address: null };
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    callback(null, [{ address: dnsAnswer.address, family: dnsAnswer.address.includes(':') ? 6 : 4 }]);
+  });
+  return dnsAnswer;
+};
+
+// Add a customer, which is sent to the endpoints as customer_added, and wait for its delivery
+const addCustomerAndDeliver = async () => {
+  await app.request('POST', '/vendor/customers', { agent, body: { name: 'Ada Lovelace' } });
+  for (let tries = 0; tries < 100; tries += 1) {
+    const delivery = await models.WebhookDelivery.findOne({ status: { $in: ['succeeded', 'failed'] } }).lean();
+    if (delivery) return delivery;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('The webhook was not delivered.');
+};
+
+test('endpoints on internal addresses are rejected', async (t) => {
+  for (const url of ['https://10.0.0.5/hook', 'https://169.254.169.254/latest/meta-data', 'https://[::1]/hook', 'https://[::ffff:127.0.0.1]/hook', 'https://[fd00::1]/hook', 'https://0x0a000001/hook']) {
+    const res = await register(url);
+    assert.equal(res.status, 422, url);
+    assert.deepEqual(res.body.errors, [{ field: 'url', message: 'url must not point to a private or internal address.' }], url);
+  }
+  assert.equal((await register('http://example.com/hook')).status, 422);
+
+  const dnsAnswer = mockDns(t);
+  dnsAnswer.address = '192.168.1.20';
+  assert.equal((await register('https://intranet.example.com/hook')).status, 422);
+  dnsAnswer.address = '93.184.216.34';
+  const created = await register('https://hooks.example.com/hook');
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  dnsAnswer.address = '172.20.0.1';
+  const moved = await app.request('PUT', `/vendor/webhook-endpoints/${created.body.endpoint.id}`, { agent, body: { url: 'https://other.example.com/hook' } });
+  assert.equal(moved.status, 422);
+  assert.equal(await models.WebhookEndpoint.countDocuments(), 1);
+});
+
+test('a host repointed to an internal address after registration is not sent to', async (t) => {
+  const dnsAnswer = mockDns(t);
+  dnsAnswer.address = '93.184.216.34';
+  assert.equal((await register('https://hooks.example.com/hook')).status, 201);
+
+  dnsAnswer.address = '127.0.0.1';
+  const delivery = await addCustomerAndDeliver();
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.lastStatusCode, null);
+  assert.equal(delivery.lastError, 'url must not point to a private or internal address.');
+  assert.ok(delivery.nextAttemptAt);
+});
+
+test('the address a delivery connects to is checked, not only the one looked up first', async (t) => {
+  const dnsAnswer = mockDns(t);
+  dnsAnswer.address = '93.184.216.34';
+  assert.equal((await register('https://hooks.example.com/hook')).status, 201);
+
+  // Public for the check before sending, internal by the time the connection is made
+  let lookups = 0;
+  dns.lookup.mock.mockImplementation((hostname, options, callback) => {
+    lookups += 1;
+    callback(null, [{ address: lookups === 1 ? '93.184.216.34' : '10.0.0.8', family: 4 }]);
+  });
+  const delivery = await addCustomerAndDeliver();
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.lastError, 'hooks.example.com resolves to 10.0.0.8, a private or internal address.');
+});
+
+test('local endpoints are allowed outside production and receive signed events', async (t) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const created = await register(`http://127.0.0.1:${server.address().port}/hook`);
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const delivery = await addCustomerAndDeliver();
+  assert.equal(delivery.status, 'succeeded', delivery.lastError);
+  assert.equal(delivery.lastStatusCode, 200);
+
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-webhook-event'], 'customer_added');
+  assert.equal(JSON.parse(body).type, 'customer_added');
+  const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  assert.equal(signature, crypto.createHmac('sha256', created.body.endpoint.secret).update(`${timestamp}.${body}`).digest('hex'));
+});